@@ -0,0 +1,65 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Example plugin: drop leads who work for a competitor before they are enriched
+ *
+ * Try it with:
+ *   PLUGINS_DIR=examples/plugins COMPETITORS="Acme Corp, Initech" npm run quickstart
+ *
+ * Inserted before EnrichNode, so every message to EnrichNode reaches this node
+ * first; it forwards the message unchanged once state.leads is filtered.
+ */
+class CompetitorFilterNode {
+  /**
+   * @param {Object} options - plugin options from the declaration
+   * @param {string[]} [options.competitors] - company names to filter out
+   */
+  constructor(options = {}) {
+    this.id = 'CompetitorFilterNode';
+    this.handles = 'SEARCH_READY';
+    this.competitors = (options.competitors || (process.env.COMPETITORS || '').split(','))
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Remove competitor employees from state.leads, then hand over to EnrichNode
+   * @param {Message} msg 
+   * @param {Context} ctx 
+   * @returns {Promise<Message>}
+   */
+  async run(msg, ctx) {
+    const statePath = path.join(ctx.profilesDir, msg.run_id, 'state.json');
+    const state = JSON.parse(await fs.readFile(statePath, 'utf8'));
+
+    const isCompetitor = lead => this.competitors.some(name => (lead.company || '').toLowerCase().includes(name));
+    const removed = (state.leads || []).filter(isCompetitor);
+
+    if (removed.length > 0) {
+      state.leads = state.leads.filter(lead => !isCompetitor(lead));
+      state.competitor_filter = {
+        removed: removed.map(lead => ({ id: lead.id, name: lead.name, company: lead.company })),
+        filtered_at: new Date().toISOString()
+      };
+      await fs.writeFile(statePath, JSON.stringify(state, null, 2));
+    }
+
+    console.log(`🚫 ${this.id}: removed ${removed.length} competitor lead(s), ${state.leads?.length || 0} left`);
+
+    return {
+      ...msg,
+      from: this.id,
+      to: 'EnrichNode',
+      ts: new Date().toISOString()
+    };
+  }
+}
+
+export default {
+  id: 'CompetitorFilterNode',
+  handles: ['SEARCH_READY'],
+  emits: ['SEARCH_READY'],
+  insert: { before: 'EnrichNode' },
+  create: options => new CompetitorFilterNode(options)
+};
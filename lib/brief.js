@@ -0,0 +1,209 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { validateAnswer } from './utils.js';
+import { CAP_LIMITS } from './plan.js';
+
+/**
+ * Campaign brief: the intake answers in a file, for runs without a TTY
+ * @typedef {Object} CampaignBrief
+ * @property {string} path - file the brief was read from
+ * @property {string} mode - "sales" or "investor"
+ * @property {Object<string, string|string[]>} answers - the seven intake answers, or the investor fields
+ * @property {Object<string, Array<{question: string, answer: string}>>} follow_ups - pre-answered follow-ups per answer key
+ * @property {string} enrichment - "gaps" (record LLM follow-ups as gaps) or "skip"
+ * @property {string|null} sender - sender profile id (config/senders.json)
+ * @property {number|null} persona_count - personas to generate, instead of the plan's count
+ * @property {string|null} learn_from - run id whose outcomes the personas learn from (lib/outcomes.js)
+ * @property {string|null} customers - closed-won customers CSV for lookalike personas, resolved against the brief's folder
+ * @property {string|null} search_provider - search provider of config/search.json; null for the default
+ * @property {boolean} auto_approve_personas - approve generated personas without review when there is no terminal
+ * @property {string} notes - Markdown body of a front-matter brief
+ */
+
+/**
+ * Brief modes
+ */
+export const BRIEF_MODES = ['sales', 'investor'];
+
+/**
+ * What a brief does with LLM follow-up questions: record them in state, or skip the LLM
+ */
+export const BriefEnrichment = {
+  GAPS: 'gaps',
+  SKIP: 'skip'
+};
+
+/**
+ * Thrown for a brief that can't be parsed or doesn't answer the intake
+ */
+export class BriefError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} [problems] - every problem found, shown one per line
+   */
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'BriefError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Parse a brief file by extension: .json, .yaml/.yml, or .md with YAML front-matter
+ * @param {string} filePath
+ * @param {string} content
+ * @returns {{data: Object, notes: string}}
+ */
+function parseBriefFile(filePath, content) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.json') {
+    return { data: JSON.parse(content), notes: '' };
+  }
+  if (extension === '.yaml' || extension === '.yml') {
+    return { data: YAML.parse(content), notes: '' };
+  }
+  if (extension === '.md' || extension === '.markdown') {
+    const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+    if (!match) {
+      throw new Error('Markdown brief needs YAML front-matter between --- lines');
+    }
+    return { data: YAML.parse(match[1]), notes: match[2].trim() };
+  }
+  throw new Error(`Unsupported brief format "${extension || filePath}" (use .yaml, .yml, .json or .md)`);
+}
+
+/**
+ * Read a brief and check its shape (the intake node validates the answers themselves)
+ * @param {string} filePath
+ * @returns {Promise<CampaignBrief>}
+ * @throws {BriefError}
+ */
+export async function loadBrief(filePath) {
+  const resolved = path.resolve(filePath);
+
+  let parsed;
+  try {
+    parsed = parseBriefFile(resolved, await fs.readFile(resolved, 'utf8'));
+  } catch (error) {
+    throw new BriefError(`Cannot read brief ${resolved}: ${error.message}`);
+  }
+
+  const { data, notes } = parsed;
+  const problems = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new BriefError(`Brief ${resolved} must be an object with mode and answers`);
+  }
+  if (!BRIEF_MODES.includes(data.mode)) {
+    problems.push(`mode must be one of ${BRIEF_MODES.join(', ')}, got ${JSON.stringify(data.mode)}`);
+  }
+  if (!data.answers || typeof data.answers !== 'object' || Array.isArray(data.answers)) {
+    problems.push('answers must be an object');
+  }
+  if (data.follow_ups !== undefined && (typeof data.follow_ups !== 'object' || Array.isArray(data.follow_ups))) {
+    problems.push('follow_ups must be an object keyed by answer');
+  }
+  const enrichment = data.enrichment || BriefEnrichment.GAPS;
+  if (!Object.values(BriefEnrichment).includes(enrichment)) {
+    problems.push(`enrichment must be one of ${Object.values(BriefEnrichment).join(', ')}, got ${JSON.stringify(data.enrichment)}`);
+  }
+  if (data.sender !== undefined && (typeof data.sender !== 'string' || !data.sender.trim())) {
+    problems.push('sender must be the id of a sender profile');
+  }
+  const [minPersonas, maxPersonas] = CAP_LIMITS.max_personas;
+  if (data.personas !== undefined && !(Number.isInteger(data.personas) && data.personas >= minPersonas && data.personas <= maxPersonas)) {
+    problems.push(`personas must be a whole number from ${minPersonas} to ${maxPersonas}, got ${JSON.stringify(data.personas)}`);
+  }
+  if (data.learn_from !== undefined && !(typeof data.learn_from === 'string' && /^[\w-]+$/.test(data.learn_from))) {
+    problems.push(`learn_from must be the run id of an earlier campaign, got ${JSON.stringify(data.learn_from)}`);
+  }
+  if (data.customers !== undefined && (typeof data.customers !== 'string' || !data.customers.trim())) {
+    problems.push('customers must be the path of a customers CSV');
+  }
+  if (data.search_provider !== undefined && !(typeof data.search_provider === 'string' && /^[\w-]+$/.test(data.search_provider))) {
+    problems.push(`search_provider must be the name of a provider in config/search.json, got ${JSON.stringify(data.search_provider)}`);
+  }
+  if (data.auto_approve_personas !== undefined && typeof data.auto_approve_personas !== 'boolean') {
+    problems.push(`auto_approve_personas must be true or false, got ${JSON.stringify(data.auto_approve_personas)}`);
+  }
+  if (problems.length > 0) {
+    throw new BriefError(`Invalid brief ${resolved}`, problems);
+  }
+
+  return {
+    path: resolved,
+    mode: data.mode,
+    answers: data.answers,
+    follow_ups: data.follow_ups || {},
+    enrichment,
+    sender: data.sender || null,
+    persona_count: data.personas ?? null,
+    learn_from: data.learn_from || null,
+    customers: data.customers ? path.resolve(path.dirname(resolved), data.customers) : null,
+    search_provider: data.search_provider || null,
+    auto_approve_personas: data.auto_approve_personas === true,
+    notes
+  };
+}
+
+/**
+ * Validate a brief's answers against an intake's questions, with validateAnswer
+ * List answers (e.g. signals) may be given as arrays or comma-separated strings.
+ * @param {CampaignBrief} brief
+ * @param {Array<{key: string, required?: boolean, validation?: function(string): boolean}>} questions
+ * @returns {Object<string, string>} trimmed answers; lists joined with ", "
+ * @throws {BriefError} listing every invalid answer
+ */
+export function validateBriefAnswers(brief, questions) {
+  const answers = {};
+  const problems = [];
+
+  for (const question of questions) {
+    const raw = brief.answers[question.key];
+    const value = Array.isArray(raw) ? raw.map(item => String(item).trim()).join(', ') : raw;
+
+    if ((value === undefined || value === null || value === '') && question.required === false) {
+      continue;
+    }
+    try {
+      const answer = validateAnswer(typeof value === 'number' ? String(value) : value);
+      if (question.validation && !question.validation(answer)) {
+        throw new Error('Answer is too short');
+      }
+      answers[question.key] = answer;
+    } catch (error) {
+      problems.push(`${question.key}: ${error.message}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new BriefError(`Brief ${brief.path} does not answer the intake`, problems);
+  }
+  return answers;
+}
+
+/**
+ * Pre-answered follow-ups of one answer, validated like the answers
+ * Accepts a list of {question, answer} or an object of question -> answer.
+ * @param {CampaignBrief} brief
+ * @param {string} key
+ * @returns {Array<{question: string, answer: string}>|null} null when the brief has none
+ * @throws {BriefError}
+ */
+export function getBriefFollowUps(brief, key) {
+  const raw = brief.follow_ups[key];
+  if (!raw) return null;
+
+  const entries = Array.isArray(raw)
+    ? raw.map(item => [item?.question, item?.answer])
+    : Object.entries(raw);
+  try {
+    return entries.map(([question, answer]) => ({
+      question: validateAnswer(question, 500),
+      answer: validateAnswer(typeof answer === 'number' ? String(answer) : answer, 500)
+    }));
+  } catch (error) {
+    throw new BriefError(`Brief ${brief.path}: follow-up for ${key}: ${error.message}`);
+  }
+}
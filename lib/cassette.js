@@ -0,0 +1,193 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getRunContext } from './run-context.js';
+import { ensureDir, getCurrentTimestamp } from './utils.js';
+
+/**
+ * Cassette modes (CASSETTE_MODE)
+ * record - call the providers and save every request/response pair
+ * replay - answer every provider call from the cassette, fully offline
+ */
+export const CassetteModes = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+/**
+ * Cassette entry, one line of cassette/{provider}.jsonl
+ * @typedef {Object} CassetteEntry
+ * @property {string} key - hash of provider + request
+ * @property {string} provider - LLM provider name (e.g. "openai") or "jina"
+ * @property {Object} request - request without credentials
+ * @property {Object} [response] - JSON response
+ * @property {{message: string, status: number|null, code: string|null}} [error] - recorded failure
+ * @property {string} recorded_at
+ */
+
+// Loaded cassettes by directory: key -> { entries, next }
+const loaded = new Map();
+
+/**
+ * Current cassette mode
+ * @returns {string} one of CassetteModes
+ */
+export function getCassetteMode() {
+  const mode = (process.env.CASSETTE_MODE || CassetteModes.OFF).toLowerCase();
+  if (!Object.values(CassetteModes).includes(mode)) {
+    throw new Error(`Unknown CASSETTE_MODE "${mode}" (use record or replay)`);
+  }
+  return mode;
+}
+
+/**
+ * Whether provider calls are being answered from a cassette
+ * @returns {boolean}
+ */
+export function isReplaying() {
+  return getCassetteMode() === CassetteModes.REPLAY;
+}
+
+/**
+ * Cassette directory for the current run
+ * CASSETTE_DIR overrides it, e.g. to replay a sample profile's cassette in a new run.
+ * @returns {string|null} null outside a node run
+ */
+export function getCassetteDir() {
+  if (process.env.CASSETTE_DIR) {
+    return path.resolve(process.env.CASSETTE_DIR);
+  }
+  const context = getRunContext();
+  return context ? path.join(context.profilesDir, context.runId, 'cassette') : null;
+}
+
+/**
+ * JSON with sorted keys, so equal requests hash the same
+ * @param {any} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Key of a request in the cassette
+ * @param {string} provider
+ * @param {Object} request
+ * @returns {string}
+ */
+export function cassetteKey(provider, request) {
+  return crypto.createHash('sha256').update(`${provider}:${stableStringify(request)}`).digest('hex').slice(0, 20);
+}
+
+/**
+ * Load a cassette directory into memory
+ * @param {string} dir
+ * @returns {Promise<Map<string, {entries: CassetteEntry[], next: number}>>}
+ */
+async function loadCassette(dir) {
+  if (!loaded.has(dir)) {
+    loaded.set(dir, (async () => {
+      const byKey = new Map();
+      let files = [];
+      try {
+        files = (await fs.readdir(dir)).filter(file => file.endsWith('.jsonl'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      for (const file of files) {
+        const lines = (await fs.readFile(path.join(dir, file), 'utf8')).split('\n').filter(Boolean);
+        for (const line of lines) {
+          const entry = JSON.parse(line);
+          if (!byKey.has(entry.key)) byKey.set(entry.key, { entries: [], next: 0 });
+          byKey.get(entry.key).entries.push(entry);
+        }
+      }
+      return byKey;
+    })());
+  }
+  return loaded.get(dir);
+}
+
+/**
+ * Turn a recorded failure back into an error callers can classify
+ * @param {CassetteEntry} entry
+ * @returns {Error}
+ */
+function replayError(entry) {
+  const error = new Error(entry.error.message);
+  error.status = entry.error.status;
+  error.code = entry.error.code;
+  error.fromCassette = true;
+  return error;
+}
+
+/**
+ * Run a provider call through the cassette
+ * Off: just calls fn. Record: calls fn and saves the pair (failures too).
+ * Replay: returns the recorded response without calling fn; identical requests
+ * are answered in recording order. A request missing from the cassette throws.
+ * @template T
+ * @param {string} provider - LLM provider name (e.g. "openai") or "jina"
+ * @param {Object} request - what identifies the call (never include API keys)
+ * @param {function(): Promise<T>} fn - the real call, returning JSON-serializable data
+ * @returns {Promise<T>}
+ */
+export async function withCassette(provider, request, fn) {
+  const mode = getCassetteMode();
+  if (mode === CassetteModes.OFF) {
+    return fn();
+  }
+
+  const dir = getCassetteDir();
+  const key = cassetteKey(provider, request);
+
+  if (mode === CassetteModes.REPLAY) {
+    if (!dir) {
+      throw new Error(`Cassette replay needs a run (or CASSETTE_DIR) for ${provider} call`);
+    }
+    const recorded = (await loadCassette(dir)).get(key);
+    if (!recorded) {
+      const error = new Error(`Cassette miss: no recorded ${provider} response for ${key} in ${dir}`);
+      error.errorClass = 'fatal';
+      throw error;
+    }
+    // Repeated requests get the recorded responses in order, then the last one again
+    const entry = recorded.entries[Math.min(recorded.next, recorded.entries.length - 1)];
+    recorded.next++;
+    if (entry.error) {
+      throw replayError(entry);
+    }
+    return entry.response;
+  }
+
+  // Record mode - without a run there is nowhere to save, so just call through
+  if (!dir) {
+    return fn();
+  }
+
+  const entry = { key, provider, request, recorded_at: getCurrentTimestamp() };
+  try {
+    const response = await fn();
+    entry.response = JSON.parse(JSON.stringify(response));
+    return response;
+  } catch (error) {
+    entry.error = {
+      message: error.message,
+      status: error.status || error.response?.status || null,
+      code: error.code || null
+    };
+    throw error;
+  } finally {
+    await ensureDir(dir);
+    await fs.appendFile(path.join(dir, `${provider}.jsonl`), JSON.stringify(entry) + '\n');
+  }
+}
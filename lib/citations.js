@@ -0,0 +1,244 @@
+/**
+ * Source verification of extracted intelligence
+ * The model cites a source URL and a verbatim evidence sentence for every claim;
+ * a claim is kept only if its evidence (and, for quotes, the quoted words) can be
+ * found in the scraped content. Everything else is dropped from the fields outreach
+ * uses and listed in `unverified_claims` for review. Outreach uses the cited fields only:
+ * `summary` and `outreach_angles` are the model's own words and stay in the analysis for review.
+ */
+
+/**
+ * Intelligence fields holding factual claims
+ */
+export const CITED_FIELDS = [
+  'current_projects',
+  'recent_developments',
+  'strategic_priorities',
+  'industry_involvement',
+  'company_context',
+  'competitive_intelligence',
+  'recent_quotes_or_statements'
+];
+
+/**
+ * Fields whose quoted words must appear verbatim in a source
+ */
+export const QUOTE_FIELDS = ['recent_quotes_or_statements'];
+
+// Share of the evidence's 4-word sequences that must appear in one source
+const MIN_EVIDENCE_COVERAGE = 0.8;
+const SHINGLE_SIZE = 4;
+// Share of the claim's significant words that must appear in its evidence
+const MIN_CLAIM_SUPPORT = 0.3;
+const MAX_SNIPPET_LENGTH = 400;
+
+/**
+ * Scraped page a claim can cite
+ * @typedef {Object} ScrapedSource
+ * @property {string|null} url
+ * @property {string} text
+ */
+
+/**
+ * Verified claim
+ * @typedef {Object} Citation
+ * @property {string} claim
+ * @property {string|null} source_url - the source the evidence was found in
+ * @property {string} snippet - supporting text from that source
+ */
+
+/**
+ * Claim dropped by verification
+ * @typedef {Object} UnverifiedClaim
+ * @property {string} field
+ * @property {string} claim
+ * @property {string|null} source_url - as cited by the model
+ * @property {string} evidence - as given by the model
+ * @property {string} reason
+ */
+
+/**
+ * Turn "Source: <url>\nTitle: ...\nContent: ..." blocks into sources
+ * @param {string[]} websiteContents
+ * @returns {ScrapedSource[]}
+ */
+export function parseSources(websiteContents) {
+  return websiteContents.map(text => ({
+    url: text.match(/^Source:\s*(\S+)/m)?.[1] || null,
+    text
+  }));
+}
+
+/**
+ * Normalize typography and whitespace, keeping case (compare lower-cased)
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return (text || '')
+    .normalize('NFKC')
+    .replace(/[‘’‚‛′]/g, "'")
+    .replace(/[“”„‟″]/g, '"')
+    .replace(/[–—−]/g, '-')
+    .replace(/[*_#>`|[\]]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Lower-case words of a text, punctuation removed
+ * @param {string} text
+ * @returns {string[]}
+ */
+function toWords(text) {
+  return normalizeText(text).toLowerCase().replace(/[^\p{L}\p{N}\s'-]/gu, ' ').split(/\s+/).filter(Boolean);
+}
+
+// Normalized text, words and shingle positions per source, computed once
+const sourceIndex = new WeakMap();
+
+/**
+ * Search structures of a source
+ * @param {ScrapedSource} source
+ * @returns {{normalized: string, lower: string, words: string[], shingles: Map<string, number>}}
+ */
+function indexSource(source) {
+  if (!sourceIndex.has(source)) {
+    const normalized = normalizeText(source.text);
+    const words = toWords(source.text);
+    const shingles = new Map();
+    for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+      const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+      if (!shingles.has(shingle)) shingles.set(shingle, i);
+    }
+    sourceIndex.set(source, { normalized, lower: normalized.toLowerCase(), words, shingles });
+  }
+  return sourceIndex.get(source);
+}
+
+/**
+ * Find a passage in the sources, verbatim or nearly (whitespace, punctuation, a few words)
+ * The cited source is searched first.
+ * @param {string} passage
+ * @param {ScrapedSource[]} sources
+ * @param {string|null} [preferredUrl]
+ * @returns {{source_url: string|null, snippet: string}|null}
+ */
+export function findInSources(passage, sources, preferredUrl = null) {
+  const passageWords = toWords(passage);
+  if (passageWords.length < 3) return null;
+
+  const needle = normalizeText(passage).toLowerCase();
+  const passageShingles = [];
+  for (let i = 0; i + SHINGLE_SIZE <= passageWords.length; i++) {
+    passageShingles.push(passageWords.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  if (passageShingles.length === 0) passageShingles.push(passageWords.join(' '));
+
+  const ordered = [...sources].sort((a, b) => (b.url === preferredUrl) - (a.url === preferredUrl));
+  for (const source of ordered) {
+    const index = indexSource(source);
+
+    const at = index.lower.indexOf(needle);
+    if (at >= 0) {
+      return { source_url: source.url, snippet: index.normalized.slice(at, at + Math.min(needle.length, MAX_SNIPPET_LENGTH)) };
+    }
+
+    const positions = passageShingles.map(shingle => index.shingles.get(shingle)).filter(position => position !== undefined);
+    if (passageShingles.length >= 2 && positions.length / passageShingles.length >= MIN_EVIDENCE_COVERAGE) {
+      const start = Math.min(...positions);
+      const end = Math.min(Math.max(...positions) + SHINGLE_SIZE, start + passageWords.length + SHINGLE_SIZE);
+      return { source_url: source.url, snippet: index.words.slice(start, end).join(' ').slice(0, MAX_SNIPPET_LENGTH) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether the evidence is about the claim (shares enough of its significant words)
+ * Words are compared on their first 5 letters, so "launched" supports "launching".
+ * @param {string} claim
+ * @param {string} evidence
+ * @returns {boolean}
+ */
+function supportsClaim(claim, evidence) {
+  const stems = words => new Set(words.filter(word => word.length >= 5).map(word => word.slice(0, 5)));
+  const claimStems = stems(toWords(claim));
+  if (claimStems.size < 2) return true;
+  const evidenceStems = stems(toWords(evidence));
+  const shared = [...claimStems].filter(stem => evidenceStems.has(stem)).length;
+  return shared / claimStems.size >= MIN_CLAIM_SUPPORT;
+}
+
+/**
+ * Quoted passages of a claim, e.g. He said "we will double the team in 2025"
+ * @param {string} claim
+ * @returns {string[]}
+ */
+function quotedPassages(claim) {
+  return [...normalizeText(claim).matchAll(/"([^"]{12,})"/g)].map(match => match[1]);
+}
+
+/**
+ * Check one claim against the sources
+ * @param {string} field
+ * @param {{claim: string, source_url?: string, evidence?: string}} item
+ * @param {ScrapedSource[]} sources
+ * @returns {{citation: Citation}|{unverified: UnverifiedClaim}}
+ */
+function verifyClaim(field, item, sources) {
+  const { claim, source_url: sourceUrl = null, evidence = '' } = item;
+  const unverified = reason => ({ unverified: { field, claim, source_url: sourceUrl || null, evidence, reason } });
+
+  if (!evidence.trim()) return unverified('no evidence given');
+  const found = findInSources(evidence, sources, sourceUrl);
+  if (!found) return unverified('evidence not found in the sources');
+  if (!supportsClaim(claim, evidence)) return unverified('evidence does not support the claim');
+
+  if (QUOTE_FIELDS.includes(field)) {
+    const missing = quotedPassages(claim).find(quote => !findInSources(quote, sources));
+    if (missing) return unverified(`quote not found in the sources: "${missing}"`);
+  }
+  return { citation: { claim, source_url: found.source_url, snippet: found.snippet } };
+}
+
+/**
+ * Keep only the claims the sources support
+ * Cited fields come back as string arrays of verified claims, empty when none is verified,
+ * plus `citations` (field -> Citation[]), `unverified_claims` and `citation_stats`.
+ * Intelligence with claims but none verified is downgraded to low quality.
+ * @param {Object} analysis - answer of the intelligence task (COMPETITIVE_INTELLIGENCE_SCHEMA)
+ * @param {ScrapedSource[]} sources
+ * @returns {Object} the verified analysis
+ */
+export function verifyIntelligence(analysis, sources) {
+  const verified = { ...analysis, citations: {}, unverified_claims: [] };
+  let claimCount = 0;
+  let verifiedCount = 0;
+
+  for (const field of CITED_FIELDS) {
+    const items = (analysis[field] || [])
+      .map(item => typeof item === 'string' ? { claim: item } : item)
+      .filter(item => item.claim && !(item.claim.startsWith('No ') && !item.evidence));
+
+    verified.citations[field] = [];
+    for (const item of items) {
+      claimCount++;
+      const result = verifyClaim(field, item, sources);
+      if (result.citation) {
+        verifiedCount++;
+        verified.citations[field].push(result.citation);
+      } else {
+        verified.unverified_claims.push(result.unverified);
+      }
+    }
+
+    verified[field] = verified.citations[field].map(citation => citation.claim);
+  }
+
+  verified.citation_stats = { claims: claimCount, verified: verifiedCount, dropped: claimCount - verifiedCount };
+  if (claimCount > 0 && verifiedCount === 0) {
+    verified.intelligence_quality = 'low';
+  }
+  return verified;
+}
@@ -0,0 +1,62 @@
+/**
+ * CSV parsing for imported lists (RFC 4180: quoted fields, "" escapes, newlines in quotes)
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text
+ * @returns {string[][]} rows, blank lines left out
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by header
+ * Headers are trimmed and lower-cased, spaces and dashes becoming "_" ("LinkedIn URL" -> "linkedin_url").
+ * @param {string} text
+ * @returns {Array<Object<string, string>>}
+ */
+export function parseCSVRecords(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return [];
+  const keys = header.map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  return rows.map(fields => Object.fromEntries(keys.map((key, index) => [key, (fields[index] || '').trim()])));
+}
@@ -0,0 +1,231 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseCSVRecords } from './csv.js';
+import { getCurrentTimestamp } from './utils.js';
+
+/**
+ * One closed-won customer (state.profile.customers.records[])
+ * @typedef {Object} Customer
+ * @property {string} id - "c1", "c2"... in file order; personas cite it in customer_ids
+ * @property {string} name - contact name
+ * @property {string} title - contact title
+ * @property {string} company
+ * @property {string} industry
+ * @property {string} size - company size as written ("51-200", "120 employees")
+ * @property {string} notes - deal notes: why they bought, what they use it for
+ */
+
+/**
+ * Customers imported for lookalike personas (state.profile.customers)
+ * @typedef {Object} CustomerList
+ * @property {string} source - file name
+ * @property {string} imported_at
+ * @property {Customer[]} records
+ */
+
+/**
+ * Header names accepted for each field (after parseCSVRecords lower-cases them)
+ */
+const COLUMNS = {
+  name: ['contact', 'contact_name', 'name', 'full_name'],
+  title: ['title', 'contact_title', 'job_title', 'role'],
+  company: ['company', 'company_name', 'account', 'account_name', 'organization'],
+  industry: ['industry', 'vertical', 'sector', 'segment'],
+  size: ['size', 'company_size', 'employees', 'employee_count', 'headcount'],
+  notes: ['deal_notes', 'notes', 'why_won', 'win_reason', 'use_case', 'description']
+};
+
+/**
+ * Customers listed in persona prompts; the rest are left out to keep the prompt small
+ */
+export const MAX_PROMPT_CUSTOMERS = 150;
+
+// Job functions titles are grouped by when clustering without the LLM
+const ROLE_FAMILIES = [
+  [/support|success|service|\bcx\b|customer experience|customer officer/i, 'Customer Support'],
+  [/sales|revenue|\bcro\b|business development|account exec/i, 'Sales'],
+  [/marketing|growth|\bcmo\b|brand|demand/i, 'Marketing'],
+  [/operations|\bops\b|\bcoo\b/i, 'Operations'],
+  [/product|\bcpo\b/i, 'Product'],
+  [/engineer|\bcto\b|technology|developer|\bit\b|information/i, 'Engineering & IT'],
+  [/finance|\bcfo\b|accounting|controller/i, 'Finance'],
+  [/people|\bhr\b|human resources|talent|recruit/i, 'People & HR'],
+  [/\bceo\b|founder|owner|president|managing director/i, 'Founders & CEOs']
+];
+
+/**
+ * Read a customers CSV: one row per won customer
+ * A row needs at least a company or a contact title.
+ * @param {string} text
+ * @returns {{customers: Customer[], skipped: string[]}}
+ */
+export function parseCustomersCSV(text) {
+  const customers = [];
+  const skipped = [];
+
+  parseCSVRecords(text).forEach((record, index) => {
+    const customer = Object.fromEntries(Object.entries(COLUMNS).map(([field, names]) => [
+      field,
+      names.map(name => record[name]).find(value => value) || ''
+    ]));
+    if (!customer.company && !customer.title) {
+      skipped.push(`row ${index + 2}: no company or title`);
+      return;
+    }
+    customers.push({ id: `c${customers.length + 1}`, ...customer });
+  });
+
+  return { customers, skipped };
+}
+
+/**
+ * Read a customers CSV file
+ * @param {string} filePath
+ * @returns {Promise<CustomerList & {skipped: string[]}>}
+ * @throws {Error} when the file can't be read or has no usable rows
+ */
+export async function loadCustomers(filePath) {
+  const resolved = path.resolve(filePath);
+  let text;
+  try {
+    text = await fs.readFile(resolved, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read customers file ${resolved}: ${error.message}`);
+  }
+  const { customers, skipped } = parseCustomersCSV(text);
+  if (customers.length === 0) {
+    throw new Error(`No customers in ${resolved} (needs a company or title column: ${[...COLUMNS.company, ...COLUMNS.title].join(', ')})`);
+  }
+  return { source: path.basename(resolved), imported_at: getCurrentTimestamp(), records: customers, skipped };
+}
+
+/**
+ * Customers of a run, empty when none were imported
+ * @param {Object} state
+ * @returns {Customer[]}
+ */
+export function getCustomers(state) {
+  return state.profile?.customers?.records || [];
+}
+
+/**
+ * Customers as prompt lines: id | title | company | industry | size | notes
+ * @param {Customer[]} customers
+ * @returns {string}
+ */
+export function describeCustomers(customers) {
+  const lines = customers.slice(0, MAX_PROMPT_CUSTOMERS).map(customer =>
+    [customer.id, customer.title, customer.company, customer.industry, customer.size, customer.notes.slice(0, 160)]
+      .map(value => value || '-')
+      .join(' | '));
+  if (customers.length > MAX_PROMPT_CUSTOMERS) {
+    lines.push(`(${customers.length - MAX_PROMPT_CUSTOMERS} more not shown)`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Keep only the customer ids a persona cites that exist, without repeats
+ * @param {Object[]} personas - changed in place
+ * @param {Customer[]} customers
+ */
+export function linkCustomers(personas, customers) {
+  const known = new Set(customers.map(customer => customer.id));
+  for (const persona of personas) {
+    if (!Array.isArray(persona.customer_ids)) {
+      delete persona.customer_ids;
+      continue;
+    }
+    persona.customer_ids = [...new Set(persona.customer_ids.map(String))].filter(id => known.has(id));
+  }
+}
+
+/**
+ * Customers a persona is a lookalike of
+ * @param {Object} state
+ * @param {Object} persona
+ * @returns {Customer[]}
+ */
+export function getSupportingCustomers(state, persona) {
+  const ids = persona.customer_ids || [];
+  return getCustomers(state).filter(customer => ids.includes(customer.id));
+}
+
+/**
+ * Short description of the customers behind a persona, e.g. "3 customers: Acme (VP Support), ..."
+ * @param {Object} state
+ * @param {Object} persona
+ * @param {number} [limit] - customers named before "and N more"
+ * @returns {string} empty when the persona cites none
+ */
+export function describeSupport(state, persona, limit = 3) {
+  const supporting = getSupportingCustomers(state, persona);
+  if (supporting.length === 0) return '';
+  const named = supporting.slice(0, limit).map(customer => `${customer.company || customer.name}${customer.title ? ` (${customer.title})` : ''}`);
+  const more = supporting.length > limit ? ` and ${supporting.length - limit} more` : '';
+  return `${supporting.length} customer${supporting.length === 1 ? '' : 's'}: ${named.join(', ')}${more}`;
+}
+
+/**
+ * Most frequent non-empty value
+ * @param {string[]} values
+ * @returns {string}
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+}
+
+/**
+ * Company size span of a group, e.g. "51-500 employees"
+ * @param {Customer[]} customers
+ * @returns {string} the most common size as written when none is numeric, empty without sizes
+ */
+function sizeRange(customers) {
+  const numbers = customers.flatMap(customer => (customer.size.replace(/(\d),(\d)/g, '$1$2').match(/\d+/g) || []).map(Number));
+  if (numbers.length === 0) return mostCommon(customers.map(customer => customer.size));
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  return min === max ? `${min} employees` : `${min}-${max} employees`;
+}
+
+/**
+ * Lookalike personas without the LLM: customers grouped by job function and industry,
+ * the largest groups first
+ * @param {Customer[]} customers
+ * @param {number} count - personas at most
+ * @returns {Object[]} personas with customer_ids; fewer than count when there are fewer groups
+ */
+export function clusterCustomers(customers, count) {
+  const groups = new Map();
+  for (const customer of customers) {
+    const family = ROLE_FAMILIES.find(([pattern]) => pattern.test(customer.title))?.[1] || customer.title || 'Decision makers';
+    const key = `${family}|${customer.industry.toLowerCase()}`;
+    if (!groups.has(key)) groups.set(key, { family, industry: customer.industry, customers: [] });
+    groups.get(key).customers.push(customer);
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => b.customers.length - a.customers.length)
+    .slice(0, count)
+    .map(({ family, industry, customers: members }) => {
+      const title = mostCommon(members.map(customer => customer.title)) || family;
+      const companies = members.map(customer => customer.company).filter(Boolean);
+      const size = sizeRange(members);
+      const notes = [...new Set(members.map(customer => customer.notes).filter(Boolean))];
+      return {
+        name: `${family} - ${industry || 'any industry'}`,
+        title,
+        company: industry
+          ? `${industry} companies${size ? ` (${size})` : ''}`
+          : `Companies like ${companies.slice(0, 3).join(', ')}${size ? ` (${size})` : ''}`,
+        profile: `Lookalike of ${members.length} closed-won customer${members.length === 1 ? '' : 's'}${companies.length > 0 ? ` such as ${companies.slice(0, 3).join(', ')}` : ''}.`,
+        pain_points: notes.length > 0 ? notes.slice(0, 3).map(note => note.slice(0, 120)) : [`Same needs as ${companies[0] || 'existing customers'}`],
+        motivations: [`Peers${industry ? ` in ${industry}` : ''} already get results with it`],
+        search_query: [title, industry || (companies[0] && `like ${companies[0]}`), size].filter(Boolean).join(' '),
+        outreach_angle: `Reference similar customers${companies.length > 0 ? ` (${companies.slice(0, 2).join(', ')})` : ''}`,
+        customer_ids: members.map(customer => customer.id)
+      };
+    });
+}
@@ -0,0 +1,170 @@
+import path from 'path';
+import { EventTypes, NodeIds } from './types.js';
+import { readJson, writeJson, getCurrentTimestamp } from './utils.js';
+
+/**
+ * What a dead letter holds - a whole routed message or one work item inside a node
+ */
+export const DeadLetterKinds = {
+  MESSAGE: 'message',
+  QUERY: 'query',
+  LEAD: 'lead',
+  INVESTOR: 'investor'
+};
+
+/**
+ * Dead letter stored in state.dead_letters
+ * @typedef {Object} DeadLetter
+ * @property {string} id - e.g. "dl_0003"
+ * @property {string} kind - one of DeadLetterKinds
+ * @property {string} node - node that gave up on the item
+ * @property {string} item_id - lead id, query text, investor name or journal entry id
+ * @property {Object} item - what is needed to requeue it
+ * @property {string} error - last error message
+ * @property {string} error_class - classification from lib/retry.js
+ * @property {number} attempts
+ * @property {string} status - "open" or "requeued"
+ * @property {string} created_at
+ * @property {string} [requeued_at]
+ */
+
+/**
+ * Add a dead letter to a loaded state object (caller saves the state)
+ * @param {Object} state
+ * @param {Object} entry - kind, node, item_id, item, error (Error or string), error_class, attempts
+ * @returns {DeadLetter}
+ */
+export function addDeadLetter(state, entry) {
+  if (!state.dead_letters) {
+    state.dead_letters = [];
+  }
+
+  const error = entry.error;
+  const deadLetter = {
+    id: `dl_${String(state.dead_letters.length + 1).padStart(4, '0')}`,
+    kind: entry.kind,
+    node: entry.node,
+    item_id: entry.item_id,
+    item: entry.item,
+    error: error?.message || String(error),
+    error_class: entry.error_class || error?.errorClass || 'fatal',
+    attempts: entry.attempts || error?.attempts || 1,
+    status: 'open',
+    created_at: getCurrentTimestamp()
+  };
+
+  state.dead_letters.push(deadLetter);
+  console.log(`🪦 Dead-lettered ${deadLetter.kind} "${deadLetter.item_id}" from ${deadLetter.node}: ${deadLetter.error}`);
+  return deadLetter;
+}
+
+/**
+ * Add a dead letter straight to profiles/{run_id}/state.json
+ * @param {string} profilesDir
+ * @param {string} runId
+ * @param {Object} entry - see addDeadLetter
+ * @returns {Promise<DeadLetter|null>} null when the run has no state yet
+ */
+export async function recordDeadLetter(profilesDir, runId, entry) {
+  const statePath = path.join(profilesDir, runId, 'state.json');
+  const state = await readJson(statePath);
+
+  if (!state) {
+    console.log(`⚠️  No state.json for ${runId} - dead letter kept in the journal only`);
+    return null;
+  }
+
+  const deadLetter = addDeadLetter(state, entry);
+  await writeJson(statePath, state);
+  return deadLetter;
+}
+
+/**
+ * Dead letters of a run, optionally filtered
+ * @param {Object} state
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - "open" or "requeued"
+ * @param {string} [filter.kind]
+ * @param {string[]} [filter.ids]
+ * @returns {DeadLetter[]}
+ */
+export function listDeadLetters(state, filter = {}) {
+  return (state.dead_letters || []).filter(dl =>
+    (!filter.status || dl.status === filter.status) &&
+    (!filter.kind || dl.kind === filter.kind) &&
+    (!filter.ids || filter.ids.length === 0 || filter.ids.includes(dl.id))
+  );
+}
+
+/**
+ * Build the messages that put dead letters back into the pipeline
+ * Messages are replayed as-is, through the journal entry that failed them so a later
+ * resume does not replay them again; items of the same kind are batched into one
+ * message to the node that failed them.
+ * @param {Object} state
+ * @param {DeadLetter[]} deadLetters
+ * @returns {Array<{message: Message, entryId: string|null}>} entryId: journal entry to dispatch through, null for a new one
+ */
+export function buildRequeueMessages(state, deadLetters) {
+  const requeues = [];
+  const byKind = kind => deadLetters.filter(dl => dl.kind === kind);
+  const base = {
+    run_id: state.run_id,
+    from: 'DeadLetterQueue',
+    ts: getCurrentTimestamp()
+  };
+  const batch = message => requeues.push({ message, entryId: null });
+
+  for (const dl of byKind(DeadLetterKinds.MESSAGE)) {
+    requeues.push({ message: { ...dl.item, from: 'DeadLetterQueue', ts: getCurrentTimestamp() }, entryId: dl.item_id });
+  }
+
+  const queries = byKind(DeadLetterKinds.QUERY);
+  if (queries.length > 0) {
+    batch({
+      ...base,
+      event: EventTypes.PERSONAS_READY,
+      to: NodeIds.SEARCH,
+      payload: { queries: queries.map(dl => dl.item) }
+    });
+  }
+
+  const leads = byKind(DeadLetterKinds.LEAD);
+  if (leads.length > 0) {
+    batch({
+      ...base,
+      event: EventTypes.SEARCH_READY,
+      to: NodeIds.ENRICH,
+      payload: { lead_ids: leads.map(dl => dl.item_id) }
+    });
+  }
+
+  const investors = byKind(DeadLetterKinds.INVESTOR);
+  if (investors.length > 0) {
+    batch({
+      ...base,
+      event: EventTypes.INVESTOR_SEARCH_READY,
+      to: NodeIds.INVESTOR_ENRICH,
+      payload: {
+        company_info: state.profile?.company_info,
+        analysis: state.investor_analysis,
+        investors: investors.map(dl => dl.item),
+        requeue: true
+      }
+    });
+  }
+
+  return requeues;
+}
+
+/**
+ * Mark dead letters as requeued
+ * @param {DeadLetter[]} deadLetters - entries from the loaded state
+ */
+export function markRequeued(deadLetters) {
+  const now = getCurrentTimestamp();
+  for (const dl of deadLetters) {
+    dl.status = 'requeued';
+    dl.requeued_at = now;
+  }
+}
@@ -0,0 +1,169 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ensureDir, getCurrentTimestamp } from './utils.js';
+
+/**
+ * Lifecycle of a journaled message
+ */
+export const JournalStatus = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+/**
+ * Journal entry as reconstructed from journal.jsonl
+ * @typedef {Object} JournalEntry
+ * @property {string} id - entry identifier, e.g. "m0003"
+ * @property {number} seq - order in which the message was first journaled
+ * @property {string|null} parent_id - entry that emitted this message
+ * @property {Message} message - the full message envelope
+ * @property {string} status - one of JournalStatus
+ * @property {string|null} error - last failure reason
+ * @property {number} attempts - how many times the message was started
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * Append-only, per-run journal of every message dispatched through the Router
+ * Each line of profiles/{run_id}/journal.jsonl is one status transition;
+ * the latest line for an entry id wins when the journal is read back.
+ */
+export class MessageJournal {
+  /**
+   * @param {string} profilesDir
+   * @param {string} runId
+   */
+  constructor(profilesDir, runId) {
+    this.runId = runId;
+    this.profileDir = path.join(profilesDir, runId);
+    this.journalPath = path.join(this.profileDir, 'journal.jsonl');
+  }
+
+  /**
+   * Journal a new message as pending
+   * @param {Message} msg
+   * @param {string|null} parentId - entry id of the message that produced this one
+   * @returns {Promise<string>} entry id
+   */
+  async record(msg, parentId = null) {
+    if (this.lastSeq === undefined) {
+      this.lastSeq = (await this.readEntries()).length;
+    }
+    const seq = ++this.lastSeq;
+    const id = `m${String(seq).padStart(4, '0')}`;
+
+    await this.append({
+      id,
+      seq,
+      parent_id: parentId,
+      status: JournalStatus.PENDING,
+      message: msg,
+      ts: getCurrentTimestamp()
+    });
+
+    return id;
+  }
+
+  /**
+   * Mark an entry as running (a node has picked it up)
+   * @param {string} entryId
+   */
+  async markRunning(entryId) {
+    await this.append({ id: entryId, status: JournalStatus.RUNNING, ts: getCurrentTimestamp() });
+  }
+
+  /**
+   * Mark an entry as done
+   * @param {string} entryId
+   */
+  async markDone(entryId) {
+    await this.append({ id: entryId, status: JournalStatus.DONE, ts: getCurrentTimestamp() });
+  }
+
+  /**
+   * Mark an entry as failed
+   * @param {string} entryId
+   * @param {Error|string} error
+   */
+  async markFailed(entryId, error) {
+    await this.append({
+      id: entryId,
+      status: JournalStatus.FAILED,
+      error: error?.message || String(error),
+      ts: getCurrentTimestamp()
+    });
+  }
+
+  /**
+   * Read the journal and fold status transitions into one entry per message
+   * @returns {Promise<JournalEntry[]>} entries ordered by seq
+   */
+  async readEntries() {
+    let content;
+    try {
+      content = await fs.readFile(this.journalPath, 'utf8');
+    } catch {
+      return [];
+    }
+
+    const entries = new Map();
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A crash mid-write can leave a partial last line - ignore it
+        continue;
+      }
+
+      if (record.message) {
+        entries.set(record.id, {
+          id: record.id,
+          seq: record.seq,
+          parent_id: record.parent_id || null,
+          message: record.message,
+          status: record.status,
+          error: null,
+          attempts: 0,
+          created_at: record.ts,
+          updated_at: record.ts
+        });
+        continue;
+      }
+
+      const entry = entries.get(record.id);
+      if (!entry) continue;
+
+      entry.status = record.status;
+      entry.updated_at = record.ts;
+      if (record.status === JournalStatus.RUNNING) entry.attempts++;
+      if (record.status === JournalStatus.FAILED) entry.error = record.error;
+    }
+
+    return [...entries.values()].sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Find the first message that did not finish (pending, running or failed)
+   * @returns {Promise<JournalEntry|null>}
+   */
+  async findResumePoint() {
+    const entries = await this.readEntries();
+    return entries.find(entry => entry.status !== JournalStatus.DONE) || null;
+  }
+
+  /**
+   * Append one record to journal.jsonl
+   * @param {Object} record
+   */
+  async append(record) {
+    await ensureDir(this.profileDir);
+    await fs.appendFile(this.journalPath, JSON.stringify(record) + '\n');
+  }
+}
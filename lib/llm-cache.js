@@ -0,0 +1,175 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { getRunContext } from './run-context.js';
+import { getCassetteMode, CassetteModes } from './cassette.js';
+import { ensureDir, getCurrentTimestamp } from './utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const projectRoot = path.dirname(path.dirname(__filename));
+
+/**
+ * Default time-to-live of a cached response (LLM_CACHE_TTL_HOURS)
+ */
+export const DEFAULT_CACHE_TTL_HOURS = 24 * 7;
+
+/**
+ * Cached response, one file per key in the cache directory
+ * @typedef {Object} CacheEntry
+ * @property {string} key
+ * @property {string} task
+ * @property {string|null} node
+ * @property {string} model
+ * @property {string} created_at - ISO timestamp, compared with the TTL
+ * @property {Object} response - chat completion
+ */
+
+/**
+ * Whether LLM responses are cached
+ * Off with LLM_CACHE=off (scripts set it for --no-cache), and while a cassette is
+ * recording or replaying, so the cassette sees every call.
+ * @returns {boolean}
+ */
+export function isCacheEnabled() {
+  const setting = (process.env.LLM_CACHE || 'on').toLowerCase();
+  if (['off', 'false', '0', 'no'].includes(setting)) return false;
+  return getCassetteMode() === CassetteModes.OFF;
+}
+
+/**
+ * Cache directory, shared by all runs: {profilesDir}/.llm-cache (or LLM_CACHE_DIR)
+ * @param {string} [profilesDir] - defaults to the current run's, else ./profiles
+ * @returns {string}
+ */
+export function getCacheDir(profilesDir = getRunContext()?.profilesDir) {
+  if (process.env.LLM_CACHE_DIR) {
+    return path.resolve(process.env.LLM_CACHE_DIR);
+  }
+  return path.join(profilesDir || path.join(projectRoot, 'profiles'), '.llm-cache');
+}
+
+/**
+ * Time-to-live of cached responses in ms
+ * @returns {number}
+ */
+export function getCacheTtlMs() {
+  const hours = parseFloat(process.env.LLM_CACHE_TTL_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_CACHE_TTL_HOURS) * 3600 * 1000;
+}
+
+/**
+ * Key of a request: provider, model, prompt, sampling settings and schema version
+ * @param {string} provider
+ * @param {Object} request - model, messages, temperature, max_tokens...
+ * @param {string|null} [schemaVersion]
+ * @returns {string}
+ */
+export function llmCacheKey(provider, request, schemaVersion = null) {
+  const keyed = JSON.stringify({ provider, schemaVersion, request: Object.keys(request).sort().map(key => [key, request[key]]) });
+  return crypto.createHash('sha256').update(keyed).digest('hex').slice(0, 32);
+}
+
+/**
+ * Version of a JSON schema - a hash, so editing a schema invalidates its cached answers
+ * @param {Object} schema
+ * @returns {string}
+ */
+export function schemaVersion(schema) {
+  return crypto.createHash('sha256').update(JSON.stringify(schema)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Whether a cache entry is older than the TTL
+ * @param {CacheEntry} entry
+ * @returns {boolean}
+ */
+function isExpired(entry) {
+  return Date.now() - new Date(entry.created_at).getTime() > getCacheTtlMs();
+}
+
+/**
+ * Cached response for a key, or null on a miss or an expired entry
+ * @param {string} key
+ * @returns {Promise<Object|null>}
+ */
+export async function getCachedResponse(key) {
+  try {
+    const entry = JSON.parse(await fs.readFile(path.join(getCacheDir(), `${key}.json`), 'utf8'));
+    return isExpired(entry) ? null : entry.response;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Save a response under its key
+ * @param {string} key
+ * @param {{task: string, node: string|null, model: string}} meta
+ * @param {Object} response - chat completion
+ */
+export async function storeCachedResponse(key, meta, response) {
+  const dir = getCacheDir();
+  await ensureDir(dir);
+  /** @type {CacheEntry} */
+  const entry = { key, ...meta, created_at: getCurrentTimestamp(), response };
+  await fs.writeFile(path.join(dir, `${key}.json`), JSON.stringify(entry));
+}
+
+/**
+ * Summary of the cache contents
+ * @param {string} profilesDir
+ * @returns {Promise<{dir: string, entries: number, expired: number, bytes: number, by_task: Object<string, number>}>}
+ */
+export async function getCacheStats(profilesDir) {
+  const dir = getCacheDir(profilesDir);
+  const stats = { dir, entries: 0, expired: 0, bytes: 0, by_task: {} };
+
+  for (const file of await listCacheFiles(dir)) {
+    const content = await fs.readFile(path.join(dir, file), 'utf8');
+    const entry = JSON.parse(content);
+    stats.entries++;
+    stats.bytes += content.length;
+    if (isExpired(entry)) stats.expired++;
+    const task = `${entry.node || 'default'}/${entry.task}`;
+    stats.by_task[task] = (stats.by_task[task] || 0) + 1;
+  }
+  return stats;
+}
+
+/**
+ * Delete cached responses
+ * @param {string} profilesDir
+ * @param {{expiredOnly?: boolean, node?: string}} [options]
+ * @returns {Promise<number>} entries deleted
+ */
+export async function purgeCache(profilesDir, { expiredOnly = false, node = null } = {}) {
+  const dir = getCacheDir(profilesDir);
+  let deleted = 0;
+
+  for (const file of await listCacheFiles(dir)) {
+    const filePath = path.join(dir, file);
+    if (expiredOnly || node) {
+      const entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      if (expiredOnly && !isExpired(entry)) continue;
+      if (node && entry.node !== node) continue;
+    }
+    await fs.unlink(filePath);
+    deleted++;
+  }
+  return deleted;
+}
+
+/**
+ * Cache files in a directory (none if it doesn't exist yet)
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+async function listCacheFiles(dir) {
+  try {
+    return (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
@@ -0,0 +1,271 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import OpenAI from 'openai';
+import { getRunContext } from './run-context.js';
+import { withCassette, isReplaying } from './cassette.js';
+import { assertWithinBudget, recordLLMUsage } from './usage.js';
+import { getProviderPool } from './work-pool.js';
+import { withRateLimit, getRateLimiter } from './rate-limiter.js';
+import { estimateTokens } from './tokens.js';
+import { completeStructured } from './structured-output.js';
+import { isCacheEnabled, llmCacheKey, schemaVersion, getCachedResponse, storeCachedResponse } from './llm-cache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const projectRoot = path.dirname(path.dirname(__filename));
+
+/**
+ * Default location of the LLM configuration (override with LLM_CONFIG)
+ */
+export const DEFAULT_LLM_CONFIG_PATH = path.join(projectRoot, 'config', 'llm.json');
+
+/**
+ * LLM provider entry of config/llm.json
+ * @typedef {Object} LLMProviderConfig
+ * @property {string} [type] - provider type, "openai" (any OpenAI-compatible API) by default
+ * @property {string|null} [base_url] - e.g. http://localhost:11434/v1 for a local server
+ * @property {string|null} [api_key_env] - env variable holding the API key; null if none is needed
+ * @property {Object} [pricing] - USD per 1M tokens for usage accounting: {input, output}, or one
+ *   {input, output} per model name
+ */
+
+/**
+ * Settings of one call, merged from the config (see resolveLLMSettings)
+ * @typedef {Object} LLMSettings
+ * @property {string} provider - key of config.providers
+ * @property {string} model
+ * @property {number} [temperature]
+ * @property {number} [max_tokens]
+ */
+
+/**
+ * Configuration used when config/llm.json is missing
+ */
+const DEFAULT_LLM_CONFIG = {
+  defaults: { provider: 'openai', model: 'gpt-4o' },
+  providers: {
+    openai: { type: 'openai', base_url: null, api_key_env: 'OPENAI_API_KEY' }
+  },
+  nodes: {}
+};
+
+// Provider types: type -> function(providerConfig, apiKey) returning { complete(params) }
+const providerTypes = new Map();
+
+// Provider adapters by provider name, created on first use
+const adapters = new Map();
+
+let cachedConfig = null;
+
+/**
+ * Register a provider type so config/llm.json can use it (e.g. from a plugin module)
+ * The factory returns an adapter whose complete(params) resolves to a response in the
+ * OpenAI chat completion shape ({ choices: [{ message: { content } }], usage }).
+ * @param {string} type
+ * @param {function(LLMProviderConfig, string|undefined): {complete: function(Object): Promise<Object>}} factory
+ */
+export function registerLLMProviderType(type, factory) {
+  providerTypes.set(type, factory);
+  adapters.clear();
+}
+
+registerLLMProviderType('openai', (provider, apiKey) => {
+  const client = new OpenAI({
+    apiKey: apiKey || (isReplaying() || provider.base_url ? 'not-needed' : undefined),
+    baseURL: provider.base_url || undefined
+  });
+  return { complete: params => client.chat.completions.create(params) };
+});
+
+/**
+ * Load the LLM configuration (LLM_CONFIG, else config/llm.json, else built-in defaults)
+ * LLM_PROVIDER and LLM_MODEL override the configured defaults.
+ * @returns {Object}
+ */
+export function loadLLMConfig() {
+  if (!cachedConfig) {
+    const configPath = process.env.LLM_CONFIG ? path.resolve(process.env.LLM_CONFIG) : DEFAULT_LLM_CONFIG_PATH;
+    let fileConfig = {};
+    if (fs.existsSync(configPath)) {
+      try {
+        fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid LLM config ${configPath}: ${error.message}`);
+      }
+    } else if (process.env.LLM_CONFIG) {
+      throw new Error(`LLM config not found: ${configPath}`);
+    }
+
+    cachedConfig = {
+      defaults: { ...DEFAULT_LLM_CONFIG.defaults, ...fileConfig.defaults },
+      providers: { ...DEFAULT_LLM_CONFIG.providers, ...fileConfig.providers },
+      nodes: fileConfig.nodes || {}
+    };
+    if (process.env.LLM_PROVIDER) cachedConfig.defaults.provider = process.env.LLM_PROVIDER;
+    if (process.env.LLM_MODEL) cachedConfig.defaults.model = process.env.LLM_MODEL;
+  }
+  return cachedConfig;
+}
+
+/**
+ * Settings for a node's task
+ * Later entries win: config defaults, the call site's own defaults (e.g. a higher
+ * temperature for messages), config.nodes[node], config.nodes[node].tasks[task].
+ * @param {string|null} node - node id, e.g. "SearchNode"
+ * @param {string} task - task name, e.g. "validateLeadsWithLLM"
+ * @param {Object} [callDefaults] - temperature/max_tokens chosen at the call site
+ * @returns {LLMSettings}
+ */
+export function resolveLLMSettings(node, task, callDefaults = {}) {
+  const config = loadLLMConfig();
+  const { tasks = {}, ...nodeSettings } = (node && config.nodes[node]) || {};
+  const settings = { ...config.defaults, ...callDefaults, ...nodeSettings, ...tasks[task] };
+
+  if (!config.providers[settings.provider]) {
+    throw new Error(`Unknown LLM provider "${settings.provider}" for ${node || 'default'}/${task} (configured: ${Object.keys(config.providers).join(', ')})`);
+  }
+  return settings;
+}
+
+/**
+ * Adapter for a configured provider
+ * @param {string} name - key of config.providers
+ * @returns {{complete: function(Object): Promise<Object>}}
+ */
+function getAdapter(name) {
+  if (!adapters.has(name)) {
+    const provider = loadLLMConfig().providers[name];
+    const type = provider.type || 'openai';
+    const factory = providerTypes.get(type);
+    if (!factory) {
+      throw new Error(`Unknown LLM provider type "${type}" for provider "${name}"`);
+    }
+    adapters.set(name, factory(provider, provider.api_key_env ? process.env[provider.api_key_env] : undefined));
+  }
+  return adapters.get(name);
+}
+
+/**
+ * Env variables holding the API keys of the providers the config uses
+ * @returns {Array<{key: string, provider: string}>}
+ */
+export function getRequiredLLMKeys() {
+  const config = loadLLMConfig();
+  const used = new Set([config.defaults.provider]);
+  for (const nodeSettings of Object.values(config.nodes)) {
+    if (nodeSettings.provider) used.add(nodeSettings.provider);
+    for (const taskSettings of Object.values(nodeSettings.tasks || {})) {
+      if (taskSettings.provider) used.add(taskSettings.provider);
+    }
+  }
+  return [...used]
+    .filter(name => config.providers[name]?.api_key_env)
+    .map(name => ({ key: config.providers[name].api_key_env, provider: name }));
+}
+
+/**
+ * The one way nodes talk to an LLM
+ * Model, provider and sampling settings come from config/llm.json per node and task;
+ * every call goes through the response cache, the provider's pool, the cassette,
+ * the provider's rate limiter and circuit breaker, and usage accounting.
+ */
+export class LLMClient {
+  /**
+   * @param {string} [node] - node id used for config lookup; defaults to the node being run
+   */
+  constructor(node = null) {
+    this.node = node;
+  }
+
+  /**
+   * Node the current call is configured for
+   * @returns {string|null}
+   */
+  currentNode() {
+    return this.node || getRunContext()?.node || null;
+  }
+
+  /**
+   * Whether the provider configured for this node has its API key (or needs none)
+   * @param {string} [task]
+   * @returns {boolean}
+   */
+  isConfigured(task) {
+    if (isReplaying()) return true;
+    const settings = resolveLLMSettings(this.currentNode(), task);
+    const provider = loadLLMConfig().providers[settings.provider];
+    if (!provider.api_key_env) return true;
+    const key = process.env[provider.api_key_env];
+    return !!key && key !== `your_${provider.api_key_env.toLowerCase()}_here`;
+  }
+
+  /**
+   * Settings a task will run with, e.g. to size content to its model
+   * @param {string} task
+   * @returns {LLMSettings}
+   */
+  getSettings(task) {
+    return resolveLLMSettings(this.currentNode(), task);
+  }
+
+  /**
+   * Run a chat completion for a task
+   * @param {string} task - task name the config can target, usually the calling method's name
+   * @param {Object} params - messages plus the call site's defaults (temperature, max_tokens,
+   *   response_format); model and provider come from the config
+   * @param {Object} [options]
+   * @param {Object} [options.schema] - schema the answer is validated against, part of the cache key
+   * @param {function(Object): boolean} [options.validate] - whether a response is good enough to
+   *   cache (and to reuse from the cache); invalid answers are never replayed
+   * @returns {Promise<Object>} chat completion ({ choices, usage })
+   */
+  async complete(task, params, options = {}) {
+    const { messages, ...callDefaults } = params;
+    const node = this.currentNode();
+    const { provider, ...settings } = resolveLLMSettings(node, task, callDefaults);
+    const request = { ...settings, messages };
+    const pricing = loadLLMConfig().providers[provider].pricing;
+
+    // Reruns get the answer from disk - no call, no cost
+    const cacheKey = isCacheEnabled()
+      ? llmCacheKey(provider, request, options.schema ? schemaVersion(options.schema) : null)
+      : null;
+    const { validate = () => true } = options;
+    if (cacheKey) {
+      const cached = await getCachedResponse(cacheKey);
+      if (cached && validate(cached)) return cached;
+    }
+
+    assertWithinBudget();
+    const estimatedTokens = estimateTokens(JSON.stringify(messages)) + (request.max_tokens || 0);
+    const response = await getProviderPool(provider).run(() =>
+      withCassette(provider, request, async () => {
+        const live = await withRateLimit(provider, () => getAdapter(provider).complete(request), { tokens: estimatedTokens });
+        if (live.usage?.total_tokens) {
+          getRateLimiter(provider).adjust(live.usage.total_tokens - estimatedTokens);
+        }
+        return live;
+      })
+    );
+    recordLLMUsage(request.model, response.usage, pricing);
+
+    if (cacheKey && validate(response)) {
+      await storeCachedResponse(cacheKey, { task, node, model: request.model }, JSON.parse(JSON.stringify(response)));
+    }
+    return response;
+  }
+
+  /**
+   * Run a task whose answer must match a JSON schema (see lib/schemas.js)
+   * Invalid answers are repaired, or sent back with the validation errors.
+   * @template T
+   * @param {string} task
+   * @param {import('./structured-output.js').JSONSchema} schema
+   * @param {Object} params - as for complete()
+   * @returns {Promise<T>} the validated object
+   * @throws {import('./structured-output.js').StructuredOutputError}
+   */
+  async completeJSON(task, schema, params) {
+    return completeStructured(this, task, schema, params);
+  }
+}
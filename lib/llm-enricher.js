@@ -1,4 +1,5 @@
-import OpenAI from 'openai';
+import { LLMClient } from './llm-client.js';
+import { ANSWER_CLASSIFICATION_SCHEMA, FOLLOW_UP_QUESTIONS_SCHEMA } from './schemas.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -9,35 +10,7 @@ dotenv.config();
  */
 export class LLMEnricher {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
-
-  /**
-   * Clean and parse JSON response from GPT-4o
-   * @param {string} response - Raw response from GPT-4o
-   * @returns {Object} Parsed JSON object
-   */
-  cleanAndParseJSON(response) {
-    try {
-      // Remove markdown code blocks if present
-      let cleaned = response.trim();
-      
-      // Remove ```json and ``` if present
-      if (cleaned.startsWith('```json')) {
-        cleaned = cleaned.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (cleaned.startsWith('```')) {
-        cleaned = cleaned.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      }
-      
-      // Try to parse the JSON
-      return JSON.parse(cleaned.trim());
-    } catch (error) {
-      console.error('JSON parsing error:', error.message);
-      console.error('Raw response:', response);
-      throw new Error(`Failed to parse JSON: ${error.message}`);
-    }
+    this.llm = new LLMClient();
   }
 
   /**
@@ -81,19 +54,11 @@ Respond with ONLY a JSON object:
 }`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
+      const result = await this.llm.completeJSON('classifyAnswerRichness', ANSWER_CLASSIFICATION_SCHEMA, {
         messages: [{ role: "user", content: prompt }],
         temperature: 0.1,
         max_tokens: 400
       });
-
-      const result = this.cleanAndParseJSON(response.choices[0].message.content);
-      
-      // Validate the response structure
-      if (typeof result.needsEnrichment !== 'boolean' || typeof result.reasoning !== 'string') {
-        throw new Error('Invalid response structure');
-      }
       
       return result;
     } catch (error) {
@@ -170,19 +135,11 @@ Respond with ONLY a JSON object:
 }`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
+      const result = await this.llm.completeJSON('generateFollowUpQuestions', FOLLOW_UP_QUESTIONS_SCHEMA, {
         messages: [{ role: "user", content: prompt }],
         temperature: 0.1,
         max_tokens: 600
       });
-
-      const result = this.cleanAndParseJSON(response.choices[0].message.content);
-      
-      // Validate the response structure
-      if (!Array.isArray(result.questions)) {
-        throw new Error('Invalid response structure - questions should be an array');
-      }
       
       return result.questions.slice(0, 3); // Ensure max 3 questions
     } catch (error) {
@@ -263,10 +220,10 @@ Respond with ONLY a JSON object:
   }
 
   /**
-   * Check if API key is configured
+   * Check if the LLM provider for the current node is configured
    * @returns {boolean}
    */
   isConfigured() {
-    return !!(process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here');
+    return this.llm.isConfigured();
   }
 } 
\ No newline at end of file
@@ -0,0 +1,136 @@
+import { withRetry, getRetryPolicy } from './retry.js';
+import { estimateTokens, getContentBudget, chunkByTokens } from './tokens.js';
+import { CHUNK_FACTS_SCHEMA } from './schemas.js';
+
+/**
+ * Most chunks mapped per subject; content past it is dropped (pages rank by relevance)
+ */
+export const DEFAULT_MAX_CHUNKS = 16;
+
+/**
+ * Largest chunk sent to the map task, in tokens
+ */
+export const MAP_CHUNK_TOKENS = 12000;
+
+/**
+ * Sources ready for the final prompt
+ * @typedef {Object} CondensedSources
+ * @property {string[]} content - the sources unchanged, or one block of extracted facts
+ * @property {boolean} condensed - whether the map step ran
+ * @property {number} source_tokens - estimated tokens of the original sources
+ * @property {number} budget_tokens - content budget of the final task's model
+ * @property {number} chunks - chunks mapped (0 when not condensed)
+ * @property {number} chunks_failed
+ * @property {number} chunks_dropped - chunks past maxChunks
+ * @property {number} facts
+ */
+
+/**
+ * Fit scraped sources into the context of a final LLM task
+ * Sources that fit the final task's content budget pass through. Otherwise every
+ * source is split into chunks, the "extractChunkFacts" task pulls the facts about
+ * the subject out of each chunk (map), and the de-duplicated facts replace the
+ * sources; the final task then merges them into its answer (reduce).
+ * @param {import('./llm-client.js').LLMClient} llm
+ * @param {Object} options
+ * @param {string} options.task - final task; its model sets the budget
+ * @param {string} options.subject - who the facts are about, e.g. "Jane Doe (Acme)"
+ * @param {string} options.focus - what facts to keep, e.g. "their current projects"
+ * @param {string[]} options.sources - scraped content, one string per source
+ * @param {number} [options.maxChunks]
+ * @returns {Promise<CondensedSources>}
+ * @throws {Error} when no chunk could be mapped
+ */
+export async function condenseSources(llm, { task, subject, focus, sources, maxChunks = DEFAULT_MAX_CHUNKS }) {
+  const budgetTokens = getContentBudget(llm.getSettings(task).model);
+  const sourceTokens = sources.reduce((sum, source) => sum + estimateTokens(source), 0);
+  const result = {
+    content: sources,
+    condensed: false,
+    source_tokens: sourceTokens,
+    budget_tokens: budgetTokens,
+    chunks: 0,
+    chunks_failed: 0,
+    chunks_dropped: 0,
+    facts: 0
+  };
+
+  if (sourceTokens <= budgetTokens) {
+    return result;
+  }
+
+  const chunkTokens = Math.min(MAP_CHUNK_TOKENS, getContentBudget(llm.getSettings('extractChunkFacts').model));
+  const allChunks = sources.flatMap(source => chunkByTokens(source, chunkTokens));
+  const chunks = allChunks.slice(0, maxChunks);
+  result.chunks = chunks.length;
+  result.chunks_dropped = allChunks.length - chunks.length;
+
+  console.log(`   🧩 ${sourceTokens} tokens of content for ${subject} (budget ${budgetTokens}) - extracting facts from ${chunks.length} chunks${result.chunks_dropped ? ` (${result.chunks_dropped} dropped)` : ''}`);
+
+  const mapped = await Promise.all(chunks.map((chunk, index) =>
+    extractChunkFacts(llm, { subject, focus, chunk, index, total: chunks.length }).catch(error => {
+      console.log(`   ⚠️ Chunk ${index + 1}/${chunks.length} for ${subject} failed: ${error.message}`);
+      return null;
+    })
+  ));
+
+  result.chunks_failed = mapped.filter(facts => facts === null).length;
+  if (result.chunks_failed === chunks.length) {
+    throw new Error(`Fact extraction failed for all ${chunks.length} chunks about ${subject}`);
+  }
+
+  // Reduce: de-duplicated facts, in source order, cut to the final budget
+  const seen = new Set();
+  const lines = [];
+  let tokens = 0;
+  for (const { fact, evidence } of mapped.flat().filter(Boolean)) {
+    const key = fact.trim().toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    // The evidence is kept verbatim so the final answer can cite it (see lib/citations.js)
+    const line = evidence ? `- ${fact.trim()}\n  Evidence: "${evidence.trim()}"` : `- ${fact.trim()}`;
+    tokens += estimateTokens(line) + 1;
+    if (tokens > budgetTokens) break;
+    lines.push(line);
+  }
+
+  result.facts = lines.length;
+  result.content = [`Facts about ${subject} extracted from ${sources.length} sources (${chunks.length} parts):\n${lines.join('\n') || '- No relevant facts found'}`];
+  result.condensed = true;
+  console.log(`   ✅ Condensed to ${lines.length} facts (~${estimateTokens(result.content[0])} tokens)`);
+  return result;
+}
+
+/**
+ * Map step: facts about the subject in one chunk, each with the sentence it comes from
+ * @param {import('./llm-client.js').LLMClient} llm
+ * @param {{subject: string, focus: string, chunk: string, index: number, total: number}} options
+ * @returns {Promise<Array<{fact: string, evidence: string}>>}
+ */
+async function extractChunkFacts(llm, { subject, focus, chunk, index, total }) {
+  const { facts } = await withRetry(
+    () => llm.completeJSON('extractChunkFacts', CHUNK_FACTS_SCHEMA, {
+      messages: [
+        {
+          role: "system",
+          content: "You extract facts from web content. You must respond with ONLY valid JSON - no markdown, no explanations."
+        },
+        {
+          role: "user",
+          content: `Below is part ${index + 1} of ${total} of web content collected about ${subject}. List every specific fact in it about ${focus}. Keep names, numbers, dates, projects and quotes as written, and give for each fact the sentence it comes from, copied word for word. Ignore navigation, ads and content about other people or companies. Return {"facts": []} if nothing is relevant.
+
+Return ONLY: {"facts": [{"fact": "one fact", "evidence": "the exact sentence from the content"}]}
+
+Content:
+${chunk}`
+        }
+      ],
+      temperature: 0,
+      max_tokens: 1500,
+      response_format: { type: "json_object" }
+    }),
+    getRetryPolicy(llm.currentNode()),
+    { label: `Fact extraction ${index + 1}/${total} for ${subject}` }
+  );
+  return facts.map(item => typeof item === 'string' ? { fact: item, evidence: '' } : item);
+}
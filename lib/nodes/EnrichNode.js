@@ -1,9 +1,21 @@
 import path from 'path';
 import { EventTypes, NodeIds } from '../types.js';
 import { readJson, writeJson, appendLog, getCurrentTimestamp } from '../utils.js';
-import { JinaSearchAPI } from '../jina-search.js';
-import OpenAI from 'openai';
-import axios from 'axios';
+import { getCampaignSearchProvider } from '../search/index.js';
+import { WorkPool, getProviderConcurrency } from '../work-pool.js';
+import { withRetry, getRetryPolicy, classifyError, ErrorClasses } from '../retry.js';
+import { StructuredOutputError } from '../structured-output.js';
+import { addDeadLetter, DeadLetterKinds } from '../dead-letter.js';
+import { getPlanCaps } from '../plan.js';
+import { LLMClient } from '../llm-client.js';
+import { withRunContext } from '../run-context.js';
+import { fitToBudget } from '../usage.js';
+import { assertCircuitsClosed, CircuitOpenError } from '../rate-limiter.js';
+import { loadSuppressionList, applySuppression } from '../suppression.js';
+import { COMPETITIVE_INTELLIGENCE_SCHEMA } from '../schemas.js';
+import { condenseSources } from '../map-reduce.js';
+import { CITED_FIELDS, verifyIntelligence, parseSources } from '../citations.js';
+import { CHARS_PER_TOKEN } from '../tokens.js';
 
 /**
  * EnrichNode specifically enriches existing leads with detailed personal information
@@ -13,261 +25,216 @@ export class EnrichNode {
   constructor() {
     this.id = NodeIds.ENRICH;
     this.handles = EventTypes.SEARCH_READY;
-    this.jinaSearch = new JinaSearchAPI();
     
     // Initialize OpenAI client
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    
-    // Jina API configuration from environment
-    this.jinaApiKey = process.env.JINA_API_KEY;
-    this.jinaSearchUrl = 'https://s.jina.ai/';
-    this.jinaReaderUrl = 'https://r.jina.ai/';
+    this.llm = new LLMClient(this.id);
   }
 
   /**
    * Check if required APIs are configured
+   * @param {import('../search/provider.js').SearchProvider} search - the campaign's search provider
    * @returns {Object}
    */
-  checkApiConfiguration() {
+  checkApiConfiguration(search) {
     return {
-      hasJina: !!(this.jinaApiKey),
-      hasOpenAI: !!(process.env.OPENAI_API_KEY),
-      hasJinaSearch: this.jinaSearch.isConfigured()
+      hasSearch: search.isConfigured(),
+      hasLLM: this.llm.isConfigured('generatePersonalitySummary')
     };
   }
 
   /**
-   * Search for a person using Jina API (using existing JinaSearchAPI with error handling)
+   * Search for pages about a person, retrying transient failures
+   * @param {import('../search/provider.js').SearchProvider} search
    * @param {string} name - Person's name
    * @param {string} company - Person's company
-   * @returns {Promise<Array>} Search results
+   * @returns {Promise<Array>} Search results ({url, title, description}) that mention the person
    */
-  async searchPersonWithJina(name, company) {
+  async searchPerson(search, name, company) {
     try {
-      const query = `${name} ${company}`;
-      console.log(`🔍 Searching for: "${query}"`);
-      
-      // Try multiple search approaches to maximize success
-      const searchApproaches = [
-        `${name} ${company}`,
-        `${name} LinkedIn`,
-        `"${name}" ${company}`,
-        name
-      ];
-      
-      for (const searchQuery of searchApproaches) {
-        try {
-          console.log(`   🔍 Trying search: "${searchQuery}"`);
-          const searchResults = await this.jinaSearch.search(searchQuery, 8);
-          
-          if (searchResults && searchResults.length > 0) {
-            console.log(`   ✅ Found ${searchResults.length} results with "${searchQuery}"`);
-            
-            // Convert to expected format for personality analysis
-            const formattedResults = searchResults.map((result, index) => ({
-              url: result.linkedin_url || `https://search-result-${index}-${Date.now()}`,
-              title: `${result.name || name} - ${result.title || 'Professional'}`,
-              description: result.raw_data || result.notes || result.company || 'Professional profile'
-            }));
-            
-            // Filter out results with invalid URLs
-            const validResults = formattedResults.filter(result => 
-              result.url && result.url.startsWith('http') && !result.url.includes('search-result-')
-            );
-            
-            if (validResults.length > 0) {
-              console.log(`   ✅ ${validResults.length} valid URLs found for scraping`);
-              return validResults;
-            }
-          }
-        } catch (searchError) {
-          console.log(`   ⚠️ Search approach "${searchQuery}" failed:`, searchError.message);
-          continue; // Try next approach
-        }
-        
-        // Add small delay between search attempts
-        await new Promise(resolve => setTimeout(resolve, 1000));
+      console.log(`🔍 Searching for: "${name} ${company}"`);
+      const results = await withRetry(
+        () => search.searchForPerson(name, '', company, 8),
+        getRetryPolicy(this.id),
+        { label: `Search "${name}"` }
+      );
+
+      if (results.length === 0) {
+        console.log(`⚠️ No valid results found for ${name} after trying all approaches`);
+      } else {
+        console.log(`   ✅ ${results.length} valid URLs found for scraping`);
       }
+      return results;
 
-      console.log(`⚠️ No valid results found for ${name} after trying all approaches`);
-      return [];
-      
     } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
       console.error(`❌ Error searching for ${name}:`, error.message);
       return [];
     }
   }
 
   /**
-   * Get content from a website using Jina Reader API
+   * Get content from a website through the search provider's reader
+   * @param {import('../search/provider.js').SearchProvider} search
    * @param {string} url - Website URL
-   * @returns {Promise<string>} Website content
+   * @returns {Promise<string>} Website content, empty when it can't be read
    */
-  async getWebsiteContent(url) {
-    try {
-      console.log(`📖 Reading content from: ${url}`);
-      
-      // Use the existing JinaSearchAPI readWebsite method if available
-      if (this.jinaSearch && typeof this.jinaSearch.readWebsite === 'function') {
-        const content = await this.jinaSearch.readWebsite(url);
-        if (content && content.length > 0) {
-          return content;
-        }
-      }
-      
-      // Fallback to direct API call if the existing method doesn't work
-      const response = await axios.get(`${this.jinaReaderUrl}${encodeURIComponent(url)}`, {
-        headers: {
-          'Authorization': `Bearer ${this.jinaApiKey}`
-        },
-        timeout: 45000
-      });
-
-      let content = response.data;
-      
-      // Handle different response types
-      if (typeof content !== 'string') {
-        if (Buffer.isBuffer(content)) {
-          content = content.toString('utf8');
-        } else if (content && typeof content === 'object') {
-          content = JSON.stringify(content);
-        } else {
-          content = String(content);
-        }
-      }
-      
-      console.log(`✅ Retrieved ${content.length} characters from ${url}`);
-      return content;
-    } catch (error) {
-      console.error(`❌ Error reading ${url}:`, error.message);
-      return '';
-    }
+  async getWebsiteContent(search, url) {
+    console.log(`📖 Reading content from: ${url}`);
+    return search.readWebsite(url);
   }
 
   /**
-   * Generate competitive intelligence summary using ChatGPT
+   * Build the competitive intelligence prompt, truncating content to maxLength characters
    * @param {string} name - Person's name
    * @param {Array} websiteContents - Array of website content strings
-   * @returns {Promise<Object>} Competitive intelligence analysis
+   * @param {number} maxLength - Max characters of web content to include
+   * @returns {string} Prompt
    */
-  async generatePersonalitySummary(name, websiteContents) {
-    try {
-      console.log(`🧠 Extracting competitive intelligence for ${name}...`);
-      
-      // Truncate content to prevent context length issues (approx 100k tokens max)
-      let combinedContent = websiteContents.join('\n\n---\n\n');
-      const maxLength = 90000; // Leave room for prompt and response
-      
-      if (combinedContent.length > maxLength) {
-        combinedContent = combinedContent.substring(0, maxLength) + '\n\n...[Content truncated to fit context limits]';
-        console.log(`   📏 Content truncated from ${websiteContents.join('\n\n---\n\n').length} to ${combinedContent.length} characters`);
-      }
-      
-      const prompt = `Extract competitive intelligence and actionable insights about ${name} from the web content below. Focus on SPECIFIC, RECENT, and ACTIONABLE information that would give someone an edge in business outreach. Return ONLY a JSON object:
+  buildIntelligencePrompt(name, websiteContents, maxLength) {
+    // Safety net - condenseSources already fits the content to the model, this catches estimate misses
+    let combinedContent = websiteContents.join('\n\n---\n\n');
+    
+    if (combinedContent.length > maxLength) {
+      combinedContent = combinedContent.substring(0, maxLength) + '\n\n...[Content truncated to fit context limits]';
+      console.log(`   📏 Content truncated from ${websiteContents.join('\n\n---\n\n').length} to ${combinedContent.length} characters`);
+    }
+    
+    return `Extract competitive intelligence and actionable insights about ${name} from the web content below. Focus on SPECIFIC, RECENT, and ACTIONABLE information that would give someone an edge in business outreach. Every claim must cite the source URL it comes from and the evidence for it: a sentence copied word for word from the content. Return ONLY a JSON object:
 
 {
-  "current_projects": ["specific current initiatives they're leading or involved in"],
-  "recent_developments": ["recent appointments, achievements, company changes, or news about them"],
-  "strategic_priorities": ["current business priorities or challenges they've mentioned publicly"],
-  "industry_involvement": ["recent speaking engagements, publications, interviews, or public statements"],
-  "company_context": ["recent company performance, changes, or initiatives they're driving"],
-  "competitive_intelligence": ["specific insights about their role, responsibilities, or current focus areas"],
+  "current_projects": [{"claim": "specific current initiative they're leading or involved in", "source_url": "URL of the source", "evidence": "exact sentence from that source"}],
+  "recent_developments": [{"claim": "recent appointment, achievement, company change, or news about them", "source_url": "...", "evidence": "..."}],
+  "strategic_priorities": [{"claim": "current business priority or challenge they've mentioned publicly", "source_url": "...", "evidence": "..."}],
+  "industry_involvement": [{"claim": "recent speaking engagement, publication, interview, or public statement", "source_url": "...", "evidence": "..."}],
+  "company_context": [{"claim": "recent company performance, change, or initiative they're driving", "source_url": "...", "evidence": "..."}],
+  "competitive_intelligence": [{"claim": "specific insight about their role, responsibilities, or current focus", "source_url": "...", "evidence": "..."}],
   "outreach_angles": ["specific conversation starters or topics that would resonate based on recent activities"],
-  "recent_quotes_or_statements": ["any specific quotes, opinions, or positions they've taken recently"],
+  "recent_quotes_or_statements": [{"claim": "quote or position they've taken, quoted words exactly as written", "source_url": "...", "evidence": "..."}],
   "summary": "2-3 sentences focusing on their current role, recent activities, and what they're focused on right now",
   "intelligence_quality": "high/medium/low based on how specific and recent the information is"
 }
 
-Extract ONLY specific, factual information from the content. Avoid generic traits like "strategic" or "innovative". Focus on what they're actually doing, saying, or working on right now.
+Extract ONLY specific, factual information from the content. Avoid generic traits like "strategic" or "innovative". Focus on what they're actually doing, saying, or working on right now. Claims whose evidence can't be found in the content are discarded - leave a list empty rather than guess.
 
 Web content about ${name}:
 ${combinedContent}`;
+  }
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "system",
-            content: "You are a competitive intelligence analyst who extracts specific, actionable business insights from web content. Focus on recent, concrete, and factual information. You must respond with ONLY valid JSON - no markdown, no explanations, no code blocks. Avoid generic traits and focus on what the person is actually doing, saying, or working on right now."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.1, // Lower temperature for more consistent output
-        max_tokens: 1500,
-        response_format: { type: "json_object" } // Force JSON response
-      });
+  /**
+   * Generate competitive intelligence summary using ChatGPT
+   * Content larger than the model's budget is map-reduced first: facts are pulled
+   * out of each chunk and the final call merges them (see lib/map-reduce.js).
+   * @param {string} name - Person's name
+   * @param {Array} websiteContents - Array of website content strings
+   * @returns {Promise<Object>} Competitive intelligence analysis
+   */
+  async generatePersonalitySummary(name, websiteContents) {
+    let condensed = null;
+    try {
+      console.log(`🧠 Extracting competitive intelligence for ${name}...`);
 
-      const rawContent = response.choices[0].message.content;
-      console.log(`✅ Extracted competitive intelligence for ${name}`);
+      condensed = await condenseSources(this.llm, {
+        task: 'generatePersonalitySummary',
+        subject: name,
+        focus: `${name}'s current projects, role, recent news, public statements, priorities and company`,
+        sources: websiteContents
+      });
       
-      try {
-        // Since we're using response_format: json_object, the response should be valid JSON
-        const analysis = JSON.parse(rawContent);
-        
-        // Ensure all required fields are present with defaults if missing
-        const structuredAnalysis = {
-          current_projects: analysis.current_projects || ["No specific current projects identified"],
-          recent_developments: analysis.recent_developments || ["No recent developments found"],
-          strategic_priorities: analysis.strategic_priorities || ["No specific strategic priorities identified"],
-          industry_involvement: analysis.industry_involvement || ["No recent industry involvement found"],
-          company_context: analysis.company_context || ["No specific company context available"],
-          competitive_intelligence: analysis.competitive_intelligence || ["Limited competitive intelligence available"],
-          outreach_angles: analysis.outreach_angles || ["Standard industry discussion topics"],
-          recent_quotes_or_statements: analysis.recent_quotes_or_statements || ["No recent quotes or statements found"],
-          summary: analysis.summary || "Professional with limited recent public information available",
-          intelligence_quality: analysis.intelligence_quality || analysis.confidence_level || "low",
-          generated_at: new Date().toISOString(),
-          content_sources: websiteContents.length,
-          analysis_method: "competitive_intelligence_extraction"
-        };
-        
-        return structuredAnalysis;
+      // Retry transient failures; after a context-length error, send half as much content
+      let maxLength = condensed.budget_tokens * CHARS_PER_TOKEN;
+      const analysis = await withRetry(async (attempt, lastErrorClass) => {
+        if (lastErrorClass === ErrorClasses.CONTEXT_LENGTH) {
+          maxLength = Math.floor(maxLength / 2);
+          console.log(`   📏 Context too long - retrying with ${maxLength} characters`);
+        }
+        const prompt = this.buildIntelligencePrompt(name, condensed.content, maxLength);
         
-      } catch (parseError) {
-        console.log(`⚠️ JSON parsing failed despite forced format, creating fallback analysis`);
-        console.log(`Raw response: ${rawContent.substring(0, 200)}...`);
+        return this.llm.completeJSON('generatePersonalitySummary', COMPETITIVE_INTELLIGENCE_SCHEMA, {
+          messages: [
+            {
+              role: "system",
+              content: "You are a competitive intelligence analyst who extracts specific, actionable business insights from web content. Focus on recent, concrete, and factual information. You must respond with ONLY valid JSON - no markdown, no explanations, no code blocks. Avoid generic traits and focus on what the person is actually doing, saying, or working on right now."
+            },
+            {
+              role: "user",
+              content: prompt
+            }
+          ],
+          temperature: 0.1, // Lower temperature for more consistent output
+          max_tokens: 3000, // Room for a source and evidence per claim
+          response_format: { type: "json_object" } // Force JSON response
+        });
+      }, getRetryPolicy(this.id), { label: `Intelligence extraction for ${name}` });
+
+      // Only claims whose evidence is in the scraped pages reach outreach
+      const verified = verifyIntelligence(analysis, parseSources(websiteContents));
+      const { verified: verifiedCount, dropped } = verified.citation_stats;
+      console.log(`✅ Extracted competitive intelligence for ${name} (${verifiedCount} cited claims${dropped ? `, ${dropped} unverified dropped` : ''})`);
+      
+      return {
+        ...verified,
+        generated_at: new Date().toISOString(),
+        content_sources: websiteContents.length,
+        ...this.describeCondensing(condensed),
+        analysis_method: condensed.condensed ? "map_reduce_competitive_intelligence" : "competitive_intelligence_extraction"
+      };
+
+    } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
+      if (error instanceof StructuredOutputError) {
+        console.log(`⚠️ Intelligence for ${name} did not match the schema, creating fallback analysis`);
+        console.log(`Raw response: ${error.raw.substring(0, 200)}...`);
         
+        // No intelligence rather than error text that would read as intelligence downstream
         return {
-          current_projects: ["Analysis parsing error - unable to extract information"],
-          recent_developments: ["Analysis parsing error - unable to extract information"], 
-          strategic_priorities: ["Analysis parsing error - unable to extract information"],
-          industry_involvement: ["Analysis parsing error - unable to extract information"],
-          company_context: ["Analysis parsing error - unable to extract information"],
-          competitive_intelligence: ["Analysis parsing error - unable to extract information"],
-          outreach_angles: ["Standard professional outreach recommended"],
-          recent_quotes_or_statements: ["Analysis parsing error - unable to extract information"],
-          summary: "Competitive intelligence analysis could not be completed due to technical error",
+          ...Object.fromEntries(CITED_FIELDS.map(field => [field, []])),
+          outreach_angles: [],
+          summary: '',
           intelligence_quality: "low",
           generated_at: new Date().toISOString(),
           content_sources: websiteContents.length,
+          ...this.describeCondensing(condensed),
           analysis_method: "fallback_error",
-          error: "JSON parsing failed",
-          raw_response: rawContent.substring(0, 500)
+          error: error.message,
+          raw_response: error.raw.substring(0, 500)
         };
       }
-
-    } catch (error) {
+      
       console.error(`❌ Error extracting competitive intelligence for ${name}:`, error.message);
       return {
         error: error.message,
-        summary: "Unable to extract competitive intelligence due to processing error",
+        error_class: classifyError(error),
+        attempts: error.attempts || 1,
         intelligence_quality: "low",
         generated_at: new Date().toISOString()
       };
     }
   }
 
+  /**
+   * Analysis fields recording how the content was condensed
+   * @param {import('../map-reduce.js').CondensedSources|null} condensed
+   * @returns {Object}
+   */
+  describeCondensing(condensed) {
+    if (!condensed?.condensed) return {};
+    return {
+      content_tokens: condensed.source_tokens,
+      content_chunks: condensed.chunks,
+      content_chunks_failed: condensed.chunks_failed,
+      content_chunks_dropped: condensed.chunks_dropped,
+      extracted_facts: condensed.facts
+    };
+  }
+
   /**
    * Enrich a single lead with personality analysis
+   * @param {import('../search/provider.js').SearchProvider} search
    * @param {Object} lead - Lead object
+   * @param {number} [sourcesPerLead] - websites to scrape (plan.caps.sources_per_lead)
    * @returns {Promise<Object>} Enriched lead
    */
-  async enrichLeadWithPersonalityAnalysis(lead) {
+  async enrichLeadWithPersonalityAnalysis(search, lead, sourcesPerLead = 3) {
     try {
       // Skip if already enriched
       if (lead.personality_analysis && !lead.personality_analysis.error) {
@@ -310,7 +277,7 @@ ${combinedContent}`;
         console.log(`   🔍 No existing content found - performing new search and scraping`);
         
         // 1. Search for the person
-        searchResults = await this.searchPersonWithJina(lead.name, lead.company);
+        searchResults = await this.searchPerson(search, lead.name, lead.company);
         
         if (searchResults.length === 0) {
           console.log(`⚠️ No search results found for ${lead.name}`);
@@ -337,8 +304,8 @@ ${combinedContent}`;
           !result.url.includes('sign-in')
         );
 
-        // Get top 3 non-LinkedIn websites for actual content scraping
-        websitesToScrape = nonLinkedInWebsites.slice(0, 3);
+        // Get the top non-LinkedIn websites for actual content scraping
+        websitesToScrape = nonLinkedInWebsites.slice(0, sourcesPerLead);
         
         // Combine for complete source attribution (LinkedIn + scraped sites)
         const allSources = [...linkedinUrls.slice(0, 1), ...websitesToScrape]; // Keep 1 LinkedIn for reference
@@ -350,21 +317,18 @@ ${combinedContent}`;
         for (const website of websitesToScrape) {
           try {
             console.log(`📖 Scraping non-LinkedIn site: ${website.url}`);
-            const content = await this.getWebsiteContent(website.url);
+            const content = await this.getWebsiteContent(search, website.url);
             if (content && content.length > 100) { // Only include substantial content
-              // Truncate content to prevent context length issues
-              const truncatedContent = content.length > 50000 ? content.substring(0, 50000) + '...[truncated]' : content;
-              websiteContents.push(`Source: ${website.url}\nTitle: ${website.title || 'N/A'}\nContent: ${truncatedContent}`);
+              // Full page - generatePersonalitySummary condenses whatever doesn't fit the model
+              websiteContents.push(`Source: ${website.url}\nTitle: ${website.title || 'N/A'}\nContent: ${content}`);
               console.log(`   ✅ Successfully scraped ${content.length} characters`);
             } else {
               console.log(`   ⚠️ Insufficient content (${content?.length || 0} characters)`);
             }
           } catch (error) {
+            if (error instanceof CircuitOpenError) throw error;
             console.log(`   ❌ Failed to scrape ${website.url}: ${error.message}`);
           }
-          
-          // Add delay between requests
-          await new Promise(resolve => setTimeout(resolve, 2000));
         }
       }
 
@@ -374,17 +338,16 @@ ${combinedContent}`;
         const additionalSites = nonLinkedInWebsites.slice(3, 5);
         for (const website of additionalSites) {
           try {
-            const content = await this.getWebsiteContent(website.url);
+            const content = await this.getWebsiteContent(search, website.url);
             if (content && content.length > 100) {
-              const truncatedContent = content.length > 50000 ? content.substring(0, 50000) + '...[truncated]' : content;
-              websiteContents.push(`Source: ${website.url}\nTitle: ${website.title || 'N/A'}\nContent: ${truncatedContent}`);
+              websiteContents.push(`Source: ${website.url}\nTitle: ${website.title || 'N/A'}\nContent: ${content}`);
               console.log(`   ✅ Additional content: ${content.length} characters`);
               break; // Stop after getting one good additional source
             }
           } catch (error) {
+            if (error instanceof CircuitOpenError) throw error;
             console.log(`   ❌ Additional site failed: ${error.message}`);
           }
-          await new Promise(resolve => setTimeout(resolve, 2000));
         }
       }
 
@@ -454,11 +417,13 @@ ${combinedContent}`;
       return enrichedLead;
 
     } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
       console.error(`❌ Error enriching ${lead.name}:`, error.message);
       return {
         ...lead,
         personality_analysis: {
           error: error.message,
+          error_class: classifyError(error),
           analyzed_at: new Date().toISOString(),
           analysis_method: 'failed'
         },
@@ -492,29 +457,44 @@ ${combinedContent}`;
         throw new Error(`No leads found for run ${msg.run_id}`);
       }
       
+      // Entries added since the search (an opt-out, a CSV import) still apply here
+      const suppression = await loadSuppressionList(ctx.profilesDir, state);
+      const leadCount = state.leads.length;
+      state.leads = applySuppression(state, suppression, state.leads, { kind: 'lead', node: this.id });
+      if (state.leads.length < leadCount) {
+        await writeJson(statePath, state);
+      }
+      
       console.log(`📊 Found ${state.leads.length} leads to enrich`);
       
       // Check API configuration
-      const apiConfig = this.checkApiConfiguration();
+      const search = getCampaignSearchProvider(state);
+      const apiConfig = this.checkApiConfiguration(search);
       
-      console.log(`🔍 Jina API (search): ${apiConfig.hasJina ? '✅ Available' : '⚠️  Disabled'}`);
-      console.log(`🧠 OpenAI API (personality): ${apiConfig.hasOpenAI ? '✅ Available' : '⚠️  Disabled'}`);
+      console.log(`🔍 ${search.label} (search): ${apiConfig.hasSearch ? '✅ Available' : '⚠️  Disabled'}`);
+      console.log(`🧠 LLM (personality): ${apiConfig.hasLLM ? '✅ Available' : '⚠️  Disabled'}`);
       
-      if (!apiConfig.hasJina) {
-        console.log('❌ Cannot enrich without Jina API configuration');
-        throw new Error('Jina API configuration required for lead enrichment');
+      if (!apiConfig.hasSearch) {
+        console.log(`❌ Cannot enrich without a configured search provider: ${search.setupHint()}`);
+        throw new Error(`Search provider "${search.name}" required for lead enrichment`);
       }
       
-      if (!apiConfig.hasOpenAI) {
-        console.log('❌ Cannot generate personality analysis without OpenAI API key. Please set OPENAI_API_KEY in .env');
-        throw new Error('OpenAI API key required for personality analysis');
+      if (!apiConfig.hasLLM) {
+        console.log('❌ Cannot generate personality analysis without an LLM provider. Set OPENAI_API_KEY in .env or configure config/llm.json');
+        throw new Error('LLM provider required for personality analysis');
       }
       
+      // Requeued dead letters name the exact leads to retry
+      const requeuedIds = msg.payload?.lead_ids || null;
+      const caps = getPlanCaps(state);
+      
       // Select leads to enrich (focus on top confidence leads without personality analysis)
-      const leadsToEnrich = state.leads
+      const leadsToEnrich = requeuedIds
+        ? state.leads.filter(lead => requeuedIds.includes(lead.id))
+        : state.leads
         .filter(lead => !lead.personality_analysis || (lead.personality_analysis && lead.personality_analysis.error)) // Only enrich leads that haven't had successful personality analysis
         .sort((a, b) => (b.confidence_score || 0) - (a.confidence_score || 0)) // Sort by confidence
-        .slice(0, 10); // Limit to top 10 leads for personality analysis
+        .slice(0, caps.max_enriched_leads); // Plan caps how many leads get personality analysis
       
       if (leadsToEnrich.length === 0) {
         console.log('✅ All leads already have successful personality analysis!');
@@ -528,12 +508,26 @@ ${combinedContent}`;
         return this.createNextMessage(msg.run_id, state.leads);
       }
       
-      console.log(`🎯 Selected ${leadsToEnrich.length} leads for personality analysis`);
+      // Near the campaign budget, the lowest-confidence leads are skipped first
+      const budget = fitToBudget(msg.run_id, this.id, leadsToEnrich);
+      if (budget.skipped.length > 0) {
+        console.log(`💸 Budget: skipping ${budget.skipped.length} lowest-confidence leads (~$${budget.unit_cost_usd.toFixed(3)} each)`);
+        state.search_metadata = state.search_metadata || {};
+        state.search_metadata.skipped_for_budget = budget.skipped.map(lead => lead.id);
+      }
+      if (budget.kept.length === 0) {
+        await writeJson(statePath, state);
+        return this.createNextMessage(msg.run_id, state.leads);
+      }
+      
+      console.log(`🎯 Selected ${budget.kept.length} leads for personality analysis`);
       
       // Enrich leads with personality analysis
-      await this.enrichLeadsWithPersonalityData(leadsToEnrich, state.mode);
+      const failures = await this.enrichLeadsWithPersonalityData(search, budget.kept, state.mode, caps.sources_per_lead);
+      failures.forEach(failure => addDeadLetter(state, failure));
       
-      // Save enriched leads to state
+      // Save enriched leads to state (unless a provider stopped answering halfway)
+      assertCircuitsClosed();
       await this.saveEnrichedLeads(state, profileDir);
       
       // Log activity
@@ -548,77 +542,110 @@ ${combinedContent}`;
       
     } catch (error) {
       console.error(`❌ Error in ${this.id}:`, error.message);
-      return null;
+      throw error;
     }
   }
 
   /**
    * Enrich leads with personality analysis using web scraping and ChatGPT
+   * @param {import('../search/provider.js').SearchProvider} search
    * @param {Array} leads 
    * @param {string} mode 
+   * @param {number} [sourcesPerLead] - websites to scrape per lead (plan.caps.sources_per_lead)
+   * @returns {Promise<Array>} dead letters for leads whose analysis errored after retries
    */
-  async enrichLeadsWithPersonalityData(leads, mode) {
+  async enrichLeadsWithPersonalityData(search, leads, mode, sourcesPerLead = 3) {
     console.log(`\n🧠 Starting personality analysis for ${leads.length} leads...`);
     
     let analyzedCount = 0;
     let errorCount = 0;
+    const failures = [];
     
-    // Process leads individually to manage API rate limits and ensure quality
-    for (let i = 0; i < leads.length; i++) {
-      const lead = leads[i];
-      
+    // Leads are analyzed in parallel; the shared provider pools cap the actual API calls
+    const pool = new WorkPool(getProviderConcurrency(search.name), 'enrich');
+    console.log(`⚡ Analyzing up to ${pool.concurrency} leads at a time`);
+    
+    await pool.map(leads, async (lead, i) => {
       try {
         console.log(`\n👤 [${i + 1}/${leads.length}] Analyzing personality: ${lead.name}`);
-          console.log(`   📋 Company: ${lead.company}`);
-          console.log(`   💼 Title: ${lead.title}`);
+        console.log(`   📋 Company: ${lead.company}`);
+        console.log(`   💼 Title: ${lead.title}`);
           
-        // Enrich lead with personality analysis
-        const enrichedLead = await this.enrichLeadWithPersonalityAnalysis(lead);
+        // Enrich lead with personality analysis (provider usage is counted against the lead)
+        const enrichedLead = await withRunContext({ leadId: lead.id },
+          () => this.enrichLeadWithPersonalityAnalysis(search, lead, sourcesPerLead));
           
         // Update the lead with personality data
-          Object.assign(lead, enrichedLead);
+        Object.assign(lead, enrichedLead);
         
-                // Check if analysis was successful
+        // Check if analysis was successful
         if (enrichedLead.personality_analysis && !enrichedLead.personality_analysis.error) {
           analyzedCount++;
           
           // Log competitive intelligence summary
           const analysis = enrichedLead.personality_analysis;
-          console.log(`   ✅ Competitive Intelligence Extracted:`);
+          console.log(`   ✅ Competitive Intelligence Extracted for ${lead.name}:`);
           console.log(`   🚀 Current Projects: ${analysis.current_projects && analysis.current_projects.length > 0 ? analysis.current_projects[0].substring(0, 80) + '...' : 'None identified'}`);
           console.log(`   📰 Recent Developments: ${analysis.recent_developments && analysis.recent_developments.length > 0 ? analysis.recent_developments[0].substring(0, 80) + '...' : 'None found'}`);
-          console.log(`   🎯 Outreach Angles: ${analysis.outreach_angles && analysis.outreach_angles.length > 0 ? analysis.outreach_angles.length + ' angle(s) identified' : 'Standard topics'}`);
-          console.log(`   💬 Recent Quotes: ${analysis.recent_quotes_or_statements && analysis.recent_quotes_or_statements.length > 0 && !analysis.recent_quotes_or_statements[0].includes('No recent') ? 'Available' : 'None found'}`);
+          console.log(`   🎯 Outreach Angles: ${analysis.outreach_angles && analysis.outreach_angles.length > 0 ? analysis.outreach_angles.length + ' angle(s) identified (unverified)' : 'None'}`);
+          console.log(`   💬 Recent Quotes: ${analysis.recent_quotes_or_statements?.length > 0 ? 'Available' : 'None found'}`);
           console.log(`   📊 Intelligence Quality: ${analysis.intelligence_quality || analysis.confidence_level || 'N/A'}`);
           console.log(`   📚 Non-LinkedIn Sources Used: ${enrichedLead.personality_metadata?.content_sources_used || 0}`);
           console.log(`   🔗 LinkedIn URLs Found: ${enrichedLead.personality_metadata?.linkedin_urls_found || 0} (kept for reference only)`);
         } else {
-          console.log(`   ⚠️ Intelligence extraction incomplete: ${enrichedLead.personality_analysis?.error || 'Unknown error'}`);
+          console.log(`   ⚠️ Intelligence extraction incomplete for ${lead.name}: ${enrichedLead.personality_analysis?.error || 'Unknown error'}`);
           errorCount++;
-        }
-        
-        // Add delay between leads to respect API rate limits
-        if (i < leads.length - 1) {
-          console.log('   ⏳ Waiting 10 seconds before next analysis...');
-          await new Promise(resolve => setTimeout(resolve, 10000));
+          
+          // Errors (not just "nothing found") are dead-lettered so they can be requeued
+          if (enrichedLead.personality_analysis?.error_class) {
+            failures.push(this.leadDeadLetter(lead, enrichedLead.personality_analysis));
+          }
         }
         
       } catch (error) {
+        // An open circuit stops the node - the router pauses the run instead of failing every lead
+        if (error instanceof CircuitOpenError) throw error;
         console.error(`   ❌ Failed to analyze ${lead.name}: ${error.message}`);
         errorCount++;
         
         // Add error info to lead
         lead.personality_analysis = {
           error: error.message,
+          error_class: classifyError(error),
           analyzed_at: new Date().toISOString()
         };
+        failures.push(this.leadDeadLetter(lead, lead.personality_analysis));
       }
-    }
+    }, {
+      onProgress: (completed, total, result, index) => {
+        console.log(`📈 Enrichment progress: ${completed}/${total} done (latest: ${leads[index].name})`);
+      }
+    });
     
     console.log(`\n🎉 Personality analysis completed:`);
     console.log(`   ✅ Successfully analyzed: ${analyzedCount} leads`);
     console.log(`   ❌ Errors: ${errorCount} leads`);
     console.log(`   📊 Success rate: ${Math.round((analyzedCount / leads.length) * 100)}%`);
+    
+    return failures;
+  }
+
+  /**
+   * Dead letter entry for a lead whose analysis failed
+   * @param {Object} lead 
+   * @param {Object} analysis - personality_analysis holding the error
+   * @returns {Object}
+   */
+  leadDeadLetter(lead, analysis) {
+    return {
+      kind: DeadLetterKinds.LEAD,
+      node: this.id,
+      item_id: lead.id,
+      item: { name: lead.name, company: lead.company },
+      error: analysis.error,
+      error_class: analysis.error_class,
+      attempts: analysis.attempts
+    };
   }
 
   /**
@@ -761,7 +788,8 @@ ${combinedContent}`;
         outreach_angles: analysis.outreach_angles || [],
         recent_quotes: analysis.recent_quotes_or_statements || [],
         summary: analysis.summary || '',
-        intelligence_quality: analysis.intelligence_quality || analysis.confidence_level || 'medium'
+        intelligence_quality: analysis.intelligence_quality || analysis.confidence_level || 'medium',
+        citations: analysis.citations || {}
       },
       // Keep legacy personality fields for backward compatibility
       personality: {
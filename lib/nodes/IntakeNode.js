@@ -3,6 +3,10 @@ import path from 'path';
 import { EventTypes, NodeIds } from '../types.js';
 import { ensureDir, writeJson, appendLog, validateAnswer, getCurrentTimestamp } from '../utils.js';
 import { LLMEnricher } from '../llm-enricher.js';
+import { validateBriefAnswers, getBriefFollowUps, BriefEnrichment } from '../brief.js';
+import { WebsiteDrafter } from '../website-drafter.js';
+import { getSenderProfile } from '../sender-profiles.js';
+import { getSearchProvider } from '../search/index.js';
 
 /**
  * Questions configuration for different modes
@@ -28,6 +32,14 @@ const QUESTIONS = {
   ]
 };
 
+/**
+ * Investor-mode questions filled from the website's investor drafts (see DRAFT_FIELDS)
+ */
+const INVESTOR_DRAFT_KEYS = {
+  product: 'technology',
+  pain: 'traction'
+};
+
 export class IntakeNode {
   constructor() {
     this.id = NodeIds.INTAKE;
@@ -45,28 +57,93 @@ export class IntakeNode {
     try {
       console.log(`\n🚀 Starting ${this.id} for run: ${msg.run_id}`);
       
-      // Check if LLM enrichment is available
-      const useEnrichment = this.enricher.isConfigured();
+      // A brief (scripts/cron) replaces the prompts; see lib/brief.js
+      const brief = msg.payload?.brief || null;
+      if (brief) {
+        console.log(`📄 Reading answers from brief: ${brief.path}`);
+      }
+      
+      // Sender profile picked for the campaign (outreach falls back to SENDER_PROFILE / the default)
+      const senderId = msg.payload?.sender || brief?.sender || null;
+      if (senderId) {
+        const sender = getSenderProfile(senderId);
+        console.log(`✍️  Sender: ${sender.name} (${sender.company})`);
+      }
+      
+      // Persona count chosen up front; otherwise the plan decides
+      const personaCount = msg.payload?.persona_count || brief?.persona_count || null;
+      if (personaCount) {
+        console.log(`🎭 Personas: ${personaCount}`);
+      }
+      
+      // Earlier campaign whose outcomes the personas learn from
+      const learnFrom = msg.payload?.learn_from || brief?.learn_from || null;
+      if (learnFrom) {
+        console.log(`📈 Learning from: ${learnFrom}`);
+      }
+      
+      // Search provider of the campaign (config/search.json); null for the configured default
+      const searchProvider = msg.payload?.search_provider || brief?.search_provider || null;
+      if (searchProvider) {
+        console.log(`🔍 Search provider: ${getSearchProvider(searchProvider).label} (${searchProvider})`);
+      }
+      
+      // Personas approved as generated when no one is at a terminal to review them (PersonaReviewNode)
+      const autoApprovePersonas = brief?.auto_approve_personas === true;
+      if (autoApprovePersonas) {
+        console.log('🎭 Personas are approved as generated when there is no terminal');
+      }
+      
+      // Closed-won customers for lookalike personas, read by run-pipeline (lib/customers.js)
+      const customers = msg.payload?.customers || null;
+      if (customers) {
+        console.log(`🏆 Customers: ${customers.records.length} from ${customers.source}`);
+      }
+      
+      // Check if LLM enrichment is available (pipeline stage options or the brief can turn it off)
+      const enrichmentAllowed = msg.payload?.options?.enrichment !== false && brief?.enrichment !== BriefEnrichment.SKIP;
+      const useEnrichment = enrichmentAllowed && this.enricher.isConfigured();
       if (useEnrichment) {
-        console.log(`🤖 LLM enrichment enabled (GPT-4o) - context-aware follow-ups`);
+        console.log(`🤖 LLM enrichment enabled (GPT-4o) - context-aware follow-ups${brief ? ', recorded as gaps' : ''}`);
+      } else if (!enrichmentAllowed) {
+        console.log(`⏭️  LLM enrichment disabled by ${brief?.enrichment === BriefEnrichment.SKIP ? 'the brief' : 'pipeline options'} - using basic collection`);
       } else {
         console.log(`⚠️  LLM enrichment disabled (no API key) - using basic collection`);
       }
       
       // Collect user input
-      const { mode, answers } = await this.collectUserInput(useEnrichment);
+      const { mode, answers, gaps = [], drafts = null } = brief
+        ? await this.collectFromBrief(brief, useEnrichment)
+        : await this.collectUserInput(useEnrichment, msg.payload?.website, searchProvider);
       
       // Create profile directory
       const profileDir = path.join(ctx.profilesDir, msg.run_id);
       await ensureDir(profileDir);
       
       // Write state.json
-      await this.writeState(profileDir, msg.run_id, mode, answers);
+      await this.writeState(profileDir, msg.run_id, mode, answers, {
+        brief: brief && { path: brief.path, notes: brief.notes, gaps },
+        drafts,
+        sender: senderId,
+        personaCount,
+        learnFrom,
+        customers,
+        searchProvider,
+        autoApprovePersonas
+      });
       
       // Write to scratchbook.log
       const logPath = path.join(profileDir, 'scratchbook.log');
       await appendLog(logPath, `INIT run ${msg.run_id} mode=${mode}`);
-      await appendLog(logPath, `USER_CONTEXT captured (7 answers)${useEnrichment ? ' with context-aware LLM enrichment' : ''}`);
+      await appendLog(logPath, `USER_CONTEXT captured (7 answers)${brief ? ` from brief ${brief.path}` : ''}${useEnrichment ? ' with context-aware LLM enrichment' : ''}`);
+      if (drafts) {
+        const kept = Object.values(drafts.drafts).filter(draft => !draft.edited).length;
+        await appendLog(logPath, `DRAFTS ${Object.keys(drafts.drafts).length} answer(s) drafted from ${drafts.url}, ${kept} kept as drafted`);
+      }
+      if (gaps.length > 0) {
+        await appendLog(logPath, `GAPS ${gaps.length} follow-up question(s) left open by the brief`);
+        console.log(`🕳️  ${gaps.length} follow-up question(s) the brief doesn't answer - saved as profile.gaps`);
+      }
       
       console.log(`✅ State saved to: ${profileDir}/state.json`);
       console.log(`📝 Log updated: ${profileDir}/scratchbook.log`);
@@ -89,16 +166,19 @@ export class IntakeNode {
       
     } catch (error) {
       console.error(`❌ Error in ${this.id}:`, error.message);
-      return null;
+      throw error;
     }
   }
 
   /**
    * Collect user input through CLI prompts with optional LLM enrichment
+   * With a website, answers drafted from it are offered as defaults to confirm or edit.
    * @param {boolean} useEnrichment - Whether to use LLM enrichment
-   * @returns {Promise<{mode: string, answers: Object}>}
+   * @param {string|null} [website] - our company URL to draft answers from
+   * @param {string|null} [searchProvider] - provider that reads the website; null for the default
+   * @returns {Promise<{mode: string, answers: Object, drafts: Object|null}>}
    */
-  async collectUserInput(useEnrichment = false) {
+  async collectUserInput(useEnrichment = false, website = null, searchProvider = null) {
     // Select mode
     const { mode } = await inquirer.prompt([
       {
@@ -113,7 +193,12 @@ export class IntakeNode {
     ]);
 
     console.log(`\n📋 Mode: ${mode.toUpperCase()}`);
-    console.log('Please answer the following questions:\n');
+    
+    const drafts = website ? await this.draftFromWebsite(website, mode, searchProvider) : null;
+    
+    console.log(drafts
+      ? 'Please confirm (Enter) or edit the drafted answers:\n'
+      : 'Please answer the following questions:\n');
 
     const questions = QUESTIONS[mode];
     const answers = {};
@@ -121,6 +206,10 @@ export class IntakeNode {
     // Collect answers for each question
     for (let i = 0; i < questions.length; i++) {
       const question = questions[i];
+      const draft = drafts?.drafts[question.key];
+      if (draft) {
+        console.log(`📎 Draft from ${draft.source_url || drafts.url}${draft.verified ? '' : ' (supporting sentence not found on the page)'}`);
+      }
       
       // Get initial answer
       const { answer } = await inquirer.prompt([
@@ -128,6 +217,7 @@ export class IntakeNode {
           type: 'input',
           name: 'answer',
           message: `Q${i + 1} ${question.prompt}`,
+          default: draft?.answer,
           validate: (input) => {
             try {
               validateAnswer(input);
@@ -181,22 +271,115 @@ export class IntakeNode {
       }
       
       // Store the answer (with enrichment data if available)
-      if (question.key === 'signals') {
-        // Handle signals separately (split comma-separated values)
-        const signalsArray = answer.split(',').map(s => s.trim()).slice(0, 2);
-        answers[question.key] = {
-          value: signalsArray,
-          enrichment: enrichedData
-        };
-      } else {
-        answers[question.key] = {
-          value: answer,
-          enrichment: enrichedData
+      answers[question.key] = this.storeAnswer(question.key, answer, enrichedData);
+      if (draft) {
+        draft.edited = answer.trim() !== draft.answer;
+      }
+    }
+
+    return { mode, answers, drafts };
+  }
+
+  /**
+   * Draft a mode's answers from our website; a failure falls back to typing them
+   * @param {string} website
+   * @param {string} mode
+   * @param {string|null} [searchProvider] - provider that reads the website; null for the default
+   * @returns {Promise<{url: string, pages: string[], drafts: Object<string, import('../website-drafter.js').Draft>}|null>}
+   */
+  async draftFromWebsite(website, mode, searchProvider = null) {
+    const drafter = new WebsiteDrafter(getSearchProvider(searchProvider));
+    if (!drafter.isConfigured()) {
+      console.log(`⚠️  The search provider or the LLM provider is not configured - answering without website drafts`);
+      return null;
+    }
+    try {
+      const result = await drafter.draftAnswers(website, mode === 'investor' ? 'investor' : 'sales');
+      if (mode === 'investor') {
+        const drafts = {};
+        for (const [key, draftKey] of Object.entries(INVESTOR_DRAFT_KEYS)) {
+          if (result.drafts[draftKey]) drafts[key] = result.drafts[draftKey];
+        }
+        result.drafts = drafts;
+      }
+      return result;
+    } catch (error) {
+      console.log(`⚠️  Could not draft answers from ${website}: ${error.message} - answering without drafts`);
+      return null;
+    }
+  }
+
+  /**
+   * Collect answers from a campaign brief instead of prompting
+   * Answers go through validateAnswer like typed ones. Follow-ups pre-answered in the
+   * brief are used as enrichment; otherwise, with enrichment on, the follow-up questions
+   * the LLM would have asked are returned as gaps.
+   * @param {import('../brief.js').CampaignBrief} brief
+   * @param {boolean} useEnrichment - Whether to use LLM enrichment
+   * @returns {Promise<{mode: string, answers: Object, gaps: Array<{key: string, question: string}>}>}
+   */
+  async collectFromBrief(brief, useEnrichment = false) {
+    const { mode } = brief;
+    const questions = QUESTIONS[mode];
+    const values = validateBriefAnswers(brief, questions);
+    
+    console.log(`\n📋 Mode: ${mode.toUpperCase()} (from brief)`);
+    
+    const answers = {};
+    const gaps = [];
+    
+    for (const question of questions) {
+      const answer = values[question.key];
+      const followUps = getBriefFollowUps(brief, question.key);
+      let enrichedData = null;
+      
+      if (followUps) {
+        enrichedData = {
+          original: answer,
+          enriched: followUps,
+          classification: { needsEnrichment: true, reasoning: 'Follow-ups answered in the brief' }
         };
+      } else if (useEnrichment) {
+        try {
+          // Nobody to ask: each follow-up question is recorded as a gap instead
+          enrichedData = await this.enricher.enrichAnswer(
+            question.prompt,
+            answer,
+            mode,
+            async (followUpQuestion) => {
+              gaps.push({ key: question.key, question: followUpQuestion });
+              return null;
+            },
+            answers
+          );
+        } catch (error) {
+          console.log(`⚠️  Enrichment error for ${question.key}: ${error.message}`);
+          enrichedData = {
+            original: answer,
+            enriched: [],
+            classification: { needsEnrichment: false, reasoning: 'Error during enrichment' }
+          };
+        }
       }
+      
+      answers[question.key] = this.storeAnswer(question.key, answer, enrichedData);
     }
+    
+    return { mode, answers, gaps };
+  }
 
-    return { mode, answers };
+  /**
+   * Shape one answer for state (signals are split into a list of two)
+   * @param {string} key
+   * @param {string} answer
+   * @param {Object|null} enrichment
+   * @returns {{value: string|string[], enrichment: Object|null}}
+   */
+  storeAnswer(key, answer, enrichment) {
+    const value = key === 'signals'
+      ? answer.split(',').map(s => s.trim()).slice(0, 2)
+      : answer;
+    return { value, enrichment };
   }
 
   /**
@@ -205,8 +388,17 @@ export class IntakeNode {
    * @param {string} runId 
    * @param {string} mode 
    * @param {Object} answers 
+   * @param {Object} [extras]
+   * @param {{path: string, notes: string, gaps: Array}|null} [extras.brief] - brief the answers came from
+   * @param {{url: string, pages: string[], drafts: Object}|null} [extras.drafts] - website drafts offered at intake
+   * @param {string|null} [extras.sender] - sender profile id picked for the campaign
+   * @param {number|null} [extras.personaCount] - personas to generate, instead of the plan's count
+   * @param {string|null} [extras.learnFrom] - run id whose outcomes the personas learn from
+   * @param {import('../customers.js').CustomerList|null} [extras.customers] - closed-won customers for lookalike personas
+   * @param {string|null} [extras.searchProvider] - search provider name (config/search.json)
+   * @param {boolean} [extras.autoApprovePersonas] - approve personas as generated when there is no terminal
    */
-  async writeState(profileDir, runId, mode, answers) {
+  async writeState(profileDir, runId, mode, answers, { brief = null, drafts = null, sender = null, personaCount = null, learnFrom = null, customers = null, searchProvider = null, autoApprovePersonas = false } = {}) {
     // Transform answers to maintain backward compatibility while adding enrichment data
     const basicAnswers = {};
     const enrichmentData = {};
@@ -224,7 +416,18 @@ export class IntakeNode {
       profile: {
         answers: basicAnswers,
         enrichment: enrichmentData, // New field for enrichment data
-        value_prop: "" // empty in Phase 1
+        value_prop: "", // written by PlanNode
+        sender, // sender profile id (config/senders.json); null for the default
+        persona_count: personaCount, // null: plan.caps.max_personas
+        learn_from: learnFrom, // earlier run whose outcomes PersonaNode learns from
+        search_provider: searchProvider, // config/search.json provider; null for the default
+        auto_approve_personas: autoApprovePersonas, // PersonaReviewNode approves as generated without a terminal
+        ...(customers && { customers: { source: customers.source, imported_at: customers.imported_at, records: customers.records } }),
+        ...(brief && {
+          brief: { path: brief.path, notes: brief.notes },
+          gaps: brief.gaps
+        }),
+        ...(drafts && { website_drafts: drafts })
       },
       personas: [],
       leads: [],
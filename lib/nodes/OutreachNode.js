@@ -2,7 +2,15 @@ import path from 'path';
 import fs from 'fs';
 import { EventTypes, NodeIds } from '../types.js';
 import { readJson, writeJson, appendLog, getCurrentTimestamp } from '../utils.js';
-import OpenAI from 'openai';
+import { WorkPool, getProviderConcurrency } from '../work-pool.js';
+import { withRetry, getRetryPolicy } from '../retry.js';
+import { getPlanCaps } from '../plan.js';
+import { LLMClient } from '../llm-client.js';
+import { withRunContext } from '../run-context.js';
+import { fitToBudget } from '../usage.js';
+import { assertCircuitsClosed, CircuitOpenError } from '../rate-limiter.js';
+import { getSenderProfile, describeSender, callToAction } from '../sender-profiles.js';
+import { recordSuppression } from '../suppression.js';
 
 /**
  * OutreachNode generates personalized outreach messages based on competitive intelligence
@@ -14,9 +22,7 @@ export class OutreachNode {
     this.handles = EventTypes.ENRICH_READY;
     
     // Initialize OpenAI client
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.llm = new LLMClient(this.id);
   }
 
   /**
@@ -24,20 +30,21 @@ export class OutreachNode {
    * @param {Object} lead - Lead information
    * @param {Object} competitiveIntel - Competitive intelligence data
    * @param {Object} productInfo - Product information from state
-   * @param {Object} userInfo - User information from state
+   * @param {import('../sender-profiles.js').SenderProfile} sender - who the message is from
    * @returns {Promise<string>} Generated message
    */
-  async generateLinkedInConnectionMessage(lead, competitiveIntel, productInfo, userInfo) {
+  async generateLinkedInConnectionMessage(lead, competitiveIntel, productInfo, sender) {
     // Extract the most relevant competitive intelligence for connection request
     const currentProjects = competitiveIntel.current_projects || [];
     const recentDevelopments = competitiveIntel.recent_developments || [];
     const strategicPriorities = competitiveIntel.strategic_priorities || [];
-    const outreachAngles = competitiveIntel.outreach_angles || [];
     
-    // Pick the most specific and recent intelligence
-    const keyInsight = currentProjects[0] || recentDevelopments[0] || strategicPriorities[0] || competitiveIntel.summary || '';
+    // Pick the most specific and recent intelligence - verified claims only, never the model's summary
+    const keyInsight = currentProjects[0] || recentDevelopments[0] || strategicPriorities[0] || '';
     
-    const prompt = `You are Mohamad from legml.ai reaching out on LinkedIn. Generate a personalized connection request under 250 characters.
+    const prompt = `You are ${sender.name} from ${sender.company} reaching out on LinkedIn. Generate a personalized connection request under 250 characters.
+
+${describeSender(sender)}
 
 LEAD INFO:
 - Name: ${lead.name}
@@ -45,12 +52,11 @@ LEAD INFO:
 - Company: ${lead.company}
 
 MOST RELEVANT COMPETITIVE INTELLIGENCE:
-${keyInsight}
+${keyInsight || 'None found'}
 
 ADDITIONAL CONTEXT:
 - Recent developments: ${recentDevelopments.slice(0, 2).join('; ') || 'None found'}
 - Strategic priorities: ${strategicPriorities.slice(0, 2).join('; ') || 'None found'}
-- Outreach angles: ${outreachAngles.slice(0, 2).join('; ') || 'None found'}
 
 PRODUCT CONTEXT:
 - Product: ${productInfo.product} - ${productInfo.pain}
@@ -61,8 +67,8 @@ PRODUCT CONTEXT:
 Generate a LinkedIn connection request that:
 1. Is under 250 characters including spaces
 2. References the SPECIFIC competitive intelligence above
-3. Mentions your relevant on-premise LLM solution naturally
-4. Sounds conversational and professional
+3. Mentions your product naturally
+4. Sounds conversational and professional, in your tone
 5. Creates genuine curiosity based on their actual situation
 
 Be specific about their current work/projects, not generic. Use the intelligence to show you've done your research.
@@ -70,12 +76,15 @@ Be specific about their current work/projects, not generic. Use the intelligence
 Return only the message text, no quotes or extra formatting.`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.7,
-        max_tokens: 100
-      });
+      const response = await withRetry(
+        () => this.llm.complete('generateLinkedInConnectionMessage', {
+          messages: [{ role: "user", content: prompt }],
+          temperature: 0.7,
+          max_tokens: 100
+        }),
+        getRetryPolicy(this.id),
+        { label: `Connection request for ${lead.name}` }
+      );
 
       const message = response.choices[0].message.content.trim();
       
@@ -87,8 +96,10 @@ Return only the message text, no quotes or extra formatting.`;
       
       return message;
     } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
       console.error(`Error generating LinkedIn connection message for ${lead.name}:`, error);
-      return `Hi ${lead.name}, I noticed your work at ${lead.company} on ${keyInsight.substring(0, 100)}. We help ${lead.title}s with on-premise AI that achieves 75% accuracy on French business law. Connect to discuss?`;
+      const noticed = keyInsight ? `your work at ${lead.company} on ${keyInsight.substring(0, 100)}` : `your role at ${lead.company}`;
+      return `Hi ${lead.name}, I noticed ${noticed}. At ${sender.company} we help ${lead.title}s with ${productInfo.product}. Connect to discuss?`;
     }
   }
 
@@ -97,11 +108,13 @@ Return only the message text, no quotes or extra formatting.`;
    * @param {Object} lead - Lead information  
    * @param {Object} competitiveIntel - Competitive intelligence data
    * @param {Object} productInfo - Product information from state
-   * @param {Object} userInfo - User information from state
+   * @param {import('../sender-profiles.js').SenderProfile} sender - who the message is from
    * @returns {Promise<string>} Generated message
    */
-  async generateLinkedInFollowUpMessage(lead, competitiveIntel, productInfo, userInfo) {
-    const prompt = `You are Mohamad from legml.ai following up after connecting on LinkedIn. Generate a personalized follow-up message.
+  async generateLinkedInFollowUpMessage(lead, competitiveIntel, productInfo, sender) {
+    const prompt = `You are ${sender.name} from ${sender.company} following up after connecting on LinkedIn. Generate a personalized follow-up message.
+
+${describeSender(sender)}
 
 LEAD INFO:
 - Name: ${lead.name}
@@ -114,44 +127,46 @@ DETAILED COMPETITIVE INTELLIGENCE:
 - Strategic Priorities: ${competitiveIntel.strategic_priorities?.join('; ') || 'None found'}
 - Company Context: ${competitiveIntel.company_context?.join('; ') || 'None found'}
 - Competitive Intelligence: ${competitiveIntel.competitive_intelligence?.join('; ') || 'None found'}
-- Outreach Angles: ${competitiveIntel.outreach_angles?.join('; ') || 'None found'}
 - Recent Quotes: ${competitiveIntel.recent_quotes_or_statements?.join('; ') || 'None found'}
-- Summary: ${competitiveIntel.summary || 'None found'}
 
 PRODUCT CONTEXT:
 - Product: ${productInfo.product} - ${productInfo.pain}
 - Target: ${productInfo.target}
 - Proof: ${productInfo.proof}
-- Value Proposition: ${productInfo.pain}
+- Value Proposition: ${productInfo.value_prop || productInfo.pain}
 - Constraints: ${productInfo.constraints}
 
 Generate a LinkedIn follow-up message that:
 1. Thanks them for connecting
 2. References 2-3 SPECIFIC details from their competitive intelligence above
-3. Clearly explains how your on-premise LLM solution addresses their specific challenges
-4. Includes the 75% French business law performance metric naturally
-5. Suggests a concrete next step with this Calendly link: https://calendly.com/mohamed-legml/30min
+3. Clearly explains how your product addresses their specific challenges
+4. Includes one of your proof points naturally
+5. Suggests a concrete next step (${productInfo.cta || 'a short call'})${sender.booking_link ? ` with this booking link: ${sender.booking_link}` : ''}
 6. Sounds conversational, not salesy
 7. Shows deep understanding of their current situation and challenges
 
 Be very specific about their work - mention actual projects, recent developments, or strategic priorities. Don't be generic.
-
-Include the Calendly link naturally in the call-to-action, making it easy for them to book a meeting.
-
+${sender.booking_link ? `
+Include the booking link naturally in the call-to-action, making it easy for them to book a meeting.
+` : ''}
 Return only the message text, no quotes or formatting.`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.7,
-        max_tokens: 400
-      });
+      const response = await withRetry(
+        () => this.llm.complete('generateLinkedInFollowUpMessage', {
+          messages: [{ role: "user", content: prompt }],
+          temperature: 0.7,
+          max_tokens: 400
+        }),
+        getRetryPolicy(this.id),
+        { label: `LinkedIn follow-up for ${lead.name}` }
+      );
 
       return response.choices[0].message.content.trim();
     } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
       console.error(`Error generating LinkedIn follow-up message for ${lead.name}:`, error);
-      return `Thanks for connecting, ${lead.name}! I noticed your work on ${competitiveIntel.current_projects?.[0] || 'regulatory initiatives'} at ${lead.company}. At legml.ai, we help ${lead.title}s deploy secure, on-premise LLMs that achieve 75% accuracy on French business law. Would you be open to a brief call? You can book a time that works for you here: https://calendly.com/mohamed-legml/30min`;
+      return `Thanks for connecting, ${lead.name}! I noticed your work on ${competitiveIntel.current_projects?.[0] || 'your current initiatives'} at ${lead.company}. At ${sender.company}, we help ${lead.title}s with ${productInfo.product}${sender.proof_points[0] ? ` (${sender.proof_points[0]})` : ''}. ${callToAction(sender)}`;
     }
   }
 
@@ -160,11 +175,13 @@ Return only the message text, no quotes or formatting.`;
    * @param {Object} lead - Lead information
    * @param {Object} competitiveIntel - Competitive intelligence data  
    * @param {Object} productInfo - Product information from state
-   * @param {Object} userInfo - User information from state
+   * @param {import('../sender-profiles.js').SenderProfile} sender - who the message is from
    * @returns {Promise<string>} Generated message with subject
    */
-  async generateEmailMessage(lead, competitiveIntel, productInfo, userInfo) {
-    const prompt = `You are Mohamad from legml.ai writing a casual, light cold email. Use the provided example style - conversational, direct, and friendly.
+  async generateEmailMessage(lead, competitiveIntel, productInfo, sender) {
+    const prompt = `You are ${sender.name} from ${sender.company} writing a light cold email. Use the provided example style, in your tone: ${sender.tone}.
+
+${describeSender(sender)}
 
 LEAD INFO:
 - Name: ${lead.name}
@@ -175,20 +192,20 @@ KEY COMPETITIVE INTELLIGENCE (use 1-2 most relevant points):
 - Current Projects: ${competitiveIntel.current_projects?.join('; ') || 'None found'}
 - Recent Developments: ${competitiveIntel.recent_developments?.join('; ') || 'None found'}
 - Strategic Priorities: ${competitiveIntel.strategic_priorities?.join('; ') || 'None found'}
-- Summary: ${competitiveIntel.summary || 'None found'}
 
 PRODUCT INFO:
-- Product: ${productInfo.product} (on-premise LLM for ${productInfo.target})
-- Key benefit: ${productInfo.pain} - 75% accuracy on French business law
+- Product: ${productInfo.product}
+- Key benefit: ${productInfo.pain}
+- Proof: ${productInfo.proof}
 - Target: ${productInfo.target}
 
-Write a light, casual email that:
+Write a light email that:
 1. Starts with "Hey [Name]," 
 2. Mentions ONE specific thing about their work/company (from competitive intelligence)
 3. Makes a casual assumption or observation about their challenges
 4. Presents your solution in 1-2 simple sentences
-5. Mentions the 75% French business law accuracy briefly
-6. Ends with a simple call-to-action using the Calendly link
+5. Mentions one proof point briefly
+6. Ends with a simple call-to-action${sender.booking_link ? ' using the booking link' : ' asking for a reply'}
 7. Keeps it SHORT - max 6-7 lines of body text
 8. Uses casual language like "I'm guessing", "This might help", etc.
 9. No formal business jargon
@@ -199,43 +216,55 @@ Great to see [something specific about their work].
 With [their situation], I'm guessing [challenge assumption].
 We've built [solution] - [key benefit].
 [Brief proof point].
-Want to chat? Book a quick call: https://calendly.com/mohamed-legml/30min
+${sender.booking_link ? `Want to chat? Book a quick call: ${sender.booking_link}` : 'Want to chat? Just reply to this email.'}
 
 Regards,
-Mohamad
-legml.ai"
+${sender.signature}"
 
 Keep the subject line casual and specific. Return the complete email.`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.7,
-        max_tokens: 300
-      });
+      const response = await withRetry(
+        () => this.llm.complete('generateEmailMessage', {
+          messages: [{ role: "user", content: prompt }],
+          temperature: 0.7,
+          max_tokens: 300
+        }),
+        getRetryPolicy(this.id),
+        { label: `Email for ${lead.name}` }
+      );
 
       return response.choices[0].message.content.trim();
     } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
       console.error(`Error generating email message for ${lead.name}:`, error);
-      return `Subject: Quick thought on ${lead.company}'s compliance challenges
+      return `Subject: Quick thought for ${lead.company}
 
 Hey ${lead.name},
 
 Great to see your work at ${lead.company}.
 
-With ${lead.title} responsibilities, I'm guessing regulatory compliance keeps you busy.
+With ${lead.title} responsibilities, I'm guessing ${productInfo.pain ? `this sounds familiar: ${productInfo.pain}` : 'your plate is full'}.
 
-We've built an on-premise LLM that hits 75% accuracy on French business law - no data privacy concerns.
+We've built ${productInfo.product}${sender.proof_points[0] ? ` - ${sender.proof_points[0]}` : ''}.
 
-Want to chat? Book a quick call: https://calendly.com/mohamed-legml/30min
+${callToAction(sender)}
 
 Regards,
-Mohamad
-legml.ai`;
+${sender.signature}`;
     }
   }
 
+  /**
+   * Source URLs of the verified intelligence claims, so reps can check what they cite
+   * @param {Object} competitiveIntel - Competitive intelligence data
+   * @returns {string[]} Unique URLs
+   */
+  getCitedSources(competitiveIntel) {
+    const citations = Object.values(competitiveIntel.citations || {}).flat();
+    return [...new Set(citations.map(citation => citation.source_url).filter(Boolean))];
+  }
+
   /**
    * Escape text for CSV format
    * @param {string} text - Text to escape
@@ -254,10 +283,11 @@ legml.ai`;
    * Generate CSV content with all outreach messages
    * @param {Array} enrichedLeads - Leads with competitive intelligence
    * @param {Object} productInfo - Product information
-   * @param {Object} userInfo - User information
+   * @param {import('../sender-profiles.js').SenderProfile} sender - who the messages are from
+   * @param {number} [messagesPerDay] - plan.caps.messages_per_day, used to give each lead a send day
    * @returns {Promise<string>} CSV content
    */
-  async generateCSVContent(enrichedLeads, productInfo, userInfo) {
+  async generateCSVContent(enrichedLeads, productInfo, sender, messagesPerDay = 20) {
     console.log('🤖 Generating personalized outreach messages...');
     
     const headers = [
@@ -273,27 +303,30 @@ legml.ai`;
       'Current_Projects',
       'Recent_Developments',
       'Strategic_Priorities',
-      'Outreach_Angles',
       'Company_Context',
       'Competitive_Intelligence',
       'Intelligence_Quality',
-      'Analysis_Summary'
+      'Intel_Sources',
+      'Send_Day'
     ];
 
     const csvRows = [headers.join(',')];
 
-    for (let i = 0; i < enrichedLeads.length; i++) {
-      const lead = enrichedLeads[i];
+    // Leads are processed in parallel; rows come back in lead order
+    const pool = new WorkPool(getProviderConcurrency('openai'), 'outreach');
+    
+    const rows = await pool.map(enrichedLeads, async (lead, i) => {
       const competitiveIntel = lead.personality_analysis || {};
+      const sendDay = Math.floor(i / messagesPerDay) + 1;
       
       console.log(`📝 Processing ${lead.name} (${i + 1}/${enrichedLeads.length})`);
       
-      // Generate all three types of messages in parallel
-      const [linkedinConnection, linkedinFollowUp, emailMessage] = await Promise.all([
-        this.generateLinkedInConnectionMessage(lead, competitiveIntel, productInfo, userInfo),
-        this.generateLinkedInFollowUpMessage(lead, competitiveIntel, productInfo, userInfo),
-        this.generateEmailMessage(lead, competitiveIntel, productInfo, userInfo)
-      ]);
+      // Generate all three types of messages in parallel (usage is counted against the lead)
+      const [linkedinConnection, linkedinFollowUp, emailMessage] = await withRunContext({ leadId: lead.id }, () => Promise.all([
+        this.generateLinkedInConnectionMessage(lead, competitiveIntel, productInfo, sender),
+        this.generateLinkedInFollowUpMessage(lead, competitiveIntel, productInfo, sender),
+        this.generateEmailMessage(lead, competitiveIntel, productInfo, sender)
+      ]));
 
       const row = [
         this.escapeCSV(lead.name),
@@ -308,28 +341,32 @@ legml.ai`;
         this.escapeCSV(competitiveIntel.current_projects?.join('; ') || ''),
         this.escapeCSV(competitiveIntel.recent_developments?.join('; ') || ''),
         this.escapeCSV(competitiveIntel.strategic_priorities?.join('; ') || ''),
-        this.escapeCSV(competitiveIntel.outreach_angles?.join('; ') || ''),
         this.escapeCSV(competitiveIntel.company_context?.join('; ') || ''),
         this.escapeCSV(competitiveIntel.competitive_intelligence?.join('; ') || ''),
         this.escapeCSV(competitiveIntel.intelligence_quality || ''),
-        this.escapeCSV(competitiveIntel.summary || '')
+        this.escapeCSV(this.getCitedSources(competitiveIntel).join(' ')),
+        sendDay
       ];
 
-      csvRows.push(row.join(','));
-      
       // Store messages in lead object for state.json
       lead.outreach_messages = {
         linkedin_connection: linkedinConnection,
         linkedin_followup: linkedinFollowUp,
         email: emailMessage,
+        send_day: sendDay,
+        sender: sender.id,
         generated_at: getCurrentTimestamp(),
         generated_by: 'OutreachNode'
       };
 
-      // Small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
+      return row.join(',');
+    }, {
+      onProgress: (completed, total, row, index) => {
+        console.log(`✅ Messages ready for ${enrichedLeads[index].name} (${completed}/${total})`);
+      }
+    });
 
+    csvRows.push(...rows);
     return csvRows.join('\n');
   }
 
@@ -356,8 +393,10 @@ legml.ai`;
    * @param {Array} enrichedLeads - Leads with outreach messages
    * @param {string} csvPath - Path to CSV file
    * @param {string} profilesDir - Profiles directory path
+   * @param {number} [messagesPerDay] - plan.caps.messages_per_day
+   * @param {Array<string>} [skippedForBudget] - ids of leads left without messages by the budget
    */
-  async updateState(runId, enrichedLeads, csvPath, profilesDir) {
+  async updateState(runId, enrichedLeads, csvPath, profilesDir, messagesPerDay = 20, skippedForBudget = []) {
     const statePath = path.join(profilesDir, runId, 'state.json');
     const state = await readJson(statePath);
 
@@ -365,13 +404,17 @@ legml.ai`;
     state.leads = enrichedLeads;
 
     // Add outreach metadata
+    const messagedCount = enrichedLeads.filter(l => l.outreach_messages).length;
     state.outreach_metadata = {
       total_leads_processed: enrichedLeads.length,
-      outreach_messages_generated: enrichedLeads.filter(l => l.outreach_messages).length,
+      outreach_messages_generated: messagedCount,
       csv_export_path: csvPath,
       outreach_completed_at: getCurrentTimestamp(),
       outreach_method: 'competitive_intelligence_based',
-      message_types: ['linkedin_connection', 'linkedin_followup', 'email']
+      message_types: ['linkedin_connection', 'linkedin_followup', 'email'],
+      messages_per_day: messagesPerDay,
+      send_days: Math.ceil(messagedCount / messagesPerDay),
+      skipped_for_budget: skippedForBudget
     };
 
     await writeJson(statePath, state);
@@ -386,17 +429,20 @@ legml.ai`;
    */
   async run(message, ctx) {
     const { run_id, payload } = message;
-    const leads = payload.leads || [];
-    
+
+    // Load state to get product and sender information
+    const statePath = path.join(ctx.profilesDir, run_id, 'state.json');
+    const state = await readJson(statePath);
+
+    // Leads come from EnrichNode; when dispatched directly (resume/dev mode) use the saved ones.
+    // The suppression list is checked once more right before messages are written.
+    const leads = await recordSuppression(ctx.profilesDir, run_id, payload.leads || state?.leads || [],
+      { kind: 'lead', node: this.id });
+
     console.log(`🎯 OutreachNode: Processing ${leads.length} leads for outreach generation`);
     
-    // Filter leads that have competitive intelligence
-    const enrichedLeads = leads.filter(lead => 
-      lead.personality_analysis && 
-      lead.personality_analysis.summary && 
-      lead.personality_analysis.summary !== "No specific information was found" &&
-      lead.personality_analysis.summary !== "No specific, recent, or actionable information about"
-    );
+    // Filter leads whose competitive intelligence was extracted (failed analyses carry an error)
+    const enrichedLeads = leads.filter(lead => lead.personality_analysis && !lead.personality_analysis.error);
     
     console.log(`✨ Found ${enrichedLeads.length} leads with competitive intelligence`);
     
@@ -405,28 +451,33 @@ legml.ai`;
       return null;
     }
 
-    // Load state to get product and user information
-    const statePath = path.join(ctx.profilesDir, run_id, 'state.json');
-    const state = await readJson(statePath);
-    
-    const productInfo = state.profile?.answers || {};
-    const userInfo = {
-      name: 'Mohamad',
-      company: 'legml.ai',
-      email: 'mohamad@legml.ai'
-    };
+    const productInfo = { ...state.profile?.answers, value_prop: state.profile?.value_prop };
+    const { messages_per_day: messagesPerDay } = getPlanCaps(state);
+    const sender = getSenderProfile(state.profile?.sender);
+    console.log(`✍️  Writing as ${sender.name} (${sender.company}) - sender profile "${sender.id}"`);
+
+    // Near the campaign budget, the lowest-confidence leads get no messages
+    const budget = fitToBudget(run_id, this.id,
+      [...enrichedLeads].sort((a, b) => (b.confidence_score || 0) - (a.confidence_score || 0)));
+    if (budget.skipped.length > 0) {
+      console.log(`💸 Budget: skipping outreach for ${budget.skipped.length} lowest-confidence leads`);
+    }
+    const leadsToMessage = enrichedLeads.filter(lead => budget.kept.includes(lead));
 
     // Generate CSV content with personalized messages
-    const csvContent = await this.generateCSVContent(enrichedLeads, productInfo, userInfo);
+    const csvContent = await this.generateCSVContent(leadsToMessage, productInfo, sender, messagesPerDay);
     
-    // Save CSV file
+    // Save CSV file (unless the LLM stopped answering halfway)
+    assertCircuitsClosed();
     const csvPath = this.saveCSVFile(run_id, csvContent, ctx.profilesDir);
     
     // Update state.json with outreach messages and metadata
-    await this.updateState(run_id, enrichedLeads, csvPath, ctx.profilesDir);
+    await this.updateState(run_id, enrichedLeads, csvPath, ctx.profilesDir, messagesPerDay,
+      budget.skipped.map(lead => lead.id));
     
     console.log(`✅ OutreachNode completed:`);
-    console.log(`   • Generated personalized messages for ${enrichedLeads.length} leads`);
+    console.log(`   • Generated personalized messages for ${leadsToMessage.length} leads`);
+    console.log(`   • Scheduled over ${Math.ceil(leadsToMessage.length / messagesPerDay)} day(s) at ${messagesPerDay} messages/day`);
     console.log(`   • CSV exported to: ${csvPath}`);
     console.log(`   • State updated with outreach data`);
     
@@ -437,7 +488,7 @@ legml.ai`;
       from: this.id,
       to: 'COMPLETE',
       payload: {
-        leads_count: enrichedLeads.length,
+        leads_count: leadsToMessage.length,
         csv_path: csvPath,
         outreach_complete: true,
         leads: enrichedLeads
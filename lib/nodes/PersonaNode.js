@@ -2,10 +2,20 @@ import path from 'path';
 import { EventTypes, NodeIds } from '../types.js';
 import { readJson, writeJson, appendLog, getCurrentTimestamp } from '../utils.js';
 import { LLMEnricher } from '../llm-enricher.js';
+import { getPlanCaps, getPlanRules } from '../plan.js';
+import { PERSONAS_SCHEMA } from '../schemas.js';
+import { PersonaStatus, replacePersona } from '../persona-review.js';
+import { computeConversion, reweightPersonas, describeConversion, MIN_CONTACTED_TO_REGENERATE } from '../outcomes.js';
+import { getCustomers, describeCustomers, linkCustomers, clusterCustomers, describeSupport } from '../customers.js';
 
 /**
- * PersonaNode generates 5 target personas based on user profile
- * Uses GPT-4o to create detailed, actionable personas for outreach
+ * PersonaNode generates target personas based on user profile (count capped by the campaign plan)
+ * Uses GPT-4o to create detailed, actionable personas for outreach.
+ * Personas are saved pending review; PersonaReviewNode approves them before search.
+ * With profile.learn_from set, they lean toward the personas and outreach angles that converted
+ * in that earlier campaign (lib/outcomes.js), and carried-over personas are reweighted by conversion.
+ * With closed-won customers imported (profile.customers, lib/customers.js), personas are lookalike
+ * clusters of those customers and cite them in customer_ids.
  */
 export class PersonaNode {
   constructor() {
@@ -15,7 +25,7 @@ export class PersonaNode {
   }
 
   /**
-   * Generate 5 personas based on user profile
+   * Generate personas based on user profile
    * @param {Message} msg 
    * @param {Context} ctx 
    * @returns {Promise<Message|null>}
@@ -36,10 +46,17 @@ export class PersonaNode {
       console.log(`📋 Loaded profile: ${state.mode} mode`);
       console.log(`📝 Available context: ${Object.keys(state.profile.answers).length} answers`);
       
+      // Outcomes of an earlier campaign to learn from
+      const learning = await this.loadLearning(state, ctx.profilesDir);
+      
       // Check if LLM is available
       if (!this.enricher.isConfigured()) {
-        console.log('⚠️  No OpenAI API key - using fallback personas');
-        const fallbackPersonas = this.generateFallbackPersonas(state);
+        const fallbackPersonas = this.generateOfflinePersonas(state, learning).slice(0, getPlanCaps(state).max_personas);
+        const source = learning ? `reusing the personas of ${learning.from}`
+          : getCustomers(state).length > 0 ? 'clustering the imported customers' : 'using fallback personas';
+        console.log(`⚠️  No OpenAI API key - ${source}`);
+        this.applyLearning(state, fallbackPersonas, learning);
+        this.logSupport(state, fallbackPersonas);
         await this.savePersonas(state, fallbackPersonas, profileDir);
         
         console.log(`📁 Personas saved to state.json`);
@@ -50,7 +67,7 @@ export class PersonaNode {
       
       // Generate personas using GPT-4o
       console.log('🤖 Generating personas with GPT-4o...');
-      const personas = await this.generatePersonasWithLLM(state);
+      const personas = await this.generatePersonasWithLLM(state, learning);
       
       if (personas.length === 0) {
         throw new Error('Failed to generate personas');
@@ -59,11 +76,13 @@ export class PersonaNode {
       console.log(`✅ Generated ${personas.length} personas`);
       
       // Save personas to state
+      this.applyLearning(state, personas, learning);
+      this.logSupport(state, personas);
       await this.savePersonas(state, personas, profileDir);
       
       // Log activity
       const logPath = path.join(profileDir, 'scratchbook.log');
-      await appendLog(logPath, `PERSONAS generated: ${personas.length} target personas created`);
+      await appendLog(logPath, `PERSONAS generated: ${personas.length} target personas created${learning ? ` (learning from ${learning.from})` : ''}`);
       
       console.log(`📁 Personas saved to state.json`);
       
@@ -73,44 +92,38 @@ export class PersonaNode {
       
     } catch (error) {
       console.error(`❌ Error in ${this.id}:`, error.message);
-      return null;
+      throw error;
     }
   }
 
   /**
    * Generate personas using GPT-4o
    * @param {Object} state - Current state with profile data
-   * @returns {Promise<Array>} Array of 5 personas
+   * @param {Object|null} [learning] - loadLearning result: past results the personas should lean toward
+   * @returns {Promise<Array>} Array of plan.caps.max_personas personas
    */
-  async generatePersonasWithLLM(state) {
-    const profile = state.profile;
+  async generatePersonasWithLLM(state, learning = null) {
     const mode = state.mode;
-    
-    // Build comprehensive context from profile + enrichment
-    let contextInfo = `MODE: ${mode}\n\nORIGINAL ANSWERS:\n`;
-    for (const [key, value] of Object.entries(profile.answers)) {
-      contextInfo += `${key}: ${Array.isArray(value) ? value.join(', ') : value}\n`;
-    }
-    
-    // Add enrichment data if available
-    if (profile.enrichment && Object.keys(profile.enrichment).length > 0) {
-      contextInfo += `\nENRICHMENT DATA:\n`;
-      for (const [key, enrichment] of Object.entries(profile.enrichment)) {
-        if (enrichment && enrichment.enriched && enrichment.enriched.length > 0) {
-          contextInfo += `${key} follow-ups:\n`;
-          enrichment.enriched.forEach(item => {
-            contextInfo += `  Q: ${item.question}\n  A: ${item.answer}\n`;
-          });
-        }
-      }
-    }
+    const count = getPlanCaps(state).max_personas;
+    const contextInfo = this.buildContext(state);
+    const pastResults = learning ? `
+PAST CAMPAIGN RESULTS (${learning.from}):
+${describeConversion(learning.conversion)}
+
+PREVIOUS PERSONAS:
+${learning.personas.map(persona => `- ${persona.name}: ${persona.title} (${persona.company}) - angle: ${persona.outreach_angle}`).join('\n') || '(none)'}
+
+Lean toward what converted: keep and sharpen the personas and outreach angles with the best results,
+rework or drop the ones without positive replies, and try new angles close to the ones that worked.
+Keep the exact name of a previous persona you keep or refine, so its results carry over; give new personas new names.
+` : '';
 
-    const prompt = `You are creating 5 distinct target personas for ${mode} outreach based on the user's profile.
+    const prompt = `You are creating ${count} distinct target personas for ${mode} outreach based on the user's profile.
 
 USER PROFILE:
 ${contextInfo}
-
-Generate exactly 5 personas that represent different segments of the target market. Each persona should be:
+${pastResults}${this.buildLookalikeInstructions(state)}
+Generate exactly ${count} persona${count === 1 ? '' : 's'} that represent different segments of the target market. Each persona should be:
 
 For SALES mode:
 - Different company types/sizes within the target market
@@ -151,41 +164,274 @@ Respond with ONLY a JSON object:
       "search_query": "VP Engineering Series B SaaS startup code review security",
       "outreach_angle": "Focus on team productivity metrics and scaling challenges"
     }
-    // ... 4 more personas
+    // ... ${count - 1} more personas
   ]
 }`;
 
     try {
-      const response = await this.enricher.openai.chat.completions.create({
-        model: "gpt-4o",
+      const result = await this.enricher.llm.completeJSON('generatePersonasWithLLM', PERSONAS_SCHEMA, {
         messages: [{ role: "user", content: prompt }],
         temperature: 0.3,
         max_tokens: 2000
       });
-
-      const result = this.enricher.cleanAndParseJSON(response.choices[0].message.content);
-      
-      if (!result.personas || !Array.isArray(result.personas) || result.personas.length !== 5) {
-        throw new Error('Invalid personas response - expected array of 5 personas');
-      }
-      
-      // Validate persona structure
-      for (const persona of result.personas) {
-        const required = ['name', 'title', 'company', 'profile', 'pain_points', 'motivations', 'search_query', 'outreach_angle'];
-        for (const field of required) {
-          if (!persona[field]) {
-            throw new Error(`Missing required field: ${field}`);
-          }
-        }
-      }
       
-      return result.personas;
+      const personas = result.personas.slice(0, count);
+      linkCustomers(personas, getCustomers(state));
+      return personas;
       
     } catch (error) {
       console.error('❌ LLM Persona generation error:', error.message);
       // Fallback to basic personas
-      return this.generateFallbackPersonas(state);
+      return this.generateOfflinePersonas(state, learning).slice(0, count);
+    }
+  }
+
+  /**
+   * Profile context for persona prompts: answers, enrichment, value proposition and rules
+   * @param {Object} state
+   * @returns {string}
+   */
+  buildContext(state) {
+    const profile = state.profile;
+    const mode = state.mode;
+
+    // Build comprehensive context from profile + enrichment
+    let contextInfo = `MODE: ${mode}\n\nORIGINAL ANSWERS:\n`;
+    for (const [key, value] of Object.entries(profile.answers)) {
+      contextInfo += `${key}: ${Array.isArray(value) ? value.join(', ') : value}\n`;
+    }
+    
+    // Add enrichment data if available
+    if (profile.enrichment && Object.keys(profile.enrichment).length > 0) {
+      contextInfo += `\nENRICHMENT DATA:\n`;
+      for (const [key, enrichment] of Object.entries(profile.enrichment)) {
+        if (enrichment && enrichment.enriched && enrichment.enriched.length > 0) {
+          contextInfo += `${key} follow-ups:\n`;
+          enrichment.enriched.forEach(item => {
+            contextInfo += `  Q: ${item.question}\n  A: ${item.answer}\n`;
+          });
+        }
+      }
+    }
+
+    // Campaign plan: value proposition and constraint rules
+    if (profile.value_prop) {
+      contextInfo += `\nVALUE PROPOSITION:\n${profile.value_prop}\n`;
+    }
+    const rules = getPlanRules(state);
+    if (rules.length > 0) {
+      contextInfo += `\nCAMPAIGN RULES (personas must respect these):\n`;
+      rules.forEach(rule => {
+        contextInfo += `- ${rule.type}: ${rule.value}\n`;
+      });
+    }
+
+    // Closed-won customers to build lookalike personas from
+    const customers = getCustomers(state);
+    if (customers.length > 0) {
+      contextInfo += `\nCLOSED-WON CUSTOMERS (id | contact title | company | industry | size | deal notes):\n${describeCustomers(customers)}\n`;
+    }
+
+    return contextInfo;
+  }
+
+  /**
+   * Prompt section asking for personas clustered from the imported customers
+   * @param {Object} state
+   * @returns {string} empty without customers
+   */
+  buildLookalikeInstructions(state) {
+    if (getCustomers(state).length === 0) return '';
+    return `
+LOOKALIKE PERSONAS:
+Build each persona as a cluster of the closed-won customers above (similar contact role, industry and size).
+Take its title from the cluster's contact titles, its company from their industry and company size, its
+pain_points and motivations from their deal notes, and write a search_query that finds lookalike companies
+and contacts. List the ids of the customers behind each persona in "customer_ids" (e.g. ["c1", "c4"]);
+each customer supports at most one persona. Personas should follow the largest clusters first.
+`;
+  }
+
+  /**
+   * Print the customers behind each persona
+   * @param {Object} state
+   * @param {Array} personas
+   */
+  logSupport(state, personas) {
+    const customers = getCustomers(state);
+    if (customers.length === 0) return;
+    let covered = 0;
+    for (const persona of personas) {
+      covered += persona.customer_ids?.length || 0;
+      console.log(`   🏆 ${persona.name}: ${describeSupport(state, persona) || 'no customers cited'}`);
     }
+    console.log(`   ${covered} of ${customers.length} customers behind a persona`);
+  }
+
+  /**
+   * Personas without the LLM: the learned campaign's, lookalikes of the imported customers, or the generic set
+   * @param {Object} state
+   * @param {Object|null} learning
+   * @returns {Array}
+   */
+  generateOfflinePersonas(state, learning) {
+    if (learning) return this.reusePersonas(state, learning);
+    const customers = getCustomers(state);
+    if (customers.length > 0) return clusterCustomers(customers, getPlanCaps(state).max_personas);
+    return this.generateFallbackPersonas(state);
+  }
+
+  /**
+   * Outcomes of the campaign this one learns from (state.profile.learn_from)
+   * @param {Object} state
+   * @param {string} profilesDir
+   * @returns {Promise<{from: string, personas: Object[], conversion: Object}|null>} null without learn_from or recorded outcomes
+   */
+  async loadLearning(state, profilesDir) {
+    const from = state.profile.learn_from;
+    if (!from) return null;
+
+    const previous = await readJson(path.join(profilesDir, from, 'state.json'));
+    if (!previous) {
+      console.log(`⚠️  Can't learn from ${from}: no state found - generating personas from scratch`);
+      return null;
+    }
+    const conversion = computeConversion(previous);
+    if (conversion.recorded === 0) {
+      console.log(`⚠️  ${from} has no recorded outcomes (npm run outcomes ${from} import <results.csv>) - generating personas from scratch`);
+      return null;
+    }
+
+    const { total } = conversion;
+    console.log(`📈 Learning from ${from}: ${total.contacted} contacted, ${total.positive} positive replies, ${total.meetings} meetings, ${total.won} won`);
+    return { from, personas: previous.personas || [], conversion };
+  }
+
+  /**
+   * Previous campaign's personas as a starting point, for runs without the LLM
+   * @param {Object} state
+   * @param {{personas: Object[]}} learning
+   * @returns {Array}
+   */
+  reusePersonas(state, learning) {
+    if (learning.personas.length === 0) return this.generateFallbackPersonas(state);
+    return learning.personas.map(({ review_status, ...persona }) => ({ ...persona }));
+  }
+
+  /**
+   * Reweight personas carried over from the learned campaign and record what was learned
+   * @param {Object} state - gets state.learning
+   * @param {Array} personas - changed in place
+   * @param {Object|null} learning
+   */
+  applyLearning(state, personas, learning) {
+    if (!learning) return;
+    const reweighted = reweightPersonas(personas, learning.conversion);
+    reweighted.forEach(change => console.log(`   ⚖️  ${change.persona}: weight ${change.from} → ${change.to}`));
+    state.learning = {
+      from: learning.from,
+      conversion: learning.conversion,
+      reweighted,
+      regenerated: [],
+      applied_at: getCurrentTimestamp()
+    };
+  }
+
+  /**
+   * Refine a run's personas from its own outcomes: reweight them toward what converted and,
+   * with the LLM, regenerate personas nobody replied positively to (they go back to review)
+   * @param {Object} state - changed in place; gets state.learning
+   * @param {Object} [options]
+   * @param {boolean} [options.regenerate] - false to only reweight
+   * @returns {Promise<{conversion: Object, reweighted: Array, regenerated: Array<{from: string, to: string}>}>}
+   * @throws {Error} when no outcomes are recorded
+   */
+  async refinePersonas(state, { regenerate = true } = {}) {
+    const conversion = computeConversion(state);
+    if (conversion.recorded === 0) {
+      throw new Error(`No outcomes recorded for ${state.run_id} - import or set them first`);
+    }
+
+    const reweighted = reweightPersonas(state.personas, conversion);
+    const regenerated = [];
+    const [bestAngle] = Object.entries(conversion.by_angle)
+      .filter(([, stats]) => stats.positive > 0)
+      .sort(([, a], [, b]) => b.score - a.score)
+      .map(([angle]) => angle);
+
+    if (regenerate && !this.enricher.isConfigured()) {
+      console.log('⚠️  No OpenAI API key - reweighting only');
+    } else if (regenerate) {
+      for (const persona of [...state.personas]) {
+        const stats = conversion.by_persona[persona.name];
+        if (!stats || stats.contacted < MIN_CONTACTED_TO_REGENERATE || stats.positive > 0) continue;
+
+        const feedback = `None of the ${stats.contacted} leads contacted for this persona replied positively.`
+          + (bestAngle ? ` The outreach angle that converted best was "${bestAngle}" - lean toward it.` : '')
+          + ' Rework the segment, pain points and outreach angle.';
+        console.log(`🤖 Regenerating ${persona.name} (${stats.contacted} contacted, no positive replies)...`);
+        const replacement = await this.regeneratePersona(state, persona, feedback);
+        const fresh = replacePersona(state, persona, replacement, feedback);
+        // A new persona starts at an even share instead of the weight its predecessor earned
+        if (fresh.quota) {
+          const { weight, ...quota } = fresh.quota;
+          fresh.quota = quota;
+        }
+        regenerated.push({ from: persona.name, to: fresh.name });
+      }
+    }
+
+    state.learning = { from: state.run_id, conversion, reweighted, regenerated, applied_at: getCurrentTimestamp() };
+    return { conversion, reweighted, regenerated };
+  }
+
+  /**
+   * Regenerate one persona with the reviewer's feedback
+   * @param {Object} state
+   * @param {Object} persona - the persona to replace
+   * @param {string} feedback - e.g. "more mid-market, less banking"
+   * @returns {Promise<Object>} the new persona (not yet in state)
+   * @throws {Error} without an OpenAI API key, or when the LLM gives no persona
+   */
+  async regeneratePersona(state, persona, feedback) {
+    if (!this.enricher.isConfigured()) {
+      throw new Error('Regenerating a persona needs OPENAI_API_KEY - edit its fields instead');
+    }
+
+    const { review_status, quota, ...current } = persona;
+    const others = state.personas
+      .filter(other => other !== persona)
+      .map(other => `- ${other.name}: ${other.title} (${other.company})`)
+      .join('\n');
+
+    const prompt = `You are revising one target persona for ${state.mode} outreach based on the user's profile.
+
+USER PROFILE:
+${this.buildContext(state)}
+
+CURRENT PERSONA:
+${JSON.stringify(current, null, 2)}
+
+REVIEWER FEEDBACK:
+${feedback}
+
+OTHER PERSONAS (keep the new one distinct from these):
+${others || '(none)'}
+
+Write a replacement persona that applies the feedback. Keep whatever the feedback does not ask to change.
+It must include name, title, company, profile, pain_points (2-3), motivations (2-3), search_query and outreach_angle${getCustomers(state).length > 0 ? ',\nand customer_ids: the ids of the closed-won customers it is a lookalike of' : ''}.
+
+Respond with ONLY a JSON object: { "personas": [ { ...one persona... } ] }`;
+
+    const result = await this.enricher.llm.completeJSON('regeneratePersona', PERSONAS_SCHEMA, {
+      messages: [{ role: "user", content: prompt }],
+      temperature: 0.4,
+      max_tokens: 800
+    });
+
+    const [replacement] = result.personas;
+    linkCustomers([replacement], getCustomers(state));
+    return replacement;
   }
 
   /**
@@ -315,8 +561,8 @@ Respond with ONLY a JSON object:
    * @param {string} profileDir 
    */
   async savePersonas(state, personas, profileDir) {
-    // Update state with personas
-    state.personas = personas;
+    // Update state with personas, each waiting for review
+    state.personas = personas.map(persona => ({ ...persona, review_status: PersonaStatus.PENDING }));
     
     // Save updated state
     const statePath = path.join(profileDir, 'state.json');
@@ -0,0 +1,243 @@
+import inquirer from 'inquirer';
+import path from 'path';
+import { EventTypes, NodeIds } from '../types.js';
+import { readJson, writeJson, appendLog } from '../utils.js';
+import { PersonaNode } from './PersonaNode.js';
+import {
+  PERSONA_FIELDS, getApprovedPersonas, getPendingPersonas, isApproved, approvePersonas, editPersona,
+  replacePersona, deletePersona, addPersona, setPersonaQuota, formatPersonaField, parsePersonaField, summarizePersona
+} from '../persona-review.js';
+import { describeQuota } from '../quotas.js';
+import { describeSupport } from '../customers.js';
+
+/**
+ * PersonaReviewNode lets the user approve, edit, regenerate, delete or add personas before search,
+ * and set each persona's lead quota (weight, min and max leads - see lib/quotas.js)
+ * Search only runs on approved personas. Without a terminal (cron, CI) the run stops here with the
+ * personas pending, to be reviewed with scripts/review-personas.js or the web UI and resumed -
+ * unless the brief opts in with auto_approve_personas: true.
+ */
+export class PersonaReviewNode {
+  constructor() {
+    this.id = NodeIds.PERSONA_REVIEW;
+    this.handles = EventTypes.PERSONAS_GENERATED;
+    this.personaNode = new PersonaNode(); // For regenerating personas with feedback
+  }
+
+  /**
+   * Review the pending personas of a run
+   * @param {Message} msg
+   * @param {Context} ctx
+   * @returns {Promise<Message|null>}
+   */
+  async run(msg, ctx) {
+    try {
+      console.log(`\n🧐 Starting ${this.id} for run: ${msg.run_id}`);
+
+      const profileDir = path.join(ctx.profilesDir, msg.run_id);
+      const statePath = path.join(profileDir, 'state.json');
+      const state = await readJson(statePath);
+
+      if (!state || !state.personas || state.personas.length === 0) {
+        throw new Error(`No personas found for run ${msg.run_id}`);
+      }
+
+      const pending = getPendingPersonas(state);
+      if (pending.length === 0) {
+        console.log(`✅ All ${state.personas.length} personas already reviewed`);
+        return null;
+      }
+
+      if (!process.stdin.isTTY) {
+        if (!state.profile?.auto_approve_personas) {
+          throw new Error(
+            `${pending.length} personas are pending review and there is no terminal to review them - ` +
+            `review them with: npm run review-personas ${msg.run_id}, then resume with: ` +
+            `node scripts/run-pipeline.js full profiles/${msg.run_id}/state.json --from search`
+          );
+        }
+        approvePersonas(state, pending);
+        await writeJson(statePath, state);
+        console.log(`⚠️  No terminal - approved ${pending.length} personas as generated, as the brief asks (auto_approve_personas)`);
+        return null;
+      }
+
+      await this.reviewInteractively(state, () => writeJson(statePath, state));
+
+      const approved = getApprovedPersonas(state);
+      await appendLog(path.join(profileDir, 'scratchbook.log'), `PERSONAS reviewed: ${approved.length} approved, ${getPendingPersonas(state).length} pending`);
+      console.log(`✅ ${approved.length} personas approved for search`);
+
+      // The pipeline controller routes to SearchNode
+      return null;
+
+    } catch (error) {
+      console.error(`❌ Error in ${this.id}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Review loop: pick a persona to act on, add one, or finish
+   * Every change is saved right away, so an interrupted review keeps what was done.
+   * @param {Object} state - run state, changed in place
+   * @param {function(): Promise<void>} save - persists state
+   */
+  async reviewInteractively(state, save) {
+    for (;;) {
+      console.log('\n🎭 Personas');
+      state.personas.forEach((persona, index) => console.log(`   ${summarizePersona(persona, index)}`));
+
+      const pendingCount = getPendingPersonas(state).length;
+      const approvedCount = getApprovedPersonas(state).length;
+      const { choice } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'choice',
+          message: 'Review:',
+          choices: [
+            ...state.personas.map((persona, index) => ({ name: `${index + 1}. ${persona.name}`, value: index })),
+            new inquirer.Separator(),
+            { name: '➕ Add a persona', value: 'add' },
+            { name: `✅ Approve the ${pendingCount} pending and continue`, value: 'approve_all', disabled: pendingCount === 0 && 'nothing pending' },
+            {
+              name: `▶️  Continue with the ${approvedCount} approved${pendingCount > 0 ? ` (${pendingCount} pending are not searched)` : ''}`,
+              value: 'done',
+              disabled: approvedCount === 0 && 'approve at least one persona'
+            }
+          ],
+          pageSize: 20
+        }
+      ]);
+
+      try {
+        if (choice === 'add') {
+          await this.promptNewPersona(state);
+        } else if (choice === 'approve_all') {
+          approvePersonas(state);
+          await save();
+          return;
+        } else if (choice === 'done') {
+          return;
+        } else {
+          await this.reviewPersona(state, state.personas[choice]);
+        }
+        await save();
+      } catch (error) {
+        console.error('❌', error.message);
+      }
+    }
+  }
+
+  /**
+   * Actions on one persona
+   * @param {Object} state
+   * @param {Object} persona
+   */
+  async reviewPersona(state, persona) {
+    this.printPersona(persona, state);
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: `${persona.name}:`,
+        choices: [
+          { name: '✅ Approve', value: 'approve', disabled: isApproved(persona) && 'already approved' },
+          { name: '✏️  Edit a field', value: 'edit' },
+          { name: '🔄 Regenerate with feedback', value: 'regenerate' },
+          { name: '🎯 Set lead quota', value: 'quota' },
+          { name: '🗑️  Delete', value: 'delete' },
+          { name: '↩️  Back', value: 'back' }
+        ]
+      }
+    ]);
+
+    if (action === 'approve') {
+      approvePersonas(state, [persona]);
+    } else if (action === 'edit') {
+      const { field } = await inquirer.prompt([
+        { type: 'list', name: 'field', message: 'Field:', choices: Object.keys(PERSONA_FIELDS) }
+      ]);
+      const { value } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'value',
+          message: `${field}${PERSONA_FIELDS[field] === 'list' ? ' (separate items with ;)' : ''}:`,
+          default: formatPersonaField(persona, field)
+        }
+      ]);
+      editPersona(state, persona, field, value);
+      console.log(`✏️  ${field} updated`);
+    } else if (action === 'regenerate') {
+      const { feedback } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'feedback',
+          message: 'What should change? (e.g. "more mid-market, less banking")',
+          validate: input => (input.trim() ? true : 'Feedback is required')
+        }
+      ]);
+      console.log('🤖 Regenerating persona...');
+      const replacement = await this.personaNode.regeneratePersona(state, persona, feedback.trim());
+      const regenerated = replacePersona(state, persona, replacement, feedback.trim());
+      this.printPersona(regenerated, state);
+    } else if (action === 'quota') {
+      const quota = persona.quota || {};
+      const answers = await inquirer.prompt([
+        { type: 'input', name: 'weight', message: 'Weight (share of leads relative to the others, blank = 1):', default: quota.weight ?? '' },
+        { type: 'input', name: 'min_leads', message: 'Minimum leads (blank = its share):', default: quota.min_leads ?? '' },
+        { type: 'input', name: 'max_leads', message: 'Maximum leads (blank = its share):', default: quota.max_leads ?? '' }
+      ]);
+      const updated = setPersonaQuota(state, persona, answers);
+      console.log(`🎯 Quota: ${describeQuota(updated) || 'none (equal share)'}`);
+    } else if (action === 'delete') {
+      const { confirmed } = await inquirer.prompt([
+        { type: 'confirm', name: 'confirmed', message: `Delete ${persona.name}?`, default: false }
+      ]);
+      if (confirmed) {
+        deletePersona(state, persona);
+        console.log(`🗑️  Deleted ${persona.name}`);
+      }
+    }
+  }
+
+  /**
+   * Ask for every field of a new persona
+   * @param {Object} state
+   */
+  async promptNewPersona(state) {
+    const fields = await inquirer.prompt(Object.entries(PERSONA_FIELDS).map(([field, kind]) => ({
+      type: 'input',
+      name: field,
+      message: `${field}${kind === 'list' ? ' (separate items with ;)' : ''}:`,
+      validate: input => {
+        try {
+          parsePersonaField(field, input);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      }
+    })));
+    const persona = addPersona(state, fields);
+    console.log(`➕ Added ${persona.name} (approved)`);
+  }
+
+  /**
+   * Print every field of a persona, and the customers it is a lookalike of
+   * @param {Object} persona
+   * @param {Object} state
+   */
+  printPersona(persona, state) {
+    console.log(`\n👤 ${persona.name} ${isApproved(persona) ? '✅ approved' : '⏳ pending'}`);
+    for (const field of Object.keys(PERSONA_FIELDS).filter(field => field !== 'name')) {
+      console.log(`   ${field}: ${formatPersonaField(persona, field)}`);
+    }
+    console.log(`   quota: ${describeQuota(persona.quota) || 'none (equal share)'}`);
+    const support = describeSupport(state, persona, 10);
+    if (support) {
+      console.log(`   lookalike of: ${support}`);
+    }
+  }
+}
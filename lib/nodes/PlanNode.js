@@ -1,58 +1,197 @@
 import path from 'path';
 import { EventTypes, NodeIds } from '../types.js';
-import { readJson, appendLog } from '../utils.js';
+import { readJson, writeJson, appendLog, getCurrentTimestamp } from '../utils.js';
+import { LLMEnricher } from '../llm-enricher.js';
+import { DEFAULT_PLAN_CAPS, RuleTypes, normalizeCaps, getPlanCaps, parseConstraintRules } from '../plan.js';
+import { CAMPAIGN_PLAN_SCHEMA } from '../schemas.js';
+import { CompanySizes, normalizeTargeting, parseTargeting, mergeTargeting, describeTargeting } from '../targeting.js';
 
 /**
- * PlanNode stub for Phase 1 - just logs and returns null
- * In Phase 2, this will use GPT-4o to create actual plans
+ * PlanNode turns the intake answers into a value proposition and a campaign plan
+ * The plan (state.plan) caps each later stage and carries the rules and targeting filters read from the answers.
  */
 export class PlanNode {
   constructor() {
     this.id = NodeIds.PLAN;
     this.handles = EventTypes.USER_CONTEXT_READY;
+    this.enricher = new LLMEnricher(); // Reuse for GPT-4o access
   }
 
   /**
-   * Stub implementation for Phase 1
-   * @param {Message} msg 
-   * @param {Context} ctx 
+   * Write the value proposition and campaign plan to state.json
+   * @param {Message} msg
+   * @param {Context} ctx
    * @returns {Promise<Message|null>}
    */
   async run(msg, ctx) {
     try {
-      console.log(`\n🤖 ${this.id} received message from ${msg.from}`);
-      console.log(`📋 Mode: ${msg.payload.mode}`);
-      console.log(`📝 Answers received: ${Object.keys(msg.payload.answers).length} fields`);
-      
+      console.log(`\n🗺️  Starting ${this.id} for run: ${msg.run_id}`);
+
       // Read current state
       const profileDir = path.join(ctx.profilesDir, msg.run_id);
       const statePath = path.join(profileDir, 'state.json');
       const state = await readJson(statePath);
-      
-      if (state) {
-        console.log(`✅ State loaded for run: ${state.run_id}`);
-        
-        // Log to scratchbook
-        const logPath = path.join(profileDir, 'scratchbook.log');
-        await appendLog(logPath, `PLAN stub received USER_CONTEXT_READY`);
-        
-        // In Phase 2, we would:
-        // 1. Use GPT-4o to analyze the user context
-        // 2. Generate a value_prop
-        // 3. Create pipeline plan with personas→search→draft→send caps & rules
-        // 4. Write updated state.json
-        // 5. Emit PLAN_READY message to PersonaNode
-        
-        console.log(`📋 Plan scaffold created (stub - no LLM calls in Phase 1)`);
-        console.log(`🔚 End of Phase 1 pipeline - PlanNode returns null`);
+
+      if (!state || !state.profile?.answers) {
+        throw new Error(`No intake answers found for run ${msg.run_id}`);
       }
-      
-      // Return null to end the pipeline for Phase 1
+
+      console.log(`📋 Mode: ${state.mode}`);
+      console.log(`📝 Planning from ${Object.keys(state.profile.answers).length} answers`);
+
+      const plan = this.enricher.isConfigured()
+        ? await this.generatePlanWithLLM(state)
+        : this.generateFallbackPlan(state);
+
+      // Save plan; value_prop also lives on the profile where older code expects it
+      state.plan = plan;
+      state.profile.value_prop = plan.value_prop;
+      await writeJson(statePath, state);
+
+      const logPath = path.join(profileDir, 'scratchbook.log');
+      await appendLog(logPath, `PLAN created (${plan.method}): ${Object.entries(plan.caps).map(([k, v]) => `${k}=${v}`).join(' ')}, ${plan.rules.length} rules`);
+
+      console.log(`💡 Value prop: ${plan.value_prop}`);
+      const caps = getPlanCaps(state);
+      console.log(`📏 Caps: ${caps.max_personas} personas${state.profile.persona_count ? ' (chosen at intake)' : ''} × ${caps.leads_per_persona} leads (${caps.queries_per_persona} queries max, ${caps.pages_per_query} pages each), enrich ${caps.max_enriched_leads} (${caps.sources_per_lead} sources each), ${caps.messages_per_day} messages/day`);
+      for (const rule of plan.rules) {
+        console.log(`📌 Rule: ${rule.type} → ${rule.value}`);
+      }
+      console.log(`🎯 Targeting:\n${describeTargeting(plan.targeting).replace(/^/gm, '   ')}`);
+      console.log(`📁 Plan saved to state.json`);
+
+      // The pipeline controller routes to PersonaNode
       return null;
-      
+
     } catch (error) {
       console.error(`❌ Error in ${this.id}:`, error.message);
-      return null;
+      throw error;
     }
   }
-} 
\ No newline at end of file
+
+  /**
+   * Build the prompt context from the answers and their enrichment
+   * @param {Object} state
+   * @returns {string}
+   */
+  buildContext(state) {
+    const profile = state.profile;
+    let contextInfo = `MODE: ${state.mode}\n\nORIGINAL ANSWERS:\n`;
+    for (const [key, value] of Object.entries(profile.answers)) {
+      contextInfo += `${key}: ${Array.isArray(value) ? value.join(', ') : value}\n`;
+    }
+
+    if (profile.enrichment && Object.keys(profile.enrichment).length > 0) {
+      contextInfo += `\nENRICHMENT DATA:\n`;
+      for (const [key, enrichment] of Object.entries(profile.enrichment)) {
+        if (enrichment && enrichment.enriched && enrichment.enriched.length > 0) {
+          contextInfo += `${key} follow-ups:\n`;
+          enrichment.enriched.forEach(item => {
+            contextInfo += `  Q: ${item.question}\n  A: ${item.answer}\n`;
+          });
+        }
+      }
+    }
+    return contextInfo;
+  }
+
+  /**
+   * Generate the plan with GPT-4o, falling back to the rule-based plan on errors
+   * @param {Object} state
+   * @returns {Promise<CampaignPlan>}
+   */
+  async generatePlanWithLLM(state) {
+    console.log('🤖 Generating value proposition and campaign plan with GPT-4o...');
+
+    const prompt = `You are planning a ${state.mode} outreach campaign.
+
+USER PROFILE:
+${this.buildContext(state)}
+
+1. Write a value proposition: 2-3 sentences saying who it is for, the pain it removes, and the proof. Use the user's own facts only.
+
+2. Choose caps for the campaign stages. Smaller, focused campaigns beat broad ones - only go above the defaults when the target market is clearly broad.
+   Defaults: ${JSON.stringify(DEFAULT_PLAN_CAPS)}
+   - max_personas: distinct target segments (1-10)
+   - leads_per_persona: leads to find per segment (1-50)
+   - queries_per_persona: search queries allowed to fill one segment (1-50)
+   - pages_per_query: result pages read per query while a segment is short of leads (1-10)
+   - max_enriched_leads: leads that get deep web research (1-100)
+   - sources_per_lead: websites scraped per researched lead (1-10)
+   - messages_per_day: outreach sends per day (1-200)
+
+3. Turn the constraints answer into rules. Each rule has a type (${Object.values(RuleTypes).join(', ')}) and a short value, e.g. {"type": "region", "value": "France"} or {"type": "do_not_contact", "value": "Acme Corp"}. do_not_contact is only for an email, a domain, or a company or person the answer says not to contact ("do not contact Acme Corp"); exclusions that describe a segment ("no companies under 20 employees", "No Banks", "avoid Big Pharma") are "other". No constraints means no rules.
+
+4. Turn the target and constraints answers into targeting filters search will enforce - not the proof answer, which is about our own customers, and not what the constraints exclude. Leave a list empty when the answers don't limit it.
+   - regions: countries or regions, e.g. "France", "Germany", "North America"
+   - languages: languages leads must work in, e.g. "French"
+   - company_sizes: employee bands from ${Object.values(CompanySizes).join(', ')}
+   - industries: short lower-case industry names, e.g. "banking", "insurance"
+
+Respond with ONLY a JSON object:
+{
+  "value_prop": "...",
+  "caps": { "max_personas": 5, "leads_per_persona": 10, "queries_per_persona": 15, "pages_per_query": 3, "max_enriched_leads": 10, "sources_per_lead": 3, "messages_per_day": 20 },
+  "rules": [ { "type": "region", "value": "France" } ],
+  "targeting": { "regions": ["France"], "languages": [], "company_sizes": ["1000+"], "industries": ["banking"] }
+}`;
+
+    try {
+      const result = await this.enricher.llm.completeJSON('generatePlanWithLLM', CAMPAIGN_PLAN_SCHEMA, {
+        messages: [{ role: "user", content: prompt }],
+        temperature: 0.2,
+        max_tokens: 800
+      });
+
+      // Rules the answer states as "do not contact ..." stay explicit, so suppression keeps them as written
+      const ruleTypes = Object.values(RuleTypes);
+      const explicitValues = parseConstraintRules(state.profile.answers.constraints)
+        .filter(rule => rule.explicit)
+        .map(rule => rule.value.toLowerCase());
+      const rules = result.rules.map(rule => {
+        const type = ruleTypes.includes(rule.type) ? rule.type : RuleTypes.OTHER;
+        const value = rule.value.trim();
+        const explicit = type === RuleTypes.DO_NOT_CONTACT && explicitValues.includes(value.toLowerCase());
+        return { type, value, source: 'constraints', ...(explicit && { explicit }) };
+      });
+
+      return {
+        value_prop: result.value_prop.trim(),
+        caps: normalizeCaps(result.caps),
+        rules,
+        targeting: mergeTargeting(normalizeTargeting(result.targeting), parseTargeting(state.profile.answers, rules)),
+        method: 'llm',
+        created_at: getCurrentTimestamp()
+      };
+
+    } catch (error) {
+      console.error('❌ LLM plan generation error:', error.message);
+      return this.generateFallbackPlan(state);
+    }
+  }
+
+  /**
+   * Build a plan from the answers alone (no API key, or the LLM failed)
+   * @param {Object} state
+   * @returns {CampaignPlan}
+   */
+  generateFallbackPlan(state) {
+    console.log('⚠️  Using rule-based plan (no LLM)');
+    const answers = state.profile.answers;
+    const sentence = text => (text || '').toString().trim().replace(/[.\s]+$/, '');
+
+    const parts = [`${sentence(answers.product)} for ${sentence(answers.target)}.`];
+    if (answers.pain) parts.push(`It removes this pain: ${sentence(answers.pain)}.`);
+    if (answers.proof) parts.push(`Proof: ${sentence(answers.proof)}.`);
+
+    const rules = parseConstraintRules(answers.constraints);
+    return {
+      value_prop: parts.join(' '),
+      caps: { ...DEFAULT_PLAN_CAPS },
+      rules,
+      targeting: parseTargeting(answers, rules),
+      method: 'fallback',
+      created_at: getCurrentTimestamp()
+    };
+  }
+}
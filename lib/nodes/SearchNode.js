@@ -2,18 +2,32 @@ import path from 'path';
 import { EventTypes, NodeIds } from '../types.js';
 import { readJson, writeJson, appendLog, getCurrentTimestamp } from '../utils.js';
 import { LLMEnricher } from '../llm-enricher.js';
-import { JinaSearchAPI } from '../jina-search.js';
+import { getCampaignSearchProvider } from '../search/index.js';
+import { WorkPool, getProviderConcurrency } from '../work-pool.js';
+import { withRetry, getRetryPolicy } from '../retry.js';
+import { addDeadLetter, DeadLetterKinds } from '../dead-letter.js';
+import { getPlanCaps } from '../plan.js';
+import { assertCircuitsClosed, CircuitOpenError } from '../rate-limiter.js';
+import { loadSuppressionList, applySuppression } from '../suppression.js';
+import { getTargeting, hasTargeting, describeTargeting, buildTargetedQueries } from '../targeting.js';
+import { getApprovedPersonas, getPendingPersonas } from '../persona-review.js';
+import { allocateLeads } from '../quotas.js';
+import { expandQueries, QueryVariants } from '../query-expansion.js';
+import { SEARCH_QUERIES_SCHEMA, ENHANCED_LEADS_SCHEMA, LEAD_VALIDATIONS_SCHEMA } from '../schemas.js';
 
 /**
  * SearchNode finds leads based on generated personas
- * Uses LLM to create search queries and Jina API to find REAL LinkedIn profiles + emails
+ * Uses LLM to create search queries and the campaign's search provider (lib/search, Jina by
+ * default) to find REAL LinkedIn profiles + emails.
+ * Each persona has a lead target (lib/quotas.js); its queries (generated, then expanded by
+ * lib/query-expansion.js) are paged through until the target is met or
+ * plan.caps.queries_per_persona runs out. Each lead records the query that found it (found_by).
  */
 export class SearchNode {
   constructor() {
     this.id = NodeIds.SEARCH;
     this.handles = EventTypes.PERSONAS_READY;
     this.enricher = new LLMEnricher(); // For GPT-4o query generation
-    this.jinaSearch = new JinaSearchAPI(); // For real search results
   }
 
   /**
@@ -35,63 +49,96 @@ export class SearchNode {
         throw new Error(`No personas found for run ${msg.run_id}`);
       }
       
-      console.log(`🎭 Found ${state.personas.length} personas to search for`);
+      // Only reviewed personas are searched; pending ones wait for scripts/review-personas.js
+      const personas = getApprovedPersonas(state);
+      const pendingCount = getPendingPersonas(state).length;
+      if (personas.length === 0) {
+        throw new Error(`No approved personas for run ${msg.run_id} - review them with: npm run review-personas ${msg.run_id}`);
+      }
+      
+      console.log(`🎭 Found ${personas.length} approved personas to search for${pendingCount > 0 ? ` (${pendingCount} pending review, skipped)` : ''}`);
       
       // Check API configurations
       const hasLLM = this.enricher.isConfigured();
-      const hasJina = this.jinaSearch.isConfigured();
+      const search = getCampaignSearchProvider(state);
+      const hasSearch = search.isConfigured();
       
       console.log(`🤖 LLM (query generation): ${hasLLM ? '✅ Available' : '⚠️  Disabled'}`);
-      console.log(`🔍 Jina API (real search): ${hasJina ? '✅ Available' : '⚠️  Disabled'}`);
+      console.log(`🔍 ${search.label} (real search): ${hasSearch ? '✅ Available' : '⚠️  Disabled'}`);
       
-      if (!hasJina) {
-        console.log('❌ Cannot search without Jina API key. Please set JINA_API_KEY in .env');
-        throw new Error('Jina API key required for real search results');
+      if (!hasSearch) {
+        console.log(`❌ Cannot search without a configured search provider: ${search.setupHint()}`);
+        throw new Error(`Search provider "${search.name}" required for real search results`);
       }
       
-      const allLeads = [];
+      // Requeued dead letters carry explicit queries; otherwise every persona gets fresh ones
+      const requeuedQueries = msg.payload?.queries || null;
+      const jobs = requeuedQueries
+        ? this.groupRequeuedQueries(state.personas, requeuedQueries)
+        : personas.map(persona => ({ persona, queries: null }));
       
-      // Process each persona
-      for (let i = 0; i < state.personas.length; i++) {
-        const persona = state.personas[i];
-        console.log(`\n👤 Processing persona ${i + 1}/${state.personas.length}: ${persona.name}`);
-        
-        // Generate search queries for this persona
-        const queries = await this.generateSearchQueries(persona, state.mode, hasLLM);
-        console.log(`📝 Generated ${queries.length} search queries`);
-        
-        // Search for REAL leads using Jina API
-        const personaLeads = await this.searchForRealLeads(persona, queries);
-        console.log(`✅ Found ${personaLeads.length} REAL leads for ${persona.name}`);
-        
-        allLeads.push(...personaLeads);
-        
-        // Add delay between personas to be respectful to APIs
-        if (i < state.personas.length - 1) {
-          console.log('⏳ Waiting 3 seconds before next persona...');
-          await new Promise(resolve => setTimeout(resolve, 3000));
-        }
+      if (requeuedQueries) {
+        console.log(`🔁 Re-running ${requeuedQueries.length} dead-lettered queries`);
       }
       
-      console.log(`\n📊 Total REAL leads collected: ${allLeads.length}`);
+      // Queries that still fail after retries are dead-lettered
+      const failedQueries = [];
+      const { leads_per_persona: leadsPerPersona, queries_per_persona: queryBudget, pages_per_query: pagesPerQuery } = getPlanCaps(state);
       
-      // Validate leads with LLM to filter out companies and generic names  
-      if (hasLLM && allLeads.length > 0) {
-        console.log('\n🔍 Validating leads to filter out companies and generic names...');
-        await this.validateLeadsWithLLM(allLeads);
+      // The campaign's leads are split between personas by their quota weights (equal by default)
+      const allocations = allocateLeads(personas, leadsPerPersona * personas.length);
+      const allocationFor = persona => allocations.find(allocation => allocation.persona === persona.name)
+        || { persona: persona.name, weight: 1, target: leadsPerPersona, min: leadsPerPersona };
+      
+      // Queries and lead validation stay inside the plan's regions, languages, sizes and industries
+      const targeting = getTargeting(state);
+      console.log(`🎯 Targeting:\n${describeTargeting(targeting).replace(/^/gm, '   ')}`);
+      
+      // Leads the run already has count towards their persona's target, and are never found twice:
+      // one set of lead keys spans every persona, so a person fills one quota only
+      const existingLeads = this.getExistingLeads(state, msg.payload);
+      if (existingLeads.length < (state.leads || []).length) {
+        console.log(`🔄 Search redone from the command line - replacing the run's ${state.leads.length} leads`);
+      }
+      const seen = new Set(existingLeads.map(lead => this.leadKey(lead)));
+      
+      // Leads are screened as they come in, so a persona's fill only counts leads we keep
+      const suppression = await loadSuppressionList(ctx.profilesDir, state);
+      const screening = { state, suppression, targeting, hasLLM, invalid: 0, offTarget: 0 };
+      
+      // Personas are searched in parallel; leads keep persona order
+      const pool = new WorkPool(getProviderConcurrency(search.name), 'search');
+      
+      const results = await pool.map(jobs, async ({ persona, queries: jobQueries }, i) => {
+        const allocation = allocationFor(persona);
+        const found = existingLeads.filter(lead => lead.persona_id === persona.name).length;
+        const needed = Math.max(0, allocation.target - found);
+        console.log(`\n👤 Processing persona ${i + 1}/${jobs.length}: ${persona.name} (target ${allocation.target} leads${found > 0 ? `, ${found} already found` : ''})`);
         
-        // Filter out invalid leads
-        const validLeads = allLeads.filter(lead => lead.is_valid_person !== false);
-        const filteredCount = allLeads.length - validLeads.length;
+        const result = await this.fillPersonaQuota(persona, needed, {
+          search,
+          mode: state.mode,
+          queries: jobQueries,
+          queryBudget,
+          pagesPerQuery,
+          seen,
+          failedQueries,
+          screening
+        });
+        console.log(`✅ Kept ${result.leads.length}/${needed} new REAL leads for ${persona.name} after ${result.queries.length} queries`);
         
-        if (filteredCount > 0) {
-          console.log(`🚫 Filtered out ${filteredCount} invalid leads (companies, generic names, etc.)`);
-          console.log(`✅ ${validLeads.length} valid leads remaining`);
+        return { persona, allocation, ...result };
+      }, {
+        onProgress: (completed, total) => {
+          console.log(`📈 Search progress: ${completed}/${total} personas done`);
         }
-        
-        // Update allLeads to only include valid ones
-        allLeads.length = 0;
-        allLeads.push(...validLeads);
+      });
+      
+      const allLeads = results.flatMap(result => result.leads);
+      
+      console.log(`\n📊 Total REAL leads collected: ${allLeads.length}`);
+      if (screening.invalid + screening.offTarget > 0) {
+        console.log(`🚫 Filtered out ${screening.invalid} invalid leads (companies, generic names, etc.) and ${screening.offTarget} outside the targeting`);
       }
       
       // Note: RocketReach enrichment will be handled in the next pipeline step
@@ -99,19 +146,26 @@ export class SearchNode {
       // Enhance leads with LLM if available (only new leads, not existing ones)
       if (hasLLM && allLeads.length > 0) {
         console.log('🤖 Enhancing lead data with LLM...');
-        await this.enhanceLeadsWithLLM(allLeads, state.mode);
+        await this.enhanceLeadsWithLLM(allLeads, state.mode, targeting);
       }
       
-      // Merge new leads with updated existing leads
-      const finalLeads = [...(state.leads || []), ...allLeads];
+      // New leads are already unique; deduping the merge also cleans up duplicates saved by older runs
+      const finalLeads = this.removeDuplicateLeads([...existingLeads, ...allLeads]);
+      
+      failedQueries.forEach(failure => addDeadLetter(state, failure));
       
-      // Save leads to state
-      await this.saveLeads(state, finalLeads, profileDir);
+      // Final fill per persona, counted over every lead the run now has
+      const fill = this.reportFill(results, finalLeads, queryBudget);
+      
+      // Save leads to state (unless the search provider or the LLM stopped answering halfway)
+      assertCircuitsClosed();
+      await this.saveLeads(state, finalLeads, profileDir, fill, search.name);
       
       // Log activity
       const logPath = path.join(profileDir, 'scratchbook.log');
+      const underFilled = Object.entries(fill).filter(([, entry]) => !entry.met).map(([name]) => name);
       
-      await appendLog(logPath, `SEARCH completed: ${allLeads.length} REAL leads found via Jina API across ${state.personas.length} personas.`);
+      await appendLog(logPath, `SEARCH completed: ${allLeads.length} REAL leads found via ${search.label} across ${personas.length} personas.${underFilled.length > 0 ? ` Under quota: ${underFilled.join(', ')}` : ''}`);
       
       console.log('📁 REAL leads saved to state.json');
       console.log(`🎉 Search phase completed successfully with ${allLeads.length} validated leads!`);
@@ -122,7 +176,7 @@ export class SearchNode {
       
     } catch (error) {
       console.error(`❌ Error in ${this.id}:`, error.message);
-      return null;
+      throw error;
     }
   }
 
@@ -131,132 +185,296 @@ export class SearchNode {
    * @param {Object} persona 
    * @param {string} mode 
    * @param {boolean} hasLLM 
-   * @returns {Promise<Array>} Array of search queries
+   * @param {import('../targeting.js').Targeting} targeting - regions and industries the queries name
+   * @param {string[]} [tried] - queries already run for this persona; new ones must differ
+   * @returns {Promise<Array>} Array of search queries (empty when nothing new is left to try)
    */
-  async generateSearchQueries(persona, mode, hasLLM) {
+  async generateSearchQueries(persona, mode, hasLLM, targeting, tried = []) {
+    // Much simpler fallback queries that are more likely to work
+    const fallbackQueries = [
+      ...buildTargetedQueries(persona, targeting, tried.length + 5),
+      persona.search_query,
+      ...(persona.pain_points || []).map(pain => `${persona.title} ${pain}`)
+    ].filter(query => query && !tried.includes(query)).slice(0, 5);
     if (!hasLLM) {
-      // Much simpler fallback queries that are more likely to work
-      return [
-        `${persona.title} LinkedIn France`,
-        `${persona.title} France banking`,
-        `${persona.title} France insurance`,
-        `CIO France LinkedIn`,
-        `IT Director France LinkedIn`
-      ];
+      return fallbackQueries;
     }
 
-    const prompt = `Generate 5 simple, lightweight search queries to find LinkedIn profiles for French banking/insurance executives.
+    const prompt = `Generate 5 simple, lightweight search queries to find LinkedIn profiles of people matching this persona.
 
 PERSONA DETAILS:
 Title: ${persona.title}  
 Company Type: ${persona.company}
 
+TARGETING (every query must stay inside these filters):
+${describeTargeting(targeting)}
+
 Create SIMPLE queries that are likely to return results:
 - Keep queries short and focused
 - Avoid complex operators like site: or multiple quotes
-- Focus on job title + location + industry
+- Focus on job title + location + industry, taken from the targeting above (no location when any region is fine)
 - Make queries broad enough to find results
 - Use natural language, not search operators
-
+${tried.length > 0 ? `
+ALREADY TRIED - these did not find enough people. Write different ones: adjacent or synonym titles, other industries or regions inside the targeting:
+${tried.map(query => `- "${query}"`).join('\n')}
+` : ''}
 Good examples:
-- "CIO France LinkedIn"
-- "IT Director France banking" 
-- "Chief Technology Officer France"
-- "Director IT France insurance"
-- "${persona.title} France LinkedIn"
+${fallbackQueries.map(query => `- "${query}"`).join('\n')}
 
 Respond with ONLY a JSON object:
 {
-  "queries": [
-    "CIO France LinkedIn",
-    "IT Director France banking",
-    "Chief Technology Officer France", 
-    "Director IT France insurance",
-    "${persona.title} France LinkedIn"
-  ]
+  "queries": ${JSON.stringify(fallbackQueries, null, 2).replace(/\n/g, '\n  ')}
 }`;
 
     try {
-      const response = await this.enricher.openai.chat.completions.create({
-        model: "gpt-4o",
+      const result = await this.enricher.llm.completeJSON('generateSearchQueries', SEARCH_QUERIES_SCHEMA, {
         messages: [{ role: "user", content: prompt }],
         temperature: 0.3,
         max_tokens: 600
       });
-
-      const result = this.enricher.cleanAndParseJSON(response.choices[0].message.content);
       
-      if (!result.queries || !Array.isArray(result.queries)) {
-        throw new Error('Invalid queries response');
-      }
-      
-      return result.queries;
+      const queries = result.queries.filter(query => !tried.includes(query));
+      return queries.length > 0 ? queries : fallbackQueries;
       
     } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
       console.error('❌ LLM Query generation error:', error.message);
       // Simple fallback queries that are more likely to work
-      return [
-        `${persona.title} LinkedIn France`,
-        `${persona.title} France banking`,
-        `${persona.title} France insurance`,
-        `CIO France LinkedIn`,
-        `IT Director France LinkedIn`
-      ];
+      return fallbackQueries;
     }
   }
 
   /**
-   * Search for REAL leads using Jina API
-   * @param {Object} persona 
-   * @param {Array} queries 
-   * @returns {Promise<Array>} Array of real leads
+   * Run one query page by page with the campaign's search provider
+   * Stops at a page with no lead new to the run (end of results, a provider that ignores
+   * paging, or a query overlapping earlier ones) or once the persona's remaining target is
+   * kept. New leads are screened before they count.
+   * @param {import('../search/provider.js').SearchProvider} search
+   * @param {Object} persona
+   * @param {import('../query-expansion.js').PlannedQuery} planned
+   * @param {Object} options
+   * @param {number} options.pagesPerQuery - plan.caps.pages_per_query
+   * @param {number} options.remaining - leads still needed for the persona's target
+   * @param {Set<string>} options.seen - leadKey of every lead the run has found or screened out so far, for any persona
+   * @param {Array} options.failures - collects dead letters for queries that failed after retries
+   * @param {Object} options.screening - see screenLeads
+   * @returns {Promise<{leads: Array, pages: number}>} kept leads, tagged with found_by, and pages read
    */
-  async searchForRealLeads(persona, queries) {
-    const allLeads = [];
-    const targetLeadsPerPersona = 10;
-    
-    console.log(`🔍 Searching for REAL leads using Jina API...`);
-    
-    // Execute each query via Jina API
-    for (let i = 0; i < queries.length && allLeads.length < targetLeadsPerPersona; i++) {
-      const query = queries[i];
-      
+  async searchQueryPages(search, persona, { query, variant }, { pagesPerQuery, remaining, seen, failures, screening }) {
+    const kept = [];
+    let pages = 0;
+
+    for (let page = 1; page <= pagesPerQuery && kept.length < remaining; page++) {
+      let results;
       try {
-        console.log(`  Query ${i + 1}/${queries.length}: "${query}"`);
-        
-        // Search via Jina API
-        const searchResults = await this.jinaSearch.search(query, 5); // Get 5 results per query
-        
-        // Process and format results for this persona
-        const processedLeads = searchResults.map(result => ({
-          ...result,
+        // Search, retrying transient failures
+        results = await withRetry(
+          () => search.search(query, 10, page),
+          getRetryPolicy(this.id),
+          { label: `Query "${query}" page ${page}` }
+        );
+      } catch (error) {
+        // An open circuit stops the node - the router pauses the run instead of dead-lettering every query
+        if (error instanceof CircuitOpenError) throw error;
+        console.error(`    ❌ Query failed: ${error.message}`);
+        failures.push({
+          kind: DeadLetterKinds.QUERY,
+          node: this.id,
+          item_id: query,
+          item: { persona_id: persona.name, query },
+          error
+        });
+        break;
+      }
+      pages = page;
+
+      const fresh = this.removeDuplicateLeads(results)
+        .filter(lead => !seen.has(this.leadKey(lead)))
+        .map(lead => ({
+          ...lead,
           persona_id: persona.name,
           persona_match_reasons: [
             `Found via targeted search for ${persona.title}`,
             `Query match: "${query}"`,
             `Company type aligns with ${persona.company}`,
-            `Geographic match: France`
-          ]
+            ...(screening.targeting.regions.length ? [`Geographic target: ${screening.targeting.regions.join(', ')}`] : [])
+          ],
+          found_by: { query, variant, page, provider: search.name }
         }));
-        
-        allLeads.push(...processedLeads);
-        
-        console.log(`    ✅ Found ${searchResults.length} real leads`);
-        
-        // Brief delay between queries
-        if (i < queries.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-        
-      } catch (error) {
-        console.error(`    ❌ Query failed: ${error.message}`);
-        continue; // Try next query
+      if (fresh.length === 0) {
+        console.log(`    📄 Page ${page}: ${results.length === 0 ? 'no results' : 'nothing new'} - next query`);
+        break;
       }
+      const screened = await this.screenLeads(fresh, screening);
+
+      // Claim kept leads up to the target only, so the rest stay free for other personas, and
+      // re-check them: a persona searched in parallel may have claimed some during screening
+      const claimed = screened.filter(lead => !seen.has(this.leadKey(lead))).slice(0, remaining - kept.length);
+      const unclaimed = screened.filter(lead => !claimed.includes(lead));
+      fresh.filter(lead => !unclaimed.includes(lead)).forEach(lead => seen.add(this.leadKey(lead)));
+      kept.push(...claimed);
+
+      console.log(`    📄 Page ${page}: ${results.length} results, ${fresh.length} new, ${claimed.length} kept`);
     }
-    
-    // Limit to target number per persona and remove duplicates
-    const uniqueLeads = this.removeDuplicateLeads(allLeads);
-    return uniqueLeads.slice(0, targetLeadsPerPersona);
+
+    return { leads: kept, pages };
+  }
+
+  /**
+   * Next queries for a persona: generated ones first, then expansions of its title
+   * (synonyms, local-language titles, LinkedIn-restricted and seniority variants)
+   * @param {Object} persona
+   * @param {string} mode
+   * @param {boolean} hasLLM
+   * @param {import('../targeting.js').Targeting} targeting
+   * @param {string[]} [tried] - queries already run for this persona
+   * @returns {Promise<import('../query-expansion.js').PlannedQuery[]>} empty when nothing new is left to try
+   */
+  async planQueries(persona, mode, hasLLM, targeting, tried = []) {
+    const generated = (await this.generateSearchQueries(persona, mode, hasLLM, targeting, tried))
+      .map(query => ({ query, variant: QueryVariants.GENERATED }));
+    const expanded = expandQueries(persona, targeting, {
+      exclude: [...tried, ...generated.map(({ query }) => query)],
+      count: 5
+    });
+    return [...generated, ...expanded];
+  }
+
+  /**
+   * Search for one persona until its lead target is met or its query budget is spent
+   * Queries run one at a time, each paged until it stops paying off; every lead is
+   * deduplicated and screened before it counts towards the target. Requeued queries run
+   * once, without new rounds.
+   * @param {Object} persona
+   * @param {number} target - new leads needed: the persona's allocated target less the leads it already has
+   * @param {Object} options
+   * @param {import('../search/provider.js').SearchProvider} options.search - the campaign's search provider
+   * @param {string} options.mode
+   * @param {string[]|null} options.queries - requeued queries, or null to generate them
+   * @param {number} options.queryBudget - plan.caps.queries_per_persona
+   * @param {number} options.pagesPerQuery - plan.caps.pages_per_query
+   * @param {Set<string>} options.seen - leadKey of every lead the run has found so far; new leads are added
+   * @param {Array} options.failedQueries - collects dead letters
+   * @param {Object} options.screening - see screenLeads
+   * @returns {Promise<{leads: Array, queries: Array<{query: string, variant: string, pages: number, kept: number}>}>}
+   */
+  async fillPersonaQuota(persona, target, { search, mode, queries: requeued, queryBudget, pagesPerQuery, seen, failedQueries, screening }) {
+    const leads = [];
+    const tried = [];
+    const { targeting, hasLLM } = screening;
+
+    if (target === 0) {
+      console.log(`⏭️  ${persona.name}: no new leads needed - skipped`);
+      return { leads, queries: tried };
+    }
+
+    let queue = requeued
+      ? requeued.map(query => ({ query, variant: QueryVariants.REQUEUED }))
+      : await this.planQueries(persona, mode, hasLLM, targeting);
+    console.log(`📝 ${requeued ? 'Requeued' : 'Planned'} ${queue.length} search queries for ${persona.name}`);
+    console.log(`🔍 Searching for REAL leads using ${search.label} (up to ${pagesPerQuery} pages per query)...`);
+
+    while (queue.length > 0 && leads.length < target && (requeued || tried.length < queryBudget)) {
+      const planned = queue.shift();
+      console.log(`  Query ${tried.length + 1}${requeued ? `/${requeued.length}` : ''} (${planned.variant}): "${planned.query}"`);
+
+      const found = await this.searchQueryPages(search, persona, planned, {
+        pagesPerQuery,
+        remaining: target - leads.length,
+        seen,
+        failures: failedQueries,
+        screening
+      });
+      leads.push(...found.leads);
+      tried.push({ ...planned, pages: found.pages, kept: found.leads.length });
+
+      if (!requeued && queue.length === 0 && leads.length < target && tried.length < queryBudget) {
+        console.log(`🔁 ${persona.name}: ${leads.length}/${target} new leads after ${tried.length}/${queryBudget} queries - trying new queries`);
+        queue = await this.planQueries(persona, mode, hasLLM, targeting, tried.map(({ query }) => query));
+      }
+    }
+
+    return { leads, queries: tried };
+  }
+
+  /**
+   * Drop suppressed leads, then (with an LLM) companies, generic names and leads outside the targeting
+   * Suppression runs first so no LLM call is spent on people we may not contact.
+   * @param {Array} leads
+   * @param {Object} screening - state, suppression, targeting, hasLLM, and invalid/offTarget counters
+   * @returns {Promise<Array>} leads to keep
+   */
+  async screenLeads(leads, screening) {
+    const kept = applySuppression(screening.state, screening.suppression, leads, { kind: 'lead', node: this.id });
+    if (!screening.hasLLM || kept.length === 0) {
+      return kept;
+    }
+
+    await this.validateLeadsWithLLM(kept, screening.targeting);
+    screening.invalid += kept.filter(lead => lead.is_valid_person === false).length;
+    screening.offTarget += kept.filter(lead => lead.is_valid_person !== false && lead.matches_targeting === false).length;
+    return kept.filter(lead => lead.is_valid_person !== false && lead.matches_targeting !== false);
+  }
+
+  /**
+   * Print and return how well each persona's lead target was filled
+   * @param {Array<{persona: Object, allocation: Object, queries: Array}>} results - one per searched persona, queries from fillPersonaQuota
+   * @param {Array} leads - every lead of the run
+   * @param {number} queryBudget
+   * @returns {Object<string, {target: number, min: number, found: number, queries: number, query_results: Array, met: boolean}>} by persona name
+   */
+  reportFill(results, leads, queryBudget) {
+    const fill = {};
+    console.log('\n📊 Lead fill per persona:');
+    for (const { persona, allocation, queries } of results) {
+      const found = leads.filter(lead => lead.persona_id === persona.name).length;
+      const met = found >= allocation.min;
+      fill[persona.name] = { target: allocation.target, min: allocation.min, found, queries: queries.length, query_results: queries, met };
+
+      const why = met ? '' : queries.length >= queryBudget ? ' - query budget spent' : ' - no new queries left';
+      console.log(`   ${met ? '✅' : '⚠️ '} ${persona.name}: ${found}/${allocation.target}${allocation.min < allocation.target ? ` (min ${allocation.min})` : ''}, ${queries.length} queries${why}`);
+
+      // Which kinds of query paid off
+      const byVariant = {};
+      queries.forEach(({ variant, kept }) => {
+        byVariant[variant] = byVariant[variant] || { queries: 0, kept: 0 };
+        byVariant[variant].queries++;
+        byVariant[variant].kept += kept;
+      });
+      const summary = Object.entries(byVariant).map(([variant, entry]) => `${variant} ${entry.kept} from ${entry.queries}`);
+      if (summary.length > 0) {
+        console.log(`      leads by query kind: ${summary.join(', ')}`);
+      }
+    }
+    return fill;
+  }
+
+  /**
+   * Group requeued { persona_id, query } items into one search job per persona
+   * @param {Array} personas 
+   * @param {Array} requeuedQueries 
+   * @returns {Array<{persona: Object, queries: string[]}>}
+   */
+  groupRequeuedQueries(personas, requeuedQueries) {
+    const jobs = new Map();
+    for (const { persona_id, query } of requeuedQueries) {
+      if (!jobs.has(persona_id)) {
+        const persona = personas.find(p => p.name === persona_id) || { name: persona_id };
+        jobs.set(persona_id, { persona, queries: [] });
+      }
+      jobs.get(persona_id).queries.push(query);
+    }
+    return [...jobs.values()];
+  }
+
+  /**
+   * Identity of a lead for de-duplication: email and LinkedIn URL
+   * @param {Object} lead
+   * @returns {string}
+   */
+  leadKey(lead) {
+    return `${lead.email}_${lead.linkedin_url}`;
   }
 
   /**
@@ -267,7 +485,7 @@ Respond with ONLY a JSON object:
   removeDuplicateLeads(leads) {
     const seen = new Set();
     return leads.filter(lead => {
-      const key = `${lead.email}_${lead.linkedin_url}`;
+      const key = this.leadKey(lead);
       if (seen.has(key)) {
         return false;
       }
@@ -280,36 +498,37 @@ Respond with ONLY a JSON object:
    * Enhance lead data using LLM to improve titles and company info
    * @param {Array} leads 
    * @param {string} mode 
+   * @param {import('../targeting.js').Targeting} targeting
    */
-  async enhanceLeadsWithLLM(leads, mode) {
+  async enhanceLeadsWithLLM(leads, mode, targeting) {
     console.log(`🤖 Enhancing ${leads.length} leads with LLM...`);
     
-    // Process leads in batches to avoid API limits
+    // Process leads in batches to avoid API limits; batches run in parallel
     const batchSize = 5;
+    const batches = [];
     for (let i = 0; i < leads.length; i += batchSize) {
-      const batch = leads.slice(i, i + batchSize);
-      
+      batches.push(leads.slice(i, i + batchSize));
+    }
+    
+    const pool = new WorkPool(getProviderConcurrency('openai'), 'enhance');
+    await pool.map(batches, async (batch, index) => {
       try {
-        await this.enhanceBatchWithLLM(batch, mode);
-        console.log(`  Enhanced batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(leads.length/batchSize)}`);
-        
-        // Brief delay between batches
-        if (i + batchSize < leads.length) {
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        }
-        
+        await this.enhanceBatchWithLLM(batch, mode, targeting);
+        console.log(`  Enhanced batch ${index + 1}/${batches.length}`);
       } catch (error) {
+        if (error instanceof CircuitOpenError) throw error;
         console.error(`  ❌ Failed to enhance batch: ${error.message}`);
       }
-    }
+    });
   }
 
   /**
    * Enhance a batch of leads with LLM
    * @param {Array} batch 
    * @param {string} mode 
+   * @param {import('../targeting.js').Targeting} targeting
    */
-  async enhanceBatchWithLLM(batch, mode) {
+  async enhanceBatchWithLLM(batch, mode, targeting) {
     const prompt = `Enhance these lead profiles found via search. Fill in missing information and improve titles/companies based on context.
 
 LEADS TO ENHANCE:
@@ -317,15 +536,17 @@ ${batch.map((lead, i) => `
 ${i + 1}. Name: ${lead.name}
    Title: ${lead.title}
    Company: ${lead.company}
-   Email: ${lead.email}
+   Email: ${lead.email || 'N/A'}
    Raw Context: ${lead.raw_data || 'N/A'}
 `).join('')}
 
-For each lead, provide enhanced information for French ${mode === 'sales' ? 'banking/insurance' : 'investment'} outreach:
-- Improve title if generic (make it more specific and French if appropriate)
+For each lead, provide enhanced information for ${mode === 'sales' ? 'sales' : 'investment'} outreach within this targeting:
+${describeTargeting(targeting)}
+
+- Improve title if generic (make it more specific, in the lead's working language if appropriate)
 - Enhance company name if generic
-- Add relevant location details for France
-- Ensure information matches French business context
+- Add the location (city, country) when the context gives it - leave it out rather than guess
+- Ensure information matches the lead's business context
 
 Respond with ONLY a JSON object:
 {
@@ -334,51 +555,61 @@ Respond with ONLY a JSON object:
       "index": 0,
       "enhanced_title": "specific enhanced title",
       "enhanced_company": "specific company name",
-      "enhanced_location": "City, France",
+      "enhanced_location": "City, Country",
       "relevance_score": 0.85
     }
   ]
 }`;
 
     try {
-      const response = await this.enricher.openai.chat.completions.create({
-        model: "gpt-4o",
+      const result = await this.enricher.llm.completeJSON('enhanceBatchWithLLM', ENHANCED_LEADS_SCHEMA, {
         messages: [{ role: "user", content: prompt }],
         temperature: 0.2,
         max_tokens: 800
       });
-
-      const result = this.enricher.cleanAndParseJSON(response.choices[0].message.content);
-      
-      if (result.enhanced_leads && Array.isArray(result.enhanced_leads)) {
-        // Apply enhancements to the batch
-        result.enhanced_leads.forEach(enhancement => {
-          const leadIndex = enhancement.index;
-          if (leadIndex >= 0 && leadIndex < batch.length) {
-            const lead = batch[leadIndex];
-            if (enhancement.enhanced_title) lead.title = enhancement.enhanced_title;
-            if (enhancement.enhanced_company) lead.company = enhancement.enhanced_company;
-            if (enhancement.enhanced_location) lead.location = enhancement.enhanced_location;
-            if (enhancement.relevance_score) lead.confidence_score = Math.max(lead.confidence_score, enhancement.relevance_score);
-            
-            lead.llm_enhanced = true;
-          }
-        });
-      }
+      
+      // Apply enhancements to the batch
+      result.enhanced_leads.forEach(enhancement => {
+        const leadIndex = enhancement.index;
+        if (leadIndex < batch.length) {
+          const lead = batch[leadIndex];
+          if (enhancement.enhanced_title) lead.title = enhancement.enhanced_title;
+          if (enhancement.enhanced_company) lead.company = enhancement.enhanced_company;
+          if (enhancement.enhanced_location) lead.location = enhancement.enhanced_location;
+          if (enhancement.relevance_score) lead.confidence_score = Math.max(lead.confidence_score, enhancement.relevance_score);
+          
+          lead.llm_enhanced = true;
+        }
+      });
       
     } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
       console.error('LLM enhancement error:', error.message);
       // Continue without enhancement
       }
 }
 
+  /**
+   * Leads a search builds on: the run's leads, or none when search is redone from the
+   * command line (run-pipeline --from search / --only search sets payload.redo_search)
+   * Resumed runs and requeued dead-letter queries top up the leads the run has.
+   * @param {Object} state
+   * @param {Object} [payload] - message payload
+   * @returns {Object[]}
+   */
+  getExistingLeads(state, payload) {
+    return payload?.redo_search ? [] : state.leads || [];
+  }
+
   /**
    * Save leads to state file
    * @param {Object} state 
    * @param {Array} leads 
    * @param {string} profileDir 
+   * @param {Object} [fill] - reportFill result: target, found and queries per persona
+   * @param {string} [providerName] - search provider the leads came from
    */
-  async saveLeads(state, leads, profileDir) {
+  async saveLeads(state, leads, profileDir, fill = {}, providerName = 'jina') {
     // Update state with leads
     state.leads = leads;
     
@@ -386,8 +617,9 @@ Respond with ONLY a JSON object:
     state.search_metadata = {
       total_leads: leads.length,
       leads_per_persona: {},
+      persona_fill: fill,
       search_completed_at: getCurrentTimestamp(),
-      search_method: 'jina_api',
+      search_method: `${providerName}_api`,
       real_data: true,
       llm_enhanced: leads.some(lead => lead.llm_enhanced)
     };
@@ -415,10 +647,12 @@ Respond with ONLY a JSON object:
 
 
   /**
-   * Validate leads with LLM to filter out companies and generic names
+   * Validate leads with LLM to filter out companies, generic names and leads outside the targeting
+   * Sets is_valid_person and matches_targeting on each lead.
    * @param {Array} leads 
+   * @param {import('../targeting.js').Targeting} targeting
    */
-  async validateLeadsWithLLM(leads) {
+  async validateLeadsWithLLM(leads, targeting) {
     console.log(`🔍 Validating ${leads.length} leads to ensure they are real people...`);
     
     // Process leads in batches to avoid token limits
@@ -426,7 +660,14 @@ Respond with ONLY a JSON object:
     let validatedCount = 0;
     let filteredCount = 0;
     
+    const batchStarts = [];
     for (let i = 0; i < leads.length; i += batchSize) {
+      batchStarts.push(i);
+    }
+    
+    // Batches are validated in parallel; each one writes back to its own slice of leads
+    const pool = new WorkPool(getProviderConcurrency('openai'), 'validate');
+    await pool.map(batchStarts, async i => {
       const batch = leads.slice(i, i + batchSize);
       
       const prompt = `Validate these lead profiles to determine if they represent REAL PEOPLE or should be filtered out.
@@ -434,60 +675,65 @@ Respond with ONLY a JSON object:
 FILTER OUT if:
 - Name is a company name (e.g., "BNP Paribas", "Societe Generale") 
 - Name is generic (e.g., "Professional", "Manager", "Director")
-- Name contains company identifiers (e.g., "BNP Paribas'", "France", organization names)
+- Name contains company identifiers (e.g., "BNP Paribas'", country names, organization names)
 - Name is clearly not a person's first/last name
 
 KEEP if:
 - Name appears to be a real person's first and last name
 - Has realistic personal details that match a real individual
-
+${hasTargeting(targeting) ? `
+TARGETING - also set matches_targeting for each lead. Set it to false only when the title, company or context clearly puts the lead outside these filters; when unsure, it matches:
+${describeTargeting(targeting)}
+` : ''}
 LEADS TO VALIDATE:
 ${batch.map((lead, idx) => `
 ${idx + 1}. Name: "${lead.name}"
    Title: ${lead.title}
    Company: ${lead.company}
+   Context: ${lead.raw_data || 'N/A'}
 `).join('')}
 
 Respond with ONLY a JSON object:
 {
   "validations": [
-    {"index": 0, "is_valid_person": true, "reason": "Real person name"},
-    {"index": 1, "is_valid_person": false, "reason": "Company name, not a person"}
+    {"index": 0, "is_valid_person": true, "reason": "Real person name", "matches_targeting": true, "targeting_reason": ""},
+    {"index": 1, "is_valid_person": false, "reason": "Company name, not a person", "matches_targeting": true, "targeting_reason": ""}
   ]
 }`;
 
       try {
-        const response = await this.enricher.openai.chat.completions.create({
-          model: "gpt-4o",
+        const result = await this.enricher.llm.completeJSON('validateLeadsWithLLM', LEAD_VALIDATIONS_SCHEMA, {
           messages: [{ role: "user", content: prompt }],
           temperature: 0.1,
           max_tokens: 600
         });
-
-        const result = this.enricher.cleanAndParseJSON(response.choices[0].message.content);
         
-        if (result.validations && Array.isArray(result.validations)) {
-          result.validations.forEach(validation => {
-            const batchIndex = validation.index;
-            const globalIndex = i + batchIndex;
+        result.validations.forEach(validation => {
+          const batchIndex = validation.index;
+          const globalIndex = i + batchIndex;
+          
+          if (batchIndex < batch.length && globalIndex < leads.length) {
+            const lead = leads[globalIndex];
+            lead.is_valid_person = validation.is_valid_person;
+            lead.validation_reason = validation.reason;
+            lead.matches_targeting = validation.matches_targeting;
+            if (validation.targeting_reason) lead.targeting_reason = validation.targeting_reason;
             
-            if (batchIndex >= 0 && batchIndex < batch.length && globalIndex < leads.length) {
-              const lead = leads[globalIndex];
-              lead.is_valid_person = validation.is_valid_person;
-              lead.validation_reason = validation.reason;
-              
-              if (validation.is_valid_person) {
-                validatedCount++;
-                console.log(`   ✅ ${lead.name} - ${validation.reason}`);
-              } else {
-                filteredCount++;
-                console.log(`   ❌ ${lead.name} - ${validation.reason}`);
-              }
+            if (validation.is_valid_person && !validation.matches_targeting) {
+              filteredCount++;
+              console.log(`   🎯 ${lead.name} - outside targeting: ${validation.targeting_reason || 'no reason given'}`);
+            } else if (validation.is_valid_person) {
+              validatedCount++;
+              console.log(`   ✅ ${lead.name} - ${validation.reason}`);
+            } else {
+              filteredCount++;
+              console.log(`   ❌ ${lead.name} - ${validation.reason}`);
             }
-          });
-        }
+          }
+        });
         
       } catch (error) {
+        if (error instanceof CircuitOpenError) throw error;
         console.error(`❌ LLM validation error for batch ${Math.floor(i/batchSize) + 1}:`, error.message);
         // Mark all leads in this batch as valid to be safe
         batch.forEach(lead => {
@@ -496,12 +742,7 @@ Respond with ONLY a JSON object:
           validatedCount++;
         });
       }
-      
-      // Brief delay between batches
-      if (i + batchSize < leads.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    }
+    });
     
     console.log(`🎯 Validation completed: ${validatedCount} valid, ${filteredCount} filtered`);
   }
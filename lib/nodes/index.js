@@ -0,0 +1,108 @@
+import { IntakeNode } from './IntakeNode.js';
+import { PlanNode } from './PlanNode.js';
+import { PersonaNode } from './PersonaNode.js';
+import { PersonaReviewNode } from './PersonaReviewNode.js';
+import { SearchNode } from './SearchNode.js';
+import { EnrichNode } from './EnrichNode.js';
+import { OutreachNode } from './OutreachNode.js';
+// Investor pipeline nodes
+import { InvestorIntakeNode } from './investor/InvestorIntakeNode.js';
+import { InvestorPersonaNode } from './investor/InvestorPersonaNode.js';
+import { InvestorSearchNode } from './investor/InvestorSearchNode.js';
+import { InvestorEnrichNode } from './investor/InvestorEnrichNode.js';
+import { InvestorOutreachNode } from './investor/InvestorOutreachNode.js';
+import { EventTypes, NodeIds } from '../types.js';
+
+/**
+ * Node declarations the Router builds its registry from
+ * Plugins use the same shape - see lib/plugins.js.
+ * @type {NodeDeclaration[]}
+ */
+export const BUILTIN_NODES = [
+  // Sales pipeline nodes
+  {
+    id: NodeIds.INTAKE,
+    pipeline: 'sales',
+    handles: [EventTypes.START],
+    emits: [EventTypes.USER_CONTEXT_READY],
+    create: () => new IntakeNode()
+  },
+  {
+    id: NodeIds.PLAN,
+    pipeline: 'sales',
+    handles: [EventTypes.USER_CONTEXT_READY],
+    emits: [],
+    create: () => new PlanNode()
+  },
+  {
+    id: NodeIds.PERSONA,
+    pipeline: 'sales',
+    handles: [EventTypes.USER_CONTEXT_READY],
+    emits: [],
+    create: () => new PersonaNode()
+  },
+  {
+    id: NodeIds.PERSONA_REVIEW,
+    pipeline: 'sales',
+    handles: [EventTypes.PERSONAS_GENERATED],
+    emits: [],
+    create: () => new PersonaReviewNode()
+  },
+  {
+    id: NodeIds.SEARCH,
+    pipeline: 'sales',
+    handles: [EventTypes.PERSONAS_READY],
+    emits: [],
+    create: () => new SearchNode()
+  },
+  {
+    id: NodeIds.ENRICH,
+    pipeline: 'sales',
+    handles: [EventTypes.SEARCH_READY],
+    emits: [EventTypes.ENRICH_READY],
+    create: () => new EnrichNode()
+  },
+  {
+    id: NodeIds.OUTREACH,
+    pipeline: 'sales',
+    handles: [EventTypes.ENRICH_READY],
+    emits: [EventTypes.OUTREACH_READY],
+    create: () => new OutreachNode()
+  },
+  // Investor pipeline nodes
+  {
+    id: NodeIds.INVESTOR_INTAKE,
+    pipeline: 'investor',
+    handles: [EventTypes.START],
+    emits: [EventTypes.INVESTOR_INTAKE_READY],
+    create: () => new InvestorIntakeNode()
+  },
+  {
+    id: NodeIds.INVESTOR_PERSONA,
+    pipeline: 'investor',
+    handles: [EventTypes.INVESTOR_INTAKE_READY],
+    emits: [EventTypes.INVESTOR_PERSONAS_READY],
+    create: () => new InvestorPersonaNode()
+  },
+  {
+    id: NodeIds.INVESTOR_SEARCH,
+    pipeline: 'investor',
+    handles: [EventTypes.INVESTOR_PERSONAS_READY],
+    emits: [EventTypes.INVESTOR_SEARCH_READY],
+    create: () => new InvestorSearchNode()
+  },
+  {
+    id: NodeIds.INVESTOR_ENRICH,
+    pipeline: 'investor',
+    handles: [EventTypes.INVESTOR_SEARCH_READY],
+    emits: [EventTypes.INVESTOR_ENRICH_READY],
+    create: () => new InvestorEnrichNode()
+  },
+  {
+    id: NodeIds.INVESTOR_OUTREACH,
+    pipeline: 'investor',
+    handles: [EventTypes.INVESTOR_ENRICH_READY],
+    emits: [EventTypes.INVESTOR_OUTREACH_READY],
+    create: () => new InvestorOutreachNode()
+  }
+];
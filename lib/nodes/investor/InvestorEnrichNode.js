@@ -1,8 +1,18 @@
 import path from 'path';
 import { EventTypes, NodeIds } from '../../types.js';
 import { readJson, writeJson, appendLog, getCurrentTimestamp } from '../../utils.js';
-import { JinaSearchAPI } from '../../jina-search.js';
-import OpenAI from 'openai';
+import { getCampaignSearchProvider } from '../../search/index.js';
+import { WorkPool, getProviderConcurrency } from '../../work-pool.js';
+import { withRetry, getRetryPolicy, classifyError } from '../../retry.js';
+import { addDeadLetter, DeadLetterKinds } from '../../dead-letter.js';
+import { getPlanCaps } from '../../plan.js';
+import { LLMClient } from '../../llm-client.js';
+import { INVESTOR_DUE_DILIGENCE_SCHEMA } from '../../schemas.js';
+import { condenseSources } from '../../map-reduce.js';
+import { withRunContext } from '../../run-context.js';
+import { fitToBudget } from '../../usage.js';
+import { assertCircuitsClosed, CircuitOpenError } from '../../rate-limiter.js';
+import { loadSuppressionList, applySuppression } from '../../suppression.js';
 
 /**
  * InvestorEnrichNode performs due diligence on investors
@@ -13,10 +23,7 @@ export class InvestorEnrichNode {
     this.id = NodeIds.INVESTOR_ENRICH;
     this.handles = EventTypes.INVESTOR_SEARCH_READY;
     
-    this.jinaSearch = new JinaSearchAPI();
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.llm = new LLMClient(this.id);
   }
 
   /**
@@ -27,7 +34,7 @@ export class InvestorEnrichNode {
    */
   async run(message, ctx) {
     const { run_id, payload } = message;
-    const { company_info, analysis, investors } = payload;
+    const { company_info, analysis, investors, requeue } = payload;
     
     console.log(`🔍 InvestorEnrichNode: Performing due diligence on ${investors.length} investors`);
     
@@ -35,55 +42,87 @@ export class InvestorEnrichNode {
     const statePath = path.join(ctx.profilesDir, run_id, 'state.json');
     const state = await readJson(statePath);
     
-    // Select top investors for due diligence (limit to prevent API overuse)
-    const investorsToEnrich = investors.slice(0, 10);
+    // Entries added since the search still apply before any due diligence
+    const suppression = await loadSuppressionList(ctx.profilesDir, state);
+    const eligible = applySuppression(state, suppression, investors, { kind: 'investor', node: this.id });
+    
+    // Select top investors for due diligence (plan caps it to prevent API overuse)
+    // Requeued dead letters are retried in full
+    const selected = requeue ? eligible : eligible.slice(0, getPlanCaps(state).max_enriched_leads);
+    
+    // Near the campaign budget, the lowest-ranked investors are skipped first
+    const budget = fitToBudget(run_id, this.id, selected);
+    const investorsToEnrich = budget.kept;
+    if (budget.skipped.length > 0) {
+      console.log(`💸 Budget: skipping ${budget.skipped.length} lowest-ranked investors (~$${budget.unit_cost_usd.toFixed(3)} each)`);
+    }
     console.log(`📊 Enriching top ${investorsToEnrich.length} investors`);
     
-    let enrichedInvestors = [];
+    // Perform due diligence on investors in parallel; results keep investor order
+    const search = getCampaignSearchProvider(state);
+    const pool = new WorkPool(getProviderConcurrency(search.name), 'investor-enrich');
+    const failures = [];
     
-    // Perform due diligence on each investor
-    for (let i = 0; i < investorsToEnrich.length; i++) {
-      const investor = investorsToEnrich[i];
+    const results = await pool.map(investorsToEnrich, async (investor, i) => {
       console.log(`\n🔍 [${i + 1}/${investorsToEnrich.length}] Due diligence: ${investor.name}`);
       
       try {
-        const dueDiligence = await this.performInvestorDueDiligence(investor, company_info);
+        const dueDiligence = await withRunContext({ leadId: investor.id || investor.name },
+          () => this.performInvestorDueDiligence(search, investor, company_info));
         
-        if (dueDiligence) {
-          enrichedInvestors.push({
-            ...investor,
-            due_diligence: dueDiligence,
-            enriched_at: getCurrentTimestamp(),
-            ready_for_outreach: true
-          });
-          
-          console.log(`   ✅ Due diligence completed`);
-          console.log(`   💰 Typical check: ${dueDiligence.check_size || 'Unknown'}`);
-          console.log(`   🎯 Investment focus: ${dueDiligence.investment_focus?.slice(0, 2).join(', ') || 'General'}`);
-          
-          // Rate limiting delay
-          await new Promise(resolve => setTimeout(resolve, 2000));
+        if (!dueDiligence) {
+          return null;
         }
+        
+        // The LLM analysis fell back to defaults - keep the investor but dead-letter it
+        if (dueDiligence.error_class) {
+          failures.push(this.investorDeadLetter(investor, dueDiligence.error, dueDiligence.error_class));
+        }
+        
+        console.log(`   ✅ Due diligence completed for ${investor.name}`);
+        console.log(`   💰 Typical check: ${dueDiligence.check_size || 'Unknown'}`);
+        console.log(`   🎯 Investment focus: ${dueDiligence.investment_focus?.slice(0, 2).join(', ') || 'General'}`);
+        
+        return {
+          ...investor,
+          due_diligence: dueDiligence,
+          enriched_at: getCurrentTimestamp(),
+          ready_for_outreach: true
+        };
       } catch (error) {
+        // An open circuit stops the node - the router pauses the run instead of failing every investor
+        if (error instanceof CircuitOpenError) throw error;
         console.error(`   ❌ Due diligence failed for ${investor.name}:`, error.message);
+        failures.push(this.investorDeadLetter(investor, error, classifyError(error)));
         
         // Add investor without enrichment
-        enrichedInvestors.push({
+        return {
           ...investor,
           due_diligence: { error: error.message, enrichment_failed: true },
           enriched_at: getCurrentTimestamp(),
           ready_for_outreach: false
-        });
+        };
       }
-    }
+    }, {
+      onProgress: (completed, total) => {
+        console.log(`📈 Due diligence progress: ${completed}/${total} investors done`);
+      }
+    });
+    
+    const enrichedInvestors = requeue
+      ? this.mergeInvestors(state.investors || [], results.filter(Boolean))
+      : results.filter(Boolean);
     
-    // Update state with enriched investors
+    // Update state with enriched investors (unless a provider stopped answering halfway)
+    assertCircuitsClosed();
     state.investors = enrichedInvestors;
+    failures.forEach(failure => addDeadLetter(state, failure));
     state.investor_metadata = {
       ...state.investor_metadata,
       due_diligence_completed_at: getCurrentTimestamp(),
       investors_enriched: enrichedInvestors.filter(inv => inv.due_diligence && !inv.due_diligence.error).length,
-      ready_for_outreach: enrichedInvestors.filter(inv => inv.ready_for_outreach).length
+      ready_for_outreach: enrichedInvestors.filter(inv => inv.ready_for_outreach).length,
+      skipped_for_budget: budget.skipped.map(inv => inv.name)
     };
     
     await writeJson(statePath, state);
@@ -108,18 +147,50 @@ export class InvestorEnrichNode {
     };
   }
 
+  /**
+   * Dead letter entry for an investor whose due diligence failed
+   * @param {Object} investor 
+   * @param {Error|string} error 
+   * @param {string} errorClass 
+   * @returns {Object}
+   */
+  investorDeadLetter(investor, error, errorClass) {
+    return {
+      kind: DeadLetterKinds.INVESTOR,
+      node: this.id,
+      item_id: investor.name,
+      item: investor,
+      error,
+      error_class: errorClass
+    };
+  }
+
+  /**
+   * Replace requeued investors in the existing list, matched by name
+   * @param {Array} existing - investors already in state
+   * @param {Array} retried - investors enriched by the requeue
+   * @returns {Array}
+   */
+  mergeInvestors(existing, retried) {
+    const byName = new Map(retried.map(inv => [inv.name, inv]));
+    const merged = existing.map(inv => byName.get(inv.name) || inv);
+    const known = new Set(existing.map(inv => inv.name));
+    return merged.concat(retried.filter(inv => !known.has(inv.name)));
+  }
+
   /**
    * Perform comprehensive due diligence on an investor
+   * @param {import('../../search/provider.js').SearchProvider} search
    * @param {Object} investor - Investor information
    * @param {Object} companyInfo - Company information for context
    * @returns {Promise<Object>} Due diligence results
    */
-  async performInvestorDueDiligence(investor, companyInfo) {
+  async performInvestorDueDiligence(search, investor, companyInfo) {
     // Search for additional information about the investor
-    const additionalInfo = await this.searchInvestorBackground(investor);
+    const additionalInfo = await this.searchInvestorBackground(search, investor);
     
     // Scrape content from relevant sources
-    const scrapedContent = await this.scrapeInvestorContent(additionalInfo);
+    const scrapedContent = await this.scrapeInvestorContent(search, additionalInfo);
     
     // Analyze with LLM for due diligence
     const analysis = await this.analyzeInvestorForDueDiligence(investor, scrapedContent, companyInfo);
@@ -135,10 +206,11 @@ export class InvestorEnrichNode {
 
   /**
    * Search for additional background information on investor
+   * @param {import('../../search/provider.js').SearchProvider} search
    * @param {Object} investor - Investor information
    * @returns {Promise<Array>} Additional search results
    */
-  async searchInvestorBackground(investor) {
+  async searchInvestorBackground(search, investor) {
     const queries = [
       `"${investor.name}" ${investor.firm_name || ''} portfolio companies`,
       `"${investor.name}" ${investor.firm_name || ''} investment thesis`,
@@ -151,13 +223,18 @@ export class InvestorEnrichNode {
     for (const query of queries.slice(0, 3)) { // Limit queries
       try {
         console.log(`   🔍 Background search: "${query}"`);
-        const results = await this.jinaSearch.search(query);
+        const results = await withRetry(
+          () => search.search(query),
+          getRetryPolicy(this.id),
+          { label: `Background search "${query}"` }
+        );
         
         if (results && results.length > 0) {
           allResults = allResults.concat(results.slice(0, 3)); // Limit results per query
           console.log(`   ✅ Found ${results.length} background sources`);
         }
       } catch (error) {
+        if (error instanceof CircuitOpenError) throw error;
         console.error(`   ❌ Background search failed for "${query}"`);
       }
     }
@@ -167,10 +244,11 @@ export class InvestorEnrichNode {
 
   /**
    * Scrape content from investor-related sources
+   * @param {import('../../search/provider.js').SearchProvider} search
    * @param {Array} searchResults - Search results to scrape
    * @returns {Promise<Array>} Scraped content
    */
-  async scrapeInvestorContent(searchResults) {
+  async scrapeInvestorContent(search, searchResults) {
     const scrapedContent = [];
     const urlsToScrape = searchResults
       .filter(result => result.url && !result.url.includes('linkedin.com/in'))
@@ -179,19 +257,20 @@ export class InvestorEnrichNode {
     for (const result of urlsToScrape) {
       try {
         console.log(`   📖 Scraping: ${result.url}`);
-        const content = await this.jinaSearch.readWebsite(result.url);
+        const content = await search.readWebsite(result.url);
         
         if (content && content.length > 100) {
           scrapedContent.push({
             url: result.url,
             title: result.title,
-            content: content.substring(0, 5000), // Limit content length
+            content, // Condensed in analyzeInvestorForDueDiligence if it doesn't fit the model
             success: true,
             scraped_at: getCurrentTimestamp()
           });
           console.log(`   ✅ Scraped ${content.length} characters`);
         }
       } catch (error) {
+        if (error instanceof CircuitOpenError) throw error;
         console.error(`   ❌ Scraping failed for ${result.url}`);
         scrapedContent.push({
           url: result.url,
@@ -213,10 +292,20 @@ export class InvestorEnrichNode {
    * @returns {Promise<Object>} Due diligence analysis
    */
   async analyzeInvestorForDueDiligence(investor, scrapedContent, companyInfo) {
-    const contentText = scrapedContent
-      .filter(c => c.success)
-      .map(c => `Source: ${c.title}\n${c.content}`)
-      .join('\n\n');
+    let condensed;
+    try {
+      condensed = await condenseSources(this.llm, {
+        task: 'analyzeInvestorForDueDiligence',
+        subject: `${investor.name}${investor.firm_name ? ` (${investor.firm_name})` : ''}`,
+        focus: 'their investment focus, portfolio companies, recent deals, check sizes, stages, thesis and team',
+        sources: scrapedContent.filter(c => c.success).map(c => `Source: ${c.title}\n${c.content}`)
+      });
+    } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
+      console.error(`   ❌ Could not condense content for ${investor.name}: ${error.message}`);
+      return this.fallbackDueDiligence(investor, error);
+    }
+    const contentText = condensed.content.join('\n\n');
 
     const prompt = `Perform due diligence analysis on this investor for a potential pitch. Extract actionable intelligence for fundraising.
 
@@ -255,41 +344,57 @@ Analyze and return JSON with:
 Focus on actionable insights for fundraising strategy.`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.2,
-        response_format: { type: "json_object" },
-        max_tokens: 1000
-      });
+      const analysis = await withRetry(
+        () => this.llm.completeJSON('analyzeInvestorForDueDiligence', INVESTOR_DUE_DILIGENCE_SCHEMA, {
+          messages: [{ role: "user", content: prompt }],
+          temperature: 0.2,
+          response_format: { type: "json_object" },
+          max_tokens: 1000
+        }),
+        getRetryPolicy(this.id),
+        { label: `Due diligence for ${investor.name}` }
+      );
 
-      const analysis = JSON.parse(response.choices[0].message.content);
-      
       return {
         ...analysis,
         analysis_confidence: this.assessAnalysisConfidence(analysis, scrapedContent),
-        content_sources_used: scrapedContent.filter(c => c.success).length
+        content_sources_used: scrapedContent.filter(c => c.success).length,
+        ...(condensed.condensed && {
+          content_chunks: condensed.chunks,
+          content_chunks_failed: condensed.chunks_failed,
+          extracted_facts: condensed.facts
+        })
       };
     } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
       console.error('Error analyzing investor for due diligence:', error);
-      
-      // Fallback analysis
-      return {
-        investment_focus: [investor.focus_areas?.[0] || 'Technology'],
-        portfolio_companies: [],
-        check_size: investor.check_size || 'Unknown',
-        stage_preferences: investor.stage_preferences || ['seed'],
-        investment_thesis: 'Investment thesis not available',
-        recent_investments: [],
-        decision_criteria: ['Market size', 'Team quality', 'Traction'],
-        fit_assessment: 'medium',
-        outreach_strategy: 'Standard VC approach',
-        analysis_confidence: 'low',
-        error: error.message
-      };
+      return this.fallbackDueDiligence(investor, error);
     }
   }
 
+  /**
+   * Due diligence from the basic investor info, when the analysis fails
+   * @param {Object} investor - Basic investor info
+   * @param {Error} error - Why the analysis failed
+   * @returns {Object} Fallback analysis
+   */
+  fallbackDueDiligence(investor, error) {
+    return {
+      investment_focus: [investor.focus_areas?.[0] || 'Technology'],
+      portfolio_companies: [],
+      check_size: investor.check_size || 'Unknown',
+      stage_preferences: investor.stage_preferences || ['seed'],
+      investment_thesis: 'Investment thesis not available',
+      recent_investments: [],
+      decision_criteria: ['Market size', 'Team quality', 'Traction'],
+      fit_assessment: 'medium',
+      outreach_strategy: 'Standard VC approach',
+      analysis_confidence: 'low',
+      error: error.message,
+      error_class: classifyError(error)
+    };
+  }
+
   /**
    * Assess confidence in due diligence analysis
    * @param {Object} analysis - LLM analysis results
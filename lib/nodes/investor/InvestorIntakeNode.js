@@ -1,6 +1,8 @@
 import path from 'path';
 import { EventTypes, NodeIds } from '../../types.js';
 import { readJson, writeJson, appendLog, getCurrentTimestamp, generateRunId, ensureDir } from '../../utils.js';
+import { validateBriefAnswers, BriefError } from '../../brief.js';
+import { getSenderProfile } from '../../sender-profiles.js';
 
 /**
  * InvestorIntakeNode collects information about the company for investor outreach
@@ -84,8 +86,14 @@ export class InvestorIntakeNode {
     const profileDir = path.join(ctx.profilesDir, run_id);
     await ensureDir(profileDir);
     
-    // Collect answers from user input or message payload
-    const answers = message.payload?.answers || await this.collectAnswers();
+    // Collect answers from the message payload, a campaign brief, or user input
+    const brief = message.payload?.brief || null;
+    const answers = message.payload?.answers
+      || (brief ? this.collectFromBrief(brief) : await this.collectAnswers());
+    
+    // Sender profile picked for the campaign; checked now rather than at outreach
+    const senderId = message.payload?.sender || brief?.sender || null;
+    if (senderId) getSenderProfile(senderId);
     
     // Create initial state
     const state = {
@@ -103,7 +111,15 @@ export class InvestorIntakeNode {
           use_of_funds: answers.use_of_funds,
           geographic_focus: answers.geographic_focus || 'Global'
         },
-        created_at: getCurrentTimestamp()
+        created_at: getCurrentTimestamp(),
+        sender: senderId,
+        ...(brief && {
+          brief: { path: brief.path, notes: brief.notes },
+          // Optional questions the brief leaves open
+          gaps: this.getInvestorQuestions()
+            .filter(question => answers[question.key] === undefined)
+            .map(question => ({ key: question.key, question: question.question }))
+        })
       },
       investors: [],
       outreach: [],
@@ -118,7 +134,7 @@ export class InvestorIntakeNode {
     await writeJson(statePath, state);
     
     // Log completion
-    await appendLog(profileDir, `Investor intake completed: ${Object.keys(answers).length} questions answered`);
+    await appendLog(path.join(profileDir, 'scratchbook.log'), `Investor intake completed: ${Object.keys(answers).length} questions answered`);
     
     console.log(`✅ Company profile created for ${answers.company_name}`);
     console.log(`📊 Funding stage: ${answers.funding_stage}`);
@@ -149,6 +165,20 @@ export class InvestorIntakeNode {
     return {};
   }
 
+  /**
+   * Answers from a campaign brief, validated like typed answers
+   * @param {import('../../brief.js').CampaignBrief} brief
+   * @returns {Object} Validated answers
+   * @throws {BriefError}
+   */
+  collectFromBrief(brief) {
+    if (brief.mode !== 'investor') {
+      throw new BriefError(`Brief ${brief.path} is for ${brief.mode} mode; the investor pipeline needs mode: investor`);
+    }
+    console.log(`📄 Reading company answers from brief: ${brief.path}`);
+    return validateBriefAnswers(brief, this.getInvestorQuestions());
+  }
+
   /**
    * Validate company information completeness
    * @param {Object} answers - User answers
@@ -2,7 +2,12 @@ import path from 'path';
 import fs from 'fs';
 import { EventTypes, NodeIds } from '../../types.js';
 import { readJson, writeJson, appendLog, getCurrentTimestamp } from '../../utils.js';
-import OpenAI from 'openai';
+import { WorkPool, getProviderConcurrency } from '../../work-pool.js';
+import { LLMClient } from '../../llm-client.js';
+import { withRunContext } from '../../run-context.js';
+import { assertCircuitsClosed, CircuitOpenError } from '../../rate-limiter.js';
+import { getSenderProfile, describeSender, callToAction } from '../../sender-profiles.js';
+import { recordSuppression } from '../../suppression.js';
 
 /**
  * InvestorOutreachNode generates personalized investor outreach messages
@@ -14,9 +19,7 @@ export class InvestorOutreachNode {
     this.handles = EventTypes.INVESTOR_ENRICH_READY;
     
     // Initialize OpenAI client
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.llm = new LLMClient(this.id);
   }
 
   /**
@@ -24,14 +27,17 @@ export class InvestorOutreachNode {
    * @param {Object} investor - Investor information
    * @param {Object} dueDiligence - Due diligence data
    * @param {Object} companyInfo - Company information
+   * @param {import('../../sender-profiles.js').SenderProfile} sender - who the message is from
    * @returns {Promise<string>} Generated message
    */
-  async generateLinkedInConnectionMessage(investor, dueDiligence, companyInfo) {
+  async generateLinkedInConnectionMessage(investor, dueDiligence, companyInfo, sender) {
     // Extract most relevant intelligence for connection request
     const portfolioCompany = dueDiligence.portfolio_companies?.[0] || '';
     const focusArea = dueDiligence.investment_focus?.[0] || companyInfo.technology;
     
-    const prompt = `You are Mohamad from ${companyInfo.name} reaching out to an investor on LinkedIn. Generate a personalized connection request under 250 characters.
+    const prompt = `You are ${sender.name} from ${companyInfo.name} reaching out to an investor on LinkedIn. Generate a personalized connection request under 250 characters.
+
+${describeSender(sender)}
 
 INVESTOR INFO:
 - Name: ${investor.person_name || investor.name}
@@ -62,8 +68,7 @@ Be specific about their investment background, not generic.
 Return only the message text, no quotes or extra formatting.`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
+      const response = await this.llm.complete('generateLinkedInConnectionMessage', {
         messages: [{ role: "user", content: prompt }],
         temperature: 0.7,
         max_tokens: 100
@@ -79,6 +84,7 @@ Return only the message text, no quotes or extra formatting.`;
       
       return message;
     } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
       console.error(`Error generating LinkedIn connection message for ${investor.name}:`, error);
       return `Hi ${investor.person_name || investor.name}, I noticed your investments in ${focusArea}. We're building ${companyInfo.name} at ${companyInfo.funding_stage} stage and would love to connect to discuss the opportunity.`;
     }
@@ -89,10 +95,13 @@ Return only the message text, no quotes or extra formatting.`;
    * @param {Object} investor - Investor information
    * @param {Object} dueDiligence - Due diligence data
    * @param {Object} companyInfo - Company information
+   * @param {import('../../sender-profiles.js').SenderProfile} sender - who the message is from
    * @returns {Promise<string>} Generated message
    */
-  async generateLinkedInFollowUpMessage(investor, dueDiligence, companyInfo) {
-    const prompt = `You are Mohamad from ${companyInfo.name} following up after connecting with an investor on LinkedIn. Generate a personalized follow-up message for fundraising.
+  async generateLinkedInFollowUpMessage(investor, dueDiligence, companyInfo, sender) {
+    const prompt = `You are ${sender.name} from ${companyInfo.name} following up after connecting with an investor on LinkedIn. Generate a personalized follow-up message for fundraising.
+
+${describeSender(sender)}
 
 INVESTOR INFO:
 - Name: ${investor.person_name || investor.name}
@@ -120,7 +129,7 @@ Generate a LinkedIn follow-up message that:
 2. References 2-3 SPECIFIC details from their investment background
 3. Clearly presents your company's opportunity and traction
 4. Mentions you'd like to send them a pitch deck
-5. Includes this Calendly link for scheduling: https://calendly.com/mohamed-legml/30min
+5. ${sender.booking_link ? `Includes this booking link for scheduling: ${sender.booking_link}` : 'Asks for a reply to set up a call'}
 6. Sounds professional and investor-appropriate
 7. Shows you've done your research on their portfolio/thesis
 
@@ -129,8 +138,7 @@ Be specific about their investments and thesis, not generic.
 Return only the message text, no quotes or formatting.`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
+      const response = await this.llm.complete('generateLinkedInFollowUpMessage', {
         messages: [{ role: "user", content: prompt }],
         temperature: 0.7,
         max_tokens: 400
@@ -138,8 +146,9 @@ Return only the message text, no quotes or formatting.`;
 
       return response.choices[0].message.content.trim();
     } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
       console.error(`Error generating LinkedIn follow-up message for ${investor.name}:`, error);
-      return `Thanks for connecting, ${investor.person_name || investor.name}! I noticed your investments in ${dueDiligence.investment_focus?.[0] || 'technology'} at ${investor.firm_name}. We're building ${companyInfo.name} - ${companyInfo.technology} - and would love to share our pitch deck and discuss the opportunity. Would you be open to a brief call? You can book a time here: https://calendly.com/mohamed-legml/30min`;
+      return `Thanks for connecting, ${investor.person_name || investor.name}! I noticed your investments in ${dueDiligence.investment_focus?.[0] || 'technology'} at ${investor.firm_name}. We're building ${companyInfo.name} - ${companyInfo.technology} - and would love to share our pitch deck and discuss the opportunity. ${callToAction(sender)}`;
     }
   }
 
@@ -148,10 +157,13 @@ Return only the message text, no quotes or formatting.`;
    * @param {Object} investor - Investor information
    * @param {Object} dueDiligence - Due diligence data
    * @param {Object} companyInfo - Company information
+   * @param {import('../../sender-profiles.js').SenderProfile} sender - who the message is from
    * @returns {Promise<string>} Generated message with subject
    */
-  async generateInvestorEmail(investor, dueDiligence, companyInfo) {
-    const prompt = `You are Mohamad from ${companyInfo.name} writing a fundraising email to an investor. Generate a personalized investor email.
+  async generateInvestorEmail(investor, dueDiligence, companyInfo, sender) {
+    const prompt = `You are ${sender.name} from ${companyInfo.name} writing a fundraising email to an investor. Generate a personalized investor email.
+
+${describeSender(sender)}
 
 INVESTOR INFO:
 - Name: ${investor.person_name || investor.name}
@@ -184,7 +196,7 @@ Generate an investor email that:
 3. Clearly presents the investment opportunity with key metrics
 4. Explains why this fits their investment criteria
 5. Mentions you're attaching/sending a pitch deck
-6. Ends with meeting request using Calendly: https://calendly.com/mohamed-legml/30min
+6. Ends with a meeting request${sender.booking_link ? ` using the booking link: ${sender.booking_link}` : ''}
 7. Maintains professional investor-appropriate tone
 8. Shows deep research into their investment background
 
@@ -197,15 +209,12 @@ Subject: [specific subject line]
 
 Sign as:
 Best regards,
-Mohamad
-Founder & CEO
-${companyInfo.name}
+${sender.signature}
 
 Return the complete email with subject line.`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
+      const response = await this.llm.complete('generateInvestorEmail', {
         messages: [{ role: "user", content: prompt }],
         temperature: 0.7,
         max_tokens: 600
@@ -213,6 +222,7 @@ Return the complete email with subject line.`;
 
       return response.choices[0].message.content.trim();
     } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
       console.error(`Error generating investor email for ${investor.name}:`, error);
       return `Subject: ${companyInfo.name} - ${companyInfo.funding_stage} opportunity in ${dueDiligence.investment_focus?.[0] || companyInfo.technology}
 
@@ -224,12 +234,10 @@ We're building ${companyInfo.name} - ${companyInfo.technology}. Our traction inc
 
 I'd love to send you our pitch deck and discuss how this opportunity aligns with your investment thesis.
 
-Would you be open to a brief call? You can book a time here: https://calendly.com/mohamed-legml/30min
+${callToAction(sender)}
 
 Best regards,
-Mohamad
-Founder & CEO
-${companyInfo.name}`;
+${sender.signature}`;
     }
   }
 
@@ -251,9 +259,10 @@ ${companyInfo.name}`;
    * Generate CSV content with all investor outreach messages
    * @param {Array} enrichedInvestors - Investors with due diligence
    * @param {Object} companyInfo - Company information
+   * @param {import('../../sender-profiles.js').SenderProfile} sender - who the messages are from
    * @returns {Promise<string>} CSV content
    */
-  async generateInvestorCSVContent(enrichedInvestors, companyInfo) {
+  async generateInvestorCSVContent(enrichedInvestors, companyInfo, sender) {
     console.log('🤖 Generating personalized investor outreach messages...');
     
     const headers = [
@@ -276,18 +285,20 @@ ${companyInfo.name}`;
 
     const csvRows = [headers.join(',')];
 
-    for (let i = 0; i < enrichedInvestors.length; i++) {
-      const investor = enrichedInvestors[i];
+    // Investors are processed in parallel; rows come back in investor order
+    const pool = new WorkPool(getProviderConcurrency('openai'), 'investor-outreach');
+    
+    const rows = await pool.map(enrichedInvestors, async (investor, i) => {
       const dueDiligence = investor.due_diligence || {};
       
       console.log(`📝 Processing ${investor.name} (${i + 1}/${enrichedInvestors.length})`);
       
-      // Generate all three types of messages in parallel
-      const [linkedinConnection, linkedinFollowUp, investorEmail] = await Promise.all([
-        this.generateLinkedInConnectionMessage(investor, dueDiligence, companyInfo),
-        this.generateLinkedInFollowUpMessage(investor, dueDiligence, companyInfo),
-        this.generateInvestorEmail(investor, dueDiligence, companyInfo)
-      ]);
+      // Generate all three types of messages in parallel (usage is counted against the investor)
+      const [linkedinConnection, linkedinFollowUp, investorEmail] = await withRunContext({ leadId: investor.id || investor.name }, () => Promise.all([
+        this.generateLinkedInConnectionMessage(investor, dueDiligence, companyInfo, sender),
+        this.generateLinkedInFollowUpMessage(investor, dueDiligence, companyInfo, sender),
+        this.generateInvestorEmail(investor, dueDiligence, companyInfo, sender)
+      ]));
 
       const row = [
         this.escapeCSV(investor.person_name || investor.name),
@@ -307,21 +318,24 @@ ${companyInfo.name}`;
         this.escapeCSV(dueDiligence.analysis_confidence || '')
       ];
 
-      csvRows.push(row.join(','));
-      
       // Store messages in investor object for state.json
       investor.outreach_messages = {
         linkedin_connection: linkedinConnection,
         linkedin_followup: linkedinFollowUp,
         email: investorEmail,
+        sender: sender.id,
         generated_at: getCurrentTimestamp(),
         generated_by: 'InvestorOutreachNode'
       };
 
-      // Small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
+      return row.join(',');
+    }, {
+      onProgress: (completed, total, row, index) => {
+        console.log(`✅ Messages ready for ${enrichedInvestors[index].name} (${completed}/${total})`);
+      }
+    });
 
+    csvRows.push(...rows);
     return csvRows.join('\n');
   }
 
@@ -382,8 +396,9 @@ ${companyInfo.name}`;
     
     console.log(`🎯 InvestorOutreachNode: Processing ${investors.length} investors for outreach generation`);
     
-    // Filter investors that are ready for outreach
-    const readyInvestors = investors.filter(investor => 
+    // Filter investors that are ready for outreach and not suppressed since enrichment
+    const contactable = await recordSuppression(ctx.profilesDir, run_id, investors, { kind: 'investor', node: this.id });
+    const readyInvestors = contactable.filter(investor => 
       investor.ready_for_outreach && 
       investor.due_diligence && 
       !investor.due_diligence.error
@@ -396,10 +411,16 @@ ${companyInfo.name}`;
       return null;
     }
 
+    // The campaign's sender profile (picked at intake, saved in state)
+    const state = await readJson(path.join(ctx.profilesDir, run_id, 'state.json'));
+    const sender = getSenderProfile(state?.profile?.sender);
+    console.log(`✍️  Writing as ${sender.name} (${sender.company}) - sender profile "${sender.id}"`);
+
     // Generate CSV content with personalized investor messages
-    const csvContent = await this.generateInvestorCSVContent(readyInvestors, company_info);
+    const csvContent = await this.generateInvestorCSVContent(readyInvestors, company_info, sender);
     
-    // Save CSV file
+    // Save CSV file (unless the LLM stopped answering halfway)
+    assertCircuitsClosed();
     const csvPath = this.saveInvestorCSVFile(run_id, csvContent, ctx.profilesDir);
     
     // Update state.json with outreach messages and metadata
@@ -1,7 +1,8 @@
 import path from 'path';
 import { EventTypes, NodeIds } from '../../types.js';
 import { readJson, writeJson, appendLog, getCurrentTimestamp } from '../../utils.js';
-import OpenAI from 'openai';
+import { LLMClient } from '../../llm-client.js';
+import { INVESTOR_COMPANY_ANALYSIS_SCHEMA, INVESTOR_STRATEGIES_SCHEMA } from '../../schemas.js';
 
 /**
  * InvestorPersonaNode analyzes company information and generates targeted investor personas
@@ -13,9 +14,7 @@ export class InvestorPersonaNode {
     this.handles = EventTypes.INVESTOR_INTAKE_READY;
     
     // Initialize OpenAI client
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.llm = new LLMClient(this.id);
   }
 
   /**
@@ -116,14 +115,11 @@ Provide a comprehensive analysis in JSON format with these fields:
 Focus on actionable insights that will help target the right investors.`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
+      const analysis = await this.llm.completeJSON('analyzeCompanyForInvestors', INVESTOR_COMPANY_ANALYSIS_SCHEMA, {
         messages: [{ role: "user", content: prompt }],
         temperature: 0.3,
         response_format: { type: "json_object" }
       });
-
-      const analysis = JSON.parse(response.choices[0].message.content);
       
       return {
         ...analysis,
@@ -185,16 +181,12 @@ Focus on FINDABLE criteria, not made-up details. These will guide the search for
 Return as a JSON object with "strategies" array.`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
+      const { strategies } = await this.llm.completeJSON('generateInvestorPersonas', INVESTOR_STRATEGIES_SCHEMA, {
         messages: [{ role: "user", content: prompt }],
         temperature: 0.7,
         response_format: { type: "json_object" }
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
-      const strategies = result.strategies || result.investor_strategies || [];
-
       // Add metadata to each strategy
       return strategies.map((strategy, index) => ({
         ...strategy,
@@ -1,18 +1,18 @@
 import path from 'path';
 import { EventTypes, NodeIds } from '../../types.js';
 import { readJson, writeJson, appendLog, getCurrentTimestamp } from '../../utils.js';
-import { JinaSearchAPI } from '../../jina-search.js';
+import { getCampaignSearchProvider } from '../../search/index.js';
+import { assertCircuitsClosed, CircuitOpenError } from '../../rate-limiter.js';
+import { loadSuppressionList, applySuppression } from '../../suppression.js';
 
 /**
  * InvestorSearchNode finds and validates investors based on generated investor personas
- * Searches for VCs, angels, and strategic investors using Jina Search API
+ * Searches for VCs, angels, and strategic investors with the campaign's search provider
  */
 export class InvestorSearchNode {
   constructor() {
     this.id = NodeIds.INVESTOR_SEARCH;
     this.handles = EventTypes.INVESTOR_PERSONAS_READY;
-    
-    this.jinaSearch = new JinaSearchAPI();
   }
 
   /**
@@ -30,6 +30,7 @@ export class InvestorSearchNode {
     // Load existing state
     const statePath = path.join(ctx.profilesDir, run_id, 'state.json');
     const state = await readJson(statePath);
+    const search = getCampaignSearchProvider(state);
     
     let allInvestors = [];
     
@@ -37,7 +38,7 @@ export class InvestorSearchNode {
     for (const strategy of targeting_strategies) {
       console.log(`\n🎯 Executing strategy: ${strategy.strategy_name} (${strategy.investor_type})`);
       
-      const searchResults = await this.searchInvestorsForStrategy(strategy, analysis);
+      const searchResults = await this.searchInvestorsForStrategy(search, strategy, analysis);
       const processedInvestors = await this.processInvestorResults(searchResults, strategy);
       
       console.log(`   📊 Found ${processedInvestors.length} potential investors for ${strategy.strategy_name}`);
@@ -45,16 +46,20 @@ export class InvestorSearchNode {
     }
     
     // Remove duplicates and validate investors
-    const uniqueInvestors = this.removeDuplicateInvestors(allInvestors);
+    // Suppressed firms and people are dropped before validation
+    const suppression = await loadSuppressionList(ctx.profilesDir, state);
+    const uniqueInvestors = applySuppression(state, suppression, this.removeDuplicateInvestors(allInvestors),
+      { kind: 'investor', node: this.id });
     const validatedInvestors = await this.validateInvestors(uniqueInvestors, analysis);
     
-    // Update state
+    // Update state (unless the search provider stopped answering halfway)
+    assertCircuitsClosed();
     state.investors = validatedInvestors;
     state.investor_metadata = {
       ...state.investor_metadata,
       search_completed_at: getCurrentTimestamp(),
       total_investors_found: validatedInvestors.length,
-      search_method: 'jina_api',
+      search_method: `${search.name}_api`,
       strategies_executed: targeting_strategies.length
     };
     
@@ -82,18 +87,19 @@ export class InvestorSearchNode {
 
   /**
    * Search for investors using a specific targeting strategy
+   * @param {import('../../search/provider.js').SearchProvider} search
    * @param {Object} strategy - Investor targeting strategy
    * @param {Object} analysis - Company analysis
    * @returns {Promise<Array>} Search results
    */
-  async searchInvestorsForStrategy(strategy, analysis) {
+  async searchInvestorsForStrategy(search, strategy, analysis) {
     const searchQueries = this.generateInvestorSearchQueries(strategy, analysis);
     let allResults = [];
 
     for (const query of searchQueries) {
       try {
         console.log(`   🔍 Query: "${query}"`);
-        const results = await this.jinaSearch.search(query);
+        const results = await search.search(query);
         
         if (results && results.length > 0) {
           const processedResults = results.map(result => ({
@@ -110,6 +116,7 @@ export class InvestorSearchNode {
           console.log(`   ✅ Found ${results.length} results for "${query}"`);
         }
       } catch (error) {
+        if (error instanceof CircuitOpenError) throw error;
         console.error(`   ❌ Search failed for "${query}":`, error.message);
       }
     }
@@ -181,6 +188,7 @@ export class InvestorSearchNode {
           });
         }
       } catch (error) {
+        if (error instanceof CircuitOpenError) throw error;
         console.error('Error processing investor result:', error);
       }
     }
@@ -221,7 +229,7 @@ export class InvestorSearchNode {
       source_description: description,
       type: strategy.investor_type, // Use strategy type as default
       confidence: hasInvestorKeywords ? 'medium' : 'low',
-      source: 'jina_search',
+      source: result.source,
       extraction_method: 'basic_parsing',
       extracted_at: getCurrentTimestamp(),
       needs_enrichment: true // Flag for EnrichNode to do detailed analysis
@@ -0,0 +1,326 @@
+import { parseCSVRecords } from './csv.js';
+import { normalizeSuppressionValue, SuppressionTypes } from './suppression.js';
+import { getCurrentTimestamp } from './utils.js';
+
+/**
+ * What happened after outreach to a lead (state.leads[].outcome)
+ * @typedef {Object} LeadOutcome
+ * @property {string} status - one of OutcomeStatuses
+ * @property {string} source - "cli" or "csv:<file>"
+ * @property {string} notes
+ * @property {string} updated_at
+ */
+
+/**
+ * Conversion of a group of leads (a persona, an angle, the whole campaign)
+ * @typedef {Object} ConversionStats
+ * @property {number} contacted - leads messaged (bounces excluded)
+ * @property {number} replied - any reply, negative ones included
+ * @property {number} positive - replies that were not a no
+ * @property {number} meetings
+ * @property {number} won
+ * @property {number} reply_rate - replied / contacted
+ * @property {number} meeting_rate - meetings / contacted
+ * @property {number} score - conversion points per contacted lead, see scoreConversion
+ */
+
+/**
+ * Outcome statuses, furthest stage last
+ */
+export const OutcomeStatuses = {
+  CONTACTED: 'contacted',
+  BOUNCED: 'bounced',
+  REPLIED: 'replied',
+  NOT_INTERESTED: 'not_interested',
+  UNSUBSCRIBED: 'unsubscribed',
+  MEETING: 'meeting',
+  WON: 'won'
+};
+
+// Funnel steps each status counts for
+const FUNNEL = {
+  [OutcomeStatuses.CONTACTED]: {},
+  [OutcomeStatuses.BOUNCED]: null,
+  [OutcomeStatuses.REPLIED]: { replied: true, positive: true },
+  [OutcomeStatuses.NOT_INTERESTED]: { replied: true },
+  [OutcomeStatuses.UNSUBSCRIBED]: { replied: true },
+  [OutcomeStatuses.MEETING]: { replied: true, positive: true, meetings: true },
+  [OutcomeStatuses.WON]: { replied: true, positive: true, meetings: true, won: true }
+};
+
+// Words CRMs and sequencers use for each status; checked in order ("not interested" before "interested")
+const STATUS_WORDS = [
+  [/closed[ _-]?won|\bwon\b|customer|signed/i, OutcomeStatuses.WON],
+  [/not[ _-]?interested|declined|rejected|negative|closed[ _-]?lost|\blost\b/i, OutcomeStatuses.NOT_INTERESTED],
+  [/unsubscri|opt[ _-]?out/i, OutcomeStatuses.UNSUBSCRIBED],
+  [/bounce|invalid email|undeliverable/i, OutcomeStatuses.BOUNCED],
+  [/meeting|demo|booked|scheduled|call/i, OutcomeStatuses.MEETING],
+  [/no[ _-]?(reply|response|answer)/i, OutcomeStatuses.CONTACTED],
+  [/repl|respon|interested|positive/i, OutcomeStatuses.REPLIED],
+  [/contacted|sent|delivered|opened|pending|sequence/i, OutcomeStatuses.CONTACTED]
+];
+
+/**
+ * Conversion points: a positive reply is worth 1, a meeting 2 more, a win 3 more
+ */
+const POINTS = { positive: 1, meetings: 2, won: 3 };
+
+/**
+ * Pseudo-leads at the campaign average added to each group, so 1 meeting out of 1 lead doesn't dominate
+ */
+const SMOOTHING_LEADS = 5;
+
+/**
+ * Weight range reweighting stays in
+ */
+export const WEIGHT_RANGE = [0.25, 4];
+
+/**
+ * Contacted leads without a positive reply after which refining regenerates a persona
+ */
+export const MIN_CONTACTED_TO_REGENERATE = 5;
+
+/**
+ * Map a status as written in a CRM or sequencer export to one of OutcomeStatuses
+ * @param {string} value - e.g. "Meeting booked", "Closed won", "not_interested"
+ * @returns {string|null} null when the value names no known status
+ */
+export function normalizeOutcomeStatus(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (Object.values(OutcomeStatuses).includes(text.toLowerCase())) return text.toLowerCase();
+  const match = STATUS_WORDS.find(([pattern]) => pattern.test(text));
+  return match ? match[1] : null;
+}
+
+/**
+ * Find a lead by email, LinkedIn URL, lead id, or name (and company when given)
+ * @param {Object[]} leads
+ * @param {{email?: string, linkedin_url?: string, id?: string, name?: string, company?: string}} ref
+ * @returns {Object|null}
+ */
+export function findLead(leads, ref) {
+  const email = ref.email?.trim().toLowerCase();
+  if (email) {
+    const lead = leads.find(candidate => candidate.email?.toLowerCase() === email);
+    if (lead) return lead;
+  }
+  if (ref.linkedin_url) {
+    try {
+      const url = normalizeSuppressionValue(SuppressionTypes.LINKEDIN, ref.linkedin_url);
+      const lead = leads.find(candidate => {
+        try {
+          return candidate.linkedin_url && normalizeSuppressionValue(SuppressionTypes.LINKEDIN, candidate.linkedin_url) === url;
+        } catch {
+          return false;
+        }
+      });
+      if (lead) return lead;
+    } catch {
+      // Not a profile URL - fall through to the name
+    }
+  }
+  if (ref.id) {
+    const lead = leads.find(candidate => candidate.id === ref.id);
+    if (lead) return lead;
+  }
+  const name = ref.name?.trim().toLowerCase();
+  if (name) {
+    const named = leads.filter(candidate => candidate.name?.toLowerCase() === name);
+    const company = ref.company?.trim().toLowerCase();
+    return (company && named.find(candidate => candidate.company?.toLowerCase() === company)) || (named.length === 1 ? named[0] : null);
+  }
+  return null;
+}
+
+/**
+ * Set the outcome of one lead
+ * @param {Object} lead
+ * @param {string} status - one of OutcomeStatuses, or a CRM word normalizeOutcomeStatus understands
+ * @param {Object} [options]
+ * @param {string} [options.source]
+ * @param {string} [options.notes]
+ * @returns {LeadOutcome}
+ * @throws {Error} for an unknown status
+ */
+export function recordOutcome(lead, status, { source = 'cli', notes = '' } = {}) {
+  const normalized = normalizeOutcomeStatus(status);
+  if (!normalized) {
+    throw new Error(`Unknown outcome "${status}" (use ${Object.values(OutcomeStatuses).join(', ')})`);
+  }
+  lead.outcome = { status: normalized, source, notes, updated_at: getCurrentTimestamp() };
+  return lead.outcome;
+}
+
+/**
+ * Read a results CSV: one row per lead, matched by email, linkedin_url or name (+ company)
+ * The status comes from a status/outcome/stage/lead_status/result column, or from
+ * replied/meeting/won yes-no columns.
+ * @param {string} text
+ * @returns {{rows: Array<{ref: Object, status: string, notes: string, row: number}>, skipped: string[]}}
+ */
+export function parseOutcomesCSV(text) {
+  const yes = value => /^(y|yes|true|1|x)$/i.test(String(value || '').trim());
+  const rows = [];
+  const skipped = [];
+
+  parseCSVRecords(text).forEach((record, index) => {
+    const row = index + 2;
+    const label = record.status || record.outcome || record.stage || record.lead_status || record.result || '';
+    const status = normalizeOutcomeStatus(label)
+      || (yes(record.won) && OutcomeStatuses.WON)
+      || ((yes(record.meeting) || yes(record.meeting_booked)) && OutcomeStatuses.MEETING)
+      || (yes(record.replied) && OutcomeStatuses.REPLIED)
+      || (!label && OutcomeStatuses.CONTACTED);
+    if (!status) {
+      skipped.push(`row ${row}: unknown status "${label}"`);
+      return;
+    }
+
+    const ref = {
+      email: record.email || record.email_address,
+      linkedin_url: record.linkedin_url || record.linkedin,
+      id: record.lead_id || record.id,
+      name: record.name || record.full_name,
+      company: record.company || record.company_name
+    };
+    if (!ref.email && !ref.linkedin_url && !ref.id && !ref.name) {
+      skipped.push(`row ${row}: no email, linkedin_url, lead_id or name`);
+      return;
+    }
+    rows.push({ ref, status, notes: record.notes || '', row });
+  });
+
+  return { rows, skipped };
+}
+
+/**
+ * Record parsed CSV outcomes on a run's leads
+ * @param {Object} state - changed in place
+ * @param {Array} rows - parseOutcomesCSV rows
+ * @param {string} source - e.g. "csv:results.csv"
+ * @returns {{matched: number, unmatched: string[]}}
+ */
+export function applyOutcomes(state, rows, source) {
+  const unmatched = [];
+  let matched = 0;
+  for (const { ref, status, notes, row } of rows) {
+    const lead = findLead(state.leads || [], ref);
+    if (!lead) {
+      unmatched.push(`row ${row}: ${ref.email || ref.linkedin_url || ref.name || ref.id}`);
+      continue;
+    }
+    recordOutcome(lead, status, { source, notes });
+    matched++;
+  }
+  return { matched, unmatched };
+}
+
+/**
+ * Whether a lead was messaged: it has generated outreach or a recorded outcome (bounces excluded)
+ * @param {Object} lead
+ * @returns {boolean}
+ */
+function wasContacted(lead) {
+  if (lead.outcome) return FUNNEL[lead.outcome.status] !== null;
+  return !!lead.outreach_messages;
+}
+
+/**
+ * Conversion points per contacted lead
+ * @param {ConversionStats} stats
+ * @returns {number}
+ */
+export function scoreConversion(stats) {
+  if (stats.contacted === 0) return 0;
+  return Object.entries(POINTS).reduce((sum, [key, points]) => sum + stats[key] * points, 0) / stats.contacted;
+}
+
+/**
+ * Conversion of a run, overall, by persona and by the persona's outreach_angle
+ * @param {Object} state
+ * @returns {{total: ConversionStats, by_persona: Object<string, ConversionStats>, by_angle: Object<string, ConversionStats>, recorded: number}}
+ */
+export function computeConversion(state) {
+  const empty = () => ({ contacted: 0, replied: 0, positive: 0, meetings: 0, won: 0 });
+  const total = empty();
+  const byPersona = {};
+  const byAngle = {};
+  const angleOf = name => (state.personas || []).find(persona => persona.name === name)?.outreach_angle || '(persona no longer in the run)';
+  let recorded = 0;
+
+  for (const lead of state.leads || []) {
+    if (lead.outcome) recorded++;
+    if (!wasContacted(lead)) continue;
+
+    const steps = FUNNEL[lead.outcome?.status || OutcomeStatuses.CONTACTED];
+    const persona = lead.persona_id || '(no persona)';
+    const angle = angleOf(lead.persona_id);
+    for (const group of [total, byPersona[persona] ??= empty(), byAngle[angle] ??= empty()]) {
+      group.contacted++;
+      for (const key of Object.keys(steps)) group[key]++;
+    }
+  }
+
+  const finish = stats => Object.assign(stats, {
+    reply_rate: stats.contacted ? stats.replied / stats.contacted : 0,
+    meeting_rate: stats.contacted ? stats.meetings / stats.contacted : 0,
+    score: scoreConversion(stats)
+  });
+  [total, ...Object.values(byPersona), ...Object.values(byAngle)].forEach(finish);
+
+  return { total, by_persona: byPersona, by_angle: byAngle, recorded };
+}
+
+/**
+ * Weight for a group relative to the campaign, smoothed toward the average
+ * @param {ConversionStats} stats
+ * @param {ConversionStats} total
+ * @returns {number|null} null when the campaign has no conversions to learn from
+ */
+export function conversionWeight(stats, total) {
+  if (!total.score) return null;
+  const points = stats.score * stats.contacted;
+  const smoothed = (points + SMOOTHING_LEADS * total.score) / (stats.contacted + SMOOTHING_LEADS);
+  const [min, max] = WEIGHT_RANGE;
+  return Math.round(Math.min(max, Math.max(min, smoothed / total.score)) * 100) / 100;
+}
+
+/**
+ * Set each persona's quota weight from its conversion (lib/quotas.js), keeping min and max
+ * @param {Object[]} personas - changed in place
+ * @param {ReturnType<typeof computeConversion>} conversion
+ * @returns {Array<{persona: string, from: number, to: number}>} weights that changed
+ */
+export function reweightPersonas(personas, conversion) {
+  const changes = [];
+  for (const persona of personas) {
+    const stats = conversion.by_persona[persona.name];
+    const weight = stats ? conversionWeight(stats, conversion.total) : null;
+    const from = persona.quota?.weight ?? 1;
+    if (weight === null || weight === from) continue;
+    persona.quota = { ...persona.quota, weight };
+    changes.push({ persona: persona.name, from, to: weight });
+  }
+  return changes;
+}
+
+/**
+ * Conversion as prompt text, best personas and angles first
+ * @param {ReturnType<typeof computeConversion>} conversion
+ * @returns {string}
+ */
+export function describeConversion(conversion) {
+  const funnel = stats =>
+    `${stats.contacted} contacted, ${stats.positive} positive replies, ${stats.meetings} meetings, ${stats.won} won (${Math.round(stats.reply_rate * 100)}% reply, ${Math.round(stats.meeting_rate * 100)}% meeting)`;
+  const sorted = groups => Object.entries(groups)
+    .sort(([, a], [, b]) => b.score - a.score)
+    .map(([name, stats]) => `- ${name}: ${funnel(stats)}`)
+    .join('\n');
+
+  return [
+    `Overall: ${funnel(conversion.total)}`,
+    `By persona:\n${sorted(conversion.by_persona) || '- none'}`,
+    `By outreach angle:\n${sorted(conversion.by_angle) || '- none'}`
+  ].join('\n');
+}
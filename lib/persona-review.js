@@ -0,0 +1,248 @@
+import { getCurrentTimestamp } from './utils.js';
+import { CAP_LIMITS } from './plan.js';
+import { normalizeQuota, describeQuota } from './quotas.js';
+
+/**
+ * Review status of a persona (state.personas[].review_status)
+ * Search only runs on approved personas; personas saved before reviews existed have no status and count as approved.
+ */
+export const PersonaStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved'
+};
+
+/**
+ * Review actions recorded in state.persona_review
+ */
+export const ReviewActions = {
+  APPROVE: 'approve',
+  EDIT: 'edit',
+  REGENERATE: 'regenerate',
+  DELETE: 'delete',
+  ADD: 'add',
+  QUOTA: 'quota'
+};
+
+/**
+ * Editable persona fields; list fields are entered separated by ";"
+ */
+export const PERSONA_FIELDS = {
+  name: 'text',
+  title: 'text',
+  company: 'text',
+  profile: 'text',
+  pain_points: 'list',
+  motivations: 'list',
+  search_query: 'text',
+  outreach_angle: 'text'
+};
+
+/**
+ * Most personas a campaign may have
+ */
+export const MAX_PERSONAS = CAP_LIMITS.max_personas[1];
+
+/**
+ * Persona field as it is shown for editing
+ * @param {Object} persona
+ * @param {string} field
+ * @returns {string}
+ */
+export function formatPersonaField(persona, field) {
+  const value = persona[field];
+  return Array.isArray(value) ? value.join('; ') : (value || '');
+}
+
+/**
+ * Parse an edited field value
+ * @param {string} field - key of PERSONA_FIELDS
+ * @param {string|string[]} value
+ * @returns {string|string[]}
+ * @throws {Error} for an unknown field or an empty value
+ */
+export function parsePersonaField(field, value) {
+  if (!PERSONA_FIELDS[field]) {
+    throw new Error(`Unknown persona field "${field}" (use ${Object.keys(PERSONA_FIELDS).join(', ')})`);
+  }
+  const parsed = PERSONA_FIELDS[field] === 'list'
+    ? [].concat(value).flatMap(item => String(item).split(';')).map(item => item.trim()).filter(Boolean)
+    : String(value ?? '').trim();
+  if (parsed.length === 0) {
+    throw new Error(`${field} cannot be empty`);
+  }
+  return parsed;
+}
+
+/**
+ * Whether a persona is approved for search
+ * @param {Object} persona
+ * @returns {boolean}
+ */
+export function isApproved(persona) {
+  return !persona.review_status || persona.review_status === PersonaStatus.APPROVED;
+}
+
+/**
+ * Personas search runs on
+ * @param {Object} state
+ * @returns {Object[]}
+ */
+export function getApprovedPersonas(state) {
+  return (state?.personas || []).filter(isApproved);
+}
+
+/**
+ * Personas still waiting for review
+ * @param {Object} state
+ * @returns {Object[]}
+ */
+export function getPendingPersonas(state) {
+  return (state?.personas || []).filter(persona => !isApproved(persona));
+}
+
+/**
+ * Find a persona by 1-based position or name
+ * @param {Object} state
+ * @param {string|number} ref
+ * @returns {Object}
+ * @throws {Error} when there is no such persona
+ */
+export function findPersona(state, ref) {
+  const personas = state.personas || [];
+  const index = /^\d+$/.test(String(ref)) ? Number(ref) - 1 : personas.findIndex(persona => persona.name === ref);
+  if (!personas[index]) {
+    throw new Error(`No persona "${ref}" (${personas.length} personas: use 1-${personas.length} or a name)`);
+  }
+  return personas[index];
+}
+
+/**
+ * Record a review action in state.persona_review
+ * @param {Object} state
+ * @param {string} action - one of ReviewActions
+ * @param {string} persona - persona name
+ * @param {Object} [details] - e.g. {field} or {feedback}
+ */
+export function recordReview(state, action, persona, details = {}) {
+  if (!state.persona_review) {
+    state.persona_review = [];
+  }
+  state.persona_review.push({ action, persona, ...details, at: getCurrentTimestamp() });
+}
+
+/**
+ * Approve personas
+ * @param {Object} state
+ * @param {Object[]} [personas] - all pending ones when omitted
+ * @returns {number} personas approved
+ */
+export function approvePersonas(state, personas = getPendingPersonas(state)) {
+  for (const persona of personas) {
+    persona.review_status = PersonaStatus.APPROVED;
+    recordReview(state, ReviewActions.APPROVE, persona.name);
+  }
+  return personas.length;
+}
+
+/**
+ * Change one field of a persona; the name stays unique because leads refer to it
+ * @param {Object} state
+ * @param {Object} persona
+ * @param {string} field
+ * @param {string|string[]} value
+ */
+export function editPersona(state, persona, field, value) {
+  const parsed = parsePersonaField(field, value);
+  if (field === 'name' && parsed !== persona.name && state.personas.some(other => other.name === parsed)) {
+    throw new Error(`There is already a persona named "${parsed}"`);
+  }
+  recordReview(state, ReviewActions.EDIT, persona.name, { field });
+  persona[field] = parsed;
+}
+
+/**
+ * Set a persona's lead quota (weight, min_leads, max_leads); blank fields are cleared
+ * @param {Object} state
+ * @param {Object} persona
+ * @param {Object} quota
+ * @returns {import('./quotas.js').PersonaQuota}
+ */
+export function setPersonaQuota(state, persona, quota) {
+  const normalized = normalizeQuota(quota);
+  if (Object.keys(normalized).length > 0) {
+    persona.quota = normalized;
+  } else {
+    delete persona.quota;
+  }
+  recordReview(state, ReviewActions.QUOTA, persona.name, { quota: normalized });
+  return normalized;
+}
+
+/**
+ * Put a regenerated persona in place of the old one, pending review
+ * The lead quota set during review carries over.
+ * @param {Object} state
+ * @param {Object} persona - the persona that was regenerated
+ * @param {Object} replacement
+ * @param {string} feedback
+ * @returns {Object} the persona now in state
+ */
+export function replacePersona(state, persona, replacement, feedback) {
+  const taken = state.personas.filter(other => other !== persona).map(other => other.name);
+  const regenerated = {
+    ...replacement,
+    name: taken.includes(replacement.name) ? `${replacement.name} (${state.personas.indexOf(persona) + 1})` : replacement.name,
+    ...(persona.quota && { quota: persona.quota }),
+    review_status: PersonaStatus.PENDING
+  };
+  state.personas[state.personas.indexOf(persona)] = regenerated;
+  recordReview(state, ReviewActions.REGENERATE, persona.name, { feedback, replaced_by: regenerated.name });
+  return regenerated;
+}
+
+/**
+ * Delete a persona
+ * @param {Object} state
+ * @param {Object} persona
+ */
+export function deletePersona(state, persona) {
+  state.personas = state.personas.filter(other => other !== persona);
+  recordReview(state, ReviewActions.DELETE, persona.name);
+}
+
+/**
+ * Add a persona written by the reviewer (approved, since a person wrote it)
+ * @param {Object} state
+ * @param {Object} fields - every PERSONA_FIELDS key
+ * @returns {Object} the new persona
+ * @throws {Error} for a missing field, a taken name, or more than MAX_PERSONAS personas
+ */
+export function addPersona(state, fields) {
+  state.personas = state.personas || [];
+  if (state.personas.length >= MAX_PERSONAS) {
+    throw new Error(`A campaign has at most ${MAX_PERSONAS} personas - delete one first`);
+  }
+  const persona = {};
+  for (const field of Object.keys(PERSONA_FIELDS)) {
+    persona[field] = parsePersonaField(field, fields[field]);
+  }
+  if (state.personas.some(other => other.name === persona.name)) {
+    throw new Error(`There is already a persona named "${persona.name}"`);
+  }
+  persona.review_status = PersonaStatus.APPROVED;
+  state.personas.push(persona);
+  recordReview(state, ReviewActions.ADD, persona.name);
+  return persona;
+}
+
+/**
+ * One-line summary of a persona for lists
+ * @param {Object} persona
+ * @param {number} index - 0-based
+ * @returns {string}
+ */
+export function summarizePersona(persona, index) {
+  const icon = isApproved(persona) ? '✅' : '⏳';
+  const quota = describeQuota(persona.quota);
+  return `${icon} ${index + 1}. ${persona.name} - ${persona.title} (${persona.company})${quota ? ` [${quota}]` : ''}`;
+}
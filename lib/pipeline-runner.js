@@ -0,0 +1,296 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EventTypes, NodeIds } from './types.js';
+import { readJson, getCurrentTimestamp } from './utils.js';
+import { JournalStatus } from './journal.js';
+import { loadPlugins } from './plugins.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const projectRoot = path.dirname(path.dirname(__filename));
+
+export const PIPELINES_DIR = path.join(projectRoot, 'pipelines');
+
+/**
+ * One step of a pipeline spec
+ * @typedef {Object} PipelineStage
+ * @property {string} id - stage identifier used by --from/--only/--skip (e.g. "search")
+ * @property {string} title - human readable label for progress output
+ * @property {string} node - NodeIds value the stage message is sent to
+ * @property {string} event - EventTypes value carried by the stage message
+ * @property {boolean} [optional] - failures are tolerated and the stage may be skipped
+ * @property {boolean} [chained] - normally reached through the previous stage's emitted message
+ * @property {string} [skip_when] - state path; when resuming, the stage is skipped if it holds data
+ * @property {string} [done] - message printed once the stage finishes
+ * @property {Object} [options] - per-stage options, passed to the node as payload.options
+ */
+
+/**
+ * Pipeline spec loaded from pipelines/{name}.json
+ * @typedef {Object} PipelineSpec
+ * @property {string} name
+ * @property {string} description
+ * @property {PipelineStage[]} stages
+ */
+
+/**
+ * Load a pipeline spec by name (pipelines/{name}.json) or by file path
+ * @param {string} nameOrPath
+ * @returns {Promise<PipelineSpec>}
+ */
+export async function loadPipelineSpec(nameOrPath) {
+  const candidates = nameOrPath.endsWith('.json')
+    ? [path.resolve(nameOrPath)]
+    : [path.join(PIPELINES_DIR, `${nameOrPath}.json`), path.resolve(nameOrPath)];
+
+  // Plugins register their node ids and events, so stages may name plugin nodes
+  await loadPlugins();
+
+  for (const candidate of candidates) {
+    const spec = await readJson(candidate);
+    if (spec) {
+      const errors = validatePipelineSpec(spec);
+      if (errors.length > 0) {
+        throw new Error(`Invalid pipeline spec ${candidate}:\n  - ${errors.join('\n  - ')}`);
+      }
+      return spec;
+    }
+  }
+
+  throw new Error(`Pipeline spec not found: ${nameOrPath} (looked in ${PIPELINES_DIR})`);
+}
+
+/**
+ * Check a spec against the known nodes and events
+ * @param {PipelineSpec} spec
+ * @returns {string[]} validation errors (empty when valid)
+ */
+export function validatePipelineSpec(spec) {
+  const errors = [];
+  const knownNodes = Object.values(NodeIds);
+  const knownEvents = Object.values(EventTypes);
+
+  if (!spec.name) errors.push('missing "name"');
+  if (!Array.isArray(spec.stages) || spec.stages.length === 0) {
+    errors.push('"stages" must be a non-empty array');
+    return errors;
+  }
+
+  const seen = new Set();
+  spec.stages.forEach((stage, index) => {
+    const label = stage.id || `stage #${index + 1}`;
+
+    if (!stage.id) errors.push(`${label}: missing "id"`);
+    if (seen.has(stage.id)) errors.push(`${label}: duplicate stage id`);
+    seen.add(stage.id);
+
+    if (!knownNodes.includes(stage.node)) errors.push(`${label}: unknown node "${stage.node}"`);
+    if (!knownEvents.includes(stage.event)) errors.push(`${label}: unknown event "${stage.event}"`);
+    if (stage.chained && index === 0) errors.push(`${label}: the first stage cannot be chained`);
+    if (stage.options !== undefined && (typeof stage.options !== 'object' || Array.isArray(stage.options))) {
+      errors.push(`${label}: "options" must be an object`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Resolve a dotted state path and report whether it holds data
+ * Supports "a.b.c" and "list[].field" (true if any list item has the field)
+ * @param {Object} state
+ * @param {string} statePath
+ * @returns {boolean}
+ */
+export function stateHasData(state, statePath) {
+  const hasData = value => {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === 'object') return Object.keys(value).length > 0;
+    return !!value;
+  };
+
+  const walk = (value, parts) => {
+    if (parts.length === 0) return hasData(value);
+    if (value === null || value === undefined) return false;
+
+    const [part, ...rest] = parts;
+    if (part.endsWith('[]')) {
+      const list = value[part.slice(0, -2)];
+      return Array.isArray(list) && list.some(item => walk(item, rest));
+    }
+    return walk(value[part], rest);
+  };
+
+  return walk(state, statePath.split('.'));
+}
+
+/**
+ * Generic runner that executes a pipeline spec through the Router
+ */
+export class PipelineRunner {
+  /**
+   * @param {PipelineSpec} spec
+   * @param {Router} router
+   * @param {Context} ctx
+   */
+  constructor(spec, router, ctx) {
+    this.spec = spec;
+    this.router = router;
+    this.ctx = ctx;
+  }
+
+  /**
+   * Stage ids in order
+   * @returns {string[]}
+   */
+  getStageIds() {
+    return this.spec.stages.map(stage => stage.id);
+  }
+
+  /**
+   * Run the pipeline
+   * @param {Object} options
+   * @param {string} options.runId
+   * @param {boolean} [options.resume] - apply skip_when rules against the existing state
+   * @param {string} [options.from] - start at this stage
+   * @param {string} [options.only] - run just this stage
+   * @param {string[]} [options.skip] - optional stages to leave out
+   * @param {Object} [options.payload] - extra payload for the first dispatched stage
+   * @param {string} [options.source] - "from" field of dispatched messages
+   * @param {function(PipelineStage, number, number): void} [options.onStage] - progress callback
+   * @returns {Promise<Object[]>} per-stage results: { id, status }
+   */
+  async run(options) {
+    const { runId, resume = false, from, only, skip = [], payload = {}, source = 'PipelineRunner', onStage } = options;
+    const stageIds = this.getStageIds();
+
+    for (const stageId of [from, only, ...skip].filter(Boolean)) {
+      if (!stageIds.includes(stageId)) {
+        throw new Error(`Unknown stage "${stageId}" in pipeline ${this.spec.name}. Available: ${stageIds.join(', ')}`);
+      }
+    }
+
+    let stages = this.spec.stages;
+    if (only) {
+      stages = stages.filter(stage => stage.id === only);
+    } else if (from) {
+      stages = stages.slice(stageIds.indexOf(from));
+    }
+
+    for (const stageId of skip) {
+      const stage = this.spec.stages.find(s => s.id === stageId);
+      if (!stage.optional) {
+        throw new Error(`Stage "${stageId}" is not optional and cannot be skipped`);
+      }
+    }
+
+    await this.router.ready();
+    const journal = this.router.getJournal(runId, this.ctx);
+    const results = [];
+    let firstDispatch = true;
+    // Journal entry of the previous stage, if it ran in this invocation
+    let lastEntryId = null;
+
+    for (let i = 0; i < stages.length; i++) {
+      const stage = stages[i];
+
+      if (skip.includes(stage.id)) {
+        console.log(`⏭️  Skipping optional stage: ${stage.id}`);
+        results.push({ id: stage.id, status: 'skipped' });
+        lastEntryId = null;
+        continue;
+      }
+
+      if (resume && stage.skip_when) {
+        const state = await readJson(path.join(this.ctx.profilesDir, runId, 'state.json'));
+        if (state && stateHasData(state, stage.skip_when)) {
+          console.log(`⏩ ${stage.title || stage.id}: already done (${stage.skip_when} present)`);
+          results.push({ id: stage.id, status: 'already_done' });
+          lastEntryId = null;
+          continue;
+        }
+      }
+
+      if (onStage) onStage(stage, i, stages.length);
+
+      // Chained stages run inside the previous stage's dispatch - only check they got there.
+      // If the previous stage didn't run in this invocation, dispatch the chained stage directly.
+      if (stage.chained && lastEntryId) {
+        const chainedEntry = await this.findChainedEntry(journal, lastEntryId, stage);
+
+        if (!chainedEntry || chainedEntry.status !== JournalStatus.DONE) {
+          const reason = chainedEntry
+            ? (chainedEntry.error || chainedEntry.status)
+            : 'previous stage emitted no message';
+          if (!stage.optional) {
+            throw new Error(`Stage "${stage.id}" did not complete: ${reason}`);
+          }
+          console.log(`⚠️  Optional stage ${stage.id} did not complete (${reason}) - continuing`);
+          results.push({ id: stage.id, status: 'failed' });
+          lastEntryId = null;
+          continue;
+        }
+
+        console.log(`🔗 ${stage.title || stage.id}: ran as part of the previous stage`);
+        results.push({ id: stage.id, status: 'done' });
+        lastEntryId = chainedEntry.id;
+        if (stage.done) console.log(`✅ ${stage.done}`);
+        continue;
+      }
+
+      // Plugins inserted before the stage's node receive the message first
+      const message = this.router.route({
+        run_id: runId,
+        event: stage.event,
+        from: source,
+        to: stage.node,
+        payload: {
+          pipeline_mode: this.spec.name,
+          stage: stage.id,
+          options: stage.options || {},
+          ...(firstDispatch ? payload : {})
+        },
+        ts: getCurrentTimestamp()
+      });
+      firstDispatch = false;
+
+      const entryId = await journal.record(message);
+      lastEntryId = entryId;
+      await this.router.dispatch(message, this.ctx, { entryId });
+
+      let entry = (await journal.readEntries()).find(e => e.id === entryId);
+      if (entry && entry.status === JournalStatus.DONE && message.to !== stage.node) {
+        entry = await this.findChainedEntry(journal, entryId, stage)
+          || { status: JournalStatus.FAILED, error: `${message.to} did not forward to ${stage.node}` };
+      }
+      if (entry && entry.status === JournalStatus.FAILED) {
+        if (!stage.optional) {
+          throw new Error(`Stage "${stage.id}" failed: ${entry.error}`);
+        }
+        console.log(`⚠️  Optional stage ${stage.id} failed (${entry.error}) - continuing`);
+        results.push({ id: stage.id, status: 'failed' });
+        lastEntryId = null;
+        continue;
+      }
+
+      results.push({ id: stage.id, status: 'done' });
+      if (stage.done) console.log(`✅ ${stage.done}`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Find the journal entry for a chained stage emitted after a given entry
+   * @param {MessageJournal} journal
+   * @param {string} afterEntryId
+   * @param {PipelineStage} stage
+   * @returns {Promise<JournalEntry|null>}
+   */
+  async findChainedEntry(journal, afterEntryId, stage) {
+    const entries = await journal.readEntries();
+    const start = entries.findIndex(entry => entry.id === afterEntryId);
+    return entries
+      .slice(start + 1)
+      .find(entry => entry.message.to === stage.node && entry.message.event === stage.event) || null;
+  }
+}
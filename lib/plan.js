@@ -0,0 +1,168 @@
+/**
+ * Campaign plan written by PlanNode to state.plan
+ * @typedef {Object} CampaignPlan
+ * @property {string} value_prop - one-paragraph value proposition (also copied to profile.value_prop)
+ * @property {PlanCaps} caps - stage limits the later nodes read
+ * @property {PlanRule[]} rules - rules taken from the constraints answer
+ * @property {import('./targeting.js').Targeting} targeting - regions, languages, company sizes and industries search enforces
+ * @property {string} method - "llm" or "fallback"
+ * @property {string} created_at
+ */
+
+/**
+ * Stage limits
+ * @typedef {Object} PlanCaps
+ * @property {number} max_personas - personas PersonaNode generates
+ * @property {number} leads_per_persona - leads SearchNode keeps per persona (on average, see lib/quotas.js)
+ * @property {number} queries_per_persona - search queries SearchNode may run to fill one persona's quota
+ * @property {number} pages_per_query - result pages SearchNode reads per query while the quota isn't met
+ * @property {number} max_enriched_leads - leads (or investors) that get deep research
+ * @property {number} sources_per_lead - websites scraped per enriched lead
+ * @property {number} messages_per_day - outreach sends per day, used to schedule messages
+ */
+
+/**
+ * Campaign rule
+ * @typedef {Object} PlanRule
+ * @property {string} type - one of RuleTypes
+ * @property {string} value - e.g. "France", "French", "Acme Corp"
+ * @property {string} source - answer the rule came from
+ * @property {boolean} [explicit] - do_not_contact rules written as "do not contact ...": kept as
+ *   written, whatever the value looks like
+ */
+
+export const RuleTypes = {
+  REGION: 'region',
+  LANGUAGE: 'language',
+  DO_NOT_CONTACT: 'do_not_contact',
+  OTHER: 'other'
+};
+
+/**
+ * Caps used when a run has no plan (old profiles, investor runs)
+ * These are the limits the nodes had hard-coded before plans existed.
+ * @type {PlanCaps}
+ */
+export const DEFAULT_PLAN_CAPS = {
+  max_personas: 5,
+  leads_per_persona: 10,
+  queries_per_persona: 15,
+  pages_per_query: 3,
+  max_enriched_leads: 10,
+  sources_per_lead: 3,
+  messages_per_day: 20
+};
+
+/**
+ * Allowed range for each cap - LLM suggestions are clamped into these
+ */
+export const CAP_LIMITS = {
+  max_personas: [1, 10],
+  leads_per_persona: [1, 50],
+  queries_per_persona: [1, 50],
+  pages_per_query: [1, 10],
+  max_enriched_leads: [1, 100],
+  sources_per_lead: [1, 10],
+  messages_per_day: [1, 200]
+};
+
+/**
+ * Clamp suggested caps to sane integers, filling gaps with defaults
+ * @param {Object} caps
+ * @returns {PlanCaps}
+ */
+export function normalizeCaps(caps = {}) {
+  const normalized = {};
+  for (const [key, [min, max]] of Object.entries(CAP_LIMITS)) {
+    const value = caps?.[key] === null || caps?.[key] === '' ? NaN : Math.round(Number(caps?.[key]));
+    normalized[key] = Number.isFinite(value)
+      ? Math.min(max, Math.max(min, value))
+      : DEFAULT_PLAN_CAPS[key];
+  }
+  return normalized;
+}
+
+/**
+ * Caps for a run - the plan's caps, or the defaults when there is no plan
+ * A persona count chosen at intake (--personas, brief "personas") wins over the plan's.
+ * @param {Object} state
+ * @returns {PlanCaps}
+ */
+export function getPlanCaps(state) {
+  const caps = { ...DEFAULT_PLAN_CAPS, ...state?.plan?.caps };
+  if (state?.profile?.persona_count) {
+    caps.max_personas = normalizeCaps({ max_personas: state.profile.persona_count }).max_personas;
+  }
+  return caps;
+}
+
+/**
+ * Rules of a run, optionally of one type
+ * @param {Object} state
+ * @param {string} [type] - one of RuleTypes
+ * @returns {PlanRule[]}
+ */
+export function getPlanRules(state, type) {
+  const rules = state?.plan?.rules || [];
+  return type ? rules.filter(rule => rule.type === type) : rules;
+}
+
+const LANGUAGES = ['english', 'french', 'german', 'spanish', 'italian', 'portuguese', 'dutch', 'arabic', 'chinese', 'japanese'];
+
+// "do not contact", "never email", "avoid contacting", "no outreach to"... - a clause that says who not to reach
+const CONTACT_CLAUSE = /^(?:(?:do[- ]not|don'?t|never|avoid|not)[- ](?:contact|email|message|reach out to)(?:ing)?|no (?:contact with|outreach to))\s*:?\s+(.+)$/;
+
+/**
+ * Whether a constraint value is an address - an email, a domain or a URL - rather than a
+ * name or a segment: "no Banks" or "avoid Big Pharma" read like names but describe segments
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function namesContact(value) {
+  const text = (value || '').trim();
+  return /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i.test(text)
+    || /^(https?:\/\/)?(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}(\/\S*)?$/i.test(text);
+}
+
+/**
+ * Turn the constraints answer into rules without an LLM
+ * "France only, French speakers, do not contact Acme Corp" becomes a region,
+ * a language and a do-not-contact rule. "No", "not", "avoid" and "exclude" clauses without
+ * a contact verb are do-not-contact rules only for an email or domain; anything else
+ * ("no companies under 20 employees", "No Banks") stays "other" and feeds the targeting.
+ * @param {string} constraints
+ * @returns {PlanRule[]}
+ */
+export function parseConstraintRules(constraints) {
+  if (!constraints || typeof constraints !== 'string') return [];
+
+  return constraints
+    .split(/[,;\n]+/)
+    .map(part => part.trim())
+    .filter(part => part && !/^(none|n\/a|no constraints?)$/i.test(part))
+    .map(part => {
+      const lower = part.toLowerCase();
+      const explicit = lower.match(CONTACT_CLAUSE);
+      const negated = lower.match(/^(?:no|avoid|exclude|excluding|not)\s*:?\s+(.+)$/);
+      const target = explicit || negated ? part.slice(part.length - (explicit || negated)[1].length) : null;
+      if (explicit) {
+        return { type: RuleTypes.DO_NOT_CONTACT, value: target, source: 'constraints', explicit: true };
+      }
+      if (negated && namesContact(target)) {
+        return { type: RuleTypes.DO_NOT_CONTACT, value: target, source: 'constraints' };
+      }
+      if (negated) {
+        return { type: RuleTypes.OTHER, value: part, source: 'constraints' };
+      }
+      const language = LANGUAGES.find(name => lower.includes(name) && /speak|language|speaking|\bin\b/.test(lower))
+        || (LANGUAGES.includes(lower) ? lower : null);
+      if (language) {
+        return { type: RuleTypes.LANGUAGE, value: language.charAt(0).toUpperCase() + language.slice(1), source: 'constraints' };
+      }
+      const region = part.match(/^(?:only\s+)?(.+?)(?:\s+only)?$/i)[1];
+      if (/^[A-Z]/.test(region) && region.split(/\s+/).length <= 3) {
+        return { type: RuleTypes.REGION, value: region, source: 'constraints' };
+      }
+      return { type: RuleTypes.OTHER, value: part, source: 'constraints' };
+    });
+}
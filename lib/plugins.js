@@ -0,0 +1,139 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { registerEventType, registerNodeId } from './types.js';
+import { BUILTIN_NODES } from './nodes/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Default plugin directory (override with PLUGINS_DIR)
+ */
+export const DEFAULT_PLUGINS_DIR = path.join(path.dirname(__dirname), 'plugins');
+
+let pluginsPromise = null;
+
+/**
+ * Where plugins come from
+ * PLUGINS_DIR - directory of plugin modules (.js/.mjs), defaults to ./plugins
+ * PLUGINS     - comma-separated npm packages that export plugins
+ * @returns {{dir: string, packages: string[]}}
+ */
+export function getPluginSources() {
+  return {
+    dir: process.env.PLUGINS_DIR ? path.resolve(process.env.PLUGINS_DIR) : DEFAULT_PLUGINS_DIR,
+    packages: (process.env.PLUGINS || '').split(',').map(name => name.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Load every configured plugin once per process
+ * Plugin ids and events are registered in NodeIds / EventTypes, so pipeline
+ * specs can name plugin nodes as stages.
+ * @returns {Promise<NodeDeclaration[]>}
+ */
+export function loadPlugins() {
+  if (!pluginsPromise) {
+    pluginsPromise = discoverPlugins();
+  }
+  return pluginsPromise;
+}
+
+/**
+ * Import plugin modules from the plugin directory and packages
+ * @returns {Promise<NodeDeclaration[]>}
+ */
+async function discoverPlugins() {
+  const { dir, packages } = getPluginSources();
+  const specifiers = [];
+
+  let files = [];
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  for (const file of files.sort()) {
+    if (/\.m?js$/.test(file)) {
+      specifiers.push({ source: path.join(dir, file), specifier: pathToFileURL(path.join(dir, file)).href });
+    }
+  }
+  for (const name of packages) {
+    specifiers.push({ source: name, specifier: name });
+  }
+
+  const declarations = [];
+  for (const { source, specifier } of specifiers) {
+    let module;
+    try {
+      module = await import(specifier);
+    } catch (error) {
+      throw new Error(`Could not load plugin ${source}: ${error.message}`);
+    }
+
+    // A module can export one declaration or a list of them
+    const exported = module.default ?? module.plugins ?? module.plugin;
+    const list = Array.isArray(exported) ? exported : [exported];
+
+    for (const declaration of list) {
+      declarations.push(normalizeDeclaration(declaration, source, declarations));
+    }
+  }
+
+  for (const declaration of declarations) {
+    registerNodeId(declaration.id);
+    [...declaration.handles, ...declaration.emits].forEach(registerEventType);
+  }
+
+  return declarations;
+}
+
+/**
+ * Validate a plugin declaration and fill in defaults
+ * @param {Object} declaration
+ * @param {string} source - file or package, for error messages
+ * @param {NodeDeclaration[]} loaded - plugins loaded so far
+ * @returns {NodeDeclaration}
+ */
+export function normalizeDeclaration(declaration, source, loaded = []) {
+  if (!declaration || typeof declaration !== 'object') {
+    throw new Error(`Plugin ${source} must export a node declaration`);
+  }
+
+  const { id, node, create, insert } = declaration;
+  const problems = [];
+
+  if (typeof id !== 'string' || !/^[A-Z][A-Za-z0-9]*$/.test(id)) {
+    problems.push('id must be a PascalCase string');
+  } else if (BUILTIN_NODES.some(builtin => builtin.id === id) || loaded.some(plugin => plugin.id === id)) {
+    problems.push(`id "${id}" is already registered`);
+  }
+
+  const handles = [].concat(declaration.handles || []);
+  const emits = [].concat(declaration.emits || []);
+  if (handles.length === 0) {
+    problems.push('handles must name at least one event');
+  }
+
+  if (typeof create !== 'function' && typeof node !== 'function') {
+    problems.push('provide create(options) or a node class');
+  }
+
+  if (insert && typeof insert.before !== 'string') {
+    problems.push('insert must be { before: "<NodeId>" }');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid plugin ${id || '(no id)'} in ${source}: ${problems.join('; ')}`);
+  }
+
+  return {
+    ...declaration,
+    handles,
+    emits,
+    create: create || (options => new node(options)),
+    source
+  };
+}
+
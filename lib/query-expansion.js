@@ -0,0 +1,266 @@
+/**
+ * Where a search query came from, recorded on each lead (lead.found_by.variant)
+ */
+export const QueryVariants = {
+  GENERATED: 'generated', // LLM or targeting-based queries (SearchNode.generateSearchQueries)
+  SYNONYM: 'synonym', // another title for the same job
+  SENIORITY: 'seniority', // the same function one level up or down
+  LOCAL_LANGUAGE: 'local_language', // the title as written in the campaign's languages
+  SITE: 'site', // restricted to LinkedIn profiles
+  REQUEUED: 'requeued' // re-run from the dead-letter list
+};
+
+/**
+ * A query to run, with how it was made
+ * @typedef {Object} PlannedQuery
+ * @property {string} query
+ * @property {string} variant - one of QueryVariants
+ */
+
+/**
+ * Titles that name the same job, with how it is written in other languages, and the
+ * function its C-level title heads (seniority variants of "CIO" are "Head of IT"...)
+ * Matching is on whole words, case-insensitive.
+ */
+const TITLE_FAMILIES = [
+  {
+    function: 'IT',
+    titles: ['CIO', 'Chief Information Officer', 'IT Director', 'Head of IT', 'VP of IT'],
+    local: {
+      french: ["Directeur des Systèmes d'Information", 'DSI'],
+      german: ['IT-Leiter', 'Leiter IT'],
+      spanish: ['Director de Sistemas', 'Director de TI'],
+      italian: ['Direttore dei Sistemi Informativi'],
+      dutch: ['IT-directeur'],
+      portuguese: ['Diretor de TI']
+    }
+  },
+  {
+    function: 'Engineering',
+    titles: ['CTO', 'Chief Technology Officer', 'VP Engineering', 'Head of Engineering', 'Technical Director'],
+    local: {
+      french: ['Directeur Technique'],
+      german: ['Technischer Leiter', 'Leiter Technik'],
+      spanish: ['Director Técnico'],
+      italian: ['Direttore Tecnico'],
+      dutch: ['Technisch Directeur'],
+      portuguese: ['Diretor de Tecnologia']
+    }
+  },
+  {
+    function: 'Security',
+    titles: ['CISO', 'Chief Information Security Officer', 'Head of Security', 'VP Security'],
+    local: {
+      french: ["Responsable de la Sécurité des Systèmes d'Information", 'RSSI'],
+      german: ['Leiter IT-Sicherheit'],
+      spanish: ['Director de Seguridad de la Información'],
+      italian: ['Responsabile Sicurezza Informatica']
+    }
+  },
+  {
+    function: 'Finance',
+    titles: ['CFO', 'Chief Financial Officer', 'Finance Director', 'VP Finance', 'Head of Finance'],
+    local: {
+      french: ['Directeur Administratif et Financier', 'DAF', 'Directeur Financier'],
+      german: ['Finanzvorstand', 'Leiter Finanzen'],
+      spanish: ['Director Financiero'],
+      italian: ['Direttore Finanziario'],
+      dutch: ['Financieel Directeur'],
+      portuguese: ['Diretor Financeiro']
+    }
+  },
+  {
+    function: 'Marketing',
+    titles: ['CMO', 'Chief Marketing Officer', 'VP Marketing', 'Head of Marketing', 'Marketing Director'],
+    local: {
+      french: ['Directeur Marketing'],
+      german: ['Marketingleiter', 'Leiter Marketing'],
+      spanish: ['Director de Marketing'],
+      italian: ['Direttore Marketing'],
+      portuguese: ['Diretor de Marketing']
+    }
+  },
+  {
+    function: 'Sales',
+    titles: ['CRO', 'Chief Revenue Officer', 'VP Sales', 'Head of Sales', 'Sales Director'],
+    local: {
+      french: ['Directeur Commercial'],
+      german: ['Vertriebsleiter', 'Leiter Vertrieb'],
+      spanish: ['Director Comercial'],
+      italian: ['Direttore Commerciale'],
+      dutch: ['Commercieel Directeur'],
+      portuguese: ['Diretor Comercial']
+    }
+  },
+  {
+    function: 'Operations',
+    titles: ['COO', 'Chief Operating Officer', 'VP Operations', 'Head of Operations', 'Operations Director'],
+    local: {
+      french: ['Directeur des Opérations'],
+      german: ['Leiter Operations', 'Betriebsleiter'],
+      spanish: ['Director de Operaciones'],
+      italian: ['Direttore Operativo'],
+      portuguese: ['Diretor de Operações']
+    }
+  },
+  {
+    titles: ['Head of Customer Support', 'VP Customer Support', 'Director of Customer Support', 'Head of Customer Service', 'Customer Support Director'],
+    local: {
+      french: ['Directeur du Service Client', 'Responsable Service Client'],
+      german: ['Leiter Kundenservice'],
+      spanish: ['Director de Atención al Cliente'],
+      italian: ['Responsabile Servizio Clienti'],
+      portuguese: ['Diretor de Atendimento ao Cliente']
+    }
+  },
+  {
+    function: 'HR',
+    titles: ['CHRO', 'Chief People Officer', 'VP People', 'Head of HR', 'HR Director'],
+    local: {
+      french: ['Directeur des Ressources Humaines', 'DRH'],
+      german: ['Personalleiter', 'Leiter Personal'],
+      spanish: ['Director de Recursos Humanos'],
+      italian: ['Direttore Risorse Umane'],
+      portuguese: ['Diretor de Recursos Humanos']
+    }
+  },
+  {
+    function: 'Product',
+    titles: ['CPO', 'Chief Product Officer', 'VP Product', 'Head of Product', 'Product Director'],
+    local: {
+      french: ['Directeur Produit'],
+      german: ['Leiter Produktmanagement'],
+      spanish: ['Director de Producto'],
+      italian: ['Direttore Prodotto']
+    }
+  },
+  {
+    titles: ['CEO', 'Chief Executive Officer', 'Founder', 'Managing Director'],
+    local: {
+      french: ['Directeur Général', 'PDG'],
+      german: ['Geschäftsführer'],
+      spanish: ['Director General'],
+      italian: ['Amministratore Delegato'],
+      dutch: ['Algemeen Directeur'],
+      portuguese: ['Diretor Geral']
+    }
+  }
+];
+
+// Languages spoken in a targeted region, when the plan names regions but no languages
+const REGION_LANGUAGES = [
+  [/\b(france|belgi(um|que)|luxemb(ou)?rg|qu[ée]bec|monaco)\b/i, ['french']],
+  [/\b(germany|deutschland|austria|dach)\b/i, ['german']],
+  [/\bswitzerland\b/i, ['german', 'french']],
+  [/\b(spain|mexico|latin america|latam|argentina|colombia|chile)\b/i, ['spanish']],
+  [/\bitaly\b/i, ['italian']],
+  [/\b(netherlands|holland)\b/i, ['dutch']],
+  [/\b(portugal|brazil)\b/i, ['portuguese']]
+];
+
+// Seniority prefixes and suffixes a title's function is found between
+const SENIORITY_PREFIX = /^(senior |sr\.? )?(vp|vice president|head|director|global head|svp|evp)( of)?\s+/i;
+const SENIORITY_SUFFIX = /\s+(director|manager|lead|leader)$/i;
+
+// C-level titles: their function comes from the title family, not from the words around "Chief"
+const C_LEVEL = /^chief\b.*\bofficer$/i;
+const C_LEVEL_ACRONYM = /^C[A-Z]{1,3}O$/;
+
+/**
+ * Whether a title contains a phrase as whole words
+ * @param {string} title
+ * @param {string} phrase
+ * @returns {boolean}
+ */
+function mentions(title, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}])${escaped}($|[^\\p{L}])`, 'iu').test(title);
+}
+
+/**
+ * Title family a job title belongs to
+ * @param {string} title
+ * @returns {{function?: string, titles: string[], local: Object<string, string[]>}|null}
+ */
+export function findTitleFamily(title) {
+  if (!title) return null;
+  return TITLE_FAMILIES.find(family => family.titles.some(candidate => mentions(title, candidate))) || null;
+}
+
+/**
+ * Languages of a targeting: the plan's languages, else those spoken in its regions
+ * @param {import('./targeting.js').Targeting} targeting
+ * @returns {string[]} lower-case language names, English left out
+ */
+export function getSearchLanguages(targeting) {
+  const languages = targeting.languages.length > 0
+    ? targeting.languages.map(language => language.toLowerCase())
+    : targeting.regions.flatMap(region => REGION_LANGUAGES.filter(([pattern]) => pattern.test(region)).flatMap(([, spoken]) => spoken));
+  return [...new Set(languages)].filter(language => language !== 'english');
+}
+
+/**
+ * The same function one seniority level up or down, e.g. "VP Customer Support" ->
+ * "Head of Customer Support", "Director of Customer Support", and "CIO" -> "Head of IT"
+ * @param {string} title
+ * @returns {string[]} empty when the title has no recognizable seniority, or is a C-level
+ *   title without a known function (e.g. CEO)
+ */
+export function seniorityVariants(title) {
+  const trimmed = (title || '').trim();
+  const fn = C_LEVEL.test(trimmed) || C_LEVEL_ACRONYM.test(trimmed) ? findTitleFamily(trimmed)?.function
+    : trimmed.match(SENIORITY_PREFIX) ? trimmed.replace(SENIORITY_PREFIX, '')
+    : trimmed.match(SENIORITY_SUFFIX) ? trimmed.replace(SENIORITY_SUFFIX, '') : null;
+  if (!fn) return [];
+  return [`Head of ${fn}`, `VP ${fn}`, `Director of ${fn}`, `${fn} Manager`]
+    .filter(variant => variant.toLowerCase() !== trimmed.toLowerCase());
+}
+
+/**
+ * Extra queries for a persona: title synonyms, seniority variants, local-language titles
+ * and LinkedIn-restricted variants, each placed in the first targeted region and industry
+ * Kinds are interleaved so a small query budget still tries each of them.
+ * @param {Object} persona
+ * @param {import('./targeting.js').Targeting} targeting
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] - queries already run or queued
+ * @param {number} [options.count] - queries at most
+ * @returns {PlannedQuery[]}
+ */
+export function expandQueries(persona, targeting, { exclude = [], count = 10 } = {}) {
+  const title = (persona.title || '').trim();
+  if (!title) return [];
+
+  const region = targeting.regions[0] || '';
+  const industry = targeting.industries[0] || '';
+  const place = value => [value, region, industry].filter(Boolean).join(' ');
+  const family = findTitleFamily(title);
+
+  const synonyms = (family?.titles || [])
+    .filter(candidate => !mentions(title, candidate))
+    .map(candidate => ({ query: place(candidate), variant: QueryVariants.SYNONYM }));
+
+  const seniority = seniorityVariants(title)
+    .filter(candidate => !family?.titles.some(known => known.toLowerCase() === candidate.toLowerCase()))
+    .map(candidate => ({ query: place(candidate), variant: QueryVariants.SENIORITY }));
+
+  // Local titles are searched in their own words, without the English industry name
+  const local = getSearchLanguages(targeting)
+    .flatMap(language => family?.local[language] || [])
+    .map(candidate => ({ query: [candidate, region].filter(Boolean).join(' '), variant: QueryVariants.LOCAL_LANGUAGE }));
+
+  const site = [title, ...(family?.local[getSearchLanguages(targeting)[0]] || []).slice(0, 1)]
+    .map(candidate => ({ query: `site:linkedin.com/in "${candidate}"${region ? ` ${region}` : ''}`, variant: QueryVariants.SITE }));
+
+  // Round-robin over the kinds
+  const kinds = [synonyms, local, site, seniority];
+  const interleaved = [];
+  for (let i = 0; kinds.some(kind => i < kind.length); i++) {
+    kinds.forEach(kind => kind[i] && interleaved.push(kind[i]));
+  }
+
+  const seen = new Set(exclude.map(query => query.toLowerCase()));
+  return interleaved
+    .filter(({ query }) => !seen.has(query.toLowerCase()) && seen.add(query.toLowerCase()))
+    .slice(0, count);
+}
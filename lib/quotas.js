@@ -0,0 +1,133 @@
+/**
+ * Lead quota of one persona (state.personas[].quota), set during persona review
+ * Every field is optional: without a quota a persona gets an equal share of the campaign's leads.
+ * @typedef {Object} PersonaQuota
+ * @property {number} [weight] - share of the campaign's leads relative to the other personas (default 1)
+ * @property {number} [min_leads] - fewer kept leads than this reports the persona as under-filled
+ * @property {number} [max_leads] - never keep more leads than this
+ */
+
+/**
+ * Leads SearchNode aims for with one persona
+ * @typedef {Object} LeadAllocation
+ * @property {string} persona - persona name
+ * @property {number} weight
+ * @property {number} target - leads search keeps querying for
+ * @property {number} min - under this the persona is reported under-filled (the target when no min_leads)
+ */
+
+/**
+ * Weight of a persona without a quota
+ */
+export const DEFAULT_WEIGHT = 1;
+
+/**
+ * Validate a quota; blank fields are dropped
+ * @param {Object} quota - weight, min_leads, max_leads as numbers or numeric strings
+ * @returns {PersonaQuota}
+ * @throws {Error} for a non-positive weight, a negative or fractional lead count, or min above max
+ */
+export function normalizeQuota(quota = {}) {
+  const normalized = {};
+  const read = key => (quota?.[key] === undefined || quota[key] === null || quota[key] === '' ? undefined : Number(quota[key]));
+
+  const weight = read('weight');
+  if (weight !== undefined) {
+    if (!(weight > 0 && Number.isFinite(weight))) {
+      throw new Error(`weight must be a number above 0, got "${quota.weight}"`);
+    }
+    normalized.weight = weight;
+  }
+  for (const key of ['min_leads', 'max_leads']) {
+    const value = read(key);
+    if (value === undefined) continue;
+    if (!(Number.isInteger(value) && value >= 0)) {
+      throw new Error(`${key} must be a whole number of leads, got "${quota[key]}"`);
+    }
+    normalized[key] = value;
+  }
+  if (normalized.min_leads !== undefined && normalized.max_leads !== undefined && normalized.min_leads > normalized.max_leads) {
+    throw new Error(`min_leads (${normalized.min_leads}) is above max_leads (${normalized.max_leads})`);
+  }
+  return normalized;
+}
+
+/**
+ * Split whole leads between weights, rounding with the largest remainder so the parts add up
+ * @param {number} total
+ * @param {number[]} weights
+ * @returns {number[]}
+ */
+function splitByWeight(total, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+  const exact = weights.map(weight => (total * weight) / totalWeight);
+  const shares = exact.map(Math.floor);
+  let remaining = total - shares.reduce((sum, share) => sum + share, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - shares[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        shares[index]++;
+        remaining--;
+      }
+    });
+  return shares;
+}
+
+/**
+ * Split a lead budget between personas by weight, within each persona's min and max
+ * A persona held at its max leaves the rest of its share to the others; an explicit
+ * min_leads may take the total above the budget.
+ * @param {Object[]} personas
+ * @param {number} totalLeads - usually plan.caps.leads_per_persona × personas
+ * @returns {LeadAllocation[]} in persona order
+ */
+export function allocateLeads(personas, totalLeads) {
+  const weights = personas.map(persona => persona.quota?.weight ?? DEFAULT_WEIGHT);
+  const bounds = personas.map(persona => [persona.quota?.min_leads ?? 0, persona.quota?.max_leads ?? Infinity]);
+  const targets = new Array(personas.length);
+
+  // Fix personas whose share breaks their bounds, then split what is left between the others
+  let free = personas.map((persona, index) => index);
+  while (free.length > 0) {
+    const fixed = targets.reduce((sum, target) => sum + (target ?? 0), 0);
+    const shares = splitByWeight(Math.max(0, totalLeads - fixed), free.map(index => weights[index]));
+    const outside = free.filter((index, position) => shares[position] < bounds[index][0] || shares[position] > bounds[index][1]);
+
+    if (outside.length === 0) {
+      free.forEach((index, position) => { targets[index] = shares[position]; });
+      break;
+    }
+    outside.forEach(index => {
+      const [min, max] = bounds[index];
+      targets[index] = Math.min(max, Math.max(min, shares[free.indexOf(index)]));
+    });
+    free = free.filter(index => !outside.includes(index));
+  }
+
+  return personas.map((persona, index) => ({
+    persona: persona.name,
+    weight: weights[index],
+    target: targets[index],
+    min: Math.min(persona.quota?.min_leads ?? targets[index], targets[index])
+  }));
+}
+
+/**
+ * Short description of a persona's quota, e.g. "weight 2, 5-20 leads"
+ * @param {PersonaQuota} [quota]
+ * @returns {string} empty without a quota
+ */
+export function describeQuota(quota = {}) {
+  const parts = [];
+  if (quota.weight !== undefined) parts.push(`weight ${quota.weight}`);
+  if (quota.min_leads !== undefined && quota.max_leads !== undefined) {
+    parts.push(`${quota.min_leads}-${quota.max_leads} leads`);
+  } else if (quota.min_leads !== undefined) {
+    parts.push(`at least ${quota.min_leads} leads`);
+  } else if (quota.max_leads !== undefined) {
+    parts.push(`at most ${quota.max_leads} leads`);
+  }
+  return parts.join(', ');
+}
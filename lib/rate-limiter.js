@@ -0,0 +1,347 @@
+import { classifyError, getRetryAfterMs, ErrorClasses } from './retry.js';
+
+/**
+ * Default rate limits per provider, per minute; null means unlimited
+ * Override with {PROVIDER}_RPM / {PROVIDER}_TPM in .env (e.g. OPENAI_TPM=30000)
+ */
+const DEFAULT_RATE_LIMITS = {
+  openai: { rpm: 500, tpm: 200000 },
+  jina: { rpm: 100, tpm: null }
+};
+
+/**
+ * Consecutive failures that open a provider's circuit (CIRCUIT_FAILURE_THRESHOLD)
+ */
+export const DEFAULT_FAILURE_THRESHOLD = 5;
+
+/**
+ * Seconds an open circuit rejects calls before letting a probe through (CIRCUIT_COOLDOWN_SECONDS)
+ */
+export const DEFAULT_COOLDOWN_SECONDS = 60;
+
+/**
+ * Pause after a 429 that carries no Retry-After header
+ */
+const DEFAULT_RATE_LIMIT_PAUSE_MS = 10000;
+
+// Failures that say the provider is struggling; anything else (a bad request, an
+// invalid answer) is about the call, not the provider
+const PROVIDER_FAILURES = [ErrorClasses.RATE_LIMIT, ErrorClasses.TIMEOUT, ErrorClasses.SERVER, ErrorClasses.NETWORK];
+
+/**
+ * Circuit breaker states
+ */
+export const CircuitStates = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Thrown instead of calling a provider whose circuit is open
+ */
+export class CircuitOpenError extends Error {
+  /**
+   * @param {CircuitBreaker} breaker
+   */
+  constructor(breaker) {
+    super(`${breaker.name} circuit open after ${breaker.failures} consecutive failures (last: ${breaker.lastError}) - retry after ${new Date(breaker.retryAt()).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.provider = breaker.name;
+    this.retryAt = breaker.retryAt();
+    this.errorClass = ErrorClasses.CIRCUIT_OPEN;
+  }
+}
+
+/**
+ * Per-minute budget refilled continuously
+ */
+class TokenBucket {
+  /**
+   * @param {number} perMinute
+   */
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.available = perMinute;
+    this.refillPerMs = perMinute / 60000;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Add what refilled since the last update
+   */
+  refill() {
+    const now = Date.now();
+    this.available = Math.min(this.capacity, this.available + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Time until `amount` is available (amounts over the capacity wait for a full bucket)
+   * @param {number} amount
+   * @returns {number} ms
+   */
+  waitMs(amount) {
+    this.refill();
+    const needed = Math.min(amount, this.capacity);
+    return this.available >= needed ? 0 : Math.ceil((needed - this.available) / this.refillPerMs);
+  }
+
+  /**
+   * Take `amount`; a negative amount gives back what was over-estimated
+   * @param {number} amount
+   */
+  take(amount) {
+    this.refill();
+    this.available = Math.min(this.capacity, this.available - amount);
+  }
+}
+
+/**
+ * Token-bucket limiter for one provider: requests per minute and tokens per minute
+ * Callers are served in arrival order.
+ */
+export class RateLimiter {
+  /**
+   * @param {string} name - provider, for logs
+   * @param {{rpm?: number|null, tpm?: number|null}} limits
+   */
+  constructor(name, { rpm = null, tpm = null } = {}) {
+    this.name = name;
+    this.rpm = rpm;
+    this.tpm = tpm;
+    this.requests = rpm ? new TokenBucket(rpm) : null;
+    this.tokens = tpm ? new TokenBucket(tpm) : null;
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait for a request slot and `tokens` tokens, then take them
+   * @param {number} [tokens] - estimated tokens of the call
+   * @returns {Promise<void>}
+   */
+  acquire(tokens = 0) {
+    const turn = this.queue.then(async () => {
+      for (;;) {
+        const wait = Math.max(
+          this.pausedUntil - Date.now(),
+          this.requests ? this.requests.waitMs(1) : 0,
+          this.tokens ? this.tokens.waitMs(tokens) : 0
+        );
+        if (wait <= 0) break;
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      if (this.requests) this.requests.take(1);
+      if (this.tokens) this.tokens.take(tokens);
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Correct the token count once the real usage is known
+   * @param {number} delta - actual minus estimated tokens
+   */
+  adjust(delta) {
+    if (this.tokens && delta) this.tokens.take(delta);
+  }
+
+  /**
+   * Hold every caller for a while, e.g. for a 429's Retry-After
+   * @param {number} ms
+   */
+  pauseFor(ms) {
+    const until = Date.now() + ms;
+    if (until > this.pausedUntil) {
+      this.pausedUntil = until;
+      console.log(`⏳ ${this.name} rate limited - pausing calls for ${Math.round(ms / 1000)}s`);
+    }
+  }
+}
+
+/**
+ * Stops calling a provider that keeps failing
+ * Opens after `failureThreshold` consecutive provider failures; while open every
+ * call fails fast with CircuitOpenError. After the cooldown one probe call goes
+ * through: success closes the circuit, failure opens it again.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} name - provider
+   * @param {{failureThreshold?: number, cooldownMs?: number}} [options]
+   */
+  constructor(name, { failureThreshold = DEFAULT_FAILURE_THRESHOLD, cooldownMs = DEFAULT_COOLDOWN_SECONDS * 1000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = CircuitStates.CLOSED;
+    this.failures = 0;
+    this.openedAt = 0;
+    this.lastError = null;
+    this.probing = false;
+  }
+
+  /**
+   * When an open circuit lets the next probe through
+   * @returns {number} epoch ms
+   */
+  retryAt() {
+    return this.openedAt + this.cooldownMs;
+  }
+
+  /**
+   * Throw if calls are not allowed right now
+   * @throws {CircuitOpenError}
+   */
+  check() {
+    if (this.state === CircuitStates.OPEN && Date.now() >= this.retryAt()) {
+      this.state = CircuitStates.HALF_OPEN;
+      console.log(`🔌 ${this.name} circuit half-open - probing`);
+    }
+    if (this.state === CircuitStates.OPEN || (this.state === CircuitStates.HALF_OPEN && this.probing)) {
+      throw new CircuitOpenError(this);
+    }
+    if (this.state === CircuitStates.HALF_OPEN) {
+      this.probing = true;
+    }
+  }
+
+  /**
+   * A call succeeded
+   */
+  recordSuccess() {
+    if (this.state !== CircuitStates.CLOSED) {
+      console.log(`🔌 ${this.name} circuit closed - provider is answering again`);
+    }
+    this.state = CircuitStates.CLOSED;
+    this.failures = 0;
+    this.probing = false;
+  }
+
+  /**
+   * A call failed because of the provider
+   * @param {Error} error
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+    this.probing = false;
+    if (this.state === CircuitStates.HALF_OPEN || (this.state === CircuitStates.CLOSED && this.failures >= this.failureThreshold)) {
+      this.state = CircuitStates.OPEN;
+      this.openedAt = Date.now();
+      console.error(`❌ ${this.name} circuit open after ${this.failures} consecutive failures - no calls for ${Math.round(this.cooldownMs / 1000)}s`);
+    }
+  }
+
+  /**
+   * A call failed for its own reasons (bad request, invalid answer); the provider answered
+   */
+  recordCallError() {
+    this.probing = false;
+  }
+}
+
+const limiters = new Map();
+const breakers = new Map();
+
+/**
+ * Configured limits for a provider ({PROVIDER}_RPM / {PROVIDER}_TPM, 0 for unlimited)
+ * @param {string} provider - LLM provider name from config/llm.json, or "jina"
+ * @returns {{rpm: number|null, tpm: number|null}}
+ */
+export function getRateLimits(provider) {
+  const defaults = DEFAULT_RATE_LIMITS[provider] || { rpm: null, tpm: null };
+  const fromEnv = (suffix, fallback) => {
+    const value = process.env[`${provider.toUpperCase()}_${suffix}`];
+    if (value === undefined || value === '') return fallback;
+    const parsed = parseInt(value, 10);
+    return parsed > 0 ? parsed : null;
+  };
+  return { rpm: fromEnv('RPM', defaults.rpm), tpm: fromEnv('TPM', defaults.tpm) };
+}
+
+/**
+ * Shared rate limiter of a provider
+ * @param {string} provider
+ * @returns {RateLimiter}
+ */
+export function getRateLimiter(provider) {
+  if (!limiters.has(provider)) {
+    limiters.set(provider, new RateLimiter(provider, getRateLimits(provider)));
+  }
+  return limiters.get(provider);
+}
+
+/**
+ * Shared circuit breaker of a provider
+ * @param {string} provider
+ * @returns {CircuitBreaker}
+ */
+export function getCircuitBreaker(provider) {
+  if (!breakers.has(provider)) {
+    const threshold = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10);
+    const cooldown = parseFloat(process.env.CIRCUIT_COOLDOWN_SECONDS);
+    breakers.set(provider, new CircuitBreaker(provider, {
+      failureThreshold: threshold > 0 ? threshold : DEFAULT_FAILURE_THRESHOLD,
+      cooldownMs: (cooldown >= 0 ? cooldown : DEFAULT_COOLDOWN_SECONDS) * 1000
+    }));
+  }
+  return breakers.get(provider);
+}
+
+/**
+ * Providers whose circuit is open or probing
+ * @returns {CircuitBreaker[]}
+ */
+export function getOpenCircuits() {
+  return [...breakers.values()].filter(breaker => breaker.state !== CircuitStates.CLOSED);
+}
+
+/**
+ * Throw if a provider's circuit is open
+ * Nodes call it before saving the results of a fan-out, so a run that lost its
+ * provider halfway pauses instead of persisting a batch of empty results.
+ * @throws {CircuitOpenError}
+ */
+export function assertCircuitsClosed() {
+  const [open] = getOpenCircuits();
+  if (open) {
+    throw new CircuitOpenError(open);
+  }
+}
+
+/**
+ * Make one provider call through its circuit breaker and rate limiter
+ * A 429 pauses every caller of the provider for its Retry-After; the caller's
+ * retry policy still decides whether this call is tried again.
+ * @template T
+ * @param {string} provider - LLM provider name from config/llm.json, or "jina"
+ * @param {function(): Promise<T>} call
+ * @param {{tokens?: number}} [options] - estimated tokens, for the TPM limit
+ * @returns {Promise<T>}
+ * @throws {CircuitOpenError}
+ */
+export async function withRateLimit(provider, call, { tokens = 0 } = {}) {
+  const breaker = getCircuitBreaker(provider);
+  const limiter = getRateLimiter(provider);
+  breaker.check();
+  await limiter.acquire(tokens);
+
+  try {
+    const result = await call();
+    breaker.recordSuccess();
+    return result;
+  } catch (error) {
+    const errorClass = classifyError(error);
+    if (errorClass === ErrorClasses.RATE_LIMIT) {
+      limiter.pauseFor(getRetryAfterMs(error) ?? DEFAULT_RATE_LIMIT_PAUSE_MS);
+    }
+    if (PROVIDER_FAILURES.includes(errorClass)) {
+      breaker.recordFailure(error);
+    } else {
+      breaker.recordCallError();
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,145 @@
+import { NodeIds } from './types.js';
+
+/**
+ * Error classes used to decide whether a failure is worth retrying
+ */
+export const ErrorClasses = {
+  RATE_LIMIT: 'rate_limit',
+  TIMEOUT: 'timeout',
+  CONTEXT_LENGTH: 'context_length',
+  SERVER: 'server',
+  NETWORK: 'network',
+  BUDGET: 'budget',
+  CIRCUIT_OPEN: 'circuit_open',
+  INVALID_OUTPUT: 'invalid_output',
+  FATAL: 'fatal'
+};
+
+/**
+ * Retry policy
+ * @typedef {Object} RetryPolicy
+ * @property {number} max_attempts - total attempts, including the first one
+ * @property {number} base_delay_ms - delay before the first retry, doubled on each retry
+ * @property {number} max_delay_ms - cap on a single delay
+ * @property {string[]} retry_on - ErrorClasses that may be retried
+ */
+
+const TRANSIENT = [ErrorClasses.RATE_LIMIT, ErrorClasses.TIMEOUT, ErrorClasses.SERVER, ErrorClasses.NETWORK];
+
+/** @type {RetryPolicy} */
+const DEFAULT_POLICY = {
+  max_attempts: 3,
+  base_delay_ms: 1000,
+  max_delay_ms: 30000,
+  retry_on: TRANSIENT
+};
+
+/**
+ * Per-node retry policies
+ * Intake nodes are interactive and never retried. Enrich nodes can retry
+ * context-length errors because they shrink the scraped content on each attempt.
+ * @type {Object<string, RetryPolicy>}
+ */
+export const RETRY_POLICIES = {
+  [NodeIds.INTAKE]: { ...DEFAULT_POLICY, max_attempts: 1 },
+  [NodeIds.PLAN]: { ...DEFAULT_POLICY, max_attempts: 2 },
+  [NodeIds.PERSONA]: { ...DEFAULT_POLICY, max_attempts: 2 },
+  [NodeIds.SEARCH]: { ...DEFAULT_POLICY, max_attempts: 3, base_delay_ms: 2000 },
+  [NodeIds.ENRICH]: { ...DEFAULT_POLICY, max_attempts: 3, base_delay_ms: 2000, retry_on: [...TRANSIENT, ErrorClasses.CONTEXT_LENGTH] },
+  [NodeIds.OUTREACH]: { ...DEFAULT_POLICY, max_attempts: 3 },
+  [NodeIds.INVESTOR_INTAKE]: { ...DEFAULT_POLICY, max_attempts: 1 },
+  [NodeIds.INVESTOR_PERSONA]: { ...DEFAULT_POLICY, max_attempts: 2 },
+  [NodeIds.INVESTOR_SEARCH]: { ...DEFAULT_POLICY, max_attempts: 3, base_delay_ms: 2000 },
+  [NodeIds.INVESTOR_ENRICH]: { ...DEFAULT_POLICY, max_attempts: 3, base_delay_ms: 2000 },
+  [NodeIds.INVESTOR_OUTREACH]: { ...DEFAULT_POLICY, max_attempts: 3 }
+};
+
+/**
+ * Get the retry policy for a node (falls back to the default policy)
+ * @param {string} nodeId
+ * @returns {RetryPolicy}
+ */
+export function getRetryPolicy(nodeId) {
+  return RETRY_POLICIES[nodeId] || DEFAULT_POLICY;
+}
+
+/**
+ * Classify an error from OpenAI, axios or our own code
+ * @param {Error} error
+ * @returns {string} one of ErrorClasses
+ */
+export function classifyError(error) {
+  if (!error) return ErrorClasses.FATAL;
+  if (error.errorClass) return error.errorClass;
+
+  const status = error.status || error.response?.status;
+  const code = error.code || error.error?.code;
+  const message = (error.message || '').toLowerCase();
+
+  if (code === 'context_length_exceeded' || message.includes('maximum context length') || message.includes('context_length')) {
+    return ErrorClasses.CONTEXT_LENGTH;
+  }
+  if (status === 429 || message.includes('rate limit')) {
+    return ErrorClasses.RATE_LIMIT;
+  }
+  if (status === 408 || code === 'ECONNABORTED' || code === 'ETIMEDOUT' || error.name === 'APIConnectionTimeoutError' || message.includes('timeout') || message.includes('timed out')) {
+    return ErrorClasses.TIMEOUT;
+  }
+  if (status >= 500) {
+    return ErrorClasses.SERVER;
+  }
+  if (['ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'].includes(code) || error.name === 'APIConnectionError') {
+    return ErrorClasses.NETWORK;
+  }
+  return ErrorClasses.FATAL;
+}
+
+/**
+ * Delay requested by the provider (Retry-After header), in ms
+ * @param {Error} error
+ * @returns {number|null}
+ */
+export function getRetryAfterMs(error) {
+  const headers = error.headers || error.response?.headers;
+  const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * Run fn, retrying retryable failures with exponential backoff
+ * fn receives (attempt, lastErrorClass) so it can adapt, e.g. send less content
+ * after a context-length error. The final error carries `errorClass` and `attempts`.
+ * @template T
+ * @param {function(number, string|null): Promise<T>} fn
+ * @param {RetryPolicy} policy
+ * @param {Object} [options]
+ * @param {string} [options.label] - what is being retried, for logs
+ * @returns {Promise<T>}
+ */
+export async function withRetry(fn, policy = DEFAULT_POLICY, options = {}) {
+  const { label = 'operation' } = options;
+  let lastErrorClass = null;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt, lastErrorClass);
+    } catch (error) {
+      const errorClass = classifyError(error);
+      const retryable = policy.retry_on.includes(errorClass);
+
+      if (!retryable || attempt >= policy.max_attempts) {
+        error.errorClass = errorClass;
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const backoff = Math.min(policy.max_delay_ms, policy.base_delay_ms * 2 ** (attempt - 1));
+      const delay = Math.min(policy.max_delay_ms, getRetryAfterMs(error) ?? backoff + Math.random() * policy.base_delay_ms * 0.25);
+
+      console.log(`🔁 ${label} failed (${errorClass}: ${error.message}) - retry ${attempt}/${policy.max_attempts - 1} in ${Math.round(delay / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      lastErrorClass = errorClass;
+    }
+  }
+}
@@ -1,75 +1,219 @@
-import { IntakeNode } from './nodes/IntakeNode.js';
-import { PlanNode } from './nodes/PlanNode.js';
-import { PersonaNode } from './nodes/PersonaNode.js';
-import { SearchNode } from './nodes/SearchNode.js';
-import { EnrichNode } from './nodes/EnrichNode.js';
-import { OutreachNode } from './nodes/OutreachNode.js';
-// Investor pipeline nodes
-import { InvestorIntakeNode } from './nodes/investor/InvestorIntakeNode.js';
-import { InvestorPersonaNode } from './nodes/investor/InvestorPersonaNode.js';
-import { InvestorSearchNode } from './nodes/investor/InvestorSearchNode.js';
-import { InvestorEnrichNode } from './nodes/investor/InvestorEnrichNode.js';
-import { InvestorOutreachNode } from './nodes/investor/InvestorOutreachNode.js';
-import { NodeIds } from './types.js';
+import { BUILTIN_NODES } from './nodes/index.js';
+import { loadPlugins } from './plugins.js';
+import { runWithContext } from './run-context.js';
+import { beginUsage, flushUsage, assertWithinBudget, getBudgetConfig, BudgetModes } from './usage.js';
+import { MessageJournal } from './journal.js';
+import { withRetry, getRetryPolicy } from './retry.js';
+import { recordDeadLetter, DeadLetterKinds } from './dead-letter.js';
+import { assertCircuitsClosed, CircuitOpenError } from './rate-limiter.js';
 
 /**
- * Simple in-memory router for Phase 1
- * In later phases, this could be enhanced with queuing, persistence, etc.
+ * Router dispatches messages between nodes
+ * The registry is built from node declarations: the built-in nodes in lib/nodes/index.js
+ * plus plugins from PLUGINS_DIR / PLUGINS (see lib/plugins.js), loaded before the first dispatch.
+ * Every message is journaled to profiles/{run_id}/journal.jsonl so a crashed run can be resumed.
+ * Failing nodes are retried per lib/retry.js; messages that still fail are dead-lettered.
+ * A node that leaves a provider's circuit open (lib/rate-limiter.js) fails its message too.
  */
 export class Router {
   constructor() {
-    // Node registry
-    this.registry = {
-      // Sales pipeline nodes
-      [NodeIds.INTAKE]: new IntakeNode(),
-      [NodeIds.PLAN]: new PlanNode(),
-      [NodeIds.PERSONA]: new PersonaNode(),
-      [NodeIds.SEARCH]: new SearchNode(),
-      [NodeIds.ENRICH]: new EnrichNode(),
-      [NodeIds.OUTREACH]: new OutreachNode(),
-      // Investor pipeline nodes
-      [NodeIds.INVESTOR_INTAKE]: new InvestorIntakeNode(),
-      [NodeIds.INVESTOR_PERSONA]: new InvestorPersonaNode(),
-      [NodeIds.INVESTOR_SEARCH]: new InvestorSearchNode(),
-      [NodeIds.INVESTOR_ENRICH]: new InvestorEnrichNode(),
-      [NodeIds.INVESTOR_OUTREACH]: new InvestorOutreachNode()
-    };
+    // Node registry and the declarations it was built from
+    this.registry = {};
+    this.declarations = [];
+    // Target node id -> plugin ids inserted in front of it, in load order
+    this.insertions = {};
+    
+    BUILTIN_NODES.forEach(declaration => this.register(declaration));
+    
+    // One journal per run, so entry sequence numbers stay consistent
+    this.journals = new Map();
+    this.pluginsReady = null;
     
     console.log(`🔗 Router initialized with ${Object.keys(this.registry).length} nodes`);
-    console.log(`   📊 Sales pipeline: ${Object.values(this.registry).filter(n => !n.id?.includes('Investor')).length} nodes`);
-    console.log(`   💰 Investor pipeline: ${Object.values(this.registry).filter(n => n.id?.includes('Investor')).length} nodes`);
+    console.log(`   📊 Sales pipeline: ${this.declarations.filter(d => d.pipeline === 'sales').length} nodes`);
+    console.log(`   💰 Investor pipeline: ${this.declarations.filter(d => d.pipeline === 'investor').length} nodes`);
+  }
+
+  /**
+   * Add a node to the registry from its declaration
+   * @param {NodeDeclaration} declaration 
+   */
+  register(declaration) {
+    const node = declaration.create(declaration.options || {});
+    
+    if (node.id !== declaration.id) {
+      throw new Error(`Node created for ${declaration.id} reports id "${node.id}"`);
+    }
+    
+    this.registry[declaration.id] = node;
+    this.declarations.push(declaration);
+    
+    if (declaration.insert?.before) {
+      const target = declaration.insert.before;
+      this.insertions[target] = [...(this.insertions[target] || []), declaration.id];
+    }
+  }
+
+  /**
+   * Load plugins into the registry (once per router)
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (!this.pluginsReady) {
+      this.pluginsReady = loadPlugins().then(plugins => {
+        for (const plugin of plugins) {
+          this.register(plugin);
+          
+          const target = plugin.insert?.before;
+          if (target && !this.registry[target]) {
+            console.log(`⚠️  Plugin ${plugin.id} is inserted before unknown node ${target}`);
+          }
+          console.log(`🧩 Plugin ${plugin.id} loaded from ${plugin.source} (handles ${plugin.handles.join(', ')}${target ? `, runs before ${target}` : ''})`);
+        }
+      });
+    }
+    return this.pluginsReady;
+  }
+
+  /**
+   * Work out which node a message actually goes to
+   * Messages without "to" go to the first non-inserted node that handles the event.
+   * Messages to a node with plugins inserted in front of it pass through each plugin
+   * in turn - a plugin forwards by emitting a message addressed to the original node.
+   * @param {Message} msg 
+   * @returns {Message} the message, with "to" resolved
+   */
+  route(msg) {
+    let to = msg.to;
+    
+    if (!to) {
+      const handler = this.declarations.find(d => !d.insert && d.handles.includes(msg.event));
+      to = handler ? handler.id : null;
+    }
+    
+    const inserted = this.insertions[to] || [];
+    if (inserted.length > 0) {
+      const position = inserted.indexOf(msg.from);
+      if (position < inserted.length - 1) {
+        to = inserted[position + 1];
+      }
+    }
+    
+    return to === msg.to ? msg : { ...msg, to };
   }
 
   /**
    * Dispatch a message to the appropriate node
    * @param {Message} msg 
    * @param {Context} ctx 
+   * @param {Object} [options]
+   * @param {string} [options.entryId] - existing journal entry to replay instead of journaling a new one
+   * @param {string} [options.parentId] - journal entry of the message that produced this one
    * @returns {Promise<Message|null>}
    */
-  async dispatch(msg, ctx) {
+  async dispatch(msg, ctx, options = {}) {
+    await this.ready();
+    msg = this.route(msg);
+    
+    const journal = this.getJournal(msg.run_id, ctx);
+    const entryId = options.entryId || await journal.record(msg, options.parentId || null);
+    
+    // COMPLETE is a terminal marker, not a node
+    if (msg.to === 'COMPLETE') {
+      await journal.markDone(entryId);
+      console.log(`🏁 Run ${msg.run_id} reached COMPLETE`);
+      return null;
+    }
+    
     const targetNode = this.registry[msg.to];
     
     if (!targetNode) {
-      console.log(`⚠️  No handler for ${msg.to}, message queued for later`);
+      console.log(`⚠️  No handler for ${msg.to || msg.event}, message queued for later`);
       return null;
     }
     
     console.log(`🔀 Routing ${msg.event} from ${msg.from} to ${msg.to}`);
     
     try {
-      const result = await targetNode.run(msg, ctx);
+      // Usage is counted per run; in stop mode a spent budget stops the pipeline here
+      await beginUsage(msg.run_id, ctx.profilesDir);
+      if (getBudgetConfig().mode === BudgetModes.STOP) {
+        assertWithinBudget(msg.run_id);
+      }
+      
+      // The run context lets provider-level code (e.g. the cassette) find this run
+      const runContext = { runId: msg.run_id, profilesDir: ctx.profilesDir, node: msg.to };
+      const result = await withRetry(async () => {
+        await journal.markRunning(entryId);
+        return runWithContext(runContext, () => targetNode.run(msg, ctx));
+      }, getRetryPolicy(msg.to), { label: msg.to });
+      
+      // A provider that kept failing pauses the run here, resumable once it recovers
+      assertCircuitsClosed();
+      await flushUsage(msg.run_id, ctx.profilesDir);
+      await journal.markDone(entryId);
       
       // If there's a result message, dispatch it recursively
       if (result) {
-        return await this.dispatch(result, ctx);
+        return await this.dispatch(result, ctx, { parentId: entryId });
       }
       
       return null;
       
     } catch (error) {
+      if (error instanceof CircuitOpenError) {
+        console.log(`⏸️  Pausing ${msg.run_id}: ${error.provider} keeps failing, not moving past ${msg.to}`);
+      }
       console.error(`❌ Router error dispatching to ${msg.to}:`, error.message);
+      await flushUsage(msg.run_id, ctx.profilesDir);
+      await journal.markFailed(entryId, error);
+      await recordDeadLetter(ctx.profilesDir, msg.run_id, {
+        kind: DeadLetterKinds.MESSAGE,
+        node: msg.to,
+        item_id: entryId,
+        item: msg,
+        error
+      });
+      console.log(`💡 Resume with: npm run resume ${msg.run_id}`);
+      console.log(`💡 Or requeue dead letters: npm run dead-letters ${msg.run_id} requeue`);
+      return null;
+    }
+  }
+
+  /**
+   * Replay the first journaled message of a run that did not finish
+   * @param {string} runId 
+   * @param {Context} ctx 
+   * @returns {Promise<JournalEntry|null>} the replayed entry, or null if the run had nothing left to do
+   */
+  async resume(runId, ctx) {
+    const journal = this.getJournal(runId, ctx);
+    const entry = await journal.findResumePoint();
+    
+    if (!entry) {
+      console.log(`✅ Nothing to resume - every journaled message for ${runId} is done`);
       return null;
     }
+    
+    const { message } = entry;
+    console.log(`🔄 Resuming ${runId} at ${entry.id}: ${message.event} from ${message.from} to ${message.to}`);
+    console.log(`   Last status: ${entry.status}${entry.error ? ` (${entry.error})` : ''}, attempts so far: ${entry.attempts}`);
+    
+    await this.dispatch(message, ctx, { entryId: entry.id });
+    return entry;
+  }
+
+  /**
+   * Get (or create) the journal for a run
+   * @param {string} runId 
+   * @param {Context} ctx 
+   * @returns {MessageJournal}
+   */
+  getJournal(runId, ctx) {
+    if (!this.journals.has(runId)) {
+      this.journals.set(runId, new MessageJournal(ctx.profilesDir, runId));
+    }
+    return this.journals.get(runId);
   }
 
   /**
@@ -0,0 +1,45 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Run context visible to everything a node calls, without threading it through
+ * every method: the Router sets it around each node run, and provider-level code
+ * (e.g. the cassette) reads it to find the run's profile directory.
+ * @typedef {Object} RunContext
+ * @property {string} runId
+ * @property {string} profilesDir
+ * @property {string} node - id of the node being run
+ * @property {string} [leadId] - lead (or investor) the current work is for
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with the given run context
+ * @template T
+ * @param {RunContext} context
+ * @param {function(): T} fn
+ * @returns {T}
+ */
+export function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Run context of the current async call chain
+ * @returns {RunContext|null} null outside a node run
+ */
+export function getRunContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Run fn with extra fields added to the current run context
+ * e.g. withRunContext({ leadId: lead.id }, ...) attributes provider usage to a lead.
+ * @template T
+ * @param {Object} extra
+ * @param {function(): T} fn
+ * @returns {T}
+ */
+export function withRunContext(extra, fn) {
+  return storage.run({ ...storage.getStore(), ...extra }, fn);
+}
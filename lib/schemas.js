@@ -0,0 +1,385 @@
+/**
+ * JSON schemas of the structured LLM tasks (see lib/structured-output.js)
+ * Each schema comes with the typedef of the object LLMClient.completeJSON returns.
+ * Defaults fill fields the model left out, so callers can rely on them being present.
+ */
+
+const stringList = (fallback) => ({ type: 'array', items: { type: 'string' }, default: fallback });
+
+// Claims that cite their source; lib/citations.js keeps the ones the sources support
+const citedList = () => ({
+  type: 'array',
+  default: [],
+  items: {
+    type: ['object', 'string'],
+    required: ['claim'],
+    properties: {
+      claim: { type: 'string', minLength: 1 },
+      source_url: { type: 'string', default: '' },
+      evidence: { type: 'string', default: '' }
+    }
+  }
+});
+
+/**
+ * @typedef {Object} AnswerClassification
+ * @property {boolean} needsEnrichment
+ * @property {string} reasoning
+ */
+export const ANSWER_CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  required: ['needsEnrichment', 'reasoning'],
+  properties: {
+    needsEnrichment: { type: 'boolean' },
+    reasoning: { type: 'string' }
+  }
+};
+
+/**
+ * @typedef {Object} FollowUpQuestions
+ * @property {string[]} questions - 0-3 follow-up questions
+ */
+export const FOLLOW_UP_QUESTIONS_SCHEMA = {
+  type: 'object',
+  required: ['questions'],
+  properties: {
+    questions: { type: 'array', items: { type: 'string', minLength: 1 } }
+  }
+};
+
+/**
+ * @typedef {Object} PlanResponse
+ * @property {string} value_prop
+ * @property {Object} caps - clamped afterwards by normalizeCaps
+ * @property {Array<{type: string, value: string}>} rules
+ * @property {Object} targeting - regions, languages, company_sizes, industries (cleaned by normalizeTargeting)
+ */
+export const CAMPAIGN_PLAN_SCHEMA = {
+  type: 'object',
+  required: ['value_prop'],
+  properties: {
+    value_prop: { type: 'string', minLength: 1 },
+    caps: { type: 'object', default: {} },
+    rules: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['type', 'value'],
+        properties: { type: { type: 'string' }, value: { type: 'string' } }
+      }
+    },
+    targeting: {
+      type: 'object',
+      default: {},
+      properties: {
+        regions: { type: 'array', default: [], items: { type: 'string' } },
+        languages: { type: 'array', default: [], items: { type: 'string' } },
+        company_sizes: { type: 'array', default: [], items: { type: 'string' } },
+        industries: { type: 'array', default: [], items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+/**
+ * @typedef {Object} Persona
+ * @property {string} name
+ * @property {string} title
+ * @property {string} company
+ * @property {string} profile
+ * @property {string[]} pain_points
+ * @property {string[]} motivations
+ * @property {string} search_query
+ * @property {string} outreach_angle
+ * @property {string[]} [customer_ids] - closed-won customers the persona is a lookalike of (lib/customers.js)
+ */
+export const PERSONAS_SCHEMA = {
+  type: 'object',
+  required: ['personas'],
+  properties: {
+    personas: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'title', 'company', 'profile', 'pain_points', 'motivations', 'search_query', 'outreach_angle'],
+        properties: {
+          name: { type: 'string' },
+          title: { type: 'string' },
+          company: { type: 'string' },
+          profile: { type: 'string' },
+          pain_points: { type: 'array', items: { type: 'string' }, minItems: 1 },
+          motivations: { type: 'array', items: { type: 'string' }, minItems: 1 },
+          search_query: { type: 'string' },
+          outreach_angle: { type: 'string' },
+          customer_ids: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * @typedef {Object} SearchQueries
+ * @property {string[]} queries
+ */
+export const SEARCH_QUERIES_SCHEMA = {
+  type: 'object',
+  required: ['queries'],
+  properties: {
+    queries: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+  }
+};
+
+/**
+ * @typedef {Object} LeadEnhancement
+ * @property {number} index - position in the batch
+ * @property {string} [enhanced_title]
+ * @property {string} [enhanced_company]
+ * @property {string} [enhanced_location]
+ * @property {number} [relevance_score] - 0 to 1
+ */
+export const ENHANCED_LEADS_SCHEMA = {
+  type: 'object',
+  required: ['enhanced_leads'],
+  properties: {
+    enhanced_leads: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['index'],
+        properties: {
+          index: { type: 'integer', minimum: 0 },
+          enhanced_title: { type: 'string' },
+          enhanced_company: { type: 'string' },
+          enhanced_location: { type: 'string' },
+          relevance_score: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * @typedef {Object} LeadValidation
+ * @property {number} index - position in the batch
+ * @property {boolean} is_valid_person
+ * @property {string} reason
+ * @property {boolean} matches_targeting - false when the lead is outside the campaign's targeting
+ * @property {string} targeting_reason
+ */
+export const LEAD_VALIDATIONS_SCHEMA = {
+  type: 'object',
+  required: ['validations'],
+  properties: {
+    validations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['index', 'is_valid_person'],
+        properties: {
+          index: { type: 'integer', minimum: 0 },
+          is_valid_person: { type: 'boolean' },
+          reason: { type: 'string', default: 'No reason given' },
+          matches_targeting: { type: 'boolean', default: true },
+          targeting_reason: { type: 'string', default: '' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * @typedef {Object} CitedClaim
+ * @property {string} claim
+ * @property {string} source_url
+ * @property {string} evidence - sentence copied from the source
+ */
+
+/**
+ * Answer of the intelligence task; verifyIntelligence (lib/citations.js) turns the
+ * cited lists into string arrays of verified claims
+ * @typedef {Object} CompetitiveIntelligence
+ * @property {CitedClaim[]} current_projects
+ * @property {CitedClaim[]} recent_developments
+ * @property {CitedClaim[]} strategic_priorities
+ * @property {CitedClaim[]} industry_involvement
+ * @property {CitedClaim[]} company_context
+ * @property {CitedClaim[]} competitive_intelligence
+ * @property {string[]} outreach_angles
+ * @property {CitedClaim[]} recent_quotes_or_statements
+ * @property {string} summary
+ * @property {string} intelligence_quality - high, medium or low
+ */
+export const COMPETITIVE_INTELLIGENCE_SCHEMA = {
+  type: 'object',
+  required: ['summary'],
+  properties: {
+    current_projects: citedList(),
+    recent_developments: citedList(),
+    strategic_priorities: citedList(),
+    industry_involvement: citedList(),
+    company_context: citedList(),
+    competitive_intelligence: citedList(),
+    outreach_angles: stringList([]),
+    recent_quotes_or_statements: citedList(),
+    summary: { type: 'string', minLength: 1 },
+    intelligence_quality: { type: 'string', enum: ['high', 'medium', 'low'], default: 'low' }
+  }
+};
+
+/**
+ * @typedef {Object} ChunkFacts
+ * @property {Array<{fact: string, evidence: string}|string>} facts - facts about the subject
+ *   found in one chunk, possibly none, with the sentence each comes from
+ */
+export const CHUNK_FACTS_SCHEMA = {
+  type: 'object',
+  required: ['facts'],
+  properties: {
+    facts: {
+      type: 'array',
+      default: [],
+      items: {
+        type: ['object', 'string'],
+        required: ['fact'],
+        properties: {
+          fact: { type: 'string', minLength: 1 },
+          evidence: { type: 'string', default: '' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * @typedef {Object} IntakeDrafts
+ * @property {Array<{key: string, answer: string, source_url: string, evidence: string}>} drafts -
+ *   intake answers drafted from our website, each with the page and sentence it comes from
+ */
+export const INTAKE_DRAFTS_SCHEMA = {
+  type: 'object',
+  required: ['drafts'],
+  properties: {
+    drafts: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['key', 'answer'],
+        properties: {
+          key: { type: 'string', minLength: 1 },
+          answer: { type: 'string' },
+          source_url: { type: 'string', default: '' },
+          evidence: { type: 'string', default: '' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * @typedef {Object} InvestorCompanyAnalysis
+ * @property {string} sector
+ * @property {string} sub_sector
+ * @property {string} recommended_stage
+ * @property {string} target_check_size
+ * @property {string[]} investor_types
+ * @property {string[]} geographic_markets
+ * @property {string[]} investment_thesis
+ * @property {string[]} risk_factors
+ * @property {string} competitive_landscape
+ * @property {string} growth_potential
+ * @property {string[]} matching_criteria
+ */
+export const INVESTOR_COMPANY_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['sector', 'recommended_stage'],
+  properties: {
+    sector: { type: 'string', minLength: 1 },
+    sub_sector: { type: 'string', default: '' },
+    recommended_stage: { type: 'string', minLength: 1 },
+    target_check_size: { type: 'string', default: 'TBD' },
+    investor_types: stringList(['VCs', 'angels']),
+    geographic_markets: stringList(['Global']),
+    investment_thesis: stringList([]),
+    risk_factors: stringList([]),
+    competitive_landscape: { type: 'string', default: '' },
+    growth_potential: { type: 'string', default: '' },
+    matching_criteria: stringList([])
+  }
+};
+
+/**
+ * @typedef {Object} InvestorStrategy
+ * @property {string} strategy_name
+ * @property {string} investor_type
+ * @property {string[]} target_criteria
+ * @property {string[]} search_keywords
+ * @property {string[]} focus_sectors
+ * @property {string[]} stage_alignment
+ * @property {string[]} geographic_preference
+ * @property {string} check_size_range
+ * @property {string} search_priority - high, medium or low
+ */
+export const INVESTOR_STRATEGIES_SCHEMA = {
+  type: 'object',
+  required: ['strategies'],
+  properties: {
+    strategies: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['strategy_name', 'investor_type'],
+        properties: {
+          strategy_name: { type: 'string', minLength: 1 },
+          investor_type: { type: 'string', minLength: 1 },
+          target_criteria: stringList([]),
+          search_keywords: stringList([]),
+          focus_sectors: stringList([]),
+          stage_alignment: stringList([]),
+          geographic_preference: stringList([]),
+          check_size_range: { type: 'string', default: '' },
+          search_priority: { type: 'string', enum: ['high', 'medium', 'low'], default: 'medium' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * @typedef {Object} InvestorDueDiligence
+ * @property {string[]} investment_focus
+ * @property {Array<string|Object>} portfolio_companies
+ * @property {string} check_size
+ * @property {string[]} stage_preferences
+ * @property {string} investment_thesis
+ * @property {Array<string|Object>} recent_investments
+ * @property {string[]} decision_criteria
+ * @property {string} fit_assessment - high, medium or low
+ * @property {string} outreach_strategy
+ */
+export const INVESTOR_DUE_DILIGENCE_SCHEMA = {
+  type: 'object',
+  required: ['investment_focus'],
+  properties: {
+    investment_focus: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    portfolio_companies: { type: 'array', default: [] },
+    check_size: { type: 'string', default: 'Unknown' },
+    stage_preferences: stringList([]),
+    investment_thesis: { type: ['string', 'array'], default: 'Investment thesis not available' },
+    recent_investments: { type: 'array', default: [] },
+    decision_criteria: stringList([]),
+    geographic_preferences: { type: ['string', 'array'] },
+    sector_expertise: { type: ['string', 'array'] },
+    competitive_companies: { type: 'array', default: [] },
+    partnership_value: { type: ['string', 'array'] },
+    outreach_strategy: { type: 'string', default: 'Standard VC approach' },
+    risk_factors: { type: ['string', 'array'] },
+    fit_assessment: { type: 'string', enum: ['high', 'medium', 'low'], default: 'medium' },
+    key_contacts: { type: ['string', 'array'] },
+    timing_considerations: { type: ['string', 'array'] }
+  }
+};
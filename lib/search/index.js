@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JinaSearchProvider } from './jina.js';
+import { SearxngSearchProvider } from './searxng.js';
+import { JsonSearchProvider } from './json-endpoint.js';
+import { LocalFileSearchProvider } from './local-files.js';
+
+export { SearchProvider, htmlToText } from './provider.js';
+export { JinaSearchProvider, SearxngSearchProvider, JsonSearchProvider, LocalFileSearchProvider };
+
+const __filename = fileURLToPath(import.meta.url);
+const projectRoot = path.dirname(path.dirname(path.dirname(__filename)));
+
+/**
+ * Default location of the search configuration (override with SEARCH_CONFIG)
+ */
+export const DEFAULT_SEARCH_CONFIG_PATH = path.join(projectRoot, 'config', 'search.json');
+
+/**
+ * Configuration used when config/search.json is missing
+ */
+const DEFAULT_SEARCH_CONFIG = {
+  default: 'jina',
+  providers: {
+    jina: { type: 'jina', api_key_env: 'JINA_API_KEY' }
+  }
+};
+
+// Provider types: type -> function(name, providerConfig) returning a SearchProvider
+const providerTypes = new Map();
+
+// Providers by name, created on first use
+const providers = new Map();
+
+let cachedConfig = null;
+
+/**
+ * Register a provider type so config/search.json can use it (e.g. from a plugin module)
+ * The factory returns a SearchProvider subclass instance.
+ * @param {string} type
+ * @param {function(string, import('./provider.js').SearchProviderConfig): import('./provider.js').SearchProvider} factory
+ */
+export function registerSearchProviderType(type, factory) {
+  providerTypes.set(type, factory);
+  providers.clear();
+}
+
+registerSearchProviderType('jina', (name, config) => new JinaSearchProvider(name, config));
+registerSearchProviderType('searxng', (name, config) => new SearxngSearchProvider(name, config));
+registerSearchProviderType('json', (name, config) => new JsonSearchProvider(name, config));
+registerSearchProviderType('local', (name, config) => new LocalFileSearchProvider(name, config));
+
+/**
+ * Load the search configuration (SEARCH_CONFIG, else config/search.json, else built-in defaults)
+ * SEARCH_PROVIDER overrides the configured default.
+ * @returns {{default: string, providers: Object<string, import('./provider.js').SearchProviderConfig>}}
+ */
+export function loadSearchConfig() {
+  if (!cachedConfig) {
+    const configPath = process.env.SEARCH_CONFIG ? path.resolve(process.env.SEARCH_CONFIG) : DEFAULT_SEARCH_CONFIG_PATH;
+    let fileConfig = {};
+    if (fs.existsSync(configPath)) {
+      try {
+        fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid search config ${configPath}: ${error.message}`);
+      }
+    } else if (process.env.SEARCH_CONFIG) {
+      throw new Error(`Search config not found: ${configPath}`);
+    }
+
+    cachedConfig = {
+      default: fileConfig.default || DEFAULT_SEARCH_CONFIG.default,
+      providers: { ...DEFAULT_SEARCH_CONFIG.providers, ...fileConfig.providers }
+    };
+    if (process.env.SEARCH_PROVIDER) cachedConfig.default = process.env.SEARCH_PROVIDER;
+  }
+  return cachedConfig;
+}
+
+/**
+ * Names of the configured search providers
+ * @returns {string[]}
+ */
+export function getSearchProviderNames() {
+  return Object.keys(loadSearchConfig().providers);
+}
+
+/**
+ * A configured search provider
+ * @param {string|null} [name] - key of config.providers; the configured default when omitted
+ * @returns {import('./provider.js').SearchProvider}
+ */
+export function getSearchProvider(name = null) {
+  const config = loadSearchConfig();
+  const chosen = name || config.default;
+  const providerConfig = config.providers[chosen];
+  if (!providerConfig) {
+    throw new Error(`Unknown search provider "${chosen}" (configured: ${Object.keys(config.providers).join(', ')})`);
+  }
+
+  if (!providers.has(chosen)) {
+    const type = providerConfig.type || 'jina';
+    const factory = providerTypes.get(type);
+    if (!factory) {
+      throw new Error(`Unknown search provider type "${type}" for provider "${chosen}"`);
+    }
+    providers.set(chosen, factory(chosen, providerConfig));
+  }
+  return providers.get(chosen);
+}
+
+/**
+ * Search provider a campaign was started with (state.profile.search_provider), else the default
+ * @param {Object} state
+ * @returns {import('./provider.js').SearchProvider}
+ */
+export function getCampaignSearchProvider(state) {
+  return getSearchProvider(state?.profile?.search_provider || null);
+}
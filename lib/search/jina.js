@@ -0,0 +1,104 @@
+import { SearchProvider } from './provider.js';
+import { isReplaying } from '../cassette.js';
+import { recordJinaUsage } from '../usage.js';
+
+/**
+ * Jina search (s.jina.ai) and reader (r.jina.ai)
+ * Finds actual LinkedIn profiles and contact information
+ */
+export class JinaSearchProvider extends SearchProvider {
+  /**
+   * @param {string} name
+   * @param {import('./provider.js').SearchProviderConfig & {base_url?: string}} config
+   */
+  constructor(name, config = {}) {
+    super(name, { api_key_env: 'JINA_API_KEY', ...config });
+    this.label = 'Jina';
+    this.baseUrl = config.base_url || 'https://s.jina.ai/';
+    this.readerUrl = config.reader_url || 'https://r.jina.ai/';
+  }
+
+  /**
+   * Check if Jina API is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!(this.apiKey && this.apiKey !== 'your_jina_api_key_here') || isReplaying();
+  }
+
+  /**
+   * Count Jina searches, reads and tokens into the run's usage
+   * @param {string} url
+   * @param {any} data
+   */
+  recordUsage(url, data) {
+    recordJinaUsage(url.startsWith(this.readerUrl) ? 'read' : 'search', data);
+  }
+
+  /**
+   * Search using Jina API
+   * @param {string} query
+   * @param {number} [page] - 1-based result page
+   * @returns {Promise<import('./provider.js').SearchResult[]>}
+   */
+  async searchRaw(query, page = 1) {
+    const response = await this.get(this.baseUrl, {
+      headers: {
+        ...this.authHeaders(),
+        'Accept': 'application/json',
+        'X-Respond-With': 'no-content'
+      },
+      timeout: this.timeout,
+      params: {
+        // Format query for URL (replace spaces with +)
+        'q': query.replace(/\s+/g, '+'),
+        ...(page > 1 && { page })
+      }
+    });
+
+    return this.parseJinaResponse(response.data);
+  }
+
+  /**
+   * Results of a Jina search response
+   * @param {string|Buffer|Object} data - Raw response from Jina
+   * @returns {import('./provider.js').SearchResult[]}
+   */
+  parseJinaResponse(data) {
+    try {
+      let responseObj = data;
+      if (Buffer.isBuffer(data)) {
+        responseObj = JSON.parse(data.toString('utf8'));
+      } else if (typeof data === 'string') {
+        responseObj = JSON.parse(data);
+      }
+
+      // Check if the response has the expected structure
+      if (!responseObj.data || !Array.isArray(responseObj.data)) {
+        console.log('⚠️ Unexpected response format from Jina API');
+        return [];
+      }
+      return responseObj.data;
+
+    } catch (error) {
+      console.error('Error parsing Jina response:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Read website content using Jina's reader API
+   * @param {string} url
+   * @returns {Promise<string>}
+   */
+  async fetchPage(url) {
+    const response = await this.get(`${this.readerUrl}${encodeURIComponent(url)}`, {
+      headers: {
+        ...this.authHeaders(),
+        'Accept': 'text/plain'
+      },
+      timeout: this.timeout * 2 // Longer timeout for reading content
+    });
+    return String(response.data);
+  }
+}
@@ -0,0 +1,73 @@
+import { SearchProvider } from './provider.js';
+import { isReplaying } from '../cassette.js';
+
+/**
+ * Value at a dotted path ("data.items"), the object itself for an empty path
+ * @param {any} value
+ * @param {string} dottedPath
+ * @returns {any}
+ */
+function valueAt(value, dottedPath) {
+  return (dottedPath || '').split('.').filter(Boolean).reduce((current, key) => current?.[key], value);
+}
+
+/**
+ * Any search API answering GET requests with JSON
+ * config: url, query_param ("q"), params (sent with every query), results_path (dotted
+ * path to the results array, "results"), fields (result field -> dotted path in an item),
+ * page_param (1-based page number; without it only the first page is read).
+ */
+export class JsonSearchProvider extends SearchProvider {
+  /**
+   * @param {string} name
+   * @param {import('./provider.js').SearchProviderConfig & {url: string, query_param?: string, params?: Object, results_path?: string, fields?: Object<string, string>, page_param?: string}} config
+   */
+  constructor(name, config = {}) {
+    super(name, config);
+    this.fields = { url: 'url', title: 'title', description: 'description', content: 'content', ...config.fields };
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isConfigured() {
+    if (isReplaying()) return true;
+    return !!this.config.url && (!this.config.api_key_env || !!this.apiKey);
+  }
+
+  /**
+   * @returns {string}
+   */
+  setupHint() {
+    if (!this.config.url) return `set providers.${this.name}.url in config/search.json`;
+    return super.setupHint();
+  }
+
+  /**
+   * @param {string} query
+   * @param {number} [page] - 1-based result page
+   * @returns {Promise<import('./provider.js').SearchResult[]>}
+   */
+  async searchRaw(query, page = 1) {
+    if (page > 1 && !this.config.page_param) return [];
+
+    const response = await this.get(this.config.url, {
+      headers: { 'Accept': 'application/json', ...this.authHeaders() },
+      timeout: this.timeout,
+      params: {
+        ...this.config.params,
+        [this.config.query_param || 'q']: query,
+        ...(page > 1 && { [this.config.page_param]: page })
+      }
+    });
+
+    const results = valueAt(response.data, this.config.results_path ?? 'results');
+    if (!Array.isArray(results)) {
+      console.log(`⚠️ No results array at "${this.config.results_path ?? 'results'}" in the ${this.name} response`);
+      return [];
+    }
+    return results.map(item => Object.fromEntries(
+      Object.entries(this.fields).map(([field, itemPath]) => [field, String(valueAt(item, itemPath) ?? '')])
+    ));
+  }
+}
@@ -0,0 +1,172 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { SearchProvider, htmlToText } from './provider.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const projectRoot = path.dirname(path.dirname(path.dirname(__filename)));
+
+// File types read as saved pages
+const PAGE_EXTENSIONS = ['.html', '.htm', '.md', '.markdown', '.txt'];
+
+/**
+ * A saved page of the local folder
+ * @typedef {Object} SavedPage
+ * @property {string} file - path relative to the folder
+ * @property {string} url - source URL of the page, file:// URL when unknown
+ * @property {string} title
+ * @property {string} text - page text (HTML converted)
+ */
+
+/**
+ * Source URL, title and text of a saved page
+ * Reads Jina reader headers ("Title:", "URL Source:"), front matter (title:, url:),
+ * canonical / og:url links and <title> / the first markdown heading.
+ * @param {string} raw - file content
+ * @param {boolean} isHtml
+ * @returns {{url: string|null, title: string|null, text: string}} text without the headers
+ */
+function readSavedPage(raw, isHtml) {
+  if (isHtml) {
+    return {
+      url: raw.match(/<link[^>]+rel=["']canonical["'][^>]*href=["']([^"']+)["']/i)?.[1]
+        || raw.match(/<meta[^>]+property=["']og:url["'][^>]*content=["']([^"']+)["']/i)?.[1]
+        || null,
+      title: htmlToText(raw.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '') || null,
+      text: htmlToText(raw)
+    };
+  }
+  const head = raw.slice(0, 2000);
+  return {
+    url: head.match(/^(?:URL Source|url|source):\s*(\S+)/im)?.[1] || null,
+    title: head.match(/^(?:Title|title):\s*(.+)$/m)?.[1]?.trim() || head.match(/^#\s+(.+)$/m)?.[1]?.trim() || null,
+    text: raw
+      .replace(/^---\n[\s\S]*?\n---\n/, '')
+      .replace(/^(?:Title|URL Source|Published Time|Markdown Content):.*\n?/gm, '')
+      .trim()
+  };
+}
+
+/**
+ * Offline provider over a folder of saved pages (HTML, markdown or text)
+ * Search ranks the pages by how many query words they contain; readWebsite returns the
+ * saved page whose source URL matches. Nothing leaves the machine.
+ */
+export class LocalFileSearchProvider extends SearchProvider {
+  /**
+   * @param {string} name
+   * @param {import('./provider.js').SearchProviderConfig & {dir?: string, page_size?: number}} config - dir relative to the project root
+   */
+  constructor(name, config = {}) {
+    super(name, config);
+    this.label = 'Local files';
+    this.dir = path.resolve(projectRoot, config.dir || 'data/search-pages');
+    this.pageSize = config.page_size || 10;
+    this.pages = null;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return existsSync(this.dir);
+  }
+
+  /**
+   * @returns {string}
+   */
+  setupHint() {
+    return `create ${this.dir} or set providers.${this.name}.dir in config/search.json`;
+  }
+
+  /**
+   * Saved pages of the folder and its subfolders, read once
+   * @returns {Promise<SavedPage[]>}
+   */
+  async loadPages() {
+    if (!this.pages) {
+      const entries = await fs.readdir(this.dir, { recursive: true, withFileTypes: true });
+      const files = entries
+        .filter(entry => entry.isFile() && PAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+        .map(entry => path.join(entry.parentPath || entry.path, entry.name))
+        .sort();
+
+      this.pages = await Promise.all(files.map(async file => {
+        const page = readSavedPage(await fs.readFile(file, 'utf8'), /\.html?$/i.test(file));
+        return {
+          file: path.relative(this.dir, file),
+          url: page.url || `file://${file}`,
+          title: page.title || path.basename(file, path.extname(file)),
+          text: page.text
+        };
+      }));
+      console.log(`📂 ${this.pages.length} saved pages in ${this.dir}`);
+    }
+    return this.pages;
+  }
+
+  /**
+   * Pages containing at least half of the query words, best matches first, page_size per page
+   * Search operators (site:, quotes, OR) are ignored; title matches count double.
+   * @param {string} query
+   * @param {number} [page] - 1-based result page
+   * @returns {Promise<import('./provider.js').SearchResult[]>}
+   */
+  async searchRaw(query, page = 1) {
+    const words = [...new Set(query
+      .toLowerCase()
+      .replace(/\b\w+:\S+/g, ' ')
+      .replace(/["()]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 1 && word !== 'or' && word !== 'and'))];
+    if (words.length === 0) return [];
+
+    const scored = (await this.loadPages()).map(page => {
+      const title = page.title.toLowerCase();
+      const text = page.text.toLowerCase();
+      const matched = words.filter(word => title.includes(word) || text.includes(word));
+      const score = matched.length + words.filter(word => title.includes(word)).length;
+      return { page, matched: matched.length, score };
+    });
+
+    return scored
+      .filter(({ matched }) => matched >= Math.ceil(words.length / 2))
+      .sort((a, b) => b.score - a.score)
+      .slice((page - 1) * this.pageSize, page * this.pageSize)
+      .map(({ page: saved }) => ({
+        url: saved.url,
+        title: saved.title,
+        description: this.snippet(saved.text, words),
+        content: saved.text
+      }));
+  }
+
+  /**
+   * Up to 300 characters around the first query word in the text
+   * @param {string} text
+   * @param {string[]} words - lower-cased
+   * @returns {string}
+   */
+  snippet(text, words) {
+    const lower = text.toLowerCase();
+    const at = Math.min(...words.map(word => lower.indexOf(word)).filter(index => index >= 0), lower.length);
+    const start = Math.max(0, at - 80);
+    return text.slice(start, start + 300).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Text of the saved page with this source URL
+   * @param {string} url
+   * @returns {Promise<string>}
+   * @throws {Error} when no page was saved for the URL
+   */
+  async fetchPage(url) {
+    const normalize = value => value.replace(/^https?:\/\/(www\.)?/i, '').replace(/[/#?]+$/, '').toLowerCase();
+    const page = (await this.loadPages()).find(candidate => normalize(candidate.url) === normalize(url));
+    if (!page) {
+      throw new Error(`No saved page for ${url} in ${this.dir}`);
+    }
+    return page.text;
+  }
+}
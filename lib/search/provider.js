@@ -1,217 +1,274 @@
 import axios from 'axios';
-import dotenv from 'dotenv';
+import { getProviderPool } from '../work-pool.js';
+import { withRateLimit } from '../rate-limiter.js';
+import { withCassette } from '../cassette.js';
+import { assertWithinBudget } from '../usage.js';
 
-dotenv.config();
+/**
+ * One raw search hit, before it is turned into a lead
+ * @typedef {Object} SearchResult
+ * @property {string} url
+ * @property {string} title
+ * @property {string} [description] - snippet
+ * @property {string} [content] - page text, when the backend returns it
+ */
+
+/**
+ * Search provider entry of config/search.json
+ * @typedef {Object} SearchProviderConfig
+ * @property {string} type - "jina", "searxng", "json" or "local" (or a registered type)
+ * @property {string|null} [api_key_env] - env variable holding the API key; null if none is needed
+ * @property {string} [reader_url] - reader service the page URL is appended to (e.g. a
+ *   self-hosted Jina reader); pages are fetched directly without one
+ * @property {number} [timeout_ms]
+ */
+
+/**
+ * Plain text of an HTML page: scripts, styles and tags removed, whitespace collapsed
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  return String(html)
+    .replace(/<(script|style|noscript|svg)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<\/(p|div|li|h[1-6]|tr|section|article|header|footer)>|<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
 
 /**
- * Jina API integration for real search results
- * Finds actual LinkedIn profiles and contact information
+ * Web search backend used by the search, enrich and investor nodes
+ * Subclasses implement searchRaw (query, page -> SearchResult[]) and may override fetchPage;
+ * turning results into leads, person lookups and error handling are shared.
+ * Backends that can't page return no results past page 1.
  */
-export class JinaSearchAPI {
-  constructor() {
-    this.apiKey = process.env.JINA_API_KEY;
-    this.baseUrl = 'https://s.jina.ai/';
-    this.timeout = 30000; // 30 seconds timeout
+export class SearchProvider {
+  /**
+   * @param {string} name - key of config.providers; names the pool, rate limit and cassette
+   * @param {SearchProviderConfig} config
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.label = name;
+    this.timeout = config.timeout_ms || 30000;
+    this.apiKey = config.api_key_env ? process.env[config.api_key_env] : undefined;
   }
 
   /**
-   * Check if Jina API is configured
+   * Check if the provider can be called (key set, endpoint or folder configured)
    * @returns {boolean}
    */
   isConfigured() {
-    return !!(this.apiKey && this.apiKey !== 'your_jina_api_key_here');
+    return true;
   }
 
   /**
-   * Search using Jina API
-   * @param {string} query - Search query
-   * @param {number} maxResults - Maximum results to return (default 10)
-   * @returns {Promise<Array>} Search results
+   * What to set up when isConfigured() is false, for error messages
+   * @returns {string}
    */
-  async search(query, maxResults = 10) {
+  setupHint() {
+    return this.config.api_key_env ? `set ${this.config.api_key_env}` : `check providers.${this.name} in config/search.json`;
+  }
+
+  /**
+   * Throw unless the provider is configured
+   */
+  assertConfigured() {
     if (!this.isConfigured()) {
-      throw new Error('Jina API key not configured');
+      throw new Error(`Search provider "${this.name}" not configured (${this.setupHint()})`);
     }
+  }
 
-    try {
-      console.log(`🔍 Jina API search: "${query}"`);
-      
-      // Format query for URL (replace spaces with +)
-      const formattedQuery = query.replace(/\s+/g, '+');
-      
-      const response = await axios.get(`${this.baseUrl}`, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Accept': 'application/json',
-          'X-Respond-With': 'no-content'
-        },
-        timeout: this.timeout,
-        params: {
-          'q': formattedQuery
-        }
+  /**
+   * Raw results of one query
+   * @param {string} query
+   * @param {number} [page] - 1-based result page
+   * @returns {Promise<SearchResult[]>}
+   */
+  async searchRaw(query, page = 1) {
+    throw new Error(`${this.constructor.name} does not implement searchRaw`);
+  }
+
+  /**
+   * Text content of a page: through config.reader_url when set, else fetched directly
+   * @param {string} url
+   * @returns {Promise<string>}
+   */
+  async fetchPage(url) {
+    if (this.config.reader_url) {
+      const response = await this.get(`${this.config.reader_url}${encodeURIComponent(url)}`, {
+        headers: { 'Accept': 'text/plain', ...this.authHeaders() },
+        timeout: this.timeout * 2
       });
+      return String(response.data);
+    }
+    const response = await this.get(url, {
+      headers: { 'Accept': 'text/html,text/plain' },
+      timeout: this.timeout * 2,
+      responseType: 'text'
+    });
+    return htmlToText(response.data);
+  }
 
-      // Parse Jina response and extract structured data
-      let responseText;
-      if (typeof response.data === 'string') {
-        responseText = response.data;
-      } else if (Buffer.isBuffer(response.data)) {
-        responseText = response.data.toString('utf8');
-      } else {
-        responseText = JSON.stringify(response.data);
-      }
-      
-      const searchResults = this.parseJinaResponse(responseText, query, maxResults);
-      
-      console.log(`✅ Jina returned ${searchResults.length} results`);
-      return searchResults;
+  /**
+   * Authorization header when an API key is configured
+   * @returns {Object}
+   */
+  authHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  /**
+   * GET through the provider pool, rate limiter and the record/replay cassette
+   * Calls are refused once the campaign budget is spent.
+   * @param {string} url
+   * @param {Object} config - axios config; only url and params identify the call in the cassette
+   * @returns {Promise<{data: any}>}
+   */
+  async get(url, config) {
+    assertWithinBudget();
+    const result = await withCassette(this.name, { url, params: config.params || null }, async () => {
+      const response = await getProviderPool(this.name).run(() => withRateLimit(this.name, () => axios.get(url, config)));
+      return { data: response.data };
+    });
+    this.recordUsage(url, result.data);
+    return result;
+  }
+
+  /**
+   * Count a call into the run's usage (only metered providers do)
+   * @param {string} url
+   * @param {any} data
+   */
+  recordUsage(url, data) {}
+
+  /**
+   * Search for leads
+   * @param {string} query - Search query
+   * @param {number} maxResults - Maximum results to return (default 10)
+   * @param {number} [page] - 1-based result page
+   * @returns {Promise<Array>} Leads built from the results
+   * @throws {Error} so callers can retry or dead-letter the query
+   */
+  async search(query, maxResults = 10, page = 1) {
+    this.assertConfigured();
+
+    try {
+      console.log(`🔍 ${this.label} search: "${query}"${page > 1 ? ` (page ${page})` : ''}`);
+      const results = await this.searchRaw(query, page);
+      console.log(`📊 ${this.label} returned ${results.length} raw results`);
+
+      const leads = this.toLeads(results, query, maxResults, page);
+      console.log(`✅ ${this.label} returned ${leads.length} results`);
+      return leads;
 
     } catch (error) {
-      console.error(`❌ Jina API error: ${error.message}`);
-      
+      console.error(`❌ ${this.label} search error: ${error.message}`);
+
       if (error.response) {
         console.error(`Status: ${error.response.status}`);
         console.error(`Data: ${JSON.stringify(error.response.data).substring(0, 200)}...`);
       }
-      
-      // Return empty results on error
-      return [];
+
+      throw error;
     }
   }
 
   /**
-   * Parse Jina API response and extract lead information
-   * @param {string} data - Raw response from Jina
+   * Turn search results into leads
+   * @param {SearchResult[]} results
    * @param {string} originalQuery - Original search query
    * @param {number} maxResults - Maximum results to extract
+   * @param {number} [page] - result page, keeps lead ids unique across pages
    * @returns {Array} Parsed lead data
    */
-  parseJinaResponse(data, originalQuery, maxResults) {
+  toLeads(results, originalQuery, maxResults, page = 1) {
     const leads = [];
-    
-    try {
-      let responseObj;
-      
-      // Parse the JSON response
-      if (typeof data === 'string') {
-        responseObj = JSON.parse(data);
-      } else {
-        responseObj = data;
-      }
-      
-      // Check if the response has the expected structure
-      if (!responseObj.data || !Array.isArray(responseObj.data)) {
-        console.log('⚠️ Unexpected response format from Jina API');
-        return leads;
-      }
-      
-      console.log(`📊 Jina returned ${responseObj.data.length} raw results`);
-      
-      // Process each result from the API
-      for (let i = 0; i < Math.min(responseObj.data.length, maxResults); i++) {
-        const item = responseObj.data[i];
-        
-        // Skip items without basic required fields
-        if (!item.title) continue;
-        
-        // For search results, we want to return the actual search results with URLs
-        // This is different from the lead generation parsing
-        if (originalQuery.includes('rocket reach')) {
-          // This is a RocketReach search - return raw results with URLs
-          leads.push({
-            url: item.url,
-            title: item.title,
-            description: item.description || '',
-            content: item.content || ''
-          });
-          continue;
-        }
-        
-        // Regular lead generation parsing (non-RocketReach searches)
-        if (!item.url) continue;
-        
-        // Extract name from title
-        const name = this.extractNameFromTitle(item.title);
-        
-        // Extract job title from title
-        const jobTitle = this.extractJobTitleFromTitle(item.title);
-        
-        // Extract company from description
-        const company = this.extractCompanyFromDescription(item.description || '');
-        
-        // Generate potential email
-        const potentialEmail = this.generateEmailFromNameAndCompany(name, company);
-        
-        leads.push({
-          id: `jina_lead_${Date.now()}_${i}`,
-          name: name,
-          title: jobTitle,
-          company: company,
-          email: potentialEmail,
-          linkedin_url: item.url,
-          location: 'France',
-          source: 'jina_search',
-          search_query: originalQuery,
-          confidence_score: this.calculateConfidenceFromItem(item),
-          contact_verified: false,
-          notes: `Found via Jina search: "${originalQuery}"`,
-          found_at: new Date().toISOString(),
-          lead_status: 'new',
-          raw_data: item.description ? item.description.substring(0, 300) : ''
-        });
-      }
 
-      return leads;
-
-    } catch (error) {
-      console.error('Error parsing Jina response:', error.message);
-      return [];
+    for (let i = 0; i < Math.min(results.length, maxResults); i++) {
+      const item = results[i];
+
+      // Skip items without basic required fields
+      if (!item.title || !item.url) continue;
+
+      const name = this.extractNameFromTitle(item.title);
+      const company = this.extractCompanyFromDescription(item.description || '');
+
+      leads.push({
+        id: `${this.name}_lead_${Date.now()}_${page > 1 ? `p${page}_` : ''}${i}`,
+        name: name,
+        title: this.extractJobTitleFromTitle(item.title),
+        company: company,
+        email: '', // search results don't show it, and a guessed address would bounce or dodge suppression
+        linkedin_url: item.url,
+        location: '',
+        source: `${this.name}_search`,
+        search_query: originalQuery,
+        confidence_score: this.calculateConfidenceFromItem(item),
+        contact_verified: false,
+        notes: `Found via ${this.label} search: "${originalQuery}"`,
+        found_at: new Date().toISOString(),
+        lead_status: 'new',
+        raw_data: item.description ? item.description.substring(0, 300) : ''
+      });
     }
+
+    return leads;
   }
 
   /**
    * Extract company from description text
-   * @param {string} description 
+   * @param {string} description
    * @returns {string}
    */
   extractCompanyFromDescription(description) {
     if (!description) return 'Financial Services Company';
-    
+
     // Look for company names in description
     const companyPatterns = [
       /(?:at|chez)\s+([A-Z][a-zA-Z\s&]+?)(?:\s|,|\.)/i,
       /(Banque de France|BNP|Société Générale|Crédit Agricole|Allianz|AXA|Europ Assistance)/i
     ];
-    
+
     for (const pattern of companyPatterns) {
       const match = description.match(pattern);
       if (match) {
         return match[1].trim();
       }
     }
-    
+
     return 'Financial Services Company';
   }
 
   /**
    * Calculate confidence score from item data
-   * @param {Object} item 
+   * @param {Object} item
    * @returns {number}
    */
   calculateConfidenceFromItem(item) {
     let score = 0.5; // Base score
-    
+
     if (item.url && item.url.includes('linkedin.com')) score += 0.2;
     if (item.description && item.description.length > 50) score += 0.1;
     if (item.title && (item.title.includes('CIO') || item.title.includes('Director'))) score += 0.1;
     if (item.description && item.description.includes('Banque')) score += 0.1;
-    
+
     return Math.min(1.0, score);
   }
 
   /**
    * Extract person name from LinkedIn title
-   * @param {string} title 
+   * @param {string} title
    * @returns {string}
    */
   extractNameFromTitle(title) {
@@ -220,19 +277,19 @@ export class JinaSearchAPI {
     if (nameMatch) {
       return nameMatch[1].trim();
     }
-    
+
     // Fallback: take first two words if they look like names
     const words = title.split(/\s+/);
     if (words.length >= 2 && /^[A-Z]/.test(words[0]) && /^[A-Z]/.test(words[1])) {
       return `${words[0]} ${words[1]}`;
     }
-    
+
     return 'Professional';
   }
 
   /**
    * Extract job title from LinkedIn title
-   * @param {string} title 
+   * @param {string} title
    * @returns {string}
    */
   extractJobTitleFromTitle(title) {
@@ -241,128 +298,71 @@ export class JinaSearchAPI {
       /- (Chief Information Officer|CIO|Chief Technology Officer|CTO|IT Director|Director|Manager)[^|]*/i,
       /- ([^-|]+(?:Officer|Director|Manager|Head)[^-|]*)/i
     ];
-    
+
     for (const pattern of titlePatterns) {
       const match = title.match(pattern);
       if (match) {
         return match[1].trim();
       }
     }
-    
-    return 'Technology Executive';
-  }
 
-  /**
-   * Generate potential email from name and company
-   * @param {string} name 
-   * @param {string} company 
-   * @returns {string}
-   */
-  generateEmailFromNameAndCompany(name, company) {
-    const nameParts = name.toLowerCase().split(' ');
-    const firstName = nameParts[0];
-    const lastName = nameParts[nameParts.length - 1];
-    
-    // Generate company domain
-    let domain = company.toLowerCase()
-      .replace(/\s+/g, '')
-      .replace(/[^a-z]/g, '')
-      .substring(0, 15);
-    
-    if (domain.includes('banque')) domain = 'banque-france';
-    else if (domain.includes('allianz')) domain = 'allianz';
-    else if (domain.includes('axa')) domain = 'axa';
-    else domain += '.com';
-    
-    return `${firstName}.${lastName}@${domain}.fr`;
+    return 'Technology Executive';
   }
 
   /**
    * Search for specific person to get more information
+   * Tries narrower queries first and stops at the first one with results about the person.
    * @param {string} name - Person's name
-   * @param {string} title - Person's job title  
+   * @param {string} title - Person's job title
    * @param {string} company - Person's company
    * @param {number} maxResults - Maximum results to return (default 5)
-   * @returns {Promise<Array>} Search results
+   * @returns {Promise<SearchResult[]>} Results that mention the person's name
+   * @throws {Error} when a query fails, so callers can retry
    */
   async searchForPerson(name, title, company, maxResults = 5) {
-    if (!this.isConfigured()) {
-      throw new Error('Jina API key not configured');
-    }
+    this.assertConfigured();
 
-    try {
-      // Create simple search query without quotes (matching successful main search format)
-      const query = `${name} ${company} LinkedIn profile`;
+    const queries = [...new Set([
+      company && `${name} ${company} LinkedIn profile`,
+      company && `${name} ${company}`,
+      `${name} LinkedIn`,
+      company && `"${name}" ${company}`,
+      name
+    ].filter(Boolean))];
+
+    for (const query of queries) {
       console.log(`🔍 Searching specifically for person: "${query}"`);
-      
-      const formattedQuery = query;
-      
-      const response = await axios.get(`${this.baseUrl}`, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Accept': 'application/json',
-          'X-Respond-With': 'no-content'
-        },
-        timeout: this.timeout,
-        params: {
-          'q': formattedQuery
-        }
-      });
+      const results = await this.searchRaw(query);
 
-      // Parse response
-      let responseObj;
-      if (typeof response.data === 'string') {
-        responseObj = JSON.parse(response.data);
-      } else {
-        responseObj = response.data;
-      }
-      
-      if (!responseObj.data || !Array.isArray(responseObj.data)) {
-        return [];
-      }
-      
       // Filter results to only include those that actually mention the person's name
-      const relevantResults = responseObj.data.filter(result => {
+      const relevantResults = results.filter(result => {
+        if (!result.url || !result.url.startsWith('http')) return false;
         const nameInTitle = result.title && result.title.toLowerCase().includes(name.toLowerCase());
         const nameInDesc = result.description && result.description.toLowerCase().includes(name.toLowerCase());
         return nameInTitle || nameInDesc;
       });
-      
-      console.log(`📊 Found ${relevantResults.length} results specifically about ${name} (filtered from ${responseObj.data.length} total)`);
-      return relevantResults.slice(0, maxResults);
 
-    } catch (error) {
-      console.error(`❌ Error searching for ${name}:`, error.message);
-      return [];
+      console.log(`📊 Found ${relevantResults.length} results specifically about ${name} (filtered from ${results.length} total)`);
+      if (relevantResults.length > 0) {
+        return relevantResults.slice(0, maxResults);
+      }
     }
+
+    return [];
   }
 
   /**
-   * Read website content using Jina's reader API
+   * Read website content
    * @param {string} url - Website URL to read
-   * @returns {Promise<string>} Website content
+   * @returns {Promise<string>} Website content, empty when it can't be read
    */
   async readWebsite(url) {
-    if (!this.isConfigured()) {
-      throw new Error('Jina API key not configured');
-    }
+    this.assertConfigured();
 
     try {
       console.log(`📖 Reading website: ${url}`);
-      
-      const readerUrl = `https://r.jina.ai/${encodeURIComponent(url)}`;
-      
-      const response = await axios.get(readerUrl, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Accept': 'text/plain'
-        },
-        timeout: this.timeout * 2 // Longer timeout for reading content
-      });
-
-      const content = response.data;
+      const content = await this.fetchPage(url);
       console.log(`✅ Read ${content.length} characters from ${url}`);
-      
       return content;
 
     } catch (error) {
@@ -379,7 +379,7 @@ export class JinaSearchAPI {
   async enrichLeadWithAdditionalInfo(lead) {
     try {
       console.log(`🔍 Enriching lead: ${lead.name} (${lead.title})`);
-      
+
       const enrichmentData = {
         search_results: [],
         website_content: {},
@@ -397,12 +397,12 @@ export class JinaSearchAPI {
 
       // 1. Search for more information about the person
       const searchResults = await this.searchForPerson(
-        lead.name, 
-        lead.title, 
-        lead.company, 
+        lead.name,
+        lead.title,
+        lead.company,
         5
       );
-      
+
       enrichmentData.search_results = searchResults;
 
       // 2. Read their LinkedIn profile if available
@@ -410,10 +410,10 @@ export class JinaSearchAPI {
         try {
           console.log(`📖 Reading LinkedIn profile for ${lead.name}`);
           const linkedinContent = await this.readWebsite(lead.linkedin_url);
-          
+
           if (linkedinContent) {
             enrichmentData.website_content.linkedin = linkedinContent;
-            
+
             // Extract key information from LinkedIn content
             const linkedinInfo = this.extractLinkedInInfo(linkedinContent);
             Object.assign(enrichmentData.additional_info, linkedinInfo);
@@ -434,15 +434,11 @@ export class JinaSearchAPI {
           if (content) {
             const domain = new URL(website.url).hostname;
             enrichmentData.website_content[domain] = content;
-            
+
             // Extract relevant information
             const websiteInfo = this.extractWebsiteInfo(content, lead.name);
             this.mergeAdditionalInfo(enrichmentData.additional_info, websiteInfo);
           }
-          
-          // Add delay between requests to be respectful
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
         } catch (error) {
           console.error(`⚠️ Could not read ${website.url}:`, error.message);
         }
@@ -457,7 +453,7 @@ export class JinaSearchAPI {
       };
 
       console.log(`✅ Enriched ${lead.name} with ${Object.keys(enrichmentData.website_content).length} sources`);
-      
+
       return enrichedLead;
 
     } catch (error) {
@@ -511,7 +507,7 @@ export class JinaSearchAPI {
       // Look for achievements/accomplishments
       const achievementKeywords = ['led', 'managed', 'delivered', 'achieved', 'implemented', 'reduced', 'increased', 'transformed'];
       const sentences = content.split(/[.!?]+/);
-      
+
       for (const sentence of sentences) {
         if (achievementKeywords.some(keyword => sentence.toLowerCase().includes(keyword))) {
           if (sentence.length > 20 && sentence.length < 200) {
@@ -546,8 +542,8 @@ export class JinaSearchAPI {
       // Look for mentions of the person
       const nameRegex = new RegExp(personName.replace(/\s+/g, '\\s+'), 'gi');
       const sentences = content.split(/[.!?]+/);
-      
-      const relevantSentences = sentences.filter(sentence => 
+
+      const relevantSentences = sentences.filter(sentence =>
         nameRegex.test(sentence) && sentence.length > 20 && sentence.length < 300
       );
 
@@ -586,19 +582,17 @@ export class JinaSearchAPI {
     if (newInfo.background && !existing.background) {
       existing.background = newInfo.background;
     }
-    
+
     if (newInfo.experience && !existing.experience) {
       existing.experience = newInfo.experience;
     }
-    
+
     if (newInfo.company_info && !existing.company_info) {
       existing.company_info = newInfo.company_info;
     }
-    
+
     if (newInfo.achievements && newInfo.achievements.length > 0) {
       existing.achievements = [...existing.achievements, ...newInfo.achievements].slice(0, 5);
     }
   }
-
-
-} 
\ No newline at end of file
+}
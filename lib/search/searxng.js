@@ -0,0 +1,62 @@
+import { SearchProvider } from './provider.js';
+import { isReplaying } from '../cassette.js';
+
+/**
+ * Self-hosted SearXNG instance (JSON output must be enabled in its settings.yml:
+ * search.formats: [html, json])
+ * Pages are read directly, or through config.reader_url.
+ */
+export class SearxngSearchProvider extends SearchProvider {
+  /**
+   * @param {string} name
+   * @param {import('./provider.js').SearchProviderConfig & {base_url: string, engines?: string, language?: string}} config
+   */
+  constructor(name, config = {}) {
+    super(name, config);
+    this.label = 'SearXNG';
+    this.baseUrl = (config.base_url || '').replace(/\/+$/, '');
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!this.baseUrl || isReplaying();
+  }
+
+  /**
+   * @returns {string}
+   */
+  setupHint() {
+    return `set providers.${this.name}.base_url in config/search.json`;
+  }
+
+  /**
+   * @param {string} query
+   * @param {number} [page] - 1-based result page
+   * @returns {Promise<import('./provider.js').SearchResult[]>}
+   */
+  async searchRaw(query, page = 1) {
+    const params = { q: query, format: 'json' };
+    if (page > 1) params.pageno = page;
+    if (this.config.engines) params.engines = this.config.engines;
+    if (this.config.language) params.language = this.config.language;
+
+    const response = await this.get(`${this.baseUrl}/search`, {
+      headers: { 'Accept': 'application/json', ...this.authHeaders() },
+      timeout: this.timeout,
+      params
+    });
+
+    const results = response.data?.results;
+    if (!Array.isArray(results)) {
+      console.log('⚠️ Unexpected response format from SearXNG (is the json format enabled?)');
+      return [];
+    }
+    return results.map(result => ({
+      url: result.url,
+      title: result.title || '',
+      description: result.content || ''
+    }));
+  }
+}
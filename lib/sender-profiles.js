@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.dirname(__dirname);
+
+/**
+ * Sender profiles file; SENDERS_CONFIG points elsewhere
+ */
+export const DEFAULT_SENDERS_PATH = path.join(projectRoot, 'config', 'senders.json');
+
+/**
+ * Tone used when a profile sets none
+ */
+export const DEFAULT_TONE = 'casual, conversational and friendly';
+
+/**
+ * Who outreach messages are written as
+ * @typedef {Object} SenderProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} title
+ * @property {string} company
+ * @property {string} email
+ * @property {string} signature - sign-off lines under the message
+ * @property {string} booking_link - e.g. a Calendly link ('' for none)
+ * @property {string[]} proof_points - claims the sender may make about the product
+ * @property {string} tone
+ */
+
+/**
+ * Path of the sender profiles file
+ * @returns {string}
+ */
+export function getSendersPath() {
+  return process.env.SENDERS_CONFIG ? path.resolve(process.env.SENDERS_CONFIG) : DEFAULT_SENDERS_PATH;
+}
+
+/**
+ * Read the sender profiles ({default, profiles}); a missing file holds none
+ * @returns {{default: string|null, profiles: Object<string, Object>}}
+ */
+export function loadSenders() {
+  const sendersPath = getSendersPath();
+  if (!fs.existsSync(sendersPath)) {
+    return { default: null, profiles: {} };
+  }
+  try {
+    const config = JSON.parse(fs.readFileSync(sendersPath, 'utf8'));
+    return { default: config.default || null, profiles: config.profiles || {} };
+  } catch (error) {
+    throw new Error(`Invalid sender profiles ${sendersPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write the sender profiles back
+ * @param {{default: string|null, profiles: Object<string, Object>}} config
+ */
+export function saveSenders(config) {
+  const sendersPath = getSendersPath();
+  fs.mkdirSync(path.dirname(sendersPath), { recursive: true });
+  fs.writeFileSync(sendersPath, JSON.stringify(config, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Fill a profile's optional fields and check the required ones
+ * @param {string} id
+ * @param {Object} profile - as stored in the file
+ * @returns {SenderProfile}
+ * @throws {Error} without a name or company
+ */
+export function normalizeSenderProfile(id, profile) {
+  const missing = ['name', 'company'].filter(field => !profile?.[field] || !String(profile[field]).trim());
+  if (missing.length > 0) {
+    throw new Error(`Sender profile "${id}" needs ${missing.join(' and ')}`);
+  }
+  const sender = {
+    id,
+    name: profile.name.trim(),
+    title: profile.title || '',
+    company: profile.company.trim(),
+    email: profile.email || '',
+    booking_link: profile.booking_link || '',
+    proof_points: [].concat(profile.proof_points || []).filter(Boolean),
+    tone: profile.tone || DEFAULT_TONE
+  };
+  sender.signature = profile.signature || [sender.name, sender.title, sender.company].filter(Boolean).join('\n');
+  return sender;
+}
+
+/**
+ * The sender profile a campaign uses
+ * Falls back to SENDER_PROFILE, then to the file's default.
+ * @param {string|null} [id] - profile picked for the campaign (state.profile.sender)
+ * @returns {SenderProfile}
+ * @throws {Error} when no profile matches
+ */
+export function getSenderProfile(id = null) {
+  const { default: defaultId, profiles } = loadSenders();
+  const known = Object.keys(profiles);
+  if (known.length === 0) {
+    throw new Error(`No sender profiles in ${getSendersPath()} - add one with: node scripts/senders.js add <id> --name <name> --company <company>`);
+  }
+
+  const wanted = id || process.env.SENDER_PROFILE || defaultId || (known.length === 1 ? known[0] : null);
+  if (!wanted) {
+    throw new Error(`Several sender profiles and no default - pick one of ${known.join(', ')} (--sender or SENDER_PROFILE)`);
+  }
+  if (!profiles[wanted]) {
+    throw new Error(`Unknown sender profile "${wanted}" (known: ${known.join(', ')})`);
+  }
+  return normalizeSenderProfile(wanted, profiles[wanted]);
+}
+
+/**
+ * Sender block for message prompts
+ * @param {SenderProfile} sender
+ * @returns {string}
+ */
+export function describeSender(sender) {
+  return `SENDER (you are writing as this person):
+- Name: ${sender.name}${sender.title ? `, ${sender.title}` : ''} at ${sender.company}
+- Proof points you may use: ${sender.proof_points.join('; ') || 'None beyond the product context'}
+- Booking link: ${sender.booking_link || 'None - ask for a reply instead'}
+- Tone: ${sender.tone}
+- Signature:
+${sender.signature}`;
+}
+
+/**
+ * Call to action of template messages, with the booking link when there is one
+ * @param {SenderProfile} sender
+ * @returns {string}
+ */
+export function callToAction(sender) {
+  return sender.booking_link
+    ? `Would you be open to a brief call? You can book a time here: ${sender.booking_link}`
+    : 'Would you be open to a brief call? Just reply with a time that works for you.';
+}
@@ -0,0 +1,222 @@
+import { ErrorClasses } from './retry.js';
+
+/**
+ * JSON schema subset understood by the validator
+ * type (a name or an array of names: object, array, string, number, integer,
+ * boolean, null), properties, required, items, enum, minItems, maxItems,
+ * minLength, minimum, maximum and default (filled in when a property is missing).
+ * @typedef {Object} JSONSchema
+ */
+
+/**
+ * Thrown when an LLM response still doesn't match its schema after the retries
+ */
+export class StructuredOutputError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} errors - validation errors of the last response
+   * @param {string} raw - last raw response
+   */
+  constructor(message, errors, raw) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+    this.raw = raw;
+    this.errorClass = ErrorClasses.INVALID_OUTPUT;
+  }
+}
+
+/**
+ * JSON type name of a value
+ * @param {any} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Whether a value has one of the schema's types
+ * @param {any} value
+ * @param {JSONSchema} schema
+ * @returns {boolean}
+ */
+function matchesType(value, schema) {
+  if (!schema.type) return true;
+  const types = [].concat(schema.type);
+  const actual = typeOf(value);
+  return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+/**
+ * Pull the JSON out of a model response
+ * Strips markdown fences and any prose around the outermost object/array,
+ * and drops trailing commas.
+ * @param {string} text
+ * @returns {any}
+ * @throws {SyntaxError} when no JSON can be found
+ */
+export function extractJSON(text) {
+  let cleaned = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    const start = cleaned.search(/[{[]/);
+    const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+    if (start < 0 || end <= start) throw error;
+    cleaned = cleaned.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1');
+    return JSON.parse(cleaned);
+  }
+}
+
+/**
+ * Fix the small mistakes models make, in place of a retry
+ * Fills missing properties that have a default, wraps a lone value where an
+ * array is expected, parses numeric strings, and lower-cases enum values.
+ * @param {any} value
+ * @param {JSONSchema} schema
+ * @returns {any} repaired value
+ */
+export function repairValue(value, schema) {
+  if (!schema) return value;
+  const types = [].concat(schema.type || []);
+
+  if (types.includes('array') && !Array.isArray(value) && value !== null && value !== undefined && !types.includes(typeOf(value))) {
+    value = [value];
+  }
+  if ((types.includes('number') || types.includes('integer')) && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    value = Number(value);
+  }
+  if (schema.enum && typeof value === 'string' && !schema.enum.includes(value) && schema.enum.includes(value.toLowerCase())) {
+    value = value.toLowerCase();
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map(item => repairValue(item, schema.items));
+  }
+  if (typeOf(value) === 'object' && schema.properties) {
+    const repaired = { ...value };
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (repaired[key] === undefined || repaired[key] === null) {
+        if (propertySchema.default !== undefined) {
+          repaired[key] = structuredClone(propertySchema.default);
+        }
+        continue;
+      }
+      repaired[key] = repairValue(repaired[key], propertySchema);
+    }
+    return repaired;
+  }
+  return value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {any} value
+ * @param {JSONSchema} schema
+ * @param {string} [at] - path used in messages
+ * @returns {string[]} errors, empty when valid
+ */
+export function validateSchema(value, schema, at = '$') {
+  const errors = [];
+
+  if (!matchesType(value, schema)) {
+    return [`${at} should be ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} should be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${at} should not be empty`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} should be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} should have at least ${schema.minItems} items, got ${value.length}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} should have at most ${schema.maxItems} items, got ${value.length}`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${at}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push(`${at}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateSchema(value[key], propertySchema, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse, repair and validate one response
+ * @param {string} text
+ * @param {JSONSchema} schema
+ * @returns {{value: any, errors: string[]}}
+ */
+export function parseStructured(text, schema) {
+  let parsed;
+  try {
+    parsed = extractJSON(text);
+  } catch (error) {
+    return { value: null, errors: [`response is not valid JSON (${error.message})`] };
+  }
+  const value = repairValue(parsed, schema);
+  return { value, errors: validateSchema(value, schema) };
+}
+
+/**
+ * Run an LLM task whose answer must match a schema
+ * An invalid answer is sent back to the model with the validation errors, up to
+ * `attempts` times in total; provider errors are left to the caller's retry policy.
+ * @template T
+ * @param {{complete: function(string, Object, Object): Promise<Object>}} llm - an LLMClient
+ * @param {string} task
+ * @param {JSONSchema} schema
+ * @param {Object} params - messages and call-site settings, as for LLMClient.complete
+ * @param {{attempts?: number}} [options]
+ * @returns {Promise<T>} the validated object
+ * @throws {StructuredOutputError}
+ */
+export async function completeStructured(llm, task, schema, params, { attempts = 2 } = {}) {
+  const messages = [...params.messages];
+  let raw = '';
+  let errors = [];
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    // Only answers that match the schema are cached, so a bad one is not replayed
+    const response = await llm.complete(task, { ...params, messages }, {
+      schema,
+      validate: candidate => parseStructured(candidate.choices[0].message.content || '', schema).errors.length === 0
+    });
+    raw = response.choices[0].message.content || '';
+
+    const result = parseStructured(raw, schema);
+    if (result.errors.length === 0) {
+      return result.value;
+    }
+
+    errors = result.errors;
+    console.log(`   ⚠️ ${task}: invalid response (${errors.slice(0, 3).join('; ')})${attempt < attempts ? ' - asking again' : ''}`);
+    messages.push(
+      { role: 'assistant', content: raw },
+      { role: 'user', content: `Your JSON did not match the expected format:\n- ${errors.join('\n- ')}\n\nRespond again with ONLY the corrected JSON object.` }
+    );
+  }
+
+  throw new StructuredOutputError(`${task} returned invalid JSON after ${attempts} attempts: ${errors.slice(0, 3).join('; ')}`, errors, raw);
+}
@@ -0,0 +1,476 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJson, writeJson, getCurrentTimestamp } from './utils.js';
+import { getPlanRules, RuleTypes, namesContact, parseConstraintRules } from './plan.js';
+import { parseCSVRecords } from './csv.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.dirname(__dirname);
+
+/**
+ * What a suppression entry matches on
+ */
+export const SuppressionTypes = {
+  PERSON: 'person',
+  EMAIL: 'email',
+  DOMAIN: 'domain',
+  COMPANY: 'company',
+  LINKEDIN: 'linkedin'
+};
+
+/**
+ * Lists a suppression entry can live in
+ * Global entries apply to every profile, campaign entries to one run, and
+ * constraint entries are read from the plan's do-not-contact rules.
+ */
+export const SuppressionScopes = {
+  GLOBAL: 'global',
+  CAMPAIGN: 'campaign',
+  CONSTRAINTS: 'constraints'
+};
+
+/**
+ * Suppression entry, stored in the global file or state.suppression_list
+ * @typedef {Object} SuppressionEntry
+ * @property {string} type - one of SuppressionTypes
+ * @property {string} value - as given, e.g. "jane@acme.com", "acme.com", "Acme Corp"
+ * @property {string} reason - why the entry exists, e.g. "unsubscribed"
+ * @property {string} source - where it came from: "cli", "csv:optouts.csv", "constraints"
+ * @property {string} added_at
+ */
+
+/**
+ * Dropped lead or investor stored in state.suppressed
+ * @typedef {Object} SuppressedItem
+ * @property {string} id - e.g. "sp_0002"
+ * @property {string} kind - "lead" or "investor"
+ * @property {string} node - node that dropped it
+ * @property {string} item_id - lead id or investor name
+ * @property {string} name
+ * @property {string} company
+ * @property {{type: string, value: string, scope: string, source: string}} matched - entry that matched
+ * @property {string} reason
+ * @property {Object} item - the record as it was dropped
+ * @property {string} created_at
+ */
+
+// Trailing words that don't tell two companies apart ("Acme Corp" is "ACME, Inc.")
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'incorporated', 'ltd', 'limited', 'llc', 'llp', 'plc', 'corp', 'corporation', 'co', 'company',
+  'sa', 'sas', 'sasu', 'sarl', 'eurl', 'gmbh', 'ag', 'bv', 'nv', 'spa', 'srl', 'ab', 'oy', 'pty'
+]);
+
+// CRM export columns and the entry type each holds
+const CSV_COLUMNS = {
+  email: SuppressionTypes.EMAIL,
+  email_address: SuppressionTypes.EMAIL,
+  domain: SuppressionTypes.DOMAIN,
+  website: SuppressionTypes.DOMAIN,
+  company: SuppressionTypes.COMPANY,
+  company_name: SuppressionTypes.COMPANY,
+  firm: SuppressionTypes.COMPANY,
+  name: SuppressionTypes.PERSON,
+  full_name: SuppressionTypes.PERSON,
+  linkedin: SuppressionTypes.LINKEDIN,
+  linkedin_url: SuppressionTypes.LINKEDIN
+};
+
+/**
+ * Global opt-out file shared by all profiles: {profilesDir}/.suppression.json (or SUPPRESSION_FILE)
+ * @param {string} [profilesDir] - defaults to ./profiles
+ * @returns {string}
+ */
+export function getGlobalSuppressionPath(profilesDir) {
+  if (process.env.SUPPRESSION_FILE) {
+    return path.resolve(process.env.SUPPRESSION_FILE);
+  }
+  return path.join(profilesDir || path.join(projectRoot, 'profiles'), '.suppression.json');
+}
+
+/**
+ * Lower-case, strip accents and punctuation, collapse spaces
+ * @param {string} text
+ * @returns {string}
+ */
+function simplify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Host of a URL or bare domain, without "www."
+ * @param {string} value
+ * @returns {string}
+ */
+function hostOf(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return '';
+  try {
+    return new URL(/^[a-z]+:\/\//.test(text) ? text : `https://${text}`).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Normalize a value for matching
+ * Companies lose legal suffixes, LinkedIn URLs become "/in/slug", domains lose
+ * scheme, "www." and path, emails and names are lower-cased (names without accents).
+ * @param {string} type - one of SuppressionTypes
+ * @param {string} value
+ * @returns {string} '' when nothing is left to match on
+ */
+export function normalizeSuppressionValue(type, value) {
+  switch (type) {
+    case SuppressionTypes.EMAIL:
+      return String(value || '').trim().toLowerCase().replace(/^mailto:/, '');
+    case SuppressionTypes.DOMAIN:
+      return hostOf(String(value || '').replace(/^.*@/, ''));
+    case SuppressionTypes.LINKEDIN: {
+      const match = String(value || '').toLowerCase().match(/linkedin\.com\/(in|company|pub)\/([^/?#\s]+)/);
+      if (!match) return '';
+      try {
+        return `/${match[1]}/${decodeURIComponent(match[2])}`;
+      } catch {
+        return `/${match[1]}/${match[2]}`;
+      }
+    }
+    case SuppressionTypes.COMPANY: {
+      const words = simplify(value).split(' ').filter(Boolean);
+      while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) words.pop();
+      return words.join(' ');
+    }
+    case SuppressionTypes.PERSON:
+      return simplify(value);
+    default:
+      return '';
+  }
+}
+
+/**
+ * Guess the type of a free-text value (a do-not-contact rule, a CSV "value" cell)
+ * @param {string} value
+ * @returns {string} one of SuppressionTypes; anything unrecognized is a company
+ */
+export function classifySuppressionValue(value) {
+  const text = String(value || '').trim();
+  if (/^(mailto:)?[^\s@]+@[^\s@]+\.[^\s@]+$/i.test(text)) return SuppressionTypes.EMAIL;
+  if (/linkedin\.com\//i.test(text)) return SuppressionTypes.LINKEDIN;
+  if (/^(https?:\/\/)?(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}(\/\S*)?$/i.test(text)) return SuppressionTypes.DOMAIN;
+  return SuppressionTypes.COMPANY;
+}
+
+/**
+ * Build a suppression entry, checking its type and value
+ * @param {string} type - one of SuppressionTypes
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {string} [options.source] - defaults to "cli"
+ * @returns {SuppressionEntry}
+ * @throws {Error} for an unknown type or a value with nothing to match on
+ */
+export function createSuppressionEntry(type, value, { reason = '', source = 'cli' } = {}) {
+  if (!Object.values(SuppressionTypes).includes(type)) {
+    throw new Error(`Unknown suppression type "${type}" (use ${Object.values(SuppressionTypes).join(', ')})`);
+  }
+  if (!normalizeSuppressionValue(type, value)) {
+    throw new Error(`"${value}" is not a valid ${type}`);
+  }
+  return { type, value: String(value).trim(), reason, source, added_at: getCurrentTimestamp() };
+}
+
+/**
+ * Add entries to a list, skipping ones already on it (same type and normalized value)
+ * @param {SuppressionEntry[]} list - modified in place
+ * @param {SuppressionEntry[]} entries
+ * @returns {number} entries added
+ */
+export function mergeSuppressionEntries(list, entries) {
+  const known = new Set(list.map(entry => `${entry.type}:${normalizeSuppressionValue(entry.type, entry.value)}`));
+  let added = 0;
+  for (const entry of entries) {
+    const key = `${entry.type}:${normalizeSuppressionValue(entry.type, entry.value)}`;
+    if (known.has(key)) continue;
+    known.add(key);
+    list.push(entry);
+    added++;
+  }
+  return added;
+}
+
+/**
+ * Remove an entry from a list
+ * @param {SuppressionEntry[]} list - modified in place
+ * @param {string} type
+ * @param {string} value - matched after normalization
+ * @returns {boolean} whether an entry was removed
+ */
+export function removeSuppressionEntry(list, type, value) {
+  const normalized = normalizeSuppressionValue(type, value);
+  const index = list.findIndex(entry => entry.type === type && normalizeSuppressionValue(type, entry.value) === normalized);
+  if (index < 0) return false;
+  list.splice(index, 1);
+  return true;
+}
+
+/**
+ * Parse a suppression CSV
+ * Either type,value[,reason] rows, or a CRM export whose email, domain, website,
+ * company, name or linkedin_url columns each become an entry.
+ * @param {string} text
+ * @param {string} source - recorded on every entry, e.g. "csv:optouts.csv"
+ * @returns {{entries: SuppressionEntry[], skipped: string[]}} skipped rows, with why
+ */
+export function parseSuppressionCSV(text, source) {
+  const records = parseCSVRecords(text);
+  const entries = [];
+  const skipped = [];
+
+  records.forEach((record, index) => {
+    const row = index + 2;
+    const reason = record.reason || record.notes || '';
+    const cells = 'value' in record
+      ? [[record.type || classifySuppressionValue(record.value), record.value]]
+      : Object.entries(CSV_COLUMNS).filter(([column]) => record[column]).map(([column, type]) => [type, record[column]]);
+
+    if (cells.length === 0) {
+      skipped.push(`row ${row}: no email, domain, company, name or linkedin_url`);
+    }
+    for (const [type, value] of cells) {
+      try {
+        entries.push(createSuppressionEntry(type.trim().toLowerCase(), value, { reason, source }));
+      } catch (error) {
+        skipped.push(`row ${row}: ${error.message}`);
+      }
+    }
+  });
+
+  return { entries, skipped };
+}
+
+/**
+ * Read the global opt-out list
+ * @param {string} [profilesDir]
+ * @returns {Promise<SuppressionEntry[]>} empty when there is no file
+ */
+export async function loadGlobalSuppression(profilesDir) {
+  const data = await readJson(getGlobalSuppressionPath(profilesDir));
+  return data?.entries || [];
+}
+
+/**
+ * Write the global opt-out list back
+ * @param {string} [profilesDir]
+ * @param {SuppressionEntry[]} entries
+ */
+export async function saveGlobalSuppression(profilesDir, entries) {
+  const filePath = getGlobalSuppressionPath(profilesDir);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await writeJson(filePath, { entries });
+}
+
+/**
+ * Entries from the plan's do-not-contact rules (the parsed constraints answer)
+ * Explicit "do not contact" rules are always kept - plans saved before rules were tagged
+ * are checked against the answer itself - as are emails and domains. Other rules
+ * ("companies under 20 employees", "Banks", as older plans and LLM plans may hold) are
+ * left to the targeting.
+ * @param {Object} state
+ * @returns {SuppressionEntry[]}
+ */
+export function getConstraintSuppression(state) {
+  const stated = parseConstraintRules(state.profile?.answers?.constraints)
+    .filter(rule => rule.explicit)
+    .map(rule => rule.value.toLowerCase());
+  return getPlanRules(state, RuleTypes.DO_NOT_CONTACT)
+    .filter(rule => rule.explicit || stated.includes(rule.value.toLowerCase()) || namesContact(rule.value))
+    .map(rule => ({
+      type: classifySuppressionValue(rule.value),
+      value: rule.value,
+      reason: `Do-not-contact constraint "${rule.value}"`,
+      source: SuppressionScopes.CONSTRAINTS,
+      added_at: state.plan?.created_at || null
+    }))
+    .filter(entry => normalizeSuppressionValue(entry.type, entry.value));
+}
+
+/**
+ * Matchable values of a lead or investor, per suppression type
+ * @param {Object} record
+ * @returns {Object<string, string[]>}
+ */
+function recordKeys(record) {
+  const emails = [record.email].filter(Boolean);
+  const sites = [record.website, record.company_website].filter(Boolean);
+  const keys = {
+    [SuppressionTypes.EMAIL]: emails.map(email => normalizeSuppressionValue(SuppressionTypes.EMAIL, email)),
+    [SuppressionTypes.DOMAIN]: [...emails, ...sites].map(value => normalizeSuppressionValue(SuppressionTypes.DOMAIN, value)),
+    [SuppressionTypes.COMPANY]: [record.company, record.firm_name]
+      .map(value => normalizeSuppressionValue(SuppressionTypes.COMPANY, value)),
+    [SuppressionTypes.PERSON]: [record.name, record.person_name]
+      .map(value => normalizeSuppressionValue(SuppressionTypes.PERSON, value)),
+    [SuppressionTypes.LINKEDIN]: [record.linkedin_url, record.url]
+      .map(value => normalizeSuppressionValue(SuppressionTypes.LINKEDIN, value))
+  };
+  for (const type of Object.keys(keys)) {
+    keys[type] = keys[type].filter(Boolean);
+  }
+  return keys;
+}
+
+/**
+ * Global, campaign and constraint entries, matched against leads and investors
+ */
+export class SuppressionList {
+  /**
+   * @param {Array<SuppressionEntry & {scope: string}>} entries
+   */
+  constructor(entries = []) {
+    this.entries = entries
+      .map(entry => ({ ...entry, normalized: normalizeSuppressionValue(entry.type, entry.value) }))
+      .filter(entry => entry.normalized);
+  }
+
+  /**
+   * Number of entries
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * First entry matching a lead or investor
+   * Domains match their subdomains too; the other types match exactly after normalization.
+   * @param {Object} record
+   * @returns {(SuppressionEntry & {scope: string})|null}
+   */
+  match(record) {
+    if (!record || this.entries.length === 0) return null;
+    const keys = recordKeys(record);
+    return this.entries.find(entry => keys[entry.type]?.some(key =>
+      key === entry.normalized || (entry.type === SuppressionTypes.DOMAIN && key.endsWith(`.${entry.normalized}`))
+    )) || null;
+  }
+
+  /**
+   * Split records into kept and dropped
+   * @param {Object[]} records
+   * @returns {{kept: Object[], dropped: Array<{record: Object, entry: SuppressionEntry}>}}
+   */
+  filter(records) {
+    const kept = [];
+    const dropped = [];
+    for (const record of records) {
+      const entry = this.match(record);
+      if (entry) {
+        dropped.push({ record, entry });
+      } else {
+        kept.push(record);
+      }
+    }
+    return { kept, dropped };
+  }
+}
+
+/**
+ * Suppression list of a run: the global opt-outs, state.suppression_list and the constraints
+ * @param {string} profilesDir
+ * @param {Object} state
+ * @returns {Promise<SuppressionList>}
+ */
+export async function loadSuppressionList(profilesDir, state) {
+  const scoped = (entries, scope) => entries.map(entry => ({ ...entry, scope }));
+  return new SuppressionList([
+    ...scoped(await loadGlobalSuppression(profilesDir), SuppressionScopes.GLOBAL),
+    ...scoped(state?.suppression_list || [], SuppressionScopes.CAMPAIGN),
+    ...scoped(getConstraintSuppression(state), SuppressionScopes.CONSTRAINTS)
+  ]);
+}
+
+/**
+ * Record a dropped lead or investor in a loaded state object (caller saves the state)
+ * @param {Object} state
+ * @param {Object} drop
+ * @param {string} drop.kind - "lead" or "investor"
+ * @param {string} drop.node
+ * @param {Object} drop.record
+ * @param {SuppressionEntry & {scope: string}} drop.entry
+ * @returns {SuppressedItem}
+ */
+export function addSuppressed(state, { kind, node, record, entry }) {
+  if (!state.suppressed) {
+    state.suppressed = [];
+  }
+
+  const suppressed = {
+    id: `sp_${String(state.suppressed.length + 1).padStart(4, '0')}`,
+    kind,
+    node,
+    item_id: record.id || record.name || record.firm_name || '',
+    name: record.name || '',
+    company: record.company || record.firm_name || '',
+    matched: { type: entry.type, value: entry.value, scope: entry.scope, source: entry.source },
+    reason: entry.reason || `On the ${entry.scope} suppression list`,
+    item: record,
+    created_at: getCurrentTimestamp()
+  };
+
+  state.suppressed.push(suppressed);
+  return suppressed;
+}
+
+/**
+ * Drop suppressed records and record each one in a loaded state object (caller saves the state)
+ * @param {Object} state
+ * @param {SuppressionList} list
+ * @param {Object[]} records
+ * @param {Object} options
+ * @param {string} options.kind - "lead" or "investor"
+ * @param {string} options.node
+ * @returns {Object[]} records that may be contacted
+ */
+export function applySuppression(state, list, records, { kind, node }) {
+  const { kept, dropped } = list.filter(records || []);
+  for (const { record, entry } of dropped) {
+    addSuppressed(state, { kind, node, record, entry });
+  }
+  if (dropped.length > 0) {
+    console.log(`🚫 Suppressed ${dropped.length} ${kind}(s) in ${node}:`);
+    dropped.slice(0, 5).forEach(({ record, entry }) =>
+      console.log(`   • ${record.name || record.firm_name || record.id} - ${entry.type} "${entry.value}" (${entry.scope})`));
+    if (dropped.length > 5) console.log(`   … and ${dropped.length - 5} more (see state.suppressed)`);
+  }
+  return kept;
+}
+
+/**
+ * Drop suppressed records and record them straight to profiles/{run_id}/state.json
+ * For nodes that write their state elsewhere, as with recordDeadLetter.
+ * @param {string} profilesDir
+ * @param {string} runId
+ * @param {Object[]} records
+ * @param {Object} options - kind, node (see applySuppression)
+ * @returns {Promise<Object[]>} records that may be contacted
+ */
+export async function recordSuppression(profilesDir, runId, records, options) {
+  const statePath = path.join(profilesDir, runId, 'state.json');
+  const state = await readJson(statePath);
+  if (!state) {
+    return records;
+  }
+
+  const list = await loadSuppressionList(profilesDir, state);
+  const kept = applySuppression(state, list, records, options);
+  if (kept.length !== records.length) {
+    await writeJson(statePath, state);
+  }
+  return kept;
+}
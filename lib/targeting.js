@@ -0,0 +1,215 @@
+import { RuleTypes } from './plan.js';
+
+/**
+ * Structured targeting filters, written by PlanNode to state.plan.targeting
+ * Empty lists mean "any": a campaign without regions searches everywhere.
+ * @typedef {Object} Targeting
+ * @property {string[]} regions - countries or regions, e.g. "France", "DACH", "North America"
+ * @property {string[]} languages - e.g. "French"
+ * @property {string[]} company_sizes - CompanySizes bands
+ * @property {string[]} industries - e.g. "banking", "insurance"
+ */
+
+/**
+ * Company-size bands, by employee count
+ */
+export const CompanySizes = {
+  MICRO: '1-10',
+  SMALL: '11-50',
+  MEDIUM: '51-200',
+  LARGE: '201-1000',
+  ENTERPRISE: '1000+'
+};
+
+// Lower and upper employee count of each band
+const SIZE_RANGES = {
+  [CompanySizes.MICRO]: [1, 10],
+  [CompanySizes.SMALL]: [11, 50],
+  [CompanySizes.MEDIUM]: [51, 200],
+  [CompanySizes.LARGE]: [201, 1000],
+  [CompanySizes.ENTERPRISE]: [1001, Infinity]
+};
+
+// Words in the answers that name a size band
+const SIZE_WORDS = [
+  [/\b(start-?ups?|early[- ]stage|seed)\b/i, [CompanySizes.MICRO, CompanySizes.SMALL]],
+  [/\b(smbs?|smes?|small (businesses|companies|firms))\b/i, [CompanySizes.SMALL, CompanySizes.MEDIUM]],
+  [/\b(mid[- ]?market|mid[- ]?size[d]?|scale-?ups?)\b/i, [CompanySizes.MEDIUM, CompanySizes.LARGE]],
+  [/\b(enterprises?|large (companies|corporations|firms|accounts)|corporates?|fortune 500|cac 40)\b/i, [CompanySizes.ENTERPRISE]]
+];
+
+/**
+ * Industries recognized in the answers without an LLM, with the words that name them
+ */
+const INDUSTRY_WORDS = {
+  banking: /\bbank(s|ing)?\b|\bbanques?\b/i,
+  insurance: /\binsur(ance|ers?|tech)\b|\bassurances?\b/i,
+  fintech: /\bfintech\b/i,
+  'asset management': /\basset manage(ment|rs?)\b/i,
+  'venture capital': /\b(venture capital|vcs?)\b/i,
+  legal: /\b(legal|law firms?|lawyers?)\b/i,
+  healthcare: /\b(health ?care|hospitals?|medtech|pharma(ceutical)?s?)\b/i,
+  software: /\b(saas|software)\b/i,
+  retail: /\b(retail(ers)?|e-?commerce)\b/i,
+  manufacturing: /\b(manufactur(ing|ers?)|industrial)\b/i,
+  logistics: /\b(logistics|supply chain|transport)\b/i,
+  energy: /\b(energy|utilities|oil and gas)\b/i,
+  'real estate': /\b(real estate|proptech)\b/i,
+  education: /\b(education|universit(y|ies)|edtech)\b/i,
+  'public sector': /\b(public sector|government|administrations?)\b/i
+};
+
+/**
+ * Clean a targeting object: string lists without blanks or duplicates, known size bands only
+ * @param {Object} [targeting]
+ * @returns {Targeting}
+ */
+export function normalizeTargeting(targeting = {}) {
+  const list = values => [...new Map([].concat(values || [])
+    .filter(value => typeof value === 'string' && value.trim())
+    .map(value => [value.trim().toLowerCase(), value.trim()])).values()];
+  const bands = Object.values(CompanySizes);
+
+  return {
+    regions: list(targeting?.regions),
+    languages: list(targeting?.languages),
+    company_sizes: list(targeting?.company_sizes).filter(size => bands.includes(size)),
+    industries: list(targeting?.industries).map(industry => industry.toLowerCase())
+  };
+}
+
+/**
+ * Size bands an employee range like "50-200 employees", "500+ staff" or a plain band
+ * like "51-200" overlaps
+ * A plain band counts only at the end of a clause: "20-200 support agents" or
+ * "10+ years" count something else.
+ * @param {string} text - clauses, one per line
+ * @returns {string[]}
+ */
+function parseEmployeeRange(text) {
+  const match = text.match(/(\d[\d,]*)\s*(?:-|to|–)\s*(\d[\d,]*)\s*(?:employees|staff|people|headcount)/i)
+    || text.match(/(\d[\d,]*)\s*\+\s*(?:employees|staff|people|headcount)/i)
+    || text.match(/(?<![\w$€£.,])(\d[\d,]*)\s*(?:-|–)\s*(\d[\d,]*)(?=[\s.)]*$)/im)
+    || text.match(/(?<![\w$€£.,])(\d[\d,]*)\+(?=[\s.)]*$)/im);
+  if (!match) return [];
+  const low = Number(match[1].replace(/,/g, ''));
+  const high = match[2] ? Number(match[2].replace(/,/g, '')) : Infinity;
+  if (low > high || (low >= 1900 && high <= 2100)) return []; // not a range, or years
+  return Object.entries(SIZE_RANGES)
+    .filter(([, [min, max]]) => low <= max && high >= min)
+    .map(([band]) => band);
+}
+
+/**
+ * Clauses of the answers that say who to target, without exclusions
+ * ("not in healthcare", "no companies under 20 employees")
+ * @param {string} text
+ * @returns {string}
+ */
+function targetedClauses(text) {
+  return text
+    .split(/[;\n]+|,(?!\d{3})/)
+    .filter(clause => !/^\s*(no|not|avoid|exclude|excluding|except|do[- ]not|don'?t|never)\b/i.test(clause))
+    .join('\n');
+}
+
+/**
+ * Targeting from the answers without an LLM
+ * Regions and languages come from the plan rules (parsed from the constraints
+ * answer); sizes and industries are read from the target and constraints answers,
+ * leaving out exclusions. The proof answer describes our own customers, not who to target.
+ * @param {Object} answers - state.profile.answers
+ * @param {import('./plan.js').PlanRule[]} [rules]
+ * @returns {Targeting}
+ */
+export function parseTargeting(answers = {}, rules = []) {
+  const text = targetedClauses(['target', 'constraints']
+    .map(key => answers?.[key])
+    .filter(Boolean)
+    .map(value => Array.isArray(value) ? value.join(', ') : String(value))
+    .join('\n'));
+
+  const sizes = [
+    ...parseEmployeeRange(text),
+    ...SIZE_WORDS.filter(([pattern]) => pattern.test(text)).flatMap(([, bands]) => bands)
+  ];
+
+  return normalizeTargeting({
+    regions: rules.filter(rule => rule.type === RuleTypes.REGION).map(rule => rule.value),
+    languages: rules.filter(rule => rule.type === RuleTypes.LANGUAGE).map(rule => rule.value),
+    company_sizes: Object.values(CompanySizes).filter(band => sizes.includes(band)),
+    industries: Object.keys(INDUSTRY_WORDS).filter(industry => INDUSTRY_WORDS[industry].test(text))
+  });
+}
+
+/**
+ * Fill the empty lists of one targeting from another (LLM targeting, rule-based fallback)
+ * @param {Targeting} targeting
+ * @param {Targeting} fallback
+ * @returns {Targeting}
+ */
+export function mergeTargeting(targeting, fallback) {
+  return Object.fromEntries(Object.entries(targeting)
+    .map(([key, values]) => [key, values.length > 0 ? values : fallback[key]]));
+}
+
+/**
+ * Targeting of a run - the plan's, or parsed from the answers for runs planned before targeting existed
+ * @param {Object} state
+ * @returns {Targeting}
+ */
+export function getTargeting(state) {
+  if (state?.plan?.targeting) {
+    return normalizeTargeting(state.plan.targeting);
+  }
+  return parseTargeting(state?.profile?.answers, state?.plan?.rules || []);
+}
+
+/**
+ * Whether a targeting object filters anything
+ * @param {Targeting} targeting
+ * @returns {boolean}
+ */
+export function hasTargeting(targeting) {
+  return Object.values(targeting).some(values => values.length > 0);
+}
+
+/**
+ * One line per filter, for logs and prompts
+ * @param {Targeting} targeting
+ * @returns {string} "No targeting filters" when there are none
+ */
+export function describeTargeting(targeting) {
+  if (!hasTargeting(targeting)) return 'No targeting filters - any region, language, company size and industry';
+  return [
+    `Regions: ${targeting.regions.join(', ') || 'any'}`,
+    `Languages: ${targeting.languages.join(', ') || 'any'}`,
+    `Company sizes (employees): ${targeting.company_sizes.join(', ') || 'any'}`,
+    `Industries: ${targeting.industries.join(', ') || 'any'}`
+  ].join('\n');
+}
+
+/**
+ * Search queries without an LLM: the persona title crossed with regions and industries
+ * @param {Object} persona
+ * @param {Targeting} targeting
+ * @param {number} [count]
+ * @returns {string[]}
+ */
+export function buildTargetedQueries(persona, targeting, count = 5) {
+  const regions = targeting.regions.length > 0 ? targeting.regions : [''];
+  const industries = targeting.industries.length > 0 ? targeting.industries : [''];
+  const queries = [];
+
+  for (const region of regions) {
+    queries.push([persona.title, region, 'LinkedIn'].filter(Boolean).join(' '));
+    for (const industry of industries) {
+      queries.push([persona.title, region, industry].filter(Boolean).join(' '));
+    }
+  }
+  if (persona.company) {
+    queries.push([persona.title, persona.company, regions[0]].filter(Boolean).join(' '));
+  }
+
+  return [...new Set(queries)].slice(0, count);
+}
@@ -0,0 +1,90 @@
+/**
+ * Token estimates for sizing prompts to a model's context window
+ * Deliberately conservative (3 characters per token): scraped pages are full of
+ * URLs, markup and non-English text, which tokenize worse than prose.
+ */
+export const CHARS_PER_TOKEN = 3;
+
+/**
+ * Context windows in tokens, matched on the longest model-name prefix
+ */
+export const MODEL_CONTEXT_TOKENS = {
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'gpt-4.1': 1000000,
+  'gpt-4-turbo': 128000,
+  'gpt-4': 8192,
+  'gpt-3.5-turbo': 16385
+};
+
+/**
+ * Context window assumed for models not listed above (e.g. local models)
+ */
+export const DEFAULT_CONTEXT_TOKENS = 32000;
+
+/**
+ * Estimated token count of a text
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Context window of a model
+ * @param {string} model
+ * @returns {number}
+ */
+export function getContextTokens(model) {
+  const match = Object.keys(MODEL_CONTEXT_TOKENS)
+    .filter(prefix => (model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_CONTEXT_TOKENS[match] : DEFAULT_CONTEXT_TOKENS;
+}
+
+/**
+ * Tokens of source content one prompt may carry for a model
+ * Leaves `reserveTokens` for the instructions and the answer, and never goes above
+ * `maxTokens` - long prompts cost more and models lose detail in them.
+ * @param {string} model
+ * @param {{reserveTokens?: number, maxTokens?: number}} [options]
+ * @returns {number}
+ */
+export function getContentBudget(model, { reserveTokens = 4000, maxTokens = 30000 } = {}) {
+  return Math.max(1000, Math.min(maxTokens, getContextTokens(model) - reserveTokens));
+}
+
+/**
+ * Split a text into chunks of at most maxTokens
+ * Splits between paragraphs where possible, then between lines, then anywhere.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string[]}
+ */
+export function chunkByTokens(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const chunks = [];
+  let current = '';
+
+  const pieces = (text || '').split(/\n\s*\n/).flatMap(paragraph => {
+    if (paragraph.length <= maxChars) return [paragraph];
+    return paragraph.split('\n').flatMap(line => {
+      const parts = [];
+      for (let start = 0; start < line.length; start += maxChars) {
+        parts.push(line.slice(start, start + maxChars));
+      }
+      return parts;
+    });
+  });
+
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 2 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current.trim()) chunks.push(current);
+  return chunks;
+}
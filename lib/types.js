@@ -17,6 +17,18 @@
  * @property {function(Message, Context): Promise<Message|null>} run - main processing function
  */
 
+/**
+ * Node declaration - what the Router registry is built from (built-in nodes and plugins)
+ * @typedef {Object} NodeDeclaration
+ * @property {string} id - node identifier, also the "to" of messages for it
+ * @property {string[]} handles - events the node receives
+ * @property {string[]} emits - events the node may send on
+ * @property {function(Object): Node} create - builds the node instance (receives plugin options)
+ * @property {string} [pipeline] - "sales" or "investor" for built-in nodes
+ * @property {{before: string}} [insert] - put the node in front of another: messages to that node go here first
+ * @property {Object} [options] - plugin configuration passed to create()
+ */
+
 /**
  * Application context
  * @typedef {Object} Context
@@ -29,6 +41,7 @@ export const EventTypes = {
   USER_CONTEXT_READY: 'USER_CONTEXT_READY',
   INTAKE_READY: 'INTAKE_READY',
   PLAN_READY: 'PLAN_READY',
+  PERSONAS_GENERATED: 'PERSONAS_GENERATED',
   PERSONAS_READY: 'PERSONAS_READY',
   SEARCH_READY: 'SEARCH_READY',
   ENRICH_READY: 'ENRICH_READY',
@@ -45,6 +58,7 @@ export const NodeIds = {
   INTAKE: 'IntakeNode',
   PLAN: 'PlanNode',
   PERSONA: 'PersonaNode',
+  PERSONA_REVIEW: 'PersonaReviewNode',
   SEARCH: 'SearchNode',
   ENRICH: 'EnrichNode',
   OUTREACH: 'OutreachNode',
@@ -54,4 +68,34 @@ export const NodeIds = {
   INVESTOR_SEARCH: 'InvestorSearchNode',
   INVESTOR_ENRICH: 'InvestorEnrichNode',
   INVESTOR_OUTREACH: 'InvestorOutreachNode'
-}; 
\ No newline at end of file
+};
+
+/**
+ * Add an event type declared by a plugin (no-op for known events)
+ * @param {string} event - UPPER_SNAKE_CASE event name
+ */
+export function registerEventType(event) {
+  if (!/^[A-Z][A-Z0-9_]*$/.test(event)) {
+    throw new Error(`Invalid event type "${event}" - use UPPER_SNAKE_CASE`);
+  }
+  EventTypes[event] = event;
+}
+
+/**
+ * Add a node id declared by a plugin
+ * The key follows the built-in style: CompetitorFilterNode -> COMPETITOR_FILTER
+ * @param {string} id - PascalCase node id
+ * @returns {string} the NodeIds key
+ */
+export function registerNodeId(id) {
+  const key = id
+    .replace(/Node$/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toUpperCase();
+
+  if (NodeIds[key] && NodeIds[key] !== id) {
+    throw new Error(`Node id "${id}" clashes with ${NodeIds[key]} (NodeIds.${key})`);
+  }
+  NodeIds[key] = id;
+  return key;
+}
@@ -0,0 +1,338 @@
+import path from 'path';
+import { getRunContext, runWithContext } from './run-context.js';
+import { readJson, writeJson, getCurrentTimestamp } from './utils.js';
+import { ErrorClasses } from './retry.js';
+
+/**
+ * OpenAI prices in USD per 1M tokens, used when a provider sets no pricing in
+ * config/llm.json (unknown models are then priced as gpt-4o, with a warning)
+ */
+export const OPENAI_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 }
+};
+
+/**
+ * Jina price in USD per 1M tokens, and the token estimates used when a
+ * response doesn't report its usage
+ */
+export const JINA_PRICING = {
+  per_million_tokens: 0.05,
+  search_tokens: 10000,
+  chars_per_token: 4
+};
+
+/**
+ * Rough cost of one unit of work per node, used to fit work into the remaining
+ * budget before any of it has been measured in this run
+ */
+const DEFAULT_UNIT_COSTS = {
+  EnrichNode: 0.06,
+  OutreachNode: 0.01,
+  InvestorEnrichNode: 0.03,
+  InvestorOutreachNode: 0.01
+};
+
+/**
+ * What happens when the budget runs out (BUDGET_MODE)
+ * stop    - no further provider calls or nodes run once the budget is spent
+ * degrade - nodes shrink their work to what still fits (lowest-score leads are
+ *           skipped first); provider calls still stop at the limit
+ */
+export const BudgetModes = {
+  STOP: 'stop',
+  DEGRADE: 'degrade'
+};
+
+/**
+ * Counters kept for the whole run, per node and per lead
+ * @typedef {Object} UsageCounters
+ * @property {number} llm_calls
+ * @property {number} prompt_tokens
+ * @property {number} completion_tokens
+ * @property {number} jina_searches
+ * @property {number} jina_reads
+ * @property {number} jina_tokens
+ * @property {number} cost_usd - estimated
+ */
+
+// In-memory usage per run; written to state.usage after each node run
+const runs = new Map();
+
+/**
+ * Empty counters
+ * @returns {UsageCounters}
+ */
+function emptyCounters() {
+  return {
+    llm_calls: 0,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    jina_searches: 0,
+    jina_reads: 0,
+    jina_tokens: 0,
+    cost_usd: 0
+  };
+}
+
+/**
+ * Campaign budget from the environment
+ * @returns {{limit_usd: number|null, mode: string}}
+ */
+export function getBudgetConfig() {
+  const limit = parseFloat(process.env.CAMPAIGN_BUDGET_USD);
+  const mode = (process.env.BUDGET_MODE || BudgetModes.DEGRADE).toLowerCase();
+  if (!Object.values(BudgetModes).includes(mode)) {
+    throw new Error(`Unknown BUDGET_MODE "${mode}" (use stop or degrade)`);
+  }
+  return { limit_usd: Number.isFinite(limit) && limit > 0 ? limit : null, mode };
+}
+
+/**
+ * Load a run's usage from state.json so counting continues where it left off
+ * Called by the Router before each node run.
+ * @param {string} runId
+ * @param {string} profilesDir
+ */
+export async function beginUsage(runId, profilesDir) {
+  if (runs.has(runId)) return;
+
+  const state = await readJson(path.join(profilesDir, runId, 'state.json'));
+  loadUsage(runId, state?.usage);
+}
+
+/**
+ * Start counting a run from its saved usage
+ * @param {string} runId
+ * @param {Object} [saved] - state.usage
+ */
+function loadUsage(runId, saved) {
+  runs.set(runId, {
+    total: { ...emptyCounters(), ...saved?.total },
+    by_node: saved?.by_node || {},
+    by_lead: saved?.by_lead || {}
+  });
+}
+
+/**
+ * Usage of a run, or null if nothing was counted yet
+ * @param {string} runId
+ * @returns {Object|null}
+ */
+export function getUsage(runId) {
+  return runs.get(runId) || null;
+}
+
+/**
+ * Add a usage delta to the current run (total, node and lead)
+ * Outside a node run there is nothing to attribute the call to, so it is ignored.
+ * @param {Partial<UsageCounters>} delta
+ */
+function addUsage(delta) {
+  const context = getRunContext();
+  const usage = context && runs.get(context.runId);
+  if (!usage) return;
+
+  const buckets = [usage.total];
+  if (context.node) {
+    usage.by_node[context.node] = usage.by_node[context.node] || emptyCounters();
+    buckets.push(usage.by_node[context.node]);
+  }
+  if (context.leadId) {
+    usage.by_lead[context.leadId] = usage.by_lead[context.leadId] || { ...emptyCounters(), node: context.node };
+    buckets.push(usage.by_lead[context.leadId]);
+  }
+
+  for (const bucket of buckets) {
+    for (const [key, value] of Object.entries(delta)) {
+      bucket[key] = (bucket[key] || 0) + value;
+    }
+    bucket.cost_usd = Math.round(bucket.cost_usd * 1e6) / 1e6;
+  }
+}
+
+// Models already warned about for having no price
+const unpricedModels = new Set();
+
+/**
+ * Price of a model per 1M tokens
+ * @param {string} model
+ * @param {Object} [pricing] - provider pricing: one {input, output} price, or one per model
+ * @returns {{input: number, output: number}}
+ */
+function getModelPrice(model, pricing) {
+  if (typeof pricing?.input === 'number') return pricing;
+  const price = pricing?.[model] || OPENAI_PRICING[model];
+  if (price) return price;
+
+  if (!unpricedModels.has(model)) {
+    unpricedModels.add(model);
+    console.log(`⚠️  No price for model ${model} - counting it at gpt-4o rates (set its provider's pricing in config/llm.json)`);
+  }
+  return OPENAI_PRICING['gpt-4o'];
+}
+
+/**
+ * Count one LLM call
+ * @param {string} model
+ * @param {{prompt_tokens: number, completion_tokens: number}} [tokens] - response.usage
+ * @param {Object} [pricing] - provider pricing per 1M tokens, see getModelPrice
+ */
+export function recordLLMUsage(model, tokens = {}, pricing = null) {
+  const price = getModelPrice(model, pricing);
+  const promptTokens = tokens.prompt_tokens || 0;
+  const completionTokens = tokens.completion_tokens || 0;
+
+  addUsage({
+    llm_calls: 1,
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    cost_usd: (promptTokens * price.input + completionTokens * price.output) / 1e6
+  });
+}
+
+/**
+ * Count one Jina call
+ * @param {string} kind - "search" or "read"
+ * @param {any} data - response body, used to find or estimate the tokens billed
+ */
+export function recordJinaUsage(kind, data) {
+  const reported = data?.meta?.usage?.tokens;
+  const text = typeof data === 'string' ? data : JSON.stringify(data || '');
+  const tokens = reported || (kind === 'search'
+    ? JINA_PRICING.search_tokens
+    : Math.ceil(text.length / JINA_PRICING.chars_per_token));
+
+  addUsage({
+    jina_searches: kind === 'search' ? 1 : 0,
+    jina_reads: kind === 'read' ? 1 : 0,
+    jina_tokens: tokens,
+    cost_usd: tokens * JINA_PRICING.per_million_tokens / 1e6
+  });
+}
+
+/**
+ * Budget status of a run
+ * @param {string} runId
+ * @returns {{limit_usd: number|null, mode: string, spent_usd: number, remaining_usd: number}}
+ */
+export function getBudgetStatus(runId) {
+  const { limit_usd, mode } = getBudgetConfig();
+  const spent = runs.get(runId)?.total.cost_usd || 0;
+  return {
+    limit_usd,
+    mode,
+    spent_usd: spent,
+    remaining_usd: limit_usd === null ? Infinity : Math.max(0, limit_usd - spent)
+  };
+}
+
+/**
+ * Error thrown when the campaign budget is spent
+ * @param {string} runId
+ * @returns {Error}
+ */
+function budgetError(runId) {
+  const { limit_usd, spent_usd } = getBudgetStatus(runId);
+  const error = new Error(`Campaign budget exceeded: $${spent_usd.toFixed(2)} spent of $${limit_usd.toFixed(2)} (CAMPAIGN_BUDGET_USD)`);
+  error.errorClass = ErrorClasses.BUDGET;
+  return error;
+}
+
+/**
+ * Throw if the current run has spent its budget - called before every provider call
+ * @param {string} [runId] - defaults to the run in the current run context
+ */
+export function assertWithinBudget(runId = getRunContext()?.runId) {
+  if (!runId) return;
+  const { limit_usd, remaining_usd } = getBudgetStatus(runId);
+  if (limit_usd !== null && remaining_usd <= 0) {
+    throw budgetError(runId);
+  }
+}
+
+/**
+ * Keep only the items whose estimated cost fits the remaining budget
+ * Items must be sorted best first; the tail is dropped. Only applies in degrade mode.
+ * The unit cost is the average measured per lead for the node in this run, else a default.
+ * @template T
+ * @param {string} runId
+ * @param {string} node - node doing the work
+ * @param {T[]} items
+ * @returns {{kept: T[], skipped: T[], unit_cost_usd: number}}
+ */
+export function fitToBudget(runId, node, items) {
+  const { limit_usd, mode, remaining_usd } = getBudgetStatus(runId);
+  const measured = Object.values(runs.get(runId)?.by_lead || {}).filter(lead => lead.node === node);
+  const unitCost = measured.length > 0
+    ? measured.reduce((sum, lead) => sum + lead.cost_usd, 0) / measured.length
+    : DEFAULT_UNIT_COSTS[node] || 0.01;
+
+  if (limit_usd === null || mode !== BudgetModes.DEGRADE) {
+    return { kept: items, skipped: [], unit_cost_usd: unitCost };
+  }
+
+  const affordable = Math.max(0, Math.floor(remaining_usd / unitCost));
+  return { kept: items.slice(0, affordable), skipped: items.slice(affordable), unit_cost_usd: unitCost };
+}
+
+/**
+ * A run's usage as saved in state.usage
+ * @param {string} runId
+ * @returns {Object|null} null if nothing was counted
+ */
+function usageSnapshot(runId) {
+  const usage = runs.get(runId);
+  if (!usage) return null;
+
+  const { limit_usd, mode } = getBudgetConfig();
+  return {
+    ...usage,
+    budget: { limit_usd, mode, remaining_usd: limit_usd === null ? null : getBudgetStatus(runId).remaining_usd },
+    estimated: true,
+    updated_at: getCurrentTimestamp()
+  };
+}
+
+/**
+ * Write a run's usage to state.usage
+ * Called by the Router after each node run, once the node has saved its own state.
+ * @param {string} runId
+ * @param {string} profilesDir
+ */
+export async function flushUsage(runId, profilesDir) {
+  if (!runs.has(runId)) return;
+
+  const statePath = path.join(profilesDir, runId, 'state.json');
+  const state = await readJson(statePath);
+  if (!state) return;
+
+  state.usage = usageSnapshot(runId);
+  await writeJson(statePath, state);
+}
+
+/**
+ * Run node work outside the Router (review and outcome scripts, the web server) as
+ * part of a run, so its provider calls are counted and checked against the budget
+ * Counting starts from the caller's state, which gets the new totals in state.usage:
+ * saving the state afterwards persists them.
+ * @template T
+ * @param {Object} state - the run's state as loaded by the caller
+ * @param {Object} options
+ * @param {string} options.runId
+ * @param {string} options.profilesDir
+ * @param {string} options.node - node whose methods fn calls, e.g. "PersonaNode"
+ * @param {function(): Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withRunUsage(state, { runId, profilesDir, node }, fn) {
+  loadUsage(runId, state.usage);
+  if (getBudgetConfig().mode === BudgetModes.STOP) {
+    assertWithinBudget(runId);
+  }
+  try {
+    return await runWithContext({ runId, profilesDir, node }, fn);
+  } finally {
+    state.usage = usageSnapshot(runId);
+  }
+}
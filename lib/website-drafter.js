@@ -0,0 +1,205 @@
+import { getSearchProvider } from './search/index.js';
+import { LLMClient } from './llm-client.js';
+import { condenseSources } from './map-reduce.js';
+import { parseSources, findInSources } from './citations.js';
+import { withRetry, getRetryPolicy } from './retry.js';
+import { INTAKE_DRAFTS_SCHEMA } from './schemas.js';
+
+/**
+ * Intake answers drafted from our website, per mode, with what each should say
+ */
+export const DRAFT_FIELDS = {
+  sales: {
+    product: 'what the product is and does, in one sentence',
+    target: 'the roles and company types it is sold to',
+    pain: 'the pain it removes, in one sentence',
+    signals: 'two signals that a company needs it, comma-separated',
+    proof: 'one proof point: a customer result with a metric, or customer logos',
+    cta: 'the call to action the site offers (demo, trial, pilot...)',
+    constraints: 'regions, languages or company types the offer is limited to'
+  },
+  investor: {
+    company_name: 'the company name',
+    technology: 'the core technology or product, in 1-2 sentences',
+    traction: 'traction: customers, users, revenue, partnerships or other metrics'
+  }
+};
+
+/**
+ * Most case-study pages read besides the homepage and pricing page
+ */
+export const MAX_CASE_STUDIES = 3;
+
+// Drafts must pass validateAnswer, which allows 200 characters
+const MAX_DRAFT_LENGTH = 200;
+const PRICING_PATH = /\/(pricing|plans)\b/i;
+const CASE_STUDY_PATH = /case-stud|customer|success-stor|testimonial/i;
+
+/**
+ * Drafted answer
+ * @typedef {Object} Draft
+ * @property {string} answer
+ * @property {string|null} source_url - page the answer comes from
+ * @property {string} snippet - supporting text from that page ('' when not found)
+ * @property {boolean} verified - whether the supporting sentence was found on the page
+ */
+
+/**
+ * Pricing and case-study pages linked from the homepage (same site only)
+ * The reader returns Markdown, so links are [text](url); relative links are resolved.
+ * Without a pricing link, /pricing is tried.
+ * @param {string} homepageUrl
+ * @param {string} content - homepage as returned by SearchProvider.readWebsite
+ * @returns {{pricing: string, caseStudies: string[]}}
+ */
+export function findDraftPages(homepageUrl, content) {
+  const home = new URL(homepageUrl);
+  const site = home.hostname.replace(/^www\./, '');
+  const links = [];
+  for (const [, href] of content.matchAll(/\]\(([^)\s]+)\)/g)) {
+    try {
+      const link = new URL(href, home);
+      link.hash = '';
+      if (link.protocol.startsWith('http') && link.hostname.replace(/^www\./, '') === site && !links.some(other => other.href === link.href)) {
+        links.push(link);
+      }
+    } catch {
+      // not a URL
+    }
+  }
+
+  const pricing = links.find(link => PRICING_PATH.test(link.pathname));
+  return {
+    pricing: pricing ? pricing.href : new URL('/pricing', home).href,
+    caseStudies: links
+      .filter(link => CASE_STUDY_PATH.test(link.pathname))
+      .slice(0, MAX_CASE_STUDIES)
+      .map(link => link.href)
+  };
+}
+
+/**
+ * Cut a draft to the intake's answer length, at a word boundary
+ * @param {string} answer
+ * @returns {string}
+ */
+function fitAnswer(answer) {
+  const trimmed = answer.trim();
+  if (trimmed.length <= MAX_DRAFT_LENGTH) return trimmed;
+  const cut = trimmed.slice(0, MAX_DRAFT_LENGTH - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+/**
+ * Drafts intake answers from our own website (homepage, pricing, case studies)
+ * The user confirms or edits each draft; the drafts only save typing.
+ */
+export class WebsiteDrafter {
+  /**
+   * @param {import('./search/provider.js').SearchProvider} [search] - reads the pages; the configured default if left out
+   */
+  constructor(search = getSearchProvider()) {
+    this.search = search;
+    this.llm = new LLMClient();
+  }
+
+  /**
+   * Whether both the search provider and the LLM provider are configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.search.isConfigured() && this.llm.isConfigured('draftIntakeAnswers');
+  }
+
+  /**
+   * Read the homepage, pricing page and case-study pages
+   * @param {string} url - company homepage
+   * @returns {Promise<Array<{url: string, kind: string, content: string}>>} pages that had content
+   * @throws {Error} when the homepage can't be read
+   */
+  async readPages(url) {
+    const homepage = await this.search.readWebsite(url);
+    if (!homepage) {
+      throw new Error(`Could not read ${url}`);
+    }
+
+    const { pricing, caseStudies } = findDraftPages(url, homepage);
+    const others = await Promise.all([
+      { url: pricing, kind: 'pricing' },
+      ...caseStudies.map(link => ({ url: link, kind: 'case study' }))
+    ].map(async page => ({ ...page, content: await this.search.readWebsite(page.url) })));
+
+    return [{ url, kind: 'homepage', content: homepage }, ...others.filter(page => page.content)];
+  }
+
+  /**
+   * Draft the intake answers of a mode from the website
+   * Each draft carries the page it comes from; drafts whose supporting sentence is
+   * not on that page are kept but marked unverified.
+   * @param {string} url - company homepage
+   * @param {string} mode - "sales" or "investor" (see DRAFT_FIELDS)
+   * @returns {Promise<{url: string, pages: string[], drafts: Object<string, Draft>}>}
+   */
+  async draftAnswers(url, mode) {
+    const fields = DRAFT_FIELDS[mode];
+    if (!fields) {
+      throw new Error(`No website drafts for mode "${mode}"`);
+    }
+    const homepageUrl = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+
+    console.log(`🌐 Drafting ${mode} answers from ${homepageUrl}`);
+    const pages = await this.readPages(homepageUrl);
+    const blocks = pages.map(page => `Source: ${page.url}\nPage: ${page.kind}\nContent: ${page.content}`);
+
+    const condensed = await condenseSources(this.llm, {
+      task: 'draftIntakeAnswers',
+      subject: `the company at ${homepageUrl}`,
+      focus: 'its product, customers, pricing and results',
+      sources: blocks
+    });
+
+    const { drafts } = await withRetry(
+      () => this.llm.completeJSON('draftIntakeAnswers', INTAKE_DRAFTS_SCHEMA, {
+        messages: [
+          {
+            role: "system",
+            content: "You draft answers about a company from its own website. You must respond with ONLY valid JSON - no markdown, no explanations."
+          },
+          {
+            role: "user",
+            content: `Draft the answers below for a ${mode} outreach campaign run by the company whose website follows. Write each answer as the company would, in at most 180 characters, using only what the website says. Leave an answer empty if the website doesn't say. For every answer give the URL of the page it comes from and the sentence that supports it, copied word for word.
+
+Answers:
+${Object.entries(fields).map(([key, description]) => `- ${key}: ${description}`).join('\n')}
+
+Return ONLY: {"drafts": [{"key": "${Object.keys(fields)[0]}", "answer": "...", "source_url": "https://...", "evidence": "exact sentence from the page"}]}
+
+Website content:
+${condensed.content.join('\n\n---\n\n')}`
+          }
+        ],
+        temperature: 0.2,
+        max_tokens: 1500,
+        response_format: { type: "json_object" }
+      }),
+      getRetryPolicy(this.llm.currentNode()),
+      { label: `Intake drafts from ${homepageUrl}` }
+    );
+
+    const sources = parseSources(blocks);
+    const result = {};
+    for (const { key, answer, source_url: sourceUrl, evidence } of drafts) {
+      if (!fields[key] || !answer.trim() || result[key]) continue;
+      const found = evidence ? findInSources(evidence, sources, sourceUrl) : null;
+      result[key] = {
+        answer: fitAnswer(answer),
+        source_url: found?.source_url || sourceUrl || null,
+        snippet: found?.snippet || '',
+        verified: !!found
+      };
+    }
+
+    console.log(`✅ Drafted ${Object.keys(result).length}/${Object.keys(fields).length} answers from ${pages.length} pages`);
+    return { url: homepageUrl, pages: pages.map(page => page.url), drafts: result };
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Default number of concurrent calls per provider
+ * Override with OPENAI_CONCURRENCY / JINA_CONCURRENCY in .env
+ */
+const DEFAULT_CONCURRENCY = {
+  openai: 4,
+  jina: 3
+};
+
+/**
+ * Bounded concurrency pool - at most `concurrency` tasks run at the same time
+ */
+export class WorkPool {
+  /**
+   * @param {number} concurrency - max tasks in flight
+   * @param {string} name - label used in logs
+   */
+  constructor(concurrency, name = 'pool') {
+    this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+    this.name = name;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Run one task once a slot is free
+   * @template T
+   * @param {function(): Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  async run(task) {
+    if (this.active >= this.concurrency) {
+      // The finishing task hands its slot straight to us
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+
+  /**
+   * Run fn over every item with bounded concurrency
+   * Results keep the order of `items`, whatever order the tasks finish in.
+   * Rejects with the first error thrown by fn - per-item failures that should
+   * not stop the batch must be caught inside fn.
+   * @template T, R
+   * @param {T[]} items
+   * @param {function(T, number): Promise<R>} fn - called with (item, index)
+   * @param {Object} [options]
+   * @param {function(number, number, R, number): void} [options.onProgress] - (completed, total, result, index) after each item
+   * @returns {Promise<R[]>}
+   */
+  async map(items, fn, options = {}) {
+    const { onProgress } = options;
+    const results = new Array(items.length);
+    let completed = 0;
+
+    await Promise.all(items.map((item, index) => this.run(async () => {
+      results[index] = await fn(item, index);
+      completed++;
+      if (onProgress) onProgress(completed, items.length, results[index], index);
+    })));
+
+    return results;
+  }
+}
+
+const providerPools = new Map();
+
+/**
+ * Configured concurrency for a provider ({PROVIDER}_CONCURRENCY, e.g. LOCAL_CONCURRENCY)
+ * @param {string} provider - LLM provider name from config/llm.json, or "jina"
+ * @returns {number}
+ */
+export function getProviderConcurrency(provider) {
+  const fromEnv = parseInt(process.env[`${provider.toUpperCase()}_CONCURRENCY`], 10);
+  return fromEnv > 0 ? fromEnv : (DEFAULT_CONCURRENCY[provider] || 1);
+}
+
+/**
+ * Shared pool that caps in-flight calls to one provider across all nodes
+ * Wrap individual API calls with it - never a task that itself waits on the
+ * same pool, or the pool can deadlock. Per-lead fan-out uses its own WorkPool.
+ * @param {string} provider - LLM provider name from config/llm.json, or "jina"
+ * @returns {WorkPool}
+ */
+export function getProviderPool(provider) {
+  if (!providerPools.has(provider)) {
+    providerPools.set(provider, new WorkPool(getProviderConcurrency(provider), provider));
+  }
+  return providerPools.get(provider);
+}
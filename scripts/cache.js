@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getCacheStats, purgeCache, getCacheTtlMs, isCacheEnabled } from '../lib/llm-cache.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.dirname(__dirname);
+
+/**
+ * Inspect and purge the LLM response cache (profiles/.llm-cache)
+ */
+class CacheCli {
+  constructor() {
+    this.profilesDir = path.join(projectRoot, 'profiles');
+  }
+
+  /**
+   * Print what the cache holds
+   */
+  async stats() {
+    const stats = await getCacheStats(this.profilesDir);
+
+    console.log('🗄️  LLM response cache');
+    console.log('=' .repeat(60));
+    console.log(`📁 ${stats.dir}`);
+    console.log(`${isCacheEnabled() ? '✅ Enabled' : '⏸️  Disabled (LLM_CACHE=off or cassette mode)'} - TTL ${Math.round(getCacheTtlMs() / 3600000)}h`);
+    console.log(`📦 ${stats.entries} responses (${stats.expired} expired), ${(stats.bytes / 1024).toFixed(1)} KB`);
+    for (const [task, count] of Object.entries(stats.by_task).sort((a, b) => b[1] - a[1])) {
+      console.log(`   ${String(count).padStart(5)}  ${task}`);
+    }
+  }
+
+  /**
+   * Delete cached responses
+   * @param {Object} options - expiredOnly, node
+   */
+  async purge(options) {
+    const deleted = await purgeCache(this.profilesDir, options);
+    const scope = [options.expiredOnly && 'expired', options.node].filter(Boolean).join(' ');
+    console.log(`🧹 Deleted ${deleted} ${scope ? `${scope} ` : ''}cached response(s)`);
+  }
+}
+
+/**
+ * CLI handler
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const cli = new CacheCli();
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+🗄️  LLM Cache - Reuse LLM answers across reruns
+
+Usage:
+  node scripts/cache.js [stats]
+  node scripts/cache.js purge [--expired] [--node <node>]
+
+Options:
+  --expired        Only delete entries older than the TTL
+  --node <node>    Only delete entries of one node, e.g. EnrichNode
+
+Examples:
+  # See what is cached
+  node scripts/cache.js
+
+  # Start from scratch after changing prompts
+  node scripts/cache.js purge
+
+  # Re-run intelligence extraction for real, keep everything else
+  node scripts/cache.js purge --node EnrichNode
+
+Cache:
+  Every LLM call is cached in profiles/.llm-cache, keyed on provider, model,
+  prompt, sampling settings and the version of its output schema, so reruns of
+  developer-mode.js or resume-enrich.js don't pay twice for the same prompt.
+  LLM_CACHE=off (or --no-cache on the pipeline scripts) disables it,
+  LLM_CACHE_TTL_HOURS sets the TTL (default 168) and LLM_CACHE_DIR moves it.
+`);
+    process.exit(0);
+  }
+
+  const nodeIndex = args.indexOf('--node');
+  const node = nodeIndex >= 0 ? args[nodeIndex + 1] : null;
+  const [command = 'stats'] = args.filter((arg, index) => !arg.startsWith('--') && (nodeIndex < 0 || index !== nodeIndex + 1));
+
+  try {
+    if (command === 'purge') {
+      await cli.purge({ expiredOnly: args.includes('--expired'), node });
+    } else if (command === 'stats') {
+      await cli.stats();
+    } else {
+      throw new Error(`Unknown command "${command}" (use stats or purge)`);
+    }
+  } catch (error) {
+    console.error('❌ Cache error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run CLI
+main();
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJson, writeJson, appendLog } from '../lib/utils.js';
+import { loadCustomers, getCustomers } from '../lib/customers.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.dirname(__dirname);
+
+/**
+ * Manage the closed-won customers a run's personas are built from
+ */
+class CustomersCli {
+  constructor() {
+    this.profilesDir = path.join(projectRoot, 'profiles');
+  }
+
+  /**
+   * Load a run's state
+   * @param {string} runId
+   * @returns {Promise<{state: Object, save: function(): Promise<void>, logPath: string}>}
+   */
+  async load(runId) {
+    const statePath = path.join(this.profilesDir, runId, 'state.json');
+    const state = await readJson(statePath);
+    if (!state) {
+      throw new Error(`No state found for ${runId} (${statePath})`);
+    }
+    return {
+      state,
+      save: () => writeJson(statePath, state),
+      logPath: path.join(this.profilesDir, runId, 'scratchbook.log')
+    };
+  }
+
+  /**
+   * Print the customers of a run with the persona each one supports
+   * @param {Object} state
+   */
+  list(state) {
+    const customers = getCustomers(state);
+    if (customers.length === 0) {
+      console.log(`No customers imported for ${state.run_id}`);
+      return;
+    }
+
+    console.log(`🏆 Customers of ${state.run_id}: ${customers.length} from ${state.profile.customers.source}`);
+    console.log('=' .repeat(60));
+    for (const customer of customers) {
+      const personas = (state.personas || []).filter(persona => persona.customer_ids?.includes(customer.id));
+      console.log(`${customer.id.padEnd(5)} ${customer.company || '-'} - ${customer.title || '-'}${customer.industry ? `, ${customer.industry}` : ''}${customer.size ? `, ${customer.size}` : ''}`);
+      console.log(`      → ${personas.length > 0 ? personas.map(persona => persona.name).join(', ') : 'no persona'}`);
+    }
+  }
+
+  /**
+   * Run one command against a run's customers
+   * @param {string} runId
+   * @param {string} command
+   * @param {string[]} rest - positional arguments after the command
+   */
+  async execute(runId, command, rest) {
+    const { state, save, logPath } = await this.load(runId);
+
+    if (command === 'list') {
+      this.list(state);
+      return;
+    }
+
+    if (command === 'import') {
+      if (!rest[0]) {
+        throw new Error('import needs a CSV file');
+      }
+      const { skipped, ...customers } = await loadCustomers(rest[0]);
+      state.profile.customers = customers;
+      await save();
+      await appendLog(logPath, `CUSTOMERS imported from ${customers.source}: ${customers.records.length} closed-won customers`);
+
+      console.log(`✅ Imported ${customers.records.length} customers from ${customers.source} (replacing any earlier list)`);
+      if (skipped.length > 0) {
+        console.log(`⚠️  Skipped ${skipped.length} row(s):`);
+        skipped.slice(0, 10).forEach(problem => console.log(`   • ${problem}`));
+        if (skipped.length > 10) console.log(`   … and ${skipped.length - 10} more`);
+      }
+    } else if (command === 'clear') {
+      delete state.profile.customers;
+      await save();
+      console.log(`🗑️  Removed the customers of ${runId}`);
+    } else {
+      throw new Error(`Unknown command "${command}" (use list, import or clear)`);
+    }
+    console.log(`\nRegenerate the personas with: node scripts/run-pipeline.js full profiles/${runId}/state.json --from persona`);
+  }
+}
+
+/**
+ * CLI handler
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const cli = new CustomersCli();
+
+  if (args.includes('--help') || args.includes('-h') || args.length === 0) {
+    console.log(`
+🏆 Customers - Build lookalike personas from the customers you've already won
+
+Usage:
+  node scripts/customers.js <run_id> [list]
+  node scripts/customers.js <run_id> import <file.csv>
+  node scripts/customers.js <run_id> clear
+
+Commands:
+  list      Print the run's customers and the persona each one supports (default)
+  import    Replace the run's customers with a CSV
+  clear     Remove the run's customers (personas come from the intake answers only)
+
+Customers CSV:
+  One row per closed-won customer. Columns are matched by name:
+    title     title, contact_title, job_title, role
+    company   company, company_name, account, account_name, organization
+    industry  industry, vertical, sector, segment
+    size      size, company_size, employees, employee_count, headcount
+    notes     deal_notes, notes, why_won, win_reason, use_case, description
+    name      contact, contact_name, name, full_name
+  A row needs a company or a title.
+
+Personas are clusters of these customers: their title, company and search_query
+come from the data, and each lists the customers behind it in customer_ids
+(shown in persona review). Without an OpenAI key customers are grouped by job
+function and industry.
+
+New campaigns take the file at intake:
+  node scripts/run-pipeline.js full --customers exports/closed-won.csv
+  (or customers: in a brief)
+
+Examples:
+  node scripts/customers.js p_20250726_1445 import exports/closed-won.csv
+  node scripts/run-pipeline.js full profiles/p_20250726_1445/state.json --from persona
+  node scripts/customers.js p_20250726_1445 list
+`);
+    process.exit(0);
+  }
+
+  const [runId, command = 'list', ...rest] = args.filter(arg => !arg.startsWith('--'));
+
+  try {
+    await cli.execute(runId, command, rest);
+  } catch (error) {
+    console.error('❌ Customers error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run CLI
+main();
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Router } from '../lib/router.js';
+import { readJson, writeJson } from '../lib/utils.js';
+import { listDeadLetters, buildRequeueMessages, markRequeued } from '../lib/dead-letter.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.dirname(__dirname);
+
+/**
+ * Inspect and requeue the dead letters of a run (state.dead_letters)
+ */
+class DeadLetters {
+  constructor() {
+    this.ctx = {
+      timezone: process.env.TIMEZONE || 'Europe/Paris',
+      profilesDir: path.join(projectRoot, 'profiles')
+    };
+  }
+
+  /**
+   * Load the state of a run
+   * @param {string} runId
+   * @returns {Promise<{state: Object, statePath: string}>}
+   */
+  async loadState(runId) {
+    const statePath = path.join(this.ctx.profilesDir, runId, 'state.json');
+    const state = await readJson(statePath);
+    if (!state) {
+      throw new Error(`No state found for ${runId} (${statePath})`);
+    }
+    return { state, statePath };
+  }
+
+  /**
+   * Print dead letters
+   * @param {string} runId
+   * @param {Object} options - all (include requeued), kind
+   */
+  async list(runId, options) {
+    const { state } = await this.loadState(runId);
+    const deadLetters = listDeadLetters(state, {
+      status: options.all ? null : 'open',
+      kind: options.kind
+    });
+
+    if (deadLetters.length === 0) {
+      console.log(`✅ No ${options.all ? '' : 'open '}dead letters for ${runId}`);
+      return;
+    }
+
+    console.log(`🪦 Dead letters for ${runId}`);
+    console.log('=' .repeat(60));
+    for (const dl of deadLetters) {
+      const icon = dl.status === 'open' ? '❌' : '🔄';
+      console.log(`${icon} ${dl.id} ${dl.kind.padEnd(8)} ${dl.node} "${dl.item_id}"`);
+      console.log(`   ${dl.error_class} after ${dl.attempts} attempt(s): ${dl.error}`);
+      if (dl.requeued_at) console.log(`   requeued at ${dl.requeued_at}`);
+    }
+    console.log(`\n💡 Requeue with: node scripts/dead-letters.js ${runId} requeue [ids...]`);
+  }
+
+  /**
+   * Send open dead letters back to the nodes that failed them
+   * Entries are marked requeued before dispatch - anything that fails again
+   * is dead-lettered anew by the node or the router.
+   * @param {string} runId
+   * @param {string[]} ids - dead letter ids, all open ones when empty
+   * @param {Object} options - kind
+   */
+  async requeue(runId, ids, options) {
+    const { state, statePath } = await this.loadState(runId);
+    const deadLetters = listDeadLetters(state, { status: 'open', kind: options.kind, ids });
+
+    if (deadLetters.length === 0) {
+      console.log(`✅ Nothing to requeue for ${runId}`);
+      return;
+    }
+
+    const requeues = buildRequeueMessages(state, deadLetters);
+    markRequeued(deadLetters);
+    await writeJson(statePath, state);
+
+    console.log(`🔄 Requeuing ${deadLetters.length} dead letter(s) as ${requeues.length} message(s)`);
+
+    // Dead-lettered messages go through their failed journal entry, so resume won't replay them once done
+    const router = new Router();
+    for (const { message, entryId } of requeues) {
+      console.log(`\n📨 ${message.event}: → ${message.to}${entryId ? ` (journal entry ${entryId})` : ''}`);
+      await router.dispatch(message, this.ctx, { entryId });
+    }
+
+    const { state: updated } = await this.loadState(runId);
+    const open = listDeadLetters(updated, { status: 'open' }).length;
+    console.log(open > 0
+      ? `\n⚠️  ${open} dead letter(s) still open - run "node scripts/dead-letters.js ${runId}" to see them`
+      : '\n✅ Requeue finished with no open dead letters');
+  }
+}
+
+/**
+ * CLI handler
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const cli = new DeadLetters();
+
+  if (args.includes('--help') || args.includes('-h') || args.length === 0) {
+    console.log(`
+🪦 Dead Letters - Work items that still failed after retries
+
+Usage:
+  node scripts/dead-letters.js <run_id> [list] [--all] [--kind <kind>]
+  node scripts/dead-letters.js <run_id> requeue [ids...] [--kind <kind>]
+
+Options:
+  --all            Include dead letters that were already requeued
+  --kind <kind>    Only message, query, lead or investor entries
+
+Examples:
+  # See what failed
+  node scripts/dead-letters.js p_20250726_1445
+
+  # Retry everything that is still open
+  node scripts/dead-letters.js p_20250726_1445 requeue
+
+  # Retry two specific entries
+  node scripts/dead-letters.js p_20250726_1445 requeue dl_0002 dl_0005
+
+Dead letters:
+  Retry policies per node live in lib/retry.js. When a search query, a lead,
+  an investor or a whole routed message still fails, it's saved in
+  state.dead_letters with its error class. Requeuing sends queries back to
+  SearchNode, leads to EnrichNode, investors to InvestorEnrichNode, and
+  replays failed messages as-is.
+`);
+    process.exit(0);
+  }
+
+  const kindIndex = args.indexOf('--kind');
+  const kind = kindIndex >= 0 ? args[kindIndex + 1] : null;
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && (kindIndex < 0 || index !== kindIndex + 1));
+  const [runId, command = 'list', ...ids] = positional;
+
+  try {
+    if (command === 'requeue') {
+      await cli.requeue(runId, ids, { kind });
+    } else if (command === 'list') {
+      await cli.list(runId, { all: args.includes('--all'), kind });
+    } else {
+      throw new Error(`Unknown command "${command}" (use list or requeue)`);
+    }
+  } catch (error) {
+    console.error('❌ Dead letters error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run CLI
+main();
@@ -4,8 +4,8 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { Router } from '../lib/router.js';
-import { EventTypes, NodeIds } from '../lib/types.js';
-import { getCurrentTimestamp, readJson } from '../lib/utils.js';
+import { PipelineRunner, loadPipelineSpec } from '../lib/pipeline-runner.js';
+import { readJson } from '../lib/utils.js';
 
 // Load environment variables
 dotenv.config();
@@ -59,15 +59,25 @@ class DeveloperMode {
         console.log(`🤖 Enrichment: ${enrichmentCount} follow-up answers collected`);
       }
 
-      // Determine message to send based on phase
-      const message = this.createPhaseMessage(state.run_id, startPhase);
+      // Run just the requested stage of the full pipeline spec
+      const spec = await loadPipelineSpec('full');
+      const runner = new PipelineRunner(spec, this.router, this.ctx);
       
       console.log(`\n🚀 Jumping to ${startPhase.toUpperCase()} phase`);
-      console.log(`   Event: ${message.event}`);
-      console.log(`   From: ${message.from} → To: ${message.to}`);
       
-      // Dispatch message
-      await this.router.dispatch(message, this.ctx);
+      await runner.run({
+        runId: state.run_id,
+        only: startPhase,
+        source: 'DeveloperMode',
+        payload: {
+          developer_mode: true,
+          phase_jump: startPhase
+        },
+        onStage: stage => {
+          console.log(`   Event: ${stage.event}`);
+          console.log(`   From: DeveloperMode → To: ${stage.node}`);
+        }
+      });
       
       console.log('\n✨ Developer mode completed!');
       console.log(`📁 Check ${profilePath} for updates`);
@@ -78,54 +88,6 @@ class DeveloperMode {
     }
   }
 
-  /**
-   * Create appropriate message for phase
-   * @param {string} runId 
-   * @param {string} phase
-   * @returns {Object}
-   */
-  createPhaseMessage(runId, phase) {
-    const phaseMap = {
-      'persona': {
-        event: EventTypes.INTAKE_READY,
-        from: 'DeveloperMode',
-        to: NodeIds.PERSONA
-      },
-      'search': {
-        event: EventTypes.PERSONAS_READY,
-        from: 'DeveloperMode', 
-        to: NodeIds.SEARCH
-      },
-      'enrich': {
-        event: EventTypes.SEARCH_READY,
-        from: 'DeveloperMode',
-        to: NodeIds.ENRICH
-      },
-      'outreach': {
-        event: EventTypes.ENRICH_READY,
-        from: 'DeveloperMode',
-        to: NodeIds.OUTREACH
-      }
-    };
-
-    const config = phaseMap[phase];
-    if (!config) {
-      throw new Error(`Unknown phase: ${phase}. Available: ${Object.keys(phaseMap).join(', ')}`);
-    }
-
-    return {
-      run_id: runId,
-      event: config.event, 
-      from: config.from,
-      to: config.to,
-      payload: {
-        developer_mode: true,
-        phase_jump: phase
-      },
-      ts: getCurrentTimestamp()
-    };
-  }
-
   /**
    * Show available profiles
    */
@@ -166,8 +128,8 @@ async function main() {
 🔧 Developer Mode - Skip Phases and Jump to Specific Nodes
 
 Usage:
-  npm run dev-mode <profile_path> [phase]
-  node scripts/developer-mode.js <profile_path> [phase]
+  npm run dev-mode <profile_path> [phase] [--no-cache]
+  node scripts/developer-mode.js <profile_path> [phase] [--no-cache]
 
 Examples:
   # Jump to persona generation
@@ -185,12 +147,18 @@ Examples:
   # List available profiles
   npm run dev-mode --list
 
+  # Re-run enrichment without reusing cached LLM answers
+  npm run dev-mode profiles/p_20250726_0957/state.json enrich --no-cache
+
 Available Phases:
-  persona  - Generate 5 target personas (default)
+  persona  - Generate target personas, pending review (default)
+  review   - Approve, edit, regenerate, delete or add personas
   search   - Search for leads with RocketReach enrichment
   enrich   - Extract competitive intelligence from leads
   outreach - Generate personalized outreach messages and CSV
 
+Phases are the stage ids of pipelines/full.json.
+
 Profile Path Examples:
   profiles/p_20250726_0957/state.json
   /absolute/path/to/state.json
@@ -206,8 +174,11 @@ This allows you to skip the intake process and work with existing profiles.
     process.exit(0);
   }
 
-  const profilePath = args[0];
-  const phase = args[1] || 'persona';
+  if (args.includes('--no-cache')) {
+    process.env.LLM_CACHE = 'off';
+  }
+
+  const [profilePath, phase = 'persona'] = args.filter(arg => arg !== '--no-cache');
 
   if (!profilePath || profilePath.startsWith('--')) {
     console.error('❌ Profile path required');
@@ -5,8 +5,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import readline from 'readline';
 import { Router } from '../lib/router.js';
-import { EventTypes, NodeIds } from '../lib/types.js';
-import { generateRunId, getCurrentTimestamp, ensureDir, readJson } from '../lib/utils.js';
+import { PipelineRunner, loadPipelineSpec } from '../lib/pipeline-runner.js';
+import { generateRunId, ensureDir, readJson } from '../lib/utils.js';
 
 // Load environment variables
 dotenv.config();
@@ -45,80 +45,7 @@ class FullPipeline {
       
       console.log(`📡 Available nodes: ${this.router.getAvailableNodes().join(', ')}`);
       
-      // Step 1: Intake (collect user input)
-      console.log('\n🎯 STEP 1: INTAKE - Collecting user context');
-      console.log('─'.repeat(50));
-      
-      const intakeMessage = {
-        run_id: runId,
-        event: EventTypes.START,
-        from: 'FullPipeline',
-        to: NodeIds.INTAKE,
-        payload: { pipeline_mode: 'complete' },
-        ts: getCurrentTimestamp()
-      };
-      
-      await this.router.dispatch(intakeMessage, this.ctx);
-      
-      // Step 2: Generate Personas
-      console.log('\n👥 STEP 2: PERSONAS - Generating target personas');
-      console.log('─'.repeat(50));
-      
-      const personaMessage = {
-        run_id: runId,
-        event: EventTypes.INTAKE_READY,
-        from: 'FullPipeline',
-        to: NodeIds.PERSONA,
-        payload: { pipeline_mode: 'complete' },
-        ts: getCurrentTimestamp()
-      };
-      
-      await this.router.dispatch(personaMessage, this.ctx);
-      
-      // Step 3: Search for Leads
-      console.log('\n🔍 STEP 3: SEARCH - Finding and enriching leads with RocketReach');
-      console.log('─'.repeat(50));
-      
-      const searchMessage = {
-        run_id: runId,
-        event: EventTypes.PERSONAS_READY,
-        from: 'FullPipeline',
-        to: NodeIds.SEARCH,
-        payload: { pipeline_mode: 'complete' },
-        ts: getCurrentTimestamp()
-      };
-      
-      await this.router.dispatch(searchMessage, this.ctx);
-      
-      // Step 4: Competitive Intelligence Analysis
-      console.log('\n🧠 STEP 4: ENRICH - Extracting competitive intelligence');
-      console.log('─'.repeat(50));
-      
-      const enrichMessage = {
-        run_id: runId,
-        event: EventTypes.SEARCH_READY,
-        from: 'FullPipeline',
-        to: NodeIds.ENRICH,
-        payload: { pipeline_mode: 'complete' },
-        ts: getCurrentTimestamp()
-      };
-      
-      await this.router.dispatch(enrichMessage, this.ctx);
-      
-      // Step 5: Generate Outreach Messages
-      console.log('\n📧 STEP 5: OUTREACH - Generating personalized messages and CSV export');
-      console.log('─'.repeat(50));
-      
-      const outreachMessage = {
-        run_id: runId,
-        event: EventTypes.ENRICH_READY,
-        from: 'FullPipeline',
-        to: NodeIds.OUTREACH,
-        payload: { pipeline_mode: 'complete' },
-        ts: getCurrentTimestamp()
-      };
-      
-      await this.router.dispatch(outreachMessage, this.ctx);
+      await this.runStages(runId, { resume: false });
       
       // Final Summary
       console.log('\n🎉 PIPELINE COMPLETED SUCCESSFULLY!');
@@ -160,66 +87,8 @@ class FullPipeline {
       console.log(`👥 Personas: ${hasPersonas ? `${state.personas.length} available` : 'Missing'}`);
       console.log(`🔍 Leads: ${hasLeads ? `${state.leads.length} available` : 'Missing'}`);
       
-      // Determine where to start based on what exists
-      if (!hasPersonas) {
-        console.log('\n👥 STEP 1: PERSONAS - Generating target personas');
-        console.log('─'.repeat(50));
-        
-        const personaMessage = {
-          run_id: state.run_id,
-          event: EventTypes.INTAKE_READY,
-          from: 'FullPipeline',
-          to: NodeIds.PERSONA,
-          payload: { pipeline_mode: 'resume' },
-          ts: getCurrentTimestamp()
-        };
-        
-        await this.router.dispatch(personaMessage, this.ctx);
-      }
-      
-      if (!hasLeads || hasPersonas) {
-        console.log('\n🔍 STEP 2: SEARCH - Finding leads and RocketReach enrichment');
-        console.log('─'.repeat(50));
-        
-        const searchMessage = {
-          run_id: state.run_id,
-          event: EventTypes.PERSONAS_READY,
-          from: 'FullPipeline',
-          to: NodeIds.SEARCH,
-          payload: { pipeline_mode: 'resume' },
-          ts: getCurrentTimestamp()
-        };
-        
-        await this.router.dispatch(searchMessage, this.ctx);
-      }
-      
-      console.log('\n🧠 STEP 3: ENRICH - Competitive intelligence analysis');
-      console.log('─'.repeat(50));
-      
-      const enrichMessage = {
-        run_id: state.run_id,
-        event: EventTypes.SEARCH_READY,
-        from: 'FullPipeline',
-        to: NodeIds.ENRICH,
-        payload: { pipeline_mode: 'resume' },
-        ts: getCurrentTimestamp()
-      };
-      
-      await this.router.dispatch(enrichMessage, this.ctx);
-      
-      console.log('\n📧 STEP 4: OUTREACH - Generating personalized messages and CSV export');
-      console.log('─'.repeat(50));
-      
-      const outreachMessage = {
-        run_id: state.run_id,
-        event: EventTypes.ENRICH_READY,
-        from: 'FullPipeline',
-        to: NodeIds.OUTREACH,
-        payload: { pipeline_mode: 'resume' },
-        ts: getCurrentTimestamp()
-      };
-      
-      await this.router.dispatch(outreachMessage, this.ctx);
+      // Existing intake and personas are kept; search, enrich and outreach run again
+      await this.runStages(state.run_id, { resume: true });
       
       // Final Summary
       console.log('\n🎉 PIPELINE COMPLETED SUCCESSFULLY!');
@@ -236,6 +105,27 @@ class FullPipeline {
     }
   }
 
+  /**
+   * Run the full pipeline spec through the generic runner
+   * @param {string} runId 
+   * @param {Object} options
+   * @param {boolean} options.resume - apply the spec's skip_when rules to the existing state
+   */
+  async runStages(runId, { resume }) {
+    const spec = await loadPipelineSpec('full');
+    const runner = new PipelineRunner(spec, this.router, this.ctx);
+    
+    await runner.run({
+      runId,
+      resume,
+      source: 'FullPipeline',
+      onStage: (stage, index) => {
+        console.log(`\n🎯 STEP ${index + 1}: ${stage.title}`);
+        console.log('─'.repeat(50));
+      }
+    });
+  }
+
   /**
    * Show comprehensive pipeline summary
    * @param {string} runId 
@@ -449,9 +339,10 @@ Examples:
 
 Pipeline Steps:
   1. 🎯 INTAKE - Collect user context and answers
-  2. 👥 PERSONAS - Generate 5 target personas
-  3. 🔍 SEARCH - Find leads + RocketReach contact enrichment
-  4. 🧠 ENRICH - Extract competitive intelligence
+  2. 👥 PERSONAS - Generate target personas (5 unless the plan or --personas says otherwise)
+  3. 🧐 REVIEW - Approve, edit, regenerate, delete or add personas
+  4. 🔍 SEARCH - Find leads + RocketReach contact enrichment (approved personas only)
+  5. 🧠 ENRICH - Extract competitive intelligence
 
 Features:
   ✅ Automatic RocketReach contact data enhancement
@@ -83,7 +83,7 @@ This will:
   2. Ask 7 mode-specific questions  
   3. Save to profiles/{run_id}/state.json
   4. Log to profiles/{run_id}/scratchbook.log
-  5. Emit message to PlanNode (stub)
+  5. Emit message to PlanNode (value prop + campaign plan)
 
 Environment:
   TIMEZONE=${process.env.TIMEZONE || 'Europe/Paris'}
@@ -91,7 +91,7 @@ Environment:
 Phase 1 Scope:
   ✅ IntakeNode - User input collection
   ✅ Router - Message dispatching  
-  ✅ PlanNode - Stub (no LLM calls)
+  ✅ PlanNode - Value proposition, stage caps & rules
   ❌ GPT-4o, Jina, SendGrid (Phase 2+)
 `);
   process.exit(0);
@@ -5,8 +5,10 @@ import fs from 'fs';
 import { fileURLToPath } from 'url';
 import readline from 'readline';
 import { Router } from '../lib/router.js';
-import { EventTypes, NodeIds } from '../lib/types.js';
-import { generateRunId, getCurrentTimestamp, ensureDir, readJson } from '../lib/utils.js';
+import { PipelineRunner, loadPipelineSpec } from '../lib/pipeline-runner.js';
+import { generateRunId, ensureDir, readJson } from '../lib/utils.js';
+import { WebsiteDrafter } from '../lib/website-drafter.js';
+import { LLMEnricher } from '../lib/llm-enricher.js';
 
 dotenv.config();
 
@@ -25,8 +27,10 @@ class InvestorPipeline {
 
   /**
    * Run complete investor pipeline from company intake to investor outreach
+   * @param {Object} [options]
+   * @param {string} [options.website] - our company URL to draft answers from
    */
-  async runComplete() {
+  async runComplete({ website } = {}) {
     try {
       console.log('💰 INVESTOR PIPELINE - Starting complete fundraising pipeline');
       console.log('=' .repeat(60));
@@ -38,53 +42,27 @@ class InvestorPipeline {
       console.log('\n🏢 STEP 1: COMPANY INTAKE - Collecting company information');
       console.log('─'.repeat(50));
       
-      const companyAnswers = await this.collectCompanyAnswers();
+      const companyAnswers = await this.collectCompanyAnswers(website);
       
-      // Start the pipeline with intake message
-      const intakeMessage = {
-        run_id: runId,
-        event: EventTypes.START,
-        from: 'InvestorPipeline',
-        to: NodeIds.INVESTOR_INTAKE,
-        payload: { answers: companyAnswers },
-        ts: getCurrentTimestamp()
-      };
-      
-      // Let the pipeline flow naturally through message routing
+      // Intake is dispatched; each investor node hands its results to the next one
       console.log('\n🚀 Starting investor pipeline flow...');
-      let currentMessage = intakeMessage;
-      let stepCount = 1;
+      const spec = await loadPipelineSpec('investor');
+      const runner = new PipelineRunner(spec, this.router, this.ctx);
       
-      while (currentMessage && currentMessage.to !== 'COMPLETE') {
-        console.log(`\n📡 Step ${stepCount}: Dispatching ${currentMessage.event} to ${currentMessage.to}`);
-        stepCount++;
-        
-        // Dispatch current message and get next message
-        const nextMessage = await this.router.dispatch(currentMessage, this.ctx);
-        
-        if (!nextMessage) {
-          console.log('❌ Pipeline stopped - no next message returned');
-          break;
-        }
-        
-        currentMessage = nextMessage;
-        
-        // Prevent infinite loops
-        if (stepCount > 10) {
-          console.log('⚠️ Pipeline stopped - too many steps (possible loop)');
-          break;
+      await runner.run({
+        runId,
+        source: 'InvestorPipeline',
+        payload: { answers: companyAnswers },
+        onStage: (stage, index) => {
+          console.log(`\n📡 Step ${index + 1}: ${stage.title}`);
         }
-      }
+      });
       
-      if (currentMessage && currentMessage.to === 'COMPLETE') {
-        console.log('\n🎉 INVESTOR PIPELINE COMPLETED SUCCESSFULLY!');
-        console.log('=' .repeat(60));
-        
-        await this.showInvestorPipelineSummary(runId);
-        await this.promptInvestorOutreach(runId);
-      } else {
-        console.log('\n❌ Pipeline incomplete or stopped unexpectedly');
-      }
+      console.log('\n🎉 INVESTOR PIPELINE COMPLETED SUCCESSFULLY!');
+      console.log('=' .repeat(60));
+      
+      await this.showInvestorPipelineSummary(runId);
+      await this.promptInvestorOutreach(runId);
       
     } catch (error) {
       console.error('💥 Investor pipeline error:', error.message);
@@ -94,9 +72,17 @@ class InvestorPipeline {
 
   /**
    * Collect company information interactively
+   * With a website, company_name/technology/traction are drafted from it and the
+   * user confirms (Enter) or edits them; answers the LLM classifier finds weak can
+   * be improved once.
+   * @param {string} [website] - our company URL
    * @returns {Promise<Object>} Company answers
    */
-  async collectCompanyAnswers() {
+  async collectCompanyAnswers(website) {
+    const drafts = website ? await this.draftCompanyAnswers(website) : {};
+    const enricher = new LLMEnricher();
+    const classify = website && enricher.isConfigured();
+
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout
@@ -117,17 +103,52 @@ class InvestorPipeline {
 
     console.log('📝 Please provide information about your company for investor targeting:\n');
 
+    const ask = text => new Promise(resolve => rl.question(text, resolve));
+
     for (const q of questions) {
-      const answer = await new Promise(resolve => {
-        rl.question(`${q.question}\n> `, resolve);
-      });
-      answers[q.key] = answer.trim();
+      const draft = drafts[q.key];
+      let answer;
+      if (draft) {
+        console.log(`${q.question}\n📎 Draft from ${draft.source_url || website}${draft.verified ? '' : ' (supporting sentence not found on the page)'}:\n   ${draft.answer}`);
+        answer = (await ask('> (Enter to keep, or type your own) ')).trim() || draft.answer;
+      } else {
+        answer = (await ask(`${q.question}\n> `)).trim();
+      }
+
+      if (classify && answer) {
+        const { needsEnrichment, reasoning } = await enricher.classifyAnswerRichness(q.question, answer, 'investor');
+        if (needsEnrichment) {
+          console.log(`⚠️  Weak answer: ${reasoning}`);
+          answer = (await ask('> (improve it, or Enter to keep) ')).trim() || answer;
+        }
+      }
+      answers[q.key] = answer;
     }
 
     rl.close();
     return answers;
   }
 
+  /**
+   * Draft company_name/technology/traction from our website; a failure means typing them
+   * @param {string} website
+   * @returns {Promise<Object<string, import('../lib/website-drafter.js').Draft>>}
+   */
+  async draftCompanyAnswers(website) {
+    const drafter = new WebsiteDrafter();
+    if (!drafter.isConfigured()) {
+      console.log('⚠️  The search provider or the LLM provider is not configured - answering without website drafts');
+      return {};
+    }
+    try {
+      const { drafts } = await drafter.draftAnswers(website, 'investor');
+      return drafts;
+    } catch (error) {
+      console.log(`⚠️  Could not draft answers from ${website}: ${error.message} - answering without drafts`);
+      return {};
+    }
+  }
+
   /**
    * Show comprehensive investor pipeline summary
    * @param {string} runId 
@@ -317,10 +338,12 @@ Usage: npm run investor-pipeline [options]
 Options:
   --help, -h     Show this help message
   --list, -l     List available investor profiles
+  --website <url>  Draft company name, technology and traction from our website
 
 Examples:
   npm run investor-pipeline              # Run complete investor pipeline
   npm run investor-pipeline --list       # List investor profiles
+  npm run investor-pipeline -- --website https://example.com
 
 This pipeline will:
 1. 🏢 Collect company information (technology, traction, stage)
@@ -338,7 +361,8 @@ This pipeline will:
   }
 
   // Run complete investor pipeline
-  await pipeline.runComplete();
+  const websiteIndex = args.indexOf('--website');
+  await pipeline.runComplete({ website: websiteIndex >= 0 ? args[websiteIndex + 1] : undefined });
 }
 
 main().catch(console.error); 
\ No newline at end of file
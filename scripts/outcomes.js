@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJson, writeJson, appendLog } from '../lib/utils.js';
+import { NodeIds } from '../lib/types.js';
+import { withRunUsage } from '../lib/usage.js';
+import { PersonaNode } from '../lib/nodes/PersonaNode.js';
+import {
+  OutcomeStatuses, findLead, recordOutcome, parseOutcomesCSV, applyOutcomes,
+  computeConversion, conversionWeight, MIN_CONTACTED_TO_REGENERATE
+} from '../lib/outcomes.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.dirname(__dirname);
+
+/**
+ * Record what happened after outreach and feed it back into the personas
+ */
+class OutcomesCli {
+  constructor() {
+    this.profilesDir = path.join(projectRoot, 'profiles');
+  }
+
+  /**
+   * Load a run's state
+   * @param {string} runId
+   * @returns {Promise<{state: Object, save: function(): Promise<void>, logPath: string}>}
+   */
+  async load(runId) {
+    const statePath = path.join(this.profilesDir, runId, 'state.json');
+    const state = await readJson(statePath);
+    if (!state) {
+      throw new Error(`No state found for ${runId} (${statePath})`);
+    }
+    if (!state.leads || state.leads.length === 0) {
+      throw new Error(`Run ${runId} has no leads yet - run search and outreach first`);
+    }
+    return {
+      state,
+      save: () => writeJson(statePath, state),
+      logPath: path.join(this.profilesDir, runId, 'scratchbook.log')
+    };
+  }
+
+  /**
+   * Print conversion by persona and by outreach angle, with the weight each persona would get
+   * @param {Object} state
+   */
+  report(state) {
+    const conversion = computeConversion(state);
+    const { total } = conversion;
+    const percent = rate => `${Math.round(rate * 100)}%`.padStart(4);
+    const row = (name, stats) =>
+      `   ${name.slice(0, 34).padEnd(34)} ${String(stats.contacted).padStart(9)} ${String(stats.positive).padStart(8)} ${String(stats.meetings).padStart(8)} ${String(stats.won).padStart(4)}   ${percent(stats.reply_rate)} reply, ${percent(stats.meeting_rate)} meeting`;
+    const header = `   ${''.padEnd(34)} contacted positive meetings  won`;
+
+    console.log(`📈 Outcomes of ${state.run_id}: ${conversion.recorded} of ${state.leads.length} leads recorded`);
+    console.log('=' .repeat(60));
+    console.log(header);
+    console.log(row('Campaign', total));
+
+    console.log('\n🎭 By persona');
+    for (const [name, stats] of Object.entries(conversion.by_persona)) {
+      const weight = conversionWeight(stats, total);
+      console.log(`${row(name, stats)}${weight !== null ? `   → weight ${weight}` : ''}`);
+    }
+
+    console.log('\n💬 By outreach angle');
+    for (const [angle, stats] of Object.entries(conversion.by_angle)) {
+      console.log(row(angle, stats));
+    }
+
+    if (conversion.recorded === 0) {
+      console.log('\nℹ️  No outcomes yet - import a results CSV or set them one by one');
+    } else if (!total.score) {
+      console.log('\nℹ️  No positive replies yet - nothing to reweight toward');
+    }
+  }
+
+  /**
+   * Run one command against a run's leads
+   * @param {string} runId
+   * @param {string} command
+   * @param {string[]} rest - positional arguments after the command
+   * @param {function(string): string|undefined} valueOf - flag reader
+   * @param {string[]} args - every argument, for boolean flags
+   */
+  async execute(runId, command, rest, valueOf, args) {
+    const { state, save, logPath } = await this.load(runId);
+
+    if (command === 'report') {
+      this.report(state);
+      return;
+    }
+
+    if (command === 'import') {
+      if (!rest[0]) {
+        throw new Error('import needs a CSV file');
+      }
+      const resolved = path.resolve(rest[0]);
+      const { rows, skipped } = parseOutcomesCSV(await fs.readFile(resolved, 'utf8'));
+      const { matched, unmatched } = applyOutcomes(state, rows, `csv:${path.basename(resolved)}`);
+      await save();
+      await appendLog(logPath, `OUTCOMES imported from ${path.basename(resolved)}: ${matched} leads`);
+
+      console.log(`✅ Recorded ${matched} outcome(s) from ${path.basename(resolved)}`);
+      for (const [label, problems] of [['Skipped', skipped], ['No matching lead for', unmatched]]) {
+        if (problems.length === 0) continue;
+        console.log(`⚠️  ${label} ${problems.length} row(s):`);
+        problems.slice(0, 10).forEach(problem => console.log(`   • ${problem}`));
+        if (problems.length > 10) console.log(`   … and ${problems.length - 10} more`);
+      }
+    } else if (command === 'set') {
+      const [ref, status] = rest;
+      if (!ref || !status) {
+        throw new Error('set needs a lead and a status');
+      }
+      const lead = findLead(state.leads, {
+        email: ref.includes('@') ? ref : undefined,
+        linkedin_url: ref.includes('linkedin.com') ? ref : undefined,
+        id: ref,
+        name: ref
+      });
+      if (!lead) {
+        throw new Error(`No lead "${ref}" (use an email, LinkedIn URL, lead id or name)`);
+      }
+      const outcome = recordOutcome(lead, status, { notes: valueOf('--notes') || '' });
+      await save();
+      console.log(`✅ ${lead.name} (${lead.persona_id}): ${outcome.status}`);
+    } else if (command === 'refine') {
+      const { reweighted, regenerated } = await withRunUsage(state, { runId, profilesDir: this.profilesDir, node: NodeIds.PERSONA },
+        () => new PersonaNode().refinePersonas(state, { regenerate: !args.includes('--no-regenerate') }));
+      await save();
+      await appendLog(logPath, `PERSONAS refined from outcomes: ${reweighted.length} reweighted, ${regenerated.length} regenerated`);
+
+      reweighted.forEach(change => console.log(`⚖️  ${change.persona}: weight ${change.from} → ${change.to}`));
+      regenerated.forEach(change => console.log(`🔄 ${change.from} replaced by ${change.to} (pending review)`));
+      if (reweighted.length === 0 && regenerated.length === 0) {
+        console.log('ℹ️  Nothing to change - not enough outcomes to tell the personas apart');
+        return;
+      }
+      console.log(`\nNext: node scripts/run-pipeline.js full profiles/${runId}/state.json --from review`);
+    } else {
+      throw new Error(`Unknown command "${command}" (use report, import, set or refine)`);
+    }
+  }
+}
+
+/**
+ * CLI handler
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const cli = new OutcomesCli();
+
+  if (args.includes('--help') || args.includes('-h') || args.length === 0) {
+    console.log(`
+📈 Outcomes - Record campaign results and learn from them
+
+Usage:
+  node scripts/outcomes.js <run_id> [report]
+  node scripts/outcomes.js <run_id> import <file.csv>
+  node scripts/outcomes.js <run_id> set <lead> <status> [--notes <text>]
+  node scripts/outcomes.js <run_id> refine [--no-regenerate]
+
+Commands:
+  report    Conversion by persona and by outreach angle (default)
+  import    Record outcomes from a CRM or sequencer export
+  set       Record the outcome of one lead (email, LinkedIn URL, lead id or name)
+  refine    Reweight this run's personas toward what converted, and regenerate
+            personas with no positive reply after ${MIN_CONTACTED_TO_REGENERATE}+ leads (back to pending review)
+
+Statuses: ${Object.values(OutcomeStatuses).join(', ')}
+  CRM words are understood too: "Meeting booked", "Closed won", "Not interested"...
+
+Results CSV:
+  One row per lead with an email, linkedin_url, lead_id or name (+ company) column,
+  and a status / outcome / stage / lead_status / result column - or replied,
+  meeting, won yes/no columns. Leads with outreach but no row count as contacted
+  without a reply.
+
+Examples:
+  node scripts/outcomes.js p_20250726_1445 import exports/sequence-results.csv
+  node scripts/outcomes.js p_20250726_1445 set jane@acme.com meeting --notes "demo Tuesday"
+  node scripts/outcomes.js p_20250726_1445 refine
+
+Learning:
+  refine changes the current run; resume it with --from review to search again.
+  A new campaign learns from this one with:
+    node scripts/run-pipeline.js full --learn-from p_20250726_1445
+  (or learn_from in a brief). Its personas lean toward the personas and angles
+  that converted, and the ones carried over are weighted by conversion.
+`);
+    process.exit(0);
+  }
+
+  const valueFlags = ['--notes'];
+  const valueOf = flag => (args.indexOf(flag) >= 0 ? args[args.indexOf(flag) + 1] : undefined);
+  const [runId, command = 'report', ...rest] = args.filter((arg, index) => !arg.startsWith('--') && !valueFlags.includes(args[index - 1]));
+
+  try {
+    await cli.execute(runId, command, rest, valueOf, args);
+  } catch (error) {
+    console.error('❌ Outcomes error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run CLI
+main();
@@ -6,8 +6,11 @@ import { fileURLToPath } from 'url';
 import readline from 'readline';
 import fs from 'fs/promises';
 import { Router } from '../lib/router.js';
-import { EventTypes, NodeIds } from '../lib/types.js';
-import { generateRunId, getCurrentTimestamp, ensureDir, readJson } from '../lib/utils.js';
+import { PipelineRunner, loadPipelineSpec } from '../lib/pipeline-runner.js';
+import { generateRunId, ensureDir, readJson } from '../lib/utils.js';
+import { isReplaying } from '../lib/cassette.js';
+import { getRequiredLLMKeys } from '../lib/llm-client.js';
+import { getSearchProvider } from '../lib/search/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -39,9 +42,16 @@ class QuickStartPipeline {
     console.log('🔧 CHECKING CONFIGURATION');
     console.log('=' .repeat(50));
     
+    if (isReplaying()) {
+      console.log('📼 CASSETTE_MODE=replay - provider calls come from the cassette, no API keys needed\n');
+      return;
+    }
+    
+    // LLM and search keys depend on the providers chosen in config/llm.json and config/search.json
+    const search = getSearchProvider();
     const requiredKeys = [
-      { key: 'OPENAI_API_KEY', service: 'OpenAI GPT-4o' },
-      { key: 'JINA_API_KEY', service: 'Jina Search API' }
+      ...getRequiredLLMKeys().map(({ key, provider }) => ({ key, service: `LLM provider "${provider}"` })),
+      ...(search.config.api_key_env ? [{ key: search.config.api_key_env, service: `Search provider "${search.name}"` }] : [])
     ];
     
     const missing = [];
@@ -86,8 +96,10 @@ class QuickStartPipeline {
 
   /**
    * Run the complete pipeline from start to finish
+   * @param {Object} [options]
+   * @param {string} [options.website] - our company URL to draft intake answers from
    */
-  async runComplete() {
+  async runComplete({ website } = {}) {
     try {
       console.log('🚀 JIM & DWIGHT - QUICKSTART PIPELINE');
       console.log('💫 Complete AI-Powered Lead Generation System');
@@ -104,25 +116,7 @@ class QuickStartPipeline {
       console.log(`🆔 Pipeline Run ID: ${this.runId}`);
       console.log(`📁 Output will be saved to: profiles/${this.runId}/\n`);
       
-      // Step 1: Intake
-      this.showProgress('INTAKE - Collecting Campaign Context');
-      await this.runIntake();
-      
-      // Step 2: Personas
-      this.showProgress('PERSONAS - Generating Target Profiles'); 
-      await this.runPersonas();
-      
-      // Step 3: Search & Enrichment
-      this.showProgress('SEARCH - Finding & Enriching Leads');
-      await this.runSearch();
-      
-      // Step 4: Intelligence Analysis
-      this.showProgress('INTELLIGENCE - Competitive Analysis');
-      await this.runEnrichment();
-      
-      // Step 5: Outreach Generation
-      this.showProgress('OUTREACH - Generating Personalized Messages');
-      await this.runOutreach();
+      await this.runStages({ resume: false, payload: website ? { website } : {} });
       
       // Show final results
       await this.showFinalResults();
@@ -143,88 +137,26 @@ class QuickStartPipeline {
   }
 
   /**
-   * Run intake step
+   * Run the quickstart pipeline spec through the generic runner
+   * @param {Object} options
+   * @param {boolean} options.resume - skip stages whose output is already in state.json
+   * @param {Object} [options.payload] - extra payload for intake
    */
-  async runIntake() {
-    const message = {
-      run_id: this.runId,
-      event: EventTypes.START,
-      from: 'QuickStartPipeline',
-      to: NodeIds.INTAKE,
-      payload: { pipeline_mode: 'quickstart' },
-      ts: getCurrentTimestamp()
-    };
+  async runStages({ resume, payload = {} }) {
+    const spec = await loadPipelineSpec('quickstart');
+    const runner = new PipelineRunner(spec, this.router, this.ctx);
     
-    await this.router.dispatch(message, this.ctx);
-    console.log('✅ Campaign context collected and enriched with AI');
-  }
-
-  /**
-   * Run personas generation step
-   */
-  async runPersonas() {
-    const message = {
-      run_id: this.runId,
-      event: EventTypes.INTAKE_READY,
-      from: 'QuickStartPipeline',
-      to: NodeIds.PERSONA,
-      payload: { pipeline_mode: 'quickstart' },
-      ts: getCurrentTimestamp()
-    };
-    
-    await this.router.dispatch(message, this.ctx);
-    console.log('✅ Target personas generated with search strategies');
-  }
-
-  /**
-   * Run search and lead enrichment step
-   */
-  async runSearch() {
-    const message = {
-      run_id: this.runId,
-      event: EventTypes.PERSONAS_READY,
-      from: 'QuickStartPipeline',
-      to: NodeIds.SEARCH,
-      payload: { pipeline_mode: 'quickstart' },
-      ts: getCurrentTimestamp()
-    };
-    
-    await this.router.dispatch(message, this.ctx);
-    console.log('✅ Leads found and enriched with RocketReach data');
-  }
-
-  /**
-   * Run competitive intelligence analysis step
-   */
-  async runEnrichment() {
-    const message = {
-      run_id: this.runId,
-      event: EventTypes.SEARCH_READY,
-      from: 'QuickStartPipeline',
-      to: NodeIds.ENRICH,
-      payload: { pipeline_mode: 'quickstart' },
-      ts: getCurrentTimestamp()
-    };
-    
-    await this.router.dispatch(message, this.ctx);
-    console.log('✅ Competitive intelligence extracted for personalization');
-  }
-
-  /**
-   * Run outreach message generation step
-   */
-  async runOutreach() {
-    const message = {
-      run_id: this.runId,
-      event: EventTypes.ENRICH_READY,
-      from: 'QuickStartPipeline',
-      to: NodeIds.OUTREACH,
-      payload: { pipeline_mode: 'quickstart' },
-      ts: getCurrentTimestamp()
-    };
-    
-    await this.router.dispatch(message, this.ctx);
-    console.log('✅ Personalized outreach messages generated and exported');
+    await runner.run({
+      runId: this.runId,
+      resume,
+      payload,
+      source: 'QuickStartPipeline',
+      onStage: (stage, index, total) => {
+        this.totalSteps = total;
+        this.currentStep = index;
+        this.showProgress(stage.title);
+      }
+    });
   }
 
   /**
@@ -353,31 +285,8 @@ class QuickStartPipeline {
       this.runId = state.run_id;
       console.log(`✅ Loaded campaign: ${this.runId}`);
       
-      // Continue from where we left off
-      const hasPersonas = state.personas && state.personas.length > 0;
-      const hasLeads = state.leads && state.leads.length > 0;
-      const hasEnrichment = hasLeads && state.leads.some(lead => lead.personality_analysis);
-      const hasOutreach = state.outreach_metadata && state.outreach_metadata.outreach_messages_generated;
-      
-      if (!hasPersonas) {
-        this.showProgress('PERSONAS - Generating Target Profiles');
-        await this.runPersonas();
-      }
-      
-      if (!hasLeads) {
-        this.showProgress('SEARCH - Finding & Enriching Leads');
-        await this.runSearch();
-      }
-      
-      if (!hasEnrichment) {
-        this.showProgress('INTELLIGENCE - Competitive Analysis');
-        await this.runEnrichment();
-      }
-      
-      if (!hasOutreach) {
-        this.showProgress('OUTREACH - Generating Personalized Messages');
-        await this.runOutreach();
-      }
+      // Continue from where we left off - the spec's skip_when rules decide which stages still run
+      await this.runStages({ resume: true });
       
       await this.showFinalResults();
       
@@ -403,6 +312,7 @@ async function main() {
 Usage:
   npm run quickstart                    # Start new campaign from scratch
   npm run quickstart <profile_path>    # Resume existing campaign
+  npm run quickstart -- --website <url>  # Draft intake answers from our website
   npm run quickstart --help           # Show this help
 
 Examples:
@@ -434,9 +344,11 @@ This script provides the easiest way to run the complete Jim & Dwight pipeline!
   }
 
   // Check if profile path provided for resume
-  const profilePath = args[0];
+  const websiteIndex = args.indexOf('--website');
+  const website = websiteIndex >= 0 ? args[websiteIndex + 1] : undefined;
+  const profilePath = args.find((arg, index) => !arg.startsWith('--') && (websiteIndex < 0 || index !== websiteIndex + 1));
   
-  if (profilePath && !profilePath.startsWith('--')) {
+  if (profilePath) {
     const fullPath = path.isAbsolute(profilePath) 
       ? profilePath 
       : path.join(process.cwd(), profilePath);
@@ -444,7 +356,7 @@ This script provides the easiest way to run the complete Jim & Dwight pipeline!
     await pipeline.runFromExisting(fullPath);
   } else {
     // Start new campaign
-    await pipeline.runComplete();
+    await pipeline.runComplete({ website });
   }
 }
 
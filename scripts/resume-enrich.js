@@ -133,7 +133,7 @@ async function main() {
 🔄 Resume Enrichment - Start from Step 4 (Competitive Intelligence)
 
 Usage:
-  node scripts/resume-enrich.js <state.json>
+  node scripts/resume-enrich.js <state.json> [--no-cache]
 
 Examples:
   # Resume from specific campaign
@@ -153,11 +153,18 @@ Perfect for:
   - Resuming campaigns that failed during competitive analysis
   - Re-running analysis with improved prompts
   - Processing leads that had errors in previous runs
+
+LLM answers for unchanged prompts come from the response cache (profiles/.llm-cache);
+add --no-cache to ask the model again.
 `);
     process.exit(0);
   }
 
-  const statePath = args[0];
+  if (args.includes('--no-cache')) {
+    process.env.LLM_CACHE = 'off';
+  }
+
+  const statePath = args.find(arg => arg !== '--no-cache');
   
   // Resolve path
   const fullPath = path.isAbsolute(statePath) 
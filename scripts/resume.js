@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Router } from '../lib/router.js';
+import { MessageJournal } from '../lib/journal.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.dirname(__dirname);
+
+/**
+ * Resume a run from its message journal - replays the first message that didn't finish
+ */
+class ResumeRun {
+  constructor() {
+    this.ctx = {
+      timezone: process.env.TIMEZONE || 'Europe/Paris',
+      profilesDir: path.join(projectRoot, 'profiles')
+    };
+  }
+
+  /**
+   * Print every journaled message with its status
+   * @param {string} runId
+   */
+  async showStatus(runId) {
+    const journal = new MessageJournal(this.ctx.profilesDir, runId);
+    const entries = await journal.readEntries();
+
+    if (entries.length === 0) {
+      console.log(`⚠️  No journal found for ${runId} (profiles/${runId}/journal.jsonl)`);
+      return;
+    }
+
+    const icons = { pending: '⏳', running: '🏃', done: '✅', failed: '❌' };
+
+    console.log(`📒 Journal for ${runId}`);
+    console.log('=' .repeat(60));
+    for (const entry of entries) {
+      const { message } = entry;
+      console.log(`${icons[entry.status] || '•'} ${entry.id} ${entry.status.padEnd(7)} ${message.event}: ${message.from} → ${message.to}${entry.error ? ` (${entry.error})` : ''}`);
+    }
+
+    const resumePoint = entries.find(entry => entry.status !== 'done');
+    console.log(resumePoint
+      ? `\n🔄 Resume point: ${resumePoint.id} (${resumePoint.message.to})`
+      : '\n✅ All journaled messages are done');
+  }
+
+  /**
+   * Replay the first unfinished message of a run
+   * @param {string} runId
+   */
+  async resume(runId) {
+    try {
+      console.log(`🔄 RESUMING RUN: ${runId}`);
+      console.log('=' .repeat(60));
+
+      const router = new Router();
+      const entry = await router.resume(runId, this.ctx);
+
+      if (entry) {
+        console.log('\n✨ Resume finished');
+        await this.showStatus(runId);
+      }
+    } catch (error) {
+      console.error('💥 Resume failed:', error.message);
+      process.exit(1);
+    }
+  }
+}
+
+/**
+ * CLI handler
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h') || args.length === 0) {
+    console.log(`
+🔄 Resume - Continue a run from its message journal
+
+Usage:
+  npm run resume <run_id>             # Replay the first message that didn't finish
+  npm run resume <run_id> --status    # Show the journal without replaying anything
+
+Examples:
+  npm run resume p_20250726_1621
+  npm run resume p_20250726_1621 --status
+
+How it works:
+  Every message routed between nodes is appended to profiles/<run_id>/journal.jsonl
+  with its status (pending, running, done, failed). If the process dies or a node
+  fails, the first message that never reached "done" is dispatched again, and the
+  pipeline continues from there.
+`);
+    process.exit(0);
+  }
+
+  const runId = args.find(arg => !arg.startsWith('--'));
+  const resumer = new ResumeRun();
+
+  if (args.includes('--status')) {
+    await resumer.showStatus(runId);
+    return;
+  }
+
+  await resumer.resume(runId);
+}
+
+// Run CLI
+main();
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJson, writeJson } from '../lib/utils.js';
+import { NodeIds } from '../lib/types.js';
+import { withRunUsage } from '../lib/usage.js';
+import { PersonaNode } from '../lib/nodes/PersonaNode.js';
+import { PersonaReviewNode } from '../lib/nodes/PersonaReviewNode.js';
+import {
+  PERSONA_FIELDS, getApprovedPersonas, getPendingPersonas, approvePersonas, editPersona,
+  replacePersona, deletePersona, addPersona, setPersonaQuota, findPersona, formatPersonaField, summarizePersona
+} from '../lib/persona-review.js';
+import { describeQuota } from '../lib/quotas.js';
+import { describeSupport } from '../lib/customers.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.dirname(__dirname);
+
+/**
+ * Review the personas of a run before search: approve, edit, regenerate, delete or add
+ */
+class PersonaReviewCli {
+  constructor() {
+    this.profilesDir = path.join(projectRoot, 'profiles');
+  }
+
+  /**
+   * Load a run's state
+   * @param {string} runId
+   * @returns {Promise<{state: Object, save: function(): Promise<void>}>}
+   */
+  async load(runId) {
+    const statePath = path.join(this.profilesDir, runId, 'state.json');
+    const state = await readJson(statePath);
+    if (!state) {
+      throw new Error(`No state found for ${runId} (${statePath})`);
+    }
+    if (!state.personas || state.personas.length === 0) {
+      throw new Error(`Run ${runId} has no personas yet - run the persona stage first`);
+    }
+    return { state, save: () => writeJson(statePath, state) };
+  }
+
+  /**
+   * Print every persona with its fields
+   * @param {Object} state
+   */
+  list(state) {
+    console.log(`🎭 Personas of ${state.run_id}: ${getApprovedPersonas(state).length} approved, ${getPendingPersonas(state).length} pending`);
+    console.log('=' .repeat(60));
+    state.personas.forEach((persona, index) => {
+      console.log(summarizePersona(persona, index));
+      for (const field of Object.keys(PERSONA_FIELDS).filter(field => field !== 'name')) {
+        console.log(`   ${field}: ${formatPersonaField(persona, field)}`);
+      }
+      const support = describeSupport(state, persona, 10);
+      if (support) {
+        console.log(`   lookalike of: ${support}`);
+      }
+      const fill = state.search_metadata?.persona_fill?.[persona.name];
+      if (fill) {
+        console.log(`   last search: ${fill.found}/${fill.target} leads${fill.met ? '' : ' (under quota)'}, ${fill.queries} queries`);
+      }
+    });
+  }
+
+  /**
+   * Run one command against a run's personas
+   * @param {string} runId
+   * @param {string} command
+   * @param {string[]} rest - positional arguments after the command
+   * @param {function(string): string|undefined} valueOf - flag reader
+   */
+  async execute(runId, command, rest, valueOf) {
+    const { state, save } = await this.load(runId);
+
+    // Regenerated personas are LLM calls the run pays for
+    const usage = { runId, profilesDir: this.profilesDir, node: NodeIds.PERSONA };
+
+    if (command === 'review') {
+      await withRunUsage(state, { ...usage, node: NodeIds.PERSONA_REVIEW }, () => new PersonaReviewNode().reviewInteractively(state, save));
+      await save();
+      console.log(`✅ ${getApprovedPersonas(state).length} personas approved for search`);
+      return;
+    }
+    if (command === 'list') {
+      this.list(state);
+      return;
+    }
+
+    if (command === 'approve') {
+      const personas = rest.length > 0 ? rest.map(ref => findPersona(state, ref)) : undefined;
+      console.log(`✅ Approved ${approvePersonas(state, personas)} persona(s)`);
+    } else if (command === 'edit') {
+      const [ref, field, ...words] = rest;
+      if (!ref || !field || words.length === 0) {
+        throw new Error('edit needs a persona, a field and a value');
+      }
+      const persona = findPersona(state, ref);
+      editPersona(state, persona, field, words.join(' '));
+      console.log(`✏️  ${persona.name}: ${field} updated`);
+    } else if (command === 'regenerate') {
+      const feedback = valueOf('--feedback');
+      if (!rest[0] || !feedback) {
+        throw new Error('regenerate needs a persona and --feedback "<what to change>"');
+      }
+      const persona = findPersona(state, rest[0]);
+      console.log('🤖 Regenerating persona...');
+      const replacement = await withRunUsage(state, usage, () => new PersonaNode().regeneratePersona(state, persona, feedback));
+      const regenerated = replacePersona(state, persona, replacement, feedback);
+      console.log(`🔄 ${persona.name} replaced by ${regenerated.name} (pending - approve it to search it)`);
+    } else if (command === 'delete') {
+      if (!rest[0]) {
+        throw new Error('delete needs a persona');
+      }
+      const persona = findPersona(state, rest[0]);
+      deletePersona(state, persona);
+      console.log(`🗑️  Deleted ${persona.name}`);
+    } else if (command === 'quota') {
+      if (!rest[0]) {
+        throw new Error('quota needs a persona');
+      }
+      const persona = findPersona(state, rest[0]);
+      const quota = setPersonaQuota(state, persona, {
+        weight: valueOf('--weight'),
+        min_leads: valueOf('--min'),
+        max_leads: valueOf('--max')
+      });
+      console.log(`🎯 ${persona.name}: ${describeQuota(quota) || 'quota cleared (equal share)'}`);
+    } else if (command === 'add') {
+      const fields = Object.fromEntries(Object.keys(PERSONA_FIELDS).map(field => [field, valueOf(`--${field.replace(/_/g, '-')}`)]));
+      const persona = addPersona(state, fields);
+      console.log(`➕ Added ${persona.name} (approved)`);
+    } else {
+      throw new Error(`Unknown command "${command}" (use review, list, approve, edit, regenerate, quota, delete or add)`);
+    }
+
+    await save();
+  }
+}
+
+/**
+ * CLI handler
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const cli = new PersonaReviewCli();
+
+  if (args.includes('--help') || args.includes('-h') || args.length === 0) {
+    console.log(`
+🧐 Review Personas - Decide which personas search runs on
+
+Usage:
+  node scripts/review-personas.js <run_id> [review]
+  node scripts/review-personas.js <run_id> list
+  node scripts/review-personas.js <run_id> approve [persona...]
+  node scripts/review-personas.js <run_id> edit <persona> <field> <value>
+  node scripts/review-personas.js <run_id> regenerate <persona> --feedback <text>
+  node scripts/review-personas.js <run_id> quota <persona> [--weight <w>] [--min <n>] [--max <n>]
+  node scripts/review-personas.js <run_id> delete <persona>
+  node scripts/review-personas.js <run_id> add --name <n> --title <t> --company <c> --profile <p>
+      --pain-points <a; b> --motivations <a; b> --search-query <q> --outreach-angle <o>
+
+A persona is its number in the list (1, 2...) or its name.
+Fields: ${Object.keys(PERSONA_FIELDS).join(', ')} (list fields take items separated by ;)
+
+Commands:
+  review       Interactive review (default)
+  list         Print every persona with its review status
+  approve      Approve the given personas, or every pending one
+  edit         Change one field
+  regenerate   Rewrite a persona with the LLM following your feedback (back to pending)
+  quota        Set a persona's lead quota; options left out are cleared
+  delete       Remove a persona
+  add          Add a persona of your own (approved)
+
+Examples:
+  node scripts/review-personas.js p_20250726_1445
+  node scripts/review-personas.js p_20250726_1445 regenerate 2 --feedback "more mid-market, less banking"
+  node scripts/review-personas.js p_20250726_1445 edit "Alex Johnson" pain_points "Churn; Slow onboarding"
+  node scripts/review-personas.js p_20250726_1445 quota 1 --weight 2 --min 10
+  node scripts/review-personas.js p_20250726_1445 approve
+
+Lead quotas:
+  Search splits the campaign's leads (leads_per_persona × personas) by weight - 1 each
+  by default - then applies min and max. It keeps running new queries for a persona,
+  paging each and expanding its title (synonyms, seniority, local-language and
+  LinkedIn variants), until its target is met or plan.caps.queries_per_persona is
+  spent, and reports the fill per persona in state.search_metadata.persona_fill.
+
+Search only runs on approved personas. The pipeline's review stage asks the same
+questions after persona generation; without a terminal it stops the run with them pending
+(or approves them as generated if the brief sets auto_approve_personas: true).
+Then resume with: node scripts/run-pipeline.js full profiles/<run_id>/state.json --from search
+`);
+    process.exit(0);
+  }
+
+  const valueFlags = ['--feedback', '--weight', '--min', '--max', ...Object.keys(PERSONA_FIELDS).map(field => `--${field.replace(/_/g, '-')}`)];
+  const valueOf = flag => (args.indexOf(flag) >= 0 ? args[args.indexOf(flag) + 1] : undefined);
+  const [runId, command = 'review', ...rest] = args.filter((arg, index) => !arg.startsWith('--') && !valueFlags.includes(args[index - 1]));
+
+  try {
+    await cli.execute(runId, command, rest, valueOf);
+  } catch (error) {
+    console.error('❌ Persona review error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run CLI
+main();
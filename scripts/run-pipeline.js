@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { Router } from '../lib/router.js';
+import { PipelineRunner, loadPipelineSpec, PIPELINES_DIR } from '../lib/pipeline-runner.js';
+import { generateRunId, ensureDir, readJson, writeJson } from '../lib/utils.js';
+import { getUsage, getBudgetStatus } from '../lib/usage.js';
+import { loadBrief } from '../lib/brief.js';
+import { getSenderProfile } from '../lib/sender-profiles.js';
+import { CAP_LIMITS } from '../lib/plan.js';
+import { loadCustomers } from '../lib/customers.js';
+import { getSearchProviderNames } from '../lib/search/index.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.dirname(__dirname);
+
+/**
+ * Run any pipeline spec from pipelines/ through the generic runner
+ */
+class RunPipeline {
+  constructor() {
+    this.ctx = {
+      timezone: process.env.TIMEZONE || 'Europe/Paris',
+      profilesDir: path.join(projectRoot, 'profiles')
+    };
+  }
+
+  /**
+   * List the pipeline specs in pipelines/
+   */
+  async listPipelines() {
+    const files = (await fs.readdir(PIPELINES_DIR)).filter(file => file.endsWith('.json'));
+
+    console.log('📜 Available Pipelines:');
+    console.log('=' .repeat(30));
+
+    for (const file of files) {
+      try {
+        const spec = await loadPipelineSpec(path.join(PIPELINES_DIR, file));
+        console.log(`${spec.name}: ${spec.stages.map(stage => stage.id).join(' → ')}`);
+        if (spec.description) console.log(`   ${spec.description}`);
+      } catch (error) {
+        console.log(`${file}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Run a pipeline, either fresh or against an existing profile
+   * @param {string} pipelineName - spec name or path
+   * @param {string|null} profilePath - existing state.json to resume from
+   * @param {Object} options - from / only / skip / brief / website / sender / personas / learnFrom / customers / searchProvider
+   */
+  async run(pipelineName, profilePath, options) {
+    try {
+      const spec = await loadPipelineSpec(pipelineName);
+
+      console.log(`🚀 PIPELINE: ${spec.name}`);
+      if (spec.description) console.log(`📜 ${spec.description}`);
+      console.log('=' .repeat(60));
+
+      let runId;
+      const newCampaignFlag = ['brief', 'website', 'sender', 'personas', 'learnFrom', 'customers'].find(option => options[option]);
+      if (newCampaignFlag && profilePath) {
+        throw new Error(`--${newCampaignFlag.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)} starts a new campaign; leave out the profile path`);
+      }
+      const learnFrom = options.learnFrom || options.brief?.learn_from;
+      if (learnFrom && !(await readJson(path.join(this.ctx.profilesDir, learnFrom, 'state.json')))) {
+        throw new Error(`Can't learn from ${learnFrom}: no profiles/${learnFrom}/state.json`);
+      }
+      if (profilePath) {
+        const state = await readJson(profilePath);
+        if (!state) {
+          throw new Error(`Could not load profile from ${profilePath}`);
+        }
+        runId = state.run_id;
+        console.log(`✅ Profile loaded: ${runId} (${state.mode} mode)`);
+        // A resumed campaign can switch search provider for the stages still to run
+        if (options.searchProvider && state.profile.search_provider !== options.searchProvider) {
+          state.profile.search_provider = options.searchProvider;
+          await writeJson(profilePath, state);
+          console.log(`🔍 Search provider switched to ${options.searchProvider}`);
+        }
+      } else {
+        await ensureDir(this.ctx.profilesDir);
+        runId = generateRunId();
+        console.log(`🆔 Generated run ID: ${runId}`);
+      }
+
+      const router = new Router();
+      const runner = new PipelineRunner(spec, router, this.ctx);
+
+      const results = await runner.run({
+        runId,
+        resume: !!profilePath,
+        from: options.from,
+        only: options.only,
+        skip: options.skip,
+        payload: {
+          ...(options.brief && { brief: options.brief }),
+          ...(options.website && { website: options.website }),
+          ...(options.sender && { sender: options.sender }),
+          ...(options.personas && { persona_count: options.personas }),
+          ...(options.learnFrom && { learn_from: options.learnFrom }),
+          ...(options.customers && { customers: options.customers }),
+          ...(options.searchProvider && { search_provider: options.searchProvider }),
+          // Search asked for by name starts over instead of topping up the run's leads
+          ...(profilePath && [options.from, options.only].includes('search') && { redo_search: true })
+        },
+        source: 'RunPipeline',
+        onStage: (stage, index, total) => {
+          console.log(`\n▶️  STAGE ${index + 1}/${total}: ${stage.title || stage.id}`);
+          console.log('─'.repeat(50));
+        }
+      });
+
+      console.log('\n🎉 PIPELINE FINISHED');
+      console.log('=' .repeat(60));
+      for (const result of results) {
+        console.log(`   ${result.id.padEnd(10)} ${result.status}`);
+      }
+      const usage = getUsage(runId);
+      if (usage) {
+        const { limit_usd } = getBudgetStatus(runId);
+        console.log(`\n💰 Estimated cost: $${usage.total.cost_usd.toFixed(2)}${limit_usd !== null ? ` of $${limit_usd.toFixed(2)} budget` : ''} (${usage.total.llm_calls} LLM calls, ${usage.total.jina_searches + usage.total.jina_reads} Jina calls)`);
+      }
+      console.log(`\n📁 Output: profiles/${runId}/`);
+
+    } catch (error) {
+      console.error('💥 Pipeline error:', error.message);
+      process.exit(1);
+    }
+  }
+}
+
+/**
+ * Read the value following a flag (e.g. --from search)
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {string[]} every value given for the flag
+ */
+function flagValues(args, flag) {
+  const values = [];
+  args.forEach((arg, index) => {
+    if (arg === flag && args[index + 1]) values.push(args[index + 1]);
+  });
+  return values;
+}
+
+/**
+ * CLI handler
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const cli = new RunPipeline();
+
+  if (args.includes('--help') || args.includes('-h') || args.length === 0) {
+    console.log(`
+📜 Run Pipeline - Execute a pipeline spec from pipelines/
+
+Usage:
+  node scripts/run-pipeline.js <pipeline> [profile_path] [options]
+  node scripts/run-pipeline.js --list
+
+Options:
+  --from <stage>    Start at this stage
+  --only <stage>    Run just this stage
+  --skip <stage>    Leave out an optional stage (repeatable)
+  --brief <file>    Answer intake from a campaign brief (.yaml, .json or .md)
+                    instead of prompting - for scripts and cron
+  --website <url>   Draft the intake answers from our company website
+                    (homepage, pricing, case studies) to confirm or edit
+  --sender <id>     Write outreach as this sender profile (config/senders.json,
+                    see scripts/senders.js); default: SENDER_PROFILE or the file's default
+  --personas <n>    Generate n target personas (1-10) instead of the plan's count;
+                    they are reviewed before search (see scripts/review-personas.js)
+  --learn-from <id> Lean the personas toward what converted in an earlier run
+                    (outcomes recorded with scripts/outcomes.js)
+  --customers <csv> Build lookalike personas from closed-won customers (contact
+                    title, company, industry, size, deal notes - see scripts/customers.js)
+  --search-provider <name>
+                    Search with this provider of config/search.json (${getSearchProviderNames().join(', ')});
+                    on a resumed run, switches it for the remaining stages
+  --list            List available pipelines
+  --no-cache        Call the LLM even for prompts already in the response cache
+
+Examples:
+  # New campaign with the quickstart pipeline
+  node scripts/run-pipeline.js quickstart
+
+  # New campaign without prompts, answers from a brief
+  node scripts/run-pipeline.js quickstart --brief examples/briefs/sales.yaml
+
+  # New campaign with answers drafted from our website
+  node scripts/run-pipeline.js quickstart --website https://example.com
+
+  # Resume a campaign - stages whose output is already saved are skipped
+  node scripts/run-pipeline.js quickstart profiles/p_20250726_1445/state.json
+
+  # Redo search and everything after it
+  node scripts/run-pipeline.js full profiles/p_20250726_1445/state.json --from search
+
+  # Redo it offline, from pages saved in data/search-pages/
+  node scripts/run-pipeline.js full profiles/p_20250726_1445/state.json --from search --search-provider local
+
+Pipeline specs:
+  Each pipelines/<name>.json lists its stages in order. A stage names the node,
+  the event it receives, and optionally:
+    optional   - failures don't stop the pipeline, and --skip may leave it out
+    chained    - reached through the previous stage's emitted message
+    skip_when  - state path; on resume the stage is skipped when it holds data
+    options    - passed to the node as payload.options
+`);
+    process.exit(0);
+  }
+
+  if (args.includes('--list') || args.includes('-l')) {
+    await cli.listPipelines();
+    process.exit(0);
+  }
+
+  if (args.includes('--no-cache')) {
+    process.env.LLM_CACHE = 'off';
+  }
+
+  const valueFlags = ['--from', '--only', '--skip', '--brief', '--website', '--sender', '--personas', '--learn-from', '--customers', '--search-provider'];
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && !valueFlags.includes(args[index - 1]));
+  const [pipelineName, profilePath] = positional;
+
+  const fullPath = profilePath
+    ? (path.isAbsolute(profilePath) ? profilePath : path.join(process.cwd(), profilePath))
+    : null;
+
+  // Read the brief and sender profile up front so a broken one fails before anything runs
+  const briefPath = flagValues(args, '--brief')[0];
+  const sender = flagValues(args, '--sender')[0];
+  const personasValue = flagValues(args, '--personas')[0];
+  const personas = personasValue !== undefined ? Number(personasValue) : undefined;
+  const learnFrom = flagValues(args, '--learn-from')[0];
+  let searchProvider = flagValues(args, '--search-provider')[0];
+  let brief = null;
+  let customers = null;
+  try {
+    if (briefPath) brief = await loadBrief(briefPath);
+    const customersPath = flagValues(args, '--customers')[0] || brief?.customers;
+    if (customersPath) {
+      customers = await loadCustomers(customersPath);
+      customers.skipped.forEach(problem => console.log(`⚠️  Customers: skipped ${problem}`));
+    }
+    if (sender || brief?.sender) getSenderProfile(sender || brief.sender);
+    searchProvider = searchProvider || brief?.search_provider || undefined;
+    // Only the name is checked here: plugins may register provider types once the pipeline starts
+    if (searchProvider && !getSearchProviderNames().includes(searchProvider)) {
+      throw new Error(`Unknown search provider "${searchProvider}" (configured: ${getSearchProviderNames().join(', ')})`);
+    }
+    const [minPersonas, maxPersonas] = CAP_LIMITS.max_personas;
+    if (personas !== undefined && !(Number.isInteger(personas) && personas >= minPersonas && personas <= maxPersonas)) {
+      throw new Error(`--personas must be a whole number from ${minPersonas} to ${maxPersonas}, got "${personasValue}"`);
+    }
+    if (learnFrom !== undefined && !/^[\w-]+$/.test(learnFrom)) {
+      throw new Error(`--learn-from must be a run id (e.g. p_20250726_1445), got "${learnFrom}"`);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  await cli.run(pipelineName, fullPath, {
+    from: flagValues(args, '--from')[0],
+    only: flagValues(args, '--only')[0],
+    skip: flagValues(args, '--skip'),
+    brief,
+    website: flagValues(args, '--website')[0],
+    sender,
+    personas,
+    learnFrom,
+    customers,
+    searchProvider
+  });
+}
+
+// Run CLI
+main();
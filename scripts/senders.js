@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import {
+  loadSenders, saveSenders, normalizeSenderProfile, getSendersPath, DEFAULT_TONE
+} from '../lib/sender-profiles.js';
+
+// Load environment variables
+dotenv.config();
+
+// Profile fields settable from the command line, by flag
+const FIELD_FLAGS = {
+  '--name': 'name',
+  '--title': 'title',
+  '--company': 'company',
+  '--email': 'email',
+  '--signature': 'signature',
+  '--booking-link': 'booking_link',
+  '--tone': 'tone'
+};
+
+/**
+ * Manage the sender profiles outreach is written as (config/senders.json)
+ */
+class SendersCli {
+  /**
+   * List the profiles
+   */
+  list() {
+    const { default: defaultId, profiles } = loadSenders();
+
+    console.log('✍️  Sender profiles');
+    console.log('=' .repeat(60));
+    console.log(`📁 ${getSendersPath()}`);
+    if (Object.keys(profiles).length === 0) {
+      console.log('No profiles yet - add one with: node scripts/senders.js add <id> --name <name> --company <company>');
+      return;
+    }
+    for (const [id, profile] of Object.entries(profiles)) {
+      const marker = id === defaultId ? '⭐' : '  ';
+      console.log(`${marker} ${id.padEnd(16)} ${profile.name || '?'}${profile.title ? `, ${profile.title}` : ''} - ${profile.company || '?'}`);
+    }
+  }
+
+  /**
+   * Print one profile as outreach sees it
+   * @param {string} id
+   */
+  show(id) {
+    const { profiles } = loadSenders();
+    if (!profiles[id]) {
+      throw new Error(`Unknown sender profile "${id}"`);
+    }
+    const sender = normalizeSenderProfile(id, profiles[id]);
+
+    console.log(`✍️  ${sender.id}`);
+    console.log('─'.repeat(40));
+    console.log(`👤 ${sender.name}${sender.title ? `, ${sender.title}` : ''} - ${sender.company}`);
+    if (sender.email) console.log(`📧 ${sender.email}`);
+    console.log(`📅 Booking link: ${sender.booking_link || 'none'}`);
+    console.log(`🎙️  Tone: ${sender.tone}`);
+    console.log(`🏆 Proof points:${sender.proof_points.length ? '' : ' none'}`);
+    sender.proof_points.forEach(point => console.log(`   • ${point}`));
+    console.log(`✒️  Signature:\n${sender.signature.split('\n').map(line => `   ${line}`).join('\n')}`);
+  }
+
+  /**
+   * Create a profile, or update the given fields of an existing one
+   * @param {string} id
+   * @param {Object} fields - profile fields from the flags
+   * @param {string[]} proofPoints - replace the proof points when given
+   */
+  add(id, fields, proofPoints) {
+    const config = loadSenders();
+    const existing = config.profiles[id] || {};
+    const profile = { ...existing, ...fields };
+    if (proofPoints.length > 0) profile.proof_points = proofPoints;
+    if (!existing.tone && !profile.tone) profile.tone = DEFAULT_TONE;
+
+    normalizeSenderProfile(id, profile);
+    config.profiles[id] = profile;
+    if (!config.default) config.default = id;
+    saveSenders(config);
+    console.log(`✅ ${existing.name ? 'Updated' : 'Added'} sender profile "${id}"${config.default === id ? ' (default)' : ''}`);
+  }
+
+  /**
+   * Make a profile the default
+   * @param {string} id
+   */
+  setDefault(id) {
+    const config = loadSenders();
+    if (!config.profiles[id]) {
+      throw new Error(`Unknown sender profile "${id}"`);
+    }
+    config.default = id;
+    saveSenders(config);
+    console.log(`⭐ "${id}" is now the default sender profile`);
+  }
+
+  /**
+   * Delete a profile
+   * @param {string} id
+   */
+  remove(id) {
+    const config = loadSenders();
+    if (!config.profiles[id]) {
+      throw new Error(`Unknown sender profile "${id}"`);
+    }
+    delete config.profiles[id];
+    if (config.default === id) {
+      config.default = Object.keys(config.profiles)[0] || null;
+    }
+    saveSenders(config);
+    console.log(`🗑️  Removed sender profile "${id}"${config.default ? ` - default is now "${config.default}"` : ''}`);
+  }
+}
+
+/**
+ * CLI handler
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const cli = new SendersCli();
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+✍️  Senders - Who outreach messages are written as
+
+Usage:
+  node scripts/senders.js [list]
+  node scripts/senders.js show <id>
+  node scripts/senders.js add <id> --name <name> --company <company> [options]
+  node scripts/senders.js default <id>
+  node scripts/senders.js remove <id>
+
+Options (add; on an existing profile only the given fields change):
+  --name <name>            Sender name
+  --title <title>          e.g. "Founder & CEO"
+  --company <company>      Company the sender writes for
+  --email <email>
+  --booking-link <url>     Calendly or similar; messages ask for a reply without one
+  --proof <text>           Proof point the messages may use (repeatable)
+  --tone <tone>            e.g. "casual, direct" (default: ${DEFAULT_TONE})
+  --signature <text>       Sign-off lines, \\n for a new line (default: name, title, company)
+
+Examples:
+  node scripts/senders.js add jane --name Jane --title "Head of Sales" --company Acme \\
+    --booking-link https://calendly.com/jane-acme/30min --proof "Cut onboarding time by 40% at Globex"
+  node scripts/senders.js default jane
+
+  # Pick a profile for one campaign
+  node scripts/run-pipeline.js quickstart --sender jane
+
+Profiles:
+  Stored in config/senders.json (SENDERS_CONFIG points elsewhere). A campaign uses
+  the profile given with --sender (or "sender:" in a brief), else SENDER_PROFILE,
+  else the file's default. Every outreach prompt and fallback message draws the
+  sender's name, company, proof points, booking link, tone and signature from it.
+`);
+    process.exit(0);
+  }
+
+  const valueFlags = [...Object.keys(FIELD_FLAGS), '--proof'];
+  const [command = 'list', id] = args.filter((arg, index) => !arg.startsWith('--') && !valueFlags.includes(args[index - 1]));
+  const valuesOf = flag => args.flatMap((arg, index) => arg === flag && args[index + 1] !== undefined ? [args[index + 1]] : []);
+
+  try {
+    if (command !== 'list' && !id) {
+      throw new Error(`${command} needs a profile id`);
+    }
+    if (command === 'list') {
+      cli.list();
+    } else if (command === 'show') {
+      cli.show(id);
+    } else if (command === 'add') {
+      const fields = {};
+      for (const [flag, field] of Object.entries(FIELD_FLAGS)) {
+        const [value] = valuesOf(flag);
+        if (value !== undefined) fields[field] = field === 'signature' ? value.replace(/\\n/g, '\n') : value;
+      }
+      cli.add(id, fields, valuesOf('--proof'));
+    } else if (command === 'default') {
+      cli.setDefault(id);
+    } else if (command === 'remove') {
+      cli.remove(id);
+    } else {
+      throw new Error(`Unknown command "${command}" (use list, show, add, default or remove)`);
+    }
+  } catch (error) {
+    console.error('❌ Senders error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run CLI
+main();
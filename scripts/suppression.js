@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJson, writeJson } from '../lib/utils.js';
+import {
+  SuppressionTypes, createSuppressionEntry, mergeSuppressionEntries, removeSuppressionEntry,
+  parseSuppressionCSV, loadGlobalSuppression, saveGlobalSuppression, getConstraintSuppression,
+  getGlobalSuppressionPath
+} from '../lib/suppression.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.dirname(__dirname);
+
+/**
+ * Manage the suppression lists: the global opt-outs and each campaign's do-not-contact list
+ */
+class SuppressionCli {
+  constructor() {
+    this.profilesDir = path.join(projectRoot, 'profiles');
+  }
+
+  /**
+   * Load the entries of one list
+   * @param {string|null} runId - campaign list of this run, the global list when null
+   * @returns {Promise<{entries: Array, save: function(): Promise<void>, label: string, state?: Object}>}
+   */
+  async loadList(runId) {
+    if (!runId) {
+      const entries = await loadGlobalSuppression(this.profilesDir);
+      return {
+        entries,
+        save: () => saveGlobalSuppression(this.profilesDir, entries),
+        label: 'global opt-out list'
+      };
+    }
+
+    const statePath = path.join(this.profilesDir, runId, 'state.json');
+    const state = await readJson(statePath);
+    if (!state) {
+      throw new Error(`No state found for ${runId} (${statePath})`);
+    }
+    state.suppression_list = state.suppression_list || [];
+    return {
+      entries: state.suppression_list,
+      save: () => writeJson(statePath, state),
+      label: `suppression list of ${runId}`,
+      state
+    };
+  }
+
+  /**
+   * Print a list, and for a run the entries its constraints add
+   * @param {string|null} runId
+   */
+  async list(runId) {
+    const { entries, label, state } = await this.loadList(runId);
+
+    console.log(`🚫 ${label.charAt(0).toUpperCase()}${label.slice(1)}`);
+    console.log('=' .repeat(60));
+    if (!runId) console.log(`📁 ${getGlobalSuppressionPath(this.profilesDir)}`);
+    if (entries.length === 0) console.log('No entries');
+    entries.forEach(entry => this.printEntry(entry));
+
+    if (state) {
+      const constraints = getConstraintSuppression(state);
+      console.log(`\n📋 From the constraints answer (${constraints.length}):`);
+      constraints.forEach(entry => this.printEntry(entry));
+      const global = await loadGlobalSuppression(this.profilesDir);
+      console.log(`\n🌍 The ${global.length} global opt-out(s) apply too (node scripts/suppression.js list)`);
+    }
+  }
+
+  /**
+   * Print one entry
+   * @param {Object} entry
+   */
+  printEntry(entry) {
+    console.log(`   ${entry.type.padEnd(9)} ${entry.value}${entry.reason ? ` - ${entry.reason}` : ''} [${entry.source}]`);
+  }
+
+  /**
+   * Add one entry
+   * @param {string|null} runId
+   * @param {string} type
+   * @param {string} value
+   * @param {string} reason
+   */
+  async add(runId, type, value, reason) {
+    const list = await this.loadList(runId);
+    const entry = createSuppressionEntry(type, value, { reason, source: 'cli' });
+    if (mergeSuppressionEntries(list.entries, [entry]) === 0) {
+      console.log(`ℹ️  ${type} "${value}" is already on the ${list.label}`);
+      return;
+    }
+    await list.save();
+    console.log(`✅ Added ${type} "${value}" to the ${list.label}`);
+  }
+
+  /**
+   * Import entries from a CSV file
+   * @param {string|null} runId
+   * @param {string} filePath
+   */
+  async import(runId, filePath) {
+    const resolved = path.resolve(filePath);
+    const text = await fs.readFile(resolved, 'utf8');
+    const { entries, skipped } = parseSuppressionCSV(text, `csv:${path.basename(resolved)}`);
+
+    const list = await this.loadList(runId);
+    const added = mergeSuppressionEntries(list.entries, entries);
+    await list.save();
+
+    console.log(`✅ Imported ${added} entries into the ${list.label} (${entries.length - added} already there)`);
+    if (skipped.length > 0) {
+      console.log(`⚠️  Skipped ${skipped.length} value(s):`);
+      skipped.slice(0, 10).forEach(problem => console.log(`   • ${problem}`));
+      if (skipped.length > 10) console.log(`   … and ${skipped.length - 10} more`);
+    }
+  }
+
+  /**
+   * Remove one entry
+   * @param {string|null} runId
+   * @param {string} type
+   * @param {string} value
+   */
+  async remove(runId, type, value) {
+    const list = await this.loadList(runId);
+    if (!removeSuppressionEntry(list.entries, type, value)) {
+      throw new Error(`${type} "${value}" is not on the ${list.label}`);
+    }
+    await list.save();
+    console.log(`🗑️  Removed ${type} "${value}" from the ${list.label}`);
+  }
+
+  /**
+   * Print the leads and investors a run dropped, with the entry that matched
+   * @param {string} runId
+   */
+  async dropped(runId) {
+    const { state } = await this.loadList(runId);
+    const suppressed = state.suppressed || [];
+
+    if (suppressed.length === 0) {
+      console.log(`✅ Nothing suppressed in ${runId}`);
+      return;
+    }
+    console.log(`🚫 Suppressed in ${runId}`);
+    console.log('=' .repeat(60));
+    for (const item of suppressed) {
+      console.log(`${item.id} ${item.kind.padEnd(8)} ${item.node} "${item.name || item.item_id}"${item.company ? ` (${item.company})` : ''}`);
+      console.log(`   ${item.matched.type} "${item.matched.value}" on the ${item.matched.scope} list: ${item.reason}`);
+    }
+  }
+}
+
+/**
+ * CLI handler
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const cli = new SuppressionCli();
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+🚫 Suppression - People and companies outreach must never reach
+
+Usage:
+  node scripts/suppression.js [list] [--run <run_id>]
+  node scripts/suppression.js add <type> <value> [--reason <text>] [--run <run_id>]
+  node scripts/suppression.js import <file.csv> [--run <run_id>]
+  node scripts/suppression.js remove <type> <value> [--run <run_id>]
+  node scripts/suppression.js dropped --run <run_id>
+
+Types: ${Object.values(SuppressionTypes).join(', ')}
+
+Options:
+  --run <run_id>     Use that campaign's list (state.suppression_list) instead of the global one
+  --reason <text>    Why the entry exists, e.g. "unsubscribed"
+
+CSV files:
+  Either type,value,reason columns, or a CRM export: every email, domain, website,
+  company, name and linkedin_url cell becomes an entry (other columns are ignored).
+
+Examples:
+  node scripts/suppression.js add email jane@acme.com --reason unsubscribed
+  node scripts/suppression.js add domain competitor.com --run p_20250726_1445
+  node scripts/suppression.js import exports/customers.csv
+  node scripts/suppression.js dropped --run p_20250726_1445
+
+Lists:
+  The global opt-out list (profiles/.suppression.json, or SUPPRESSION_FILE) applies to
+  every profile. A run also applies its own list and the do-not-contact rules parsed
+  from its constraints answer. Search, enrichment and outreach - sales and investor -
+  drop every match and record it with the entry that matched in state.suppressed.
+  Emails match exactly, domains match email and website domains (and subdomains),
+  companies match ignoring case, accents and legal suffixes (Inc, Ltd, SAS...).
+`);
+    process.exit(0);
+  }
+
+  const valueFlags = ['--run', '--reason'];
+  const valueOf = flag => (args.indexOf(flag) >= 0 ? args[args.indexOf(flag) + 1] : undefined);
+  const [command = 'list', ...rest] = args.filter((arg, index) => !arg.startsWith('--') && !valueFlags.includes(args[index - 1]));
+  const runId = valueOf('--run') || null;
+
+  try {
+    if (command === 'list') {
+      await cli.list(runId);
+    } else if (command === 'add' || command === 'remove') {
+      const [type, value] = rest;
+      if (!type || !value) {
+        throw new Error(`${command} needs a type and a value`);
+      }
+      if (command === 'add') {
+        await cli.add(runId, type, value, valueOf('--reason') || '');
+      } else {
+        await cli.remove(runId, type, value);
+      }
+    } else if (command === 'import') {
+      if (!rest[0]) {
+        throw new Error('import needs a CSV file');
+      }
+      await cli.import(runId, rest[0]);
+    } else if (command === 'dropped') {
+      if (!runId) {
+        throw new Error('dropped needs --run <run_id>');
+      }
+      await cli.dropped(runId);
+    } else {
+      throw new Error(`Unknown command "${command}" (use list, add, import, remove or dropped)`);
+    }
+  } catch (error) {
+    console.error('❌ Suppression error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run CLI
+main();
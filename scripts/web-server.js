@@ -7,7 +7,16 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { Router } from '../lib/router.js';
 import { EventTypes, NodeIds } from '../lib/types.js';
-import { generateRunId, getCurrentTimestamp, ensureDir } from '../lib/utils.js';
+import { generateRunId, getCurrentTimestamp, ensureDir, readJson, writeJson } from '../lib/utils.js';
+import { CAP_LIMITS } from '../lib/plan.js';
+import { withRunUsage } from '../lib/usage.js';
+import { PersonaNode } from '../lib/nodes/PersonaNode.js';
+import {
+  PERSONA_FIELDS, getApprovedPersonas, getPendingPersonas, isApproved, approvePersonas, editPersona,
+  replacePersona, deletePersona, addPersona, setPersonaQuota, findPersona, formatPersonaField
+} from '../lib/persona-review.js';
+import { describeQuota } from '../lib/quotas.js';
+import { describeSupport } from '../lib/customers.js';
 
 // Load environment variables
 dotenv.config();
@@ -19,6 +28,19 @@ const projectRoot = path.dirname(__dirname);
 
 const PORT = process.env.PORT || 3000;
 
+/**
+ * Escape text for HTML content and attribute values
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Simple HTTP server for intake system
  */
@@ -67,7 +89,12 @@ class WebIntakeServer {
         <label for="${q.key}">${q.label}:</label>
         <input type="text" id="${q.key}" name="${q.key}" placeholder="${q.placeholder}" required>
       </div>
-    `).join('');
+    `).join('') + `
+      <div class="question">
+        <label for="personas">Number of target personas (optional):</label>
+        <input type="number" id="personas" name="personas" min="${CAP_LIMITS.max_personas[0]}" max="${CAP_LIMITS.max_personas[1]}" placeholder="Leave empty to let the campaign plan decide">
+      </div>
+    `;
 
     return `
     <!DOCTYPE html>
@@ -164,6 +191,141 @@ class WebIntakeServer {
     </html>`;
   }
 
+  /**
+   * Generate the persona review page: one card per persona with approve, edit, regenerate and delete
+   * @param {Object} state
+   * @param {string} [message] - result of the last action
+   * @returns {string}
+   */
+  generatePersonaReviewPage(state, message) {
+    const fieldInputs = persona => Object.entries(PERSONA_FIELDS).map(([field, kind]) => `
+          <label>${field}${kind === 'list' ? ' <small>(separate items with ;)</small>' : ''}</label>
+          <input type="text" name="${field}" value="${escapeHtml(persona ? formatPersonaField(persona, field) : '')}" required>
+    `).join('');
+
+    const cards = (state.personas || []).map(persona => `
+      <div class="persona ${isApproved(persona) ? 'approved' : 'pending'}">
+        <h3>${isApproved(persona) ? '✅' : '⏳'} ${escapeHtml(persona.name)} <small>${isApproved(persona) ? 'approved' : 'pending review'}</small></h3>
+        ${describeSupport(state, persona) ? `<p><small>🏆 Lookalike of ${escapeHtml(describeSupport(state, persona, 10))}</small></p>` : ''}
+        <form method="POST">
+          <input type="hidden" name="persona" value="${escapeHtml(persona.name)}">
+          ${fieldInputs(persona)}
+          <button name="action" value="edit">✏️ Save edits</button>
+          ${isApproved(persona) ? '' : '<button name="action" value="approve">✅ Approve</button>'}
+          <button name="action" value="delete" class="danger" formnovalidate onclick="return confirm('Delete this persona?')">🗑️ Delete</button>
+        </form>
+        <form method="POST" class="regenerate">
+          <input type="hidden" name="persona" value="${escapeHtml(persona.name)}">
+          <input type="text" name="feedback" placeholder='Feedback, e.g. "more mid-market, less banking"' required>
+          <button name="action" value="regenerate">🔄 Regenerate</button>
+        </form>
+        <form method="POST" class="quota">
+          <input type="hidden" name="persona" value="${escapeHtml(persona.name)}">
+          <label>🎯 Lead quota <small>${escapeHtml(describeQuota(persona.quota) || 'none - equal share')}${state.search_metadata?.persona_fill?.[persona.name] ? ` · last search ${state.search_metadata.persona_fill[persona.name].found}/${state.search_metadata.persona_fill[persona.name].target} leads` : ''}</small></label>
+          <input type="number" name="weight" min="0" step="any" placeholder="Weight (1)" value="${escapeHtml(persona.quota?.weight)}">
+          <input type="number" name="min_leads" min="0" placeholder="Min leads" value="${escapeHtml(persona.quota?.min_leads)}">
+          <input type="number" name="max_leads" min="0" placeholder="Max leads" value="${escapeHtml(persona.quota?.max_leads)}">
+          <button name="action" value="quota">Save quota</button>
+        </form>
+      </div>
+    `).join('');
+
+    const pendingCount = getPendingPersonas(state).length;
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Persona Review - ${escapeHtml(state.run_id)}</title>
+      <style>
+        body { font-family: Arial, sans-serif; max-width: 800px; margin: 50px auto; padding: 20px; }
+        .persona { border: 1px solid #ddd; border-radius: 8px; padding: 15px; margin-bottom: 20px; }
+        .approved { border-left: 6px solid #28a745; }
+        .pending { border-left: 6px solid #ffc107; }
+        label { display: block; margin: 8px 0 3px; font-weight: bold; }
+        input[type="text"] { width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
+        button { background: #007cba; color: white; padding: 8px 16px; border: none; border-radius: 4px; cursor: pointer; margin-top: 10px; }
+        button:hover { background: #005a87; }
+        .danger { background: #c82333; }
+        .regenerate { margin-top: 15px; display: flex; gap: 10px; align-items: flex-end; }
+        .quota input[type="number"] { width: 110px; padding: 8px; border: 1px solid #ddd; border-radius: 4px; margin-right: 5px; }
+        .status { padding: 10px; border-radius: 4px; background: #f8f9fa; border: 1px solid #ddd; margin-bottom: 20px; }
+      </style>
+    </head>
+    <body>
+      <h1>🎭 Persona Review</h1>
+      <p><strong>Run ID:</strong> ${escapeHtml(state.run_id)} - ${getApprovedPersonas(state).length} approved, ${pendingCount} pending. Search only runs on approved personas.</p>
+      ${message ? `<div class="status">${escapeHtml(message)}</div>` : ''}
+      ${pendingCount > 0 ? `
+      <form method="POST"><button name="action" value="approve_all">✅ Approve all ${pendingCount} pending</button></form>
+      ` : ''}
+      ${cards || '<p>No personas yet - run the persona stage first.</p>'}
+      <div class="persona">
+        <h3>➕ Add a persona</h3>
+        <form method="POST">
+          ${fieldInputs(null)}
+          <button name="action" value="add">➕ Add</button>
+        </form>
+      </div>
+      <p>When you are done: <code>node scripts/run-pipeline.js full profiles/${escapeHtml(state.run_id)}/state.json --from search</code></p>
+      <p><a href="/status/${escapeHtml(state.run_id)}">← Back to status</a></p>
+    </body>
+    </html>`;
+  }
+
+  /**
+   * Apply a persona review form to state
+   * @param {Object} state - changed in place
+   * @param {URLSearchParams} formData - action, persona name and fields
+   * @returns {Promise<string>} message for the page
+   */
+  async applyPersonaAction(state, formData) {
+    const action = formData.get('action');
+
+    if (action === 'approve_all') {
+      return `✅ Approved ${approvePersonas(state)} persona(s)`;
+    }
+    if (action === 'add') {
+      const persona = addPersona(state, Object.fromEntries(Object.keys(PERSONA_FIELDS).map(field => [field, formData.get(field)])));
+      return `➕ Added ${persona.name} (approved)`;
+    }
+
+    const persona = findPersona(state, formData.get('persona'));
+    if (action === 'approve') {
+      approvePersonas(state, [persona]);
+      return `✅ Approved ${persona.name}`;
+    }
+    if (action === 'edit') {
+      // Only fields that changed are recorded; the name goes last so the history names the persona as it was
+      const changed = Object.keys(PERSONA_FIELDS)
+        .filter(field => formData.has(field) && formData.get(field).trim() !== formatPersonaField(persona, field))
+        .sort((a, b) => (a === 'name') - (b === 'name'));
+      const name = persona.name;
+      changed.forEach(field => editPersona(state, persona, field, formData.get(field)));
+      return changed.length > 0 ? `✏️ ${name}: updated ${changed.join(', ')}` : `ℹ️ ${name}: nothing changed`;
+    }
+    if (action === 'regenerate') {
+      const feedback = (formData.get('feedback') || '').trim();
+      if (!feedback) throw new Error('Feedback is required to regenerate a persona');
+      const replacement = await withRunUsage(state, { runId: state.run_id, profilesDir: this.ctx.profilesDir, node: NodeIds.PERSONA },
+        () => new PersonaNode().regeneratePersona(state, persona, feedback));
+      const regenerated = replacePersona(state, persona, replacement, feedback);
+      return `🔄 ${persona.name} replaced by ${regenerated.name} - review and approve it`;
+    }
+    if (action === 'quota') {
+      const quota = setPersonaQuota(state, persona, {
+        weight: formData.get('weight'),
+        min_leads: formData.get('min_leads'),
+        max_leads: formData.get('max_leads')
+      });
+      return `🎯 ${persona.name}: ${describeQuota(quota) || 'quota cleared (equal share)'}`;
+    }
+    if (action === 'delete') {
+      deletePersona(state, persona);
+      return `🗑️ Deleted ${persona.name}`;
+    }
+    throw new Error(`Unknown action "${action}"`);
+  }
+
   /**
    * Handle HTTP requests
    */
@@ -203,6 +365,13 @@ class WebIntakeServer {
               }
             }
 
+            // Persona count is optional; the campaign plan decides without one
+            const personaCount = Number(formData.get('personas')) || null;
+            const [minPersonas, maxPersonas] = CAP_LIMITS.max_personas;
+            if (personaCount !== null && !(Number.isInteger(personaCount) && personaCount >= minPersonas && personaCount <= maxPersonas)) {
+              throw new Error(`Number of personas must be from ${minPersonas} to ${maxPersonas}`);
+            }
+
             // Create profile and save state
             const profileDir = path.join(this.ctx.profilesDir, runId);
             await ensureDir(profileDir);
@@ -213,7 +382,8 @@ class WebIntakeServer {
               profile: {
                 answers: answers,
                 enrichment: {}, // Web version starts without enrichment
-                value_prop: ""
+                value_prop: "",
+                persona_count: personaCount
               },
               personas: [],
               leads: [],
@@ -241,6 +411,44 @@ class WebIntakeServer {
           }
         });
 
+      } else if (pathname.startsWith('/personas/')) {
+        const runId = pathname.split('/')[2];
+        if (!/^[\w-]+$/.test(runId || '')) {
+          res.writeHead(404, { 'Content-Type': 'text/plain' });
+          res.end('Page not found');
+          return;
+        }
+        const statePath = path.join(this.ctx.profilesDir, runId, 'state.json');
+
+        if (req.method === 'POST') {
+          // Apply one review action, then show the page again (POST-redirect-GET)
+          let body = '';
+          req.on('data', chunk => { body += chunk; });
+          req.on('end', async () => {
+            let message;
+            try {
+              const state = await readJson(statePath);
+              if (!state) throw new Error(`No state found for ${runId}`);
+              message = await this.applyPersonaAction(state, new URLSearchParams(body));
+              await writeJson(statePath, state);
+            } catch (error) {
+              message = `❌ ${error.message}`;
+            }
+            res.writeHead(303, { Location: `/personas/${runId}?msg=${encodeURIComponent(message)}` });
+            res.end();
+          });
+          return;
+        }
+
+        const state = await readJson(statePath);
+        if (!state) {
+          res.writeHead(404, { 'Content-Type': 'text/plain' });
+          res.end(`No state found for ${runId}`);
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(this.generatePersonaReviewPage(state, query.msg));
+
       } else if (pathname.startsWith('/status/')) {
         // Show status page (placeholder)
         const runId = pathname.split('/')[2];
@@ -250,7 +458,8 @@ class WebIntakeServer {
             <h1>📊 Pipeline Status</h1>
             <p><strong>Run ID:</strong> ${runId}</p>
             <p><strong>Status:</strong> Phase 1 Complete (Intake & Handoff)</p>
-            <p><strong>Next:</strong> Phase 2 will add real PlanNode with GPT-4o</p>
+            <p><strong>Next:</strong> PlanNode writes the value proposition and campaign plan</p>
+            <p><a href="/personas/${runId}">🎭 Review personas</a> (once they are generated)</p>
             <p><a href="/">← Back to home</a></p>
           </body></html>
         `);
@@ -290,6 +499,7 @@ async function startServer() {
     console.log(`   - 7-question intake form`);
     console.log(`   - State.json generation`);
     console.log(`   - Pipeline status tracking`);
+    console.log(`   - Persona review at /personas/<run_id>`);
     console.log(`\n💡 For CLI version with LLM enrichment:`);
     console.log(`   npm run intake`);
     console.log(`\n⏹️  Press Ctrl+C to stop`);
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyIntelligence, CITED_FIELDS } from '../lib/citations.js';
+
+const sources = [{
+  url: 'https://example.com/news',
+  text: 'Source: https://example.com/news\nContent: Jane Doe is leading the migration of the bank core systems to the cloud this year.'
+}];
+
+test('verified claims are kept with their source, others are listed as unverified', () => {
+  const verified = verifyIntelligence({
+    current_projects: [{ claim: 'Leading the core banking cloud migration', source_url: 'https://example.com/news', evidence: 'Jane Doe is leading the migration of the bank core systems to the cloud this year.' }],
+    recent_developments: [{ claim: 'Promoted to CIO in 2024', source_url: 'https://example.com/news', evidence: 'Jane Doe was promoted to CIO in 2024.' }],
+    summary: 'Jane is a visionary leader.'
+  }, sources);
+
+  assert.deepEqual(verified.current_projects, ['Leading the core banking cloud migration']);
+  assert.equal(verified.citations.current_projects[0].source_url, 'https://example.com/news');
+  assert.deepEqual(verified.unverified_claims.map(claim => claim.field), ['recent_developments']);
+  assert.deepEqual(verified.citation_stats, { claims: 2, verified: 1, dropped: 1 });
+});
+
+test('fields without a verified claim are left empty', () => {
+  const verified = verifyIntelligence({ recent_developments: [{ claim: 'Spoke at Money20/20', evidence: 'She spoke at Money20/20 in Amsterdam.' }] }, sources);
+
+  for (const field of CITED_FIELDS) {
+    assert.deepEqual(verified[field], [], field);
+  }
+  assert.equal(verified.intelligence_quality, 'low');
+});
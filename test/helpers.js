@@ -0,0 +1,25 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Temporary directory removed when the test ends
+ * @param {import('node:test').TestContext} t
+ * @param {string} [prefix]
+ * @returns {Promise<string>}
+ */
+export async function tempDir(t, prefix = 'jim-test-') {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Silence console.log and console.error for the rest of the test
+ * Pipeline code logs heavily, which buries the test report.
+ * @param {import('node:test').TestContext} t
+ */
+export function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+}
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { MessageJournal, JournalStatus } from '../lib/journal.js';
+import { tempDir } from './helpers.js';
+
+const message = (event, to) => ({ run_id: 'p_test', event, from: 'test', to, payload: {} });
+
+test('entries fold their status transitions and count attempts', async t => {
+  const journal = new MessageJournal(await tempDir(t), 'p_test');
+  const first = await journal.record(message('START', 'IntakeNode'));
+  await journal.markRunning(first);
+  await journal.markFailed(first, new Error('boom'));
+  await journal.markRunning(first);
+  await journal.markDone(first);
+
+  const [entry] = await journal.readEntries();
+  assert.equal(entry.id, 'm0001');
+  assert.equal(entry.status, JournalStatus.DONE);
+  assert.equal(entry.attempts, 2);
+  assert.equal(entry.error, 'boom');
+});
+
+test('resume point is the first entry that is not done', async t => {
+  const journal = new MessageJournal(await tempDir(t), 'p_test');
+  const first = await journal.record(message('START', 'IntakeNode'));
+  const second = await journal.record(message('USER_CONTEXT_READY', 'PlanNode'), first);
+  const third = await journal.record(message('PERSONAS_READY', 'SearchNode'), second);
+  await journal.markDone(first);
+  await journal.markFailed(second, 'no answers');
+  await journal.markDone(third);
+
+  const entry = await journal.findResumePoint();
+  assert.equal(entry.id, second);
+  assert.equal(entry.parent_id, first);
+  assert.equal(entry.message.to, 'PlanNode');
+  assert.equal(entry.error, 'no answers');
+});
+
+test('a fully done journal has nothing to resume', async t => {
+  const journal = new MessageJournal(await tempDir(t), 'p_test');
+  await journal.markDone(await journal.record(message('START', 'IntakeNode')));
+  assert.equal(await journal.findResumePoint(), null);
+});
+
+test('a partial last line left by a crash is ignored', async t => {
+  const profilesDir = await tempDir(t);
+  const journal = new MessageJournal(profilesDir, 'p_test');
+  const id = await journal.record(message('START', 'IntakeNode'));
+  await journal.markRunning(id);
+  await fs.appendFile(journal.journalPath, '{"id":"m0001","status":"do');
+
+  const entry = await new MessageJournal(profilesDir, 'p_test').findResumePoint();
+  assert.equal(entry.status, JournalStatus.RUNNING);
+  assert.equal(entry.attempts, 1);
+});
+
+test('a new journal on an existing run continues the sequence', async t => {
+  const profilesDir = await tempDir(t);
+  await new MessageJournal(profilesDir, 'p_test').record(message('START', 'IntakeNode'));
+  const id = await new MessageJournal(profilesDir, 'p_test').record(message('USER_CONTEXT_READY', 'PlanNode'));
+  assert.equal(id, 'm0002');
+});
@@ -0,0 +1,60 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LLMClient, registerLLMProviderType } from '../lib/llm-client.js';
+
+// A scripted provider: each call returns the next queued answer
+const answers = [];
+let calls = 0;
+registerLLMProviderType('scripted', () => ({
+  complete: async () => {
+    calls++;
+    return { choices: [{ message: { content: answers.shift() } }], usage: { prompt_tokens: 10, completion_tokens: 5 } };
+  }
+}));
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-cache-test-'));
+after(() => fs.rm(dir, { recursive: true, force: true }));
+await fs.writeFile(path.join(dir, 'llm.json'), JSON.stringify({
+  defaults: { provider: 'scripted', model: 'test-model' },
+  providers: { scripted: { type: 'scripted', api_key_env: null, pricing: { input: 0, output: 0 } } }
+}));
+process.env.LLM_CONFIG = path.join(dir, 'llm.json');
+process.env.LLM_CACHE_DIR = path.join(dir, 'cache');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['queries'],
+  properties: { queries: { type: 'array', items: { type: 'string' } } }
+};
+
+test('a valid answer is cached and replayed', async t => {
+  t.mock.method(console, 'log', () => {});
+  const llm = new LLMClient('TestNode');
+  const params = { messages: [{ role: 'user', content: 'valid please' }] };
+  calls = 0;
+  answers.push('{"queries": ["CIO France"]}');
+
+  assert.deepEqual(await llm.completeJSON('plan', SCHEMA, params), { queries: ['CIO France'] });
+  assert.deepEqual(await llm.completeJSON('plan', SCHEMA, params), { queries: ['CIO France'] });
+  assert.equal(calls, 1);
+});
+
+test('an answer that fails the schema is not cached', async t => {
+  t.mock.method(console, 'log', () => {});
+  const llm = new LLMClient('TestNode');
+  const params = { messages: [{ role: 'user', content: 'invalid first' }] };
+  calls = 0;
+  answers.push('{"wrong": true}', '{"queries": ["CTO Germany"]}');
+
+  // The repair attempt is asked again and its valid answer is used
+  assert.deepEqual(await llm.completeJSON('plan', SCHEMA, params), { queries: ['CTO Germany'] });
+  assert.equal(calls, 2);
+
+  // A rerun does not replay the invalid first answer
+  answers.push('{"queries": ["CTO Austria"]}');
+  assert.deepEqual(await llm.completeJSON('plan', SCHEMA, params), { queries: ['CTO Austria'] });
+  assert.equal(calls, 3);
+});
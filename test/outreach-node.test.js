@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OutreachNode } from '../lib/nodes/OutreachNode.js';
+import { CircuitOpenError } from '../lib/rate-limiter.js';
+import { quiet } from './helpers.js';
+
+const lead = { id: 'lead_1', name: 'Jane Doe', title: 'CIO', company: 'Acme Bank' };
+const productInfo = { product: 'Ledgerly', pain: 'slow reconciliations', target: 'banks', proof: '', constraints: '' };
+const sender = { id: 'alex', name: 'Alex', title: '', company: 'Ledgerly', email: '', signature: 'Alex', booking_link: '', proof_points: [], tone: 'friendly' };
+
+/**
+ * OutreachNode whose LLM records each prompt, then fails so the template messages are used
+ * @returns {{node: OutreachNode, prompts: string[]}}
+ */
+function failingOutreach() {
+  const prompts = [];
+  const node = new OutreachNode();
+  node.llm = {
+    complete: async (task, params) => {
+      prompts.push(params.messages[0].content);
+      throw new Error('model unavailable');
+    }
+  };
+  return { node, prompts };
+}
+
+test('unverified summary and outreach angles never reach prompts or messages', async t => {
+  quiet(t);
+  const { node, prompts } = failingOutreach();
+  const intel = {
+    current_projects: [],
+    recent_developments: [],
+    strategic_priorities: [],
+    outreach_angles: ['Ask about their blockchain pilot'],
+    summary: 'Jane is running a blockchain pilot.'
+  };
+
+  const messages = [
+    await node.generateLinkedInConnectionMessage(lead, intel, productInfo, sender),
+    await node.generateLinkedInFollowUpMessage(lead, intel, productInfo, sender),
+    await node.generateEmailMessage(lead, intel, productInfo, sender)
+  ];
+
+  assert.equal(prompts.length, 3);
+  for (const text of [...prompts, ...messages]) {
+    assert.doesNotMatch(text, /blockchain/);
+  }
+  assert.match(messages[0], /^Hi Jane Doe, I noticed your role at Acme Bank\./);
+});
+
+test('template messages cite verified claims', async t => {
+  quiet(t);
+  const { node } = failingOutreach();
+  const intel = { current_projects: ['the core banking cloud migration'] };
+
+  const message = await node.generateLinkedInConnectionMessage(lead, intel, productInfo, sender);
+  assert.match(message, /your work at Acme Bank on the core banking cloud migration/);
+});
+
+test('an open circuit stops message generation instead of falling back to templates', async t => {
+  quiet(t);
+  const node = new OutreachNode();
+  const breaker = { name: 'openai', failures: 5, lastError: 'HTTP 503', retryAt: () => Date.now() + 60000 };
+  node.llm = { complete: async () => { throw new CircuitOpenError(breaker); } };
+
+  await assert.rejects(node.generateEmailMessage(lead, {}, productInfo, sender), CircuitOpenError);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PersonaReviewNode } from '../lib/nodes/PersonaReviewNode.js';
+import { PersonaStatus, getPendingPersonas, getApprovedPersonas } from '../lib/persona-review.js';
+import { readJson, writeJson, ensureDir } from '../lib/utils.js';
+import { tempDir, quiet } from './helpers.js';
+
+/**
+ * Run the review node without a terminal on a run with two generated personas
+ * @param {Object} t - test context
+ * @param {Object} profile - state.profile of the run
+ * @returns {Promise<{run: function(): Promise<Message|null>, readState: function(): Promise<Object>}>}
+ */
+async function reviewWithoutTerminal(t, profile) {
+  quiet(t);
+  const profilesDir = await tempDir(t);
+  const statePath = `${profilesDir}/p_test/state.json`;
+  await ensureDir(`${profilesDir}/p_test`);
+  await writeJson(statePath, { run_id: 'p_test', profile, personas: [{ name: 'IT Leader', review_status: PersonaStatus.PENDING }, { name: 'Support Lead', review_status: PersonaStatus.PENDING }] });
+
+  const isTTY = process.stdin.isTTY;
+  process.stdin.isTTY = false;
+  t.after(() => { process.stdin.isTTY = isTTY; });
+
+  const msg = { run_id: 'p_test', event: 'PERSONAS_GENERATED', from: 'test', to: 'PersonaReviewNode', payload: {} };
+  return {
+    run: () => new PersonaReviewNode().run(msg, { profilesDir }),
+    readState: () => readJson(statePath)
+  };
+}
+
+test('without a terminal the run stops with the personas pending', async t => {
+  const { run, readState } = await reviewWithoutTerminal(t, {});
+
+  await assert.rejects(run(), /2 personas are pending review.*npm run review-personas p_test/);
+  assert.equal(getPendingPersonas(await readState()).length, 2);
+});
+
+test('without a terminal personas are approved only when the brief opts in', async t => {
+  const { run, readState } = await reviewWithoutTerminal(t, { auto_approve_personas: true });
+
+  assert.equal(await run(), null);
+  assert.equal(getApprovedPersonas(await readState()).length, 2);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseConstraintRules, namesContact, RuleTypes } from '../lib/plan.js';
+
+/**
+ * Rules as [type, value] pairs
+ * @param {string} constraints
+ * @returns {Array<[string, string]>}
+ */
+const rulesOf = constraints => parseConstraintRules(constraints).map(rule => [rule.type, rule.value]);
+
+test('regions, languages and explicit do-not-contact clauses', () => {
+  assert.deepEqual(rulesOf('France only, French speakers, do not contact Acme Corp'), [
+    [RuleTypes.REGION, 'France'],
+    [RuleTypes.LANGUAGE, 'French'],
+    [RuleTypes.DO_NOT_CONTACT, 'Acme Corp']
+  ]);
+});
+
+test('negated clauses with an email, a domain or a contact verb are do-not-contact', () => {
+  assert.deepEqual(rulesOf('no jane@acme.com; exclude globex.com; avoid contacting Initech; no outreach to hooli, never email Umbrella'), [
+    [RuleTypes.DO_NOT_CONTACT, 'jane@acme.com'],
+    [RuleTypes.DO_NOT_CONTACT, 'globex.com'],
+    [RuleTypes.DO_NOT_CONTACT, 'Initech'],
+    [RuleTypes.DO_NOT_CONTACT, 'hooli'],
+    [RuleTypes.DO_NOT_CONTACT, 'Umbrella']
+  ]);
+  assert.deepEqual(parseConstraintRules('never contact acme corp, exclude globex.com').map(rule => rule.explicit), [true, undefined]);
+});
+
+test('capitalised segment exclusions are not do-not-contact', () => {
+  assert.deepEqual(rulesOf('No Banks, Not Healthcare, avoid Big Pharma, exclude Initech'), [
+    [RuleTypes.OTHER, 'No Banks'],
+    [RuleTypes.OTHER, 'Not Healthcare'],
+    [RuleTypes.OTHER, 'avoid Big Pharma'],
+    [RuleTypes.OTHER, 'exclude Initech']
+  ]);
+});
+
+test('negated segment descriptions are not do-not-contact', () => {
+  assert.deepEqual(rulesOf('No companies under 20 employees, Not in healthcare, avoid banks in Germany, no direct competitors'), [
+    [RuleTypes.OTHER, 'No companies under 20 employees'],
+    [RuleTypes.OTHER, 'Not in healthcare'],
+    [RuleTypes.OTHER, 'avoid banks in Germany'],
+    [RuleTypes.OTHER, 'no direct competitors']
+  ]);
+});
+
+test('empty answers give no rules', () => {
+  assert.deepEqual(parseConstraintRules('None'), []);
+  assert.deepEqual(parseConstraintRules(''), []);
+  assert.deepEqual(parseConstraintRules(undefined), []);
+});
+
+test('namesContact accepts emails, domains and URLs only', () => {
+  assert.equal(namesContact('jane@acme.com'), true);
+  assert.equal(namesContact('globex.com'), true);
+  assert.equal(namesContact('https://www.linkedin.com/in/jdoe'), true);
+  assert.equal(namesContact('Big Pharma'), false);
+  assert.equal(namesContact('companies under 20 employees'), false);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { seniorityVariants, expandQueries, getSearchLanguages, findTitleFamily } from '../lib/query-expansion.js';
+import { normalizeTargeting } from '../lib/targeting.js';
+
+test('seniority variants keep the function between the seniority words', () => {
+  assert.deepEqual(seniorityVariants('VP Customer Support'), ['Head of Customer Support', 'Director of Customer Support', 'Customer Support Manager']);
+  assert.deepEqual(seniorityVariants('Data Engineering Manager'), ['Head of Data Engineering', 'VP Data Engineering', 'Director of Data Engineering']);
+  assert.deepEqual(seniorityVariants('Account Executive'), []);
+});
+
+test('C-level titles vary the function they head, not the words after "Chief"', () => {
+  assert.deepEqual(seniorityVariants('Chief Information Officer'), ['Head of IT', 'VP IT', 'Director of IT', 'IT Manager']);
+  assert.deepEqual(seniorityVariants('CFO'), ['Head of Finance', 'VP Finance', 'Director of Finance', 'Finance Manager']);
+  assert.deepEqual(seniorityVariants('Chief Information Security Officer'), ['Head of Security', 'VP Security', 'Director of Security', 'Security Manager']);
+  assert.deepEqual(seniorityVariants('Chief Executive Officer'), []);
+  assert.deepEqual(seniorityVariants('Chief Data Officer'), []);
+  assert.deepEqual(seniorityVariants('Chief of Staff'), []);
+});
+
+test('title families match whole words only', () => {
+  assert.equal(findTitleFamily('Group CIO')?.function, 'IT');
+  assert.equal(findTitleFamily('Chief Information Security Officer')?.function, 'Security');
+  assert.equal(findTitleFamily('Cargo Manager'), null);
+});
+
+test('search languages come from the plan, else from its regions, without English', () => {
+  assert.deepEqual(getSearchLanguages(normalizeTargeting({ regions: ['France', 'Switzerland'] })), ['french', 'german']);
+  assert.deepEqual(getSearchLanguages(normalizeTargeting({ regions: ['France'], languages: ['English', 'Spanish'] })), ['spanish']);
+});
+
+test('expanded queries interleave their kinds and skip excluded queries', () => {
+  const targeting = normalizeTargeting({ regions: ['France'], industries: ['banking'] });
+  const queries = expandQueries({ title: 'Chief Information Officer' }, targeting, { exclude: ['cio france banking'], count: 20 });
+
+  assert.deepEqual(queries.map(({ query, variant }) => `${variant}: ${query}`), [
+    "local_language: Directeur des Systèmes d'Information France",
+    'site: site:linkedin.com/in "Chief Information Officer" France',
+    'seniority: VP IT France banking',
+    'synonym: IT Director France banking',
+    'local_language: DSI France',
+    `site: site:linkedin.com/in "Directeur des Systèmes d'Information" France`,
+    'seniority: Director of IT France banking',
+    'synonym: Head of IT France banking',
+    'seniority: IT Manager France banking',
+    'synonym: VP of IT France banking'
+  ]);
+  assert.equal(expandQueries({ title: 'CIO' }, targeting, { count: 3 }).length, 3);
+});
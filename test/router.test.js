@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Router } from '../lib/router.js';
+import { MessageJournal, JournalStatus } from '../lib/journal.js';
+import { EventTypes, NodeIds } from '../lib/types.js';
+import { RETRY_POLICIES, getRetryPolicy } from '../lib/retry.js';
+import { DeadLetterKinds, buildRequeueMessages, listDeadLetters } from '../lib/dead-letter.js';
+import { CircuitOpenError } from '../lib/rate-limiter.js';
+import { readJson, writeJson, ensureDir } from '../lib/utils.js';
+import { tempDir, quiet } from './helpers.js';
+
+/**
+ * Router with an extra test node
+ * @param {string} id
+ * @param {function(Message, Context): Promise<Message|null>} run
+ * @returns {Router}
+ */
+function routerWith(id, run) {
+  const router = new Router();
+  router.register({ id, handles: [`${id}_EVENT`], emits: [], create: () => ({ id, run }) });
+  return router;
+}
+
+test('a node that throws is journaled as failed and is the resume point', async t => {
+  quiet(t);
+  const profilesDir = await tempDir(t);
+  const router = routerWith('FailingNode', async () => {
+    throw new Error('no search provider configured');
+  });
+
+  await router.dispatch({ run_id: 'p_test', event: 'FailingNode_EVENT', from: 'test', to: 'FailingNode', payload: {} }, { profilesDir });
+
+  const entry = await new MessageJournal(profilesDir, 'p_test').findResumePoint();
+  assert.equal(entry.status, JournalStatus.FAILED);
+  assert.equal(entry.message.to, 'FailingNode');
+  assert.equal(entry.error, 'no search provider configured');
+});
+
+test('a built-in node that fails is not journaled as done', async t => {
+  quiet(t);
+  const profilesDir = await tempDir(t);
+  const router = new Router();
+
+  // No state.json for this run, so SearchNode cannot find personas
+  await router.dispatch({ run_id: 'p_test', event: EventTypes.PERSONAS_READY, from: 'test', to: NodeIds.SEARCH, payload: {} }, { profilesDir });
+
+  const [entry] = await new MessageJournal(profilesDir, 'p_test').readEntries();
+  assert.equal(entry.status, JournalStatus.FAILED);
+  assert.match(entry.error, /No personas found/);
+});
+
+test('a node that succeeds is journaled as done', async t => {
+  quiet(t);
+  const profilesDir = await tempDir(t);
+  const router = routerWith('PassingNode', async () => null);
+
+  await router.dispatch({ run_id: 'p_test', event: 'PassingNode_EVENT', from: 'test', to: 'PassingNode', payload: {} }, { profilesDir });
+
+  const journal = new MessageJournal(profilesDir, 'p_test');
+  assert.equal((await journal.readEntries())[0].status, JournalStatus.DONE);
+  assert.equal(await journal.findResumePoint(), null);
+});
+
+test('transient node failures are retried by the router', async t => {
+  quiet(t);
+  const profilesDir = await tempDir(t);
+  RETRY_POLICIES.FlakyNode = { ...getRetryPolicy('FlakyNode'), base_delay_ms: 1 };
+  t.after(() => delete RETRY_POLICIES.FlakyNode);
+
+  let calls = 0;
+  const router = routerWith('FlakyNode', async () => {
+    calls++;
+    if (calls < 3) throw Object.assign(new Error('Too many requests'), { status: 429 });
+    return null;
+  });
+
+  await router.dispatch({ run_id: 'p_test', event: 'FlakyNode_EVENT', from: 'test', to: 'FlakyNode', payload: {} }, { profilesDir });
+
+  const [entry] = await new MessageJournal(profilesDir, 'p_test').readEntries();
+  assert.equal(calls, 3);
+  assert.equal(entry.attempts, 3);
+  assert.equal(entry.status, JournalStatus.DONE);
+});
+
+test('a message that still fails is dead-lettered', async t => {
+  quiet(t);
+  const profilesDir = await tempDir(t);
+  await ensureDir(`${profilesDir}/p_test`);
+  await writeJson(`${profilesDir}/p_test/state.json`, { run_id: 'p_test' });
+
+  let calls = 0;
+  const router = routerWith('BrokenNode', async () => {
+    calls++;
+    throw new Error('state is corrupt');
+  });
+
+  await router.dispatch({ run_id: 'p_test', event: 'BrokenNode_EVENT', from: 'test', to: 'BrokenNode', payload: {} }, { profilesDir });
+
+  // Fatal errors are not retried
+  assert.equal(calls, 1);
+  const [deadLetter] = (await readJson(`${profilesDir}/p_test/state.json`)).dead_letters;
+  assert.equal(deadLetter.kind, DeadLetterKinds.MESSAGE);
+  assert.equal(deadLetter.node, 'BrokenNode');
+  assert.equal(deadLetter.item.to, 'BrokenNode');
+});
+
+test('an open circuit inside a node fails the message so resume picks it up', async t => {
+  quiet(t);
+  const profilesDir = await tempDir(t);
+  const breaker = { name: 'jina', failures: 5, lastError: 'HTTP 503', retryAt: () => Date.now() + 60000 };
+  const router = routerWith('CircuitNode', async () => {
+    throw new CircuitOpenError(breaker);
+  });
+
+  await router.dispatch({ run_id: 'p_test', event: 'CircuitNode_EVENT', from: 'test', to: 'CircuitNode', payload: {} }, { profilesDir });
+
+  const entry = await new MessageJournal(profilesDir, 'p_test').findResumePoint();
+  assert.equal(entry.status, JournalStatus.FAILED);
+  assert.equal(entry.attempts, 1);
+  assert.match(entry.error, /jina circuit open/);
+});
+
+test('a requeued message that succeeds is not replayed by resume', async t => {
+  quiet(t);
+  const profilesDir = await tempDir(t);
+  await ensureDir(`${profilesDir}/p_test`);
+  await writeJson(`${profilesDir}/p_test/state.json`, { run_id: 'p_test' });
+
+  let calls = 0;
+  const router = routerWith('RecoveringNode', async () => {
+    calls++;
+    if (calls === 1) throw new Error('state is corrupt');
+    return null;
+  });
+  const ctx = { profilesDir };
+  await router.dispatch({ run_id: 'p_test', event: 'RecoveringNode_EVENT', from: 'test', to: 'RecoveringNode', payload: {} }, ctx);
+
+  // What "dead-letters requeue" does
+  const state = await readJson(`${profilesDir}/p_test/state.json`);
+  for (const { message, entryId } of buildRequeueMessages(state, listDeadLetters(state, { status: 'open' }))) {
+    await router.dispatch(message, ctx, { entryId });
+  }
+
+  const journal = new MessageJournal(profilesDir, 'p_test');
+  assert.equal(calls, 2);
+  assert.equal((await journal.readEntries()).length, 1);
+  assert.equal(await router.resume('p_test', ctx), null);
+  assert.equal(calls, 2);
+});
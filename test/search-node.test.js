@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchNode } from '../lib/nodes/SearchNode.js';
+import { CircuitOpenError } from '../lib/rate-limiter.js';
+import { normalizeTargeting } from '../lib/targeting.js';
+import { SuppressionList } from '../lib/suppression.js';
+import { quiet } from './helpers.js';
+
+const persona = { name: 'IT Leader', title: 'CIO', company: 'Retailer' };
+
+/**
+ * Screening options without suppression or an LLM
+ * @returns {Object}
+ */
+const screening = () => ({ state: {}, suppression: new SuppressionList(), targeting: normalizeTargeting({}), hasLLM: false, invalid: 0, offTarget: 0 });
+
+test('an open circuit stops the search instead of dead-lettering the query', async t => {
+  quiet(t);
+  const breaker = { name: 'jina', failures: 5, lastError: 'HTTP 503', retryAt: () => Date.now() + 60000 };
+  const search = { name: 'jina', label: 'Jina', search: async () => { throw new CircuitOpenError(breaker); } };
+  const failures = [];
+
+  await assert.rejects(
+    new SearchNode().searchQueryPages(search, persona, { query: 'CIO France', variant: 'generated' }, {
+      pagesPerQuery: 3, remaining: 5, seen: new Set(), failures, screening: screening()
+    }),
+    CircuitOpenError
+  );
+  assert.deepEqual(failures, []);
+});
+
+test('other query failures are dead-lettered and the search goes on', async t => {
+  quiet(t);
+  const search = { name: 'jina', label: 'Jina', search: async () => { throw new Error('bad request'); } };
+  const failures = [];
+
+  const result = await new SearchNode().searchQueryPages(search, persona, { query: 'CIO France', variant: 'generated' }, {
+    pagesPerQuery: 3, remaining: 5, seen: new Set(), failures, screening: screening()
+  });
+  assert.deepEqual(result, { leads: [], pages: 0 });
+  assert.deepEqual(failures.map(failure => failure.item), [{ persona_id: 'IT Leader', query: 'CIO France' }]);
+});
+
+/**
+ * Search provider returning the same people for every query and page
+ * @param {string[]} people - LinkedIn profile slugs
+ * @returns {Object}
+ */
+const fixedResults = people => ({
+  name: 'jina',
+  label: 'Jina',
+  search: async () => people.map(slug => ({ name: slug, email: `${slug}@example.com`, linkedin_url: `https://linkedin.com/in/${slug}` }))
+});
+
+test('a person found for one persona does not count for another', async t => {
+  quiet(t);
+  const node = new SearchNode();
+  const seen = new Set();
+  const options = { search: fixedResults(['ada', 'grace', 'alan']), mode: 'sales', queries: ['CIO France'], queryBudget: 5, pagesPerQuery: 1, seen, failedQueries: [], screening: screening() };
+
+  const first = await node.fillPersonaQuota(persona, 2, options);
+  const second = await node.fillPersonaQuota({ name: 'Finance Leader', title: 'CFO', company: 'Retailer' }, 2, options);
+
+  assert.deepEqual(first.leads.map(lead => lead.name), ['ada', 'grace']);
+  assert.deepEqual(second.leads.map(lead => lead.name), ['alan']);
+});
+
+test('leads the run already has are not found again', async t => {
+  quiet(t);
+  const node = new SearchNode();
+  const existing = [{ name: 'ada', email: 'ada@example.com', linkedin_url: 'https://linkedin.com/in/ada', persona_id: 'IT Leader' }];
+  const seen = new Set(existing.map(lead => node.leadKey(lead)));
+
+  const result = await node.fillPersonaQuota(persona, 5, {
+    search: fixedResults(['ada', 'grace']), mode: 'sales', queries: ['CIO France'], queryBudget: 5, pagesPerQuery: 1, seen, failedQueries: [], screening: screening()
+  });
+
+  assert.deepEqual(result.leads.map(lead => lead.name), ['grace']);
+  assert.deepEqual(node.removeDuplicateLeads([...existing, ...existing, ...result.leads]).map(lead => lead.name), ['ada', 'grace']);
+});
+
+test('a persona whose target is already met runs no query', async t => {
+  quiet(t);
+  const search = { ...fixedResults(['ada']), search: t.mock.fn(async () => []) };
+
+  const result = await new SearchNode().fillPersonaQuota(persona, 0, {
+    search, mode: 'sales', queries: ['CIO France'], queryBudget: 5, pagesPerQuery: 1, seen: new Set(), failedQueries: [], screening: screening()
+  });
+
+  assert.deepEqual(result, { leads: [], queries: [] });
+  assert.equal(search.search.mock.callCount(), 0);
+});
+
+test('search redone from the command line starts over instead of topping up', () => {
+  const node = new SearchNode();
+  const state = { leads: [{ name: 'ada', persona_id: 'IT Leader' }] };
+
+  assert.deepEqual(node.getExistingLeads(state, { redo_search: true }), []);
+  assert.deepEqual(node.getExistingLeads(state, { queries: [] }), state.leads);
+  assert.deepEqual(node.getExistingLeads({}, {}), []);
+});
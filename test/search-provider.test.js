@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchProvider } from '../lib/search/provider.js';
+
+test('leads from search results carry no guessed email', () => {
+  const [lead] = new SearchProvider('test').toLeads([{
+    title: 'Marie Dupont - Directrice des Systèmes d\'Information - LinkedIn',
+    url: 'https://www.linkedin.com/in/marie-dupont',
+    description: 'DSI chez Financial Services Group, Paris'
+  }], 'DSI Paris', 10);
+
+  assert.equal(lead.name, 'Marie Dupont');
+  assert.equal(lead.email, '');
+  assert.equal(lead.linkedin_url, 'https://www.linkedin.com/in/marie-dupont');
+  assert.equal(lead.contact_verified, false);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getConstraintSuppression, SuppressionTypes } from '../lib/suppression.js';
+import { RuleTypes, parseConstraintRules } from '../lib/plan.js';
+
+/**
+ * State whose plan holds do-not-contact rules
+ * @param {string[]} values
+ * @returns {Object}
+ */
+const stateWithRules = values => ({
+  plan: { rules: values.map(value => ({ type: RuleTypes.DO_NOT_CONTACT, value, source: 'constraints' })) }
+});
+
+test('explicit rules, emails, domains and URLs become suppression entries', () => {
+  const state = stateWithRules(['Acme Corp', 'jane@acme.com', 'globex.com', 'https://www.linkedin.com/in/jdoe']);
+  state.plan.rules[0].explicit = true;
+  const entries = getConstraintSuppression(state);
+  assert.deepEqual(entries.map(entry => [entry.type, entry.value]), [
+    [SuppressionTypes.COMPANY, 'Acme Corp'],
+    [SuppressionTypes.EMAIL, 'jane@acme.com'],
+    [SuppressionTypes.DOMAIN, 'globex.com'],
+    [SuppressionTypes.LINKEDIN, 'https://www.linkedin.com/in/jdoe']
+  ]);
+});
+
+test('descriptive rules from older plans are not suppressed', () => {
+  const entries = getConstraintSuppression(stateWithRules(['companies under 20 employees', 'in healthcare', 'Banks', 'Initech']));
+  assert.deepEqual(entries, []);
+});
+
+test('untagged rules the answer states as "do not contact" are suppressed', () => {
+  const state = { ...stateWithRules(['Initech', 'Banks']), profile: { answers: { constraints: 'do not contact Initech, no Banks' } } };
+  assert.deepEqual(getConstraintSuppression(state).map(entry => entry.value), ['Initech']);
+});
+
+test('explicit do-not-contact clauses are suppressed whatever their case', () => {
+  const state = { plan: { rules: parseConstraintRules('France only, do not contact acme corp, never contact initech') } };
+  assert.deepEqual(getConstraintSuppression(state).map(entry => [entry.type, entry.value]), [
+    [SuppressionTypes.COMPANY, 'acme corp'],
+    [SuppressionTypes.COMPANY, 'initech']
+  ]);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTargeting, CompanySizes } from '../lib/targeting.js';
+import { parseConstraintRules } from '../lib/plan.js';
+
+test('industries come from the target and constraints answers, not proof', () => {
+  const targeting = parseTargeting({ target: 'Insurers in France', proof: 'Three hospitals and a bank use us' });
+  assert.deepEqual(targeting.industries, ['insurance']);
+});
+
+test('excluded industries are not targeted', () => {
+  const answers = { target: 'Mid-market insurers', constraints: 'Not in healthcare, avoid banks in Germany' };
+  assert.deepEqual(parseTargeting(answers, parseConstraintRules(answers.constraints)).industries, ['insurance']);
+});
+
+test('plain numeric size bands are read', () => {
+  assert.deepEqual(parseTargeting({ target: 'CIOs at 51-200' }).company_sizes, [CompanySizes.MEDIUM]);
+  assert.deepEqual(parseTargeting({ target: 'banks with 200 to 1,000 employees' }).company_sizes, [CompanySizes.MEDIUM, CompanySizes.LARGE]);
+  assert.deepEqual(parseTargeting({ target: 'SMB retailers' }).company_sizes, [CompanySizes.SMALL, CompanySizes.MEDIUM]);
+});
+
+test('plain bands counting something other than employees are not size bands', () => {
+  assert.deepEqual(parseTargeting({ target: 'B2B SaaS companies with 20-200 support agents' }).company_sizes, []);
+  assert.deepEqual(parseTargeting({ target: 'founders with 10+ years in retail' }).company_sizes, []);
+  assert.deepEqual(parseTargeting({ target: 'SaaS companies, 20-200 headcount' }).company_sizes, [CompanySizes.SMALL, CompanySizes.MEDIUM]);
+});
+
+test('years and money are not size bands', () => {
+  assert.deepEqual(parseTargeting({ target: 'retailers that grew 2020-2024' }).company_sizes, []);
+  assert.deepEqual(parseTargeting({ target: 'companies with $10-50M revenue' }).company_sizes, []);
+});
+
+test('size exclusions are not targeted', () => {
+  assert.deepEqual(parseTargeting({ constraints: 'No companies under 20 employees, no 1-10' }).company_sizes, []);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordLLMUsage, withRunUsage, getUsage } from '../lib/usage.js';
+import { quiet } from './helpers.js';
+
+const GPT_4O_MINI = { 'gpt-4o-mini': { input: 0.15, output: 0.6 } };
+
+test('calls outside a run context are not counted', () => {
+  recordLLMUsage('gpt-4o-mini', { prompt_tokens: 1000, completion_tokens: 1000 }, GPT_4O_MINI);
+  assert.equal(getUsage('p_outside'), null);
+});
+
+test('withRunUsage counts calls against the run and writes them to state.usage', async () => {
+  const state = { run_id: 'p_regen', usage: { total: { llm_calls: 2, cost_usd: 0.5 } } };
+
+  const result = await withRunUsage(state, { runId: 'p_regen', profilesDir: '/unused', node: 'PersonaNode' }, async () => {
+    recordLLMUsage('gpt-4o-mini', { prompt_tokens: 1e6, completion_tokens: 1e6 }, GPT_4O_MINI);
+    return 'replacement';
+  });
+
+  assert.equal(result, 'replacement');
+  assert.equal(state.usage.total.llm_calls, 3);
+  assert.equal(state.usage.total.cost_usd, 1.25);
+  assert.equal(state.usage.by_node.PersonaNode.cost_usd, 0.75);
+});
+
+test('usage is written to state.usage when the work fails', async () => {
+  const state = { run_id: 'p_failed' };
+
+  await assert.rejects(withRunUsage(state, { runId: 'p_failed', profilesDir: '/unused', node: 'PersonaNode' }, async () => {
+    recordLLMUsage('gpt-4o', { prompt_tokens: 1e6 }, { input: 2.5, output: 10 });
+    throw new Error('LLM answer rejected');
+  }), /rejected/);
+
+  assert.equal(state.usage.total.cost_usd, 2.5);
+});
+
+test('models without a price are counted at gpt-4o rates with a warning', async t => {
+  quiet(t);
+  const state = {};
+
+  await withRunUsage(state, { runId: 'p_unpriced', profilesDir: '/unused', node: 'PlanNode' }, async () => {
+    recordLLMUsage('gpt-unknown', { completion_tokens: 1e6 }, GPT_4O_MINI);
+  });
+
+  assert.equal(state.usage.total.cost_usd, 10);
+  assert.match(console.log.mock.calls[0].arguments[0], /No price for model gpt-unknown/);
+});